@@ -1,6 +1,9 @@
 // RyAuth - Modern Authentication Library for Node.js
 // Main entry point exporting all public APIs
 
+// Instance factory
+export { createRyAuth } from './src/ryauth.js';
+
 // Core services
 export { AuthService } from './src/services/auth-service.js';
 
@@ -11,5 +14,26 @@ export { createAuthMiddleware } from './src/middleware/auth.js';
 export { BaseAdapter } from './src/adapters/base.js';
 export { MemoryAdapter } from './src/adapters/memory.js';
 
+// Mailers
+export { BaseMailer } from './src/mailers/base.js';
+export { MemoryMailer } from './src/mailers/memory.js';
+
+// Rate limit stores
+export { BaseRateLimitStore } from './src/stores/base.js';
+export { MemoryRateLimitStore } from './src/stores/memory.js';
+
 // Core utilities (for advanced users)
-export { hashPassword, verifyPassword, signAccessToken, signRefreshToken, verifyJWT } from './src/core/crypto.js';
\ No newline at end of file
+export { hashPassword, verifyPassword, signAccessToken, signRefreshToken, verifyJWT, hashRefreshToken, getJWKS, getKeyRing, rotateKeys, generateCsrfToken, verifyCsrfToken, generateOneTimeToken, hashOneTimeToken, hashOneTimeCode } from './src/core/crypto.js';
+export { KeyRing } from './src/core/keyring.js';
+export { TokenManager } from './src/core/tokens.js';
+export { PasswordPolicy, PasswordPolicyError, COMMON_PASSWORDS_FILE } from './src/core/password-policy.js';
+export { PasswordHasher } from './src/core/password-hasher.js';
+export { LoginThrottle } from './src/core/login-throttle.js';
+export { OtpPolicy, OTP_PURPOSES } from './src/core/otp-policy.js';
+export { OAuthProvider, pkceChallenge } from './src/core/oauth.js';
+export { generateApiKey, parseApiKey, hashApiKey, DEFAULT_API_KEY_PREFIX } from './src/core/api-keys.js';
+export { RolePolicy, matchesPermission } from './src/core/role-policy.js';
+export { AccessPolicy, isOwner, hasRole, hasPermission, anyOf, allOf } from './src/core/access-policy.js';
+export { SecretBox } from './src/core/secret-box.js';
+export { generateTotp, verifyTotp, generateTotpSecret, buildOtpauthUri, base32Encode, base32Decode } from './src/core/totp.js';
+export { RelyingParty, COSE_ALGORITHMS, parseAuthenticatorData, coseToPublicKey } from './src/core/webauthn.js';
@@ -16,27 +16,67 @@ export class BaseAdapter {
 
   /**
    * Creates a new user
-   * @param {object} userData - User data including email and hashedPassword
+   * @param {object} userData - User data including email and hashedPassword (null for passwordless accounts)
    * @returns {Promise<object>} The created user object
    */
   async createUser(userData) {
     throw new Error('Method createUser() must be implemented');
   }
 
+  /**
+   * Finds a user by ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<object|null>} The user object or null if not found
+   */
+  async findUserById(userId) {
+    throw new Error('Method findUserById() must be implemented');
+  }
+
+  /**
+   * Updates fields of a user
+   * @param {string} userId - The user ID
+   * @param {object} updates - Fields to change (email, hashedPassword, role, roles, emailVerified)
+   * @returns {Promise<object>} The updated user object
+   */
+  async updateUser(userId, updates) {
+    throw new Error('Method updateUser() must be implemented');
+  }
+
+  /**
+   * Marks a user's email address as verified
+   * @param {string} userId - The user ID
+   * @returns {Promise<void>}
+   */
+  async markEmailVerified(userId) {
+    throw new Error('Method markEmailVerified() must be implemented');
+  }
+
   /**
    * Saves a refresh token for a user
    * @param {string} userId - The user ID
-   * @param {string} token - The refresh token
+   * @param {string} token - Keyed hash of the refresh token (raw tokens are never passed to adapters)
    * @param {Date} expiresAt - The expiration date
+   * @param {object} [links] - Token family links
+   * @param {string} [links.familyId] - ID shared by every token rotated from the same login
+   * @param {string} [links.parentToken] - Hash of the token this one was rotated from
    * @returns {Promise<void>}
    */
-  async saveRefreshToken(userId, token, expiresAt) {
+  async saveRefreshToken(userId, token, expiresAt, links) {
     throw new Error('Method saveRefreshToken() must be implemented');
   }
 
+  /**
+   * Finds a refresh token, including revoked and expired ones
+   * @param {string} token - Hash of the refresh token to look up
+   * @returns {Promise<{userId: string, familyId: string|null, parentToken: string|null, expiresAt: Date, revoked: boolean}|null>} The token record or null if not found
+   */
+  async findRefreshToken(token) {
+    throw new Error('Method findRefreshToken() must be implemented');
+  }
+
   /**
    * Checks if a refresh token is valid (not revoked and not expired)
-   * @param {string} token - The refresh token to check
+   * @param {string} token - Hash of the refresh token to check
    * @returns {Promise<boolean>} True if the token is valid
    */
   async isRefreshTokenValid(token) {
@@ -45,13 +85,24 @@ export class BaseAdapter {
 
   /**
    * Revokes a refresh token
-   * @param {string} token - The refresh token to revoke
-   * @returns {Promise<void>}
+   * Refresh rotation uses this to consume the presented token, so it must be atomic:
+   * of two concurrent calls for the same token, only one may return true
+   * @param {string} token - Hash of the refresh token to revoke
+   * @returns {Promise<boolean>} True if the token existed and wasn't revoked before
    */
   async revokeRefreshToken(token) {
     throw new Error('Method revokeRefreshToken() must be implemented');
   }
 
+  /**
+   * Revokes every refresh token in a family (one login chain on one device)
+   * @param {string} familyId - The token family ID
+   * @returns {Promise<void>}
+   */
+  async revokeTokenFamily(familyId) {
+    throw new Error('Method revokeTokenFamily() must be implemented');
+  }
+
   /**
    * Revokes all refresh tokens for a user (for security incidents)
    * @param {string} userId - The user ID
@@ -60,6 +111,504 @@ export class BaseAdapter {
   async revokeAllUserSessions(userId) {
     throw new Error('Method revokeAllUserSessions() must be implemented');
   }
+
+  /**
+   * Saves a single-use token (email verification and similar flows)
+   * @param {string} token - Hash of the token (raw tokens are never passed to adapters)
+   * @param {object} record - Token record
+   * @param {string} record.purpose - What the token may be used for, e.g. 'email-verification'
+   * @param {string|null} record.userId - The user the token was issued for
+   * @param {string|null} record.email - The email address the token was sent to
+   * @param {Date} record.expiresAt - The expiration date
+   * @param {object|null} [record.data] - Extra string values for the flow, e.g. a magic link's redirect URL
+   * @returns {Promise<void>}
+   */
+  async saveOneTimeToken(token, record) {
+    throw new Error('Method saveOneTimeToken() must be implemented');
+  }
+
+  /**
+   * Deletes a single-use token and returns its record, so it can't be used twice
+   * Tokens issued for another purpose must be left in place
+   * @param {string} token - Hash of the token
+   * @param {string} purpose - The expected purpose
+   * @returns {Promise<{purpose: string, userId: string|null, email: string|null, expiresAt: Date, data: object|null}|null>} The token record or null if not found
+   */
+  async consumeOneTimeToken(token, purpose) {
+    throw new Error('Method consumeOneTimeToken() must be implemented');
+  }
+
+  /**
+   * Counts a failed login attempt
+   * Must be atomic: concurrent attempts must each be counted
+   * @param {string} key - What failed, e.g. "account:user@example.com" or "ip:203.0.113.7"
+   * @param {object} attempt - Attempt details
+   * @param {Date} attempt.at - When the attempt failed
+   * @param {Date} attempt.resetBefore - Start counting again from 1 if the last failure is older than this
+   * @returns {Promise<{count: number, firstFailureAt: Date, lastFailureAt: Date}>} The updated record
+   */
+  async recordLoginFailure(key, attempt) {
+    throw new Error('Method recordLoginFailure() must be implemented');
+  }
+
+  /**
+   * Finds the failed login record for a key
+   * @param {string} key - The key passed to recordLoginFailure()
+   * @returns {Promise<{count: number, firstFailureAt: Date, lastFailureAt: Date}|null>} The record or null if not found
+   */
+  async findLoginFailures(key) {
+    throw new Error('Method findLoginFailures() must be implemented');
+  }
+
+  /**
+   * Deletes the failed login record for a key
+   * @param {string} key - The key passed to recordLoginFailure()
+   * @returns {Promise<void>}
+   */
+  async clearLoginFailures(key) {
+    throw new Error('Method clearLoginFailures() must be implemented');
+  }
+
+  /**
+   * Saves an email one-time code, replacing any earlier code for the same email and purpose
+   * The attempt count starts at 0
+   * @param {string} email - The email address the code was sent to
+   * @param {string} purpose - What the code may be used for: 'login', 'verify' or 'reset'
+   * @param {object} record - Code record
+   * @param {string} record.codeHash - Keyed hash of the code (raw codes are never passed to adapters)
+   * @param {string} record.userId - The user the code was issued for
+   * @param {Date} record.expiresAt - The expiration date
+   * @returns {Promise<void>}
+   */
+  async saveOtp(email, purpose, record) {
+    throw new Error('Method saveOtp() must be implemented');
+  }
+
+  /**
+   * Finds the current one-time code for an email and purpose
+   * @param {string} email - The email address
+   * @param {string} purpose - The purpose
+   * @returns {Promise<{codeHash: string, userId: string, expiresAt: Date, attempts: number}|null>} The record or null if not found
+   */
+  async findOtp(email, purpose) {
+    throw new Error('Method findOtp() must be implemented');
+  }
+
+  /**
+   * Counts a verification attempt against a one-time code
+   * Must be atomic: concurrent guesses must each be counted
+   * @param {string} email - The email address
+   * @param {string} purpose - The purpose
+   * @returns {Promise<number|null>} The updated attempt count, or null if there is no code
+   */
+  async incrementOtpAttempts(email, purpose) {
+    throw new Error('Method incrementOtpAttempts() must be implemented');
+  }
+
+  /**
+   * Deletes the one-time code for an email and purpose
+   * Must be atomic: of two concurrent calls, only one may return true
+   * @param {string} email - The email address
+   * @param {string} purpose - The purpose
+   * @returns {Promise<boolean>} True if a code was deleted
+   */
+  async deleteOtp(email, purpose) {
+    throw new Error('Method deleteOtp() must be implemented');
+  }
+
+  /**
+   * Counts a request for a one-time code, so issuing codes can be limited
+   * Kept apart from failed logins: a request is not a failure and must not lock the account
+   * Must be atomic: concurrent requests must each be counted
+   * @param {string} email - The email address, lowercased
+   * @param {string} purpose - The purpose
+   * @param {object} request - Request details
+   * @param {Date} request.at - When the code was requested
+   * @param {Date} request.resetBefore - Start counting again from 1 if the last request is older than this
+   * @returns {Promise<number>} The updated request count
+   */
+  async recordOtpRequest(email, purpose, request) {
+    throw new Error('Method recordOtpRequest() must be implemented');
+  }
+
+  /**
+   * Saves a user's TOTP secret, replacing any previous one
+   * @param {string} userId - The user ID
+   * @param {object} record - The TOTP record
+   * @param {string} record.secret - The secret, encrypted (raw secrets are never passed to adapters)
+   * @param {Date|null} record.confirmedAt - When enrollment was confirmed; null while pending
+   * @param {number|null} record.lastUsedStep - Time step of the last accepted code
+   * @returns {Promise<void>}
+   */
+  async saveTotpSecret(userId, record) {
+    throw new Error('Method saveTotpSecret() must be implemented');
+  }
+
+  /**
+   * Finds a user's TOTP secret
+   * @param {string} userId - The user ID
+   * @returns {Promise<{secret: string, confirmedAt: Date|null, lastUsedStep: number|null}|null>} The record or null if not found
+   */
+  async findTotpSecret(userId) {
+    throw new Error('Method findTotpSecret() must be implemented');
+  }
+
+  /**
+   * Deletes a user's TOTP secret
+   * @param {string} userId - The user ID
+   * @returns {Promise<void>}
+   */
+  async deleteTotpSecret(userId) {
+    throw new Error('Method deleteTotpSecret() must be implemented');
+  }
+
+  /**
+   * Records the time step of an accepted code, so the same code can't be replayed
+   * Must be atomic: only one caller may claim a step
+   * @param {string} userId - The user ID
+   * @param {number} step - The time step
+   * @returns {Promise<boolean>} True if the step is later than the last used one and was recorded
+   */
+  async markTotpStepUsed(userId, step) {
+    throw new Error('Method markTotpStepUsed() must be implemented');
+  }
+
+  /**
+   * Replaces a user's recovery codes
+   * @param {string} userId - The user ID
+   * @param {string[]} codes - Keyed hashes of the codes (raw codes are never passed to adapters)
+   * @returns {Promise<void>}
+   */
+  async saveRecoveryCodes(userId, codes) {
+    throw new Error('Method saveRecoveryCodes() must be implemented');
+  }
+
+  /**
+   * Deletes one recovery code, so it can't be used twice
+   * @param {string} userId - The user ID
+   * @param {string} code - Hash of the code
+   * @returns {Promise<boolean>} True if the code existed and was deleted
+   */
+  async consumeRecoveryCode(userId, code) {
+    throw new Error('Method consumeRecoveryCode() must be implemented');
+  }
+
+  /**
+   * Counts a user's unused recovery codes
+   * @param {string} userId - The user ID
+   * @returns {Promise<number>} The number of codes left
+   */
+  async countRecoveryCodes(userId) {
+    throw new Error('Method countRecoveryCodes() must be implemented');
+  }
+
+  /**
+   * Saves a new passkey (WebAuthn credential)
+   * @param {object} passkey - The passkey record
+   * @param {string} passkey.credentialId - base64url credential ID, unique across all users
+   * @param {string} passkey.userId - The owner's user ID
+   * @param {string} passkey.publicKey - base64url COSE public key
+   * @param {number} passkey.algorithm - COSE algorithm of the key
+   * @param {number} passkey.signCount - Last signature counter seen
+   * @param {string[]} passkey.transports - Transport hints from the browser
+   * @param {string|null} passkey.aaguid - Authenticator model ID
+   * @param {boolean} passkey.backupEligible - Whether the key can be synced
+   * @param {boolean} passkey.backedUp - Whether the key is currently synced
+   * @param {string|null} passkey.name - Label chosen by the user
+   * @param {Date} passkey.createdAt - When it was registered
+   * @param {Date|null} passkey.lastUsedAt - When it last signed in
+   * @returns {Promise<void>}
+   */
+  async savePasskey(passkey) {
+    throw new Error('Method savePasskey() must be implemented');
+  }
+
+  /**
+   * Finds a passkey by credential ID
+   * @param {string} credentialId - The base64url credential ID
+   * @returns {Promise<object|null>} The passkey record or null if not found
+   */
+  async findPasskey(credentialId) {
+    throw new Error('Method findPasskey() must be implemented');
+  }
+
+  /**
+   * Lists a user's passkeys
+   * @param {string} userId - The user ID
+   * @returns {Promise<object[]>} The passkey records, oldest first
+   */
+  async findPasskeysByUserId(userId) {
+    throw new Error('Method findPasskeysByUserId() must be implemented');
+  }
+
+  /**
+   * Updates fields of a passkey after it was used or renamed
+   * @param {string} credentialId - The base64url credential ID
+   * @param {object} updates - Fields to change (signCount, backedUp, lastUsedAt, name)
+   * @returns {Promise<void>}
+   */
+  async updatePasskey(credentialId, updates) {
+    throw new Error('Method updatePasskey() must be implemented');
+  }
+
+  /**
+   * Deletes a passkey
+   * @param {string} credentialId - The base64url credential ID
+   * @returns {Promise<void>}
+   */
+  async deletePasskey(credentialId) {
+    throw new Error('Method deletePasskey() must be implemented');
+  }
+
+  /**
+   * Links an external identity (a social login account) to a user
+   * Each provider and subject pair may belong to one user only
+   * @param {object} identity - Identity record
+   * @param {string} identity.provider - Provider name, e.g. 'google'
+   * @param {string} identity.subject - The user's ID at the provider
+   * @param {string} identity.userId - The local user
+   * @param {string|null} identity.email - Email the provider reported when the identity was linked
+   * @param {Date} identity.createdAt - When it was linked
+   * @returns {Promise<void>}
+   * @throws {Error} If the identity is already linked
+   */
+  async linkIdentity(identity) {
+    throw new Error('Method linkIdentity() must be implemented');
+  }
+
+  /**
+   * Finds an external identity
+   * @param {string} provider - Provider name
+   * @param {string} subject - The user's ID at the provider
+   * @returns {Promise<object|null>} The identity record or null if not found
+   */
+  async findIdentity(provider, subject) {
+    throw new Error('Method findIdentity() must be implemented');
+  }
+
+  /**
+   * Lists the external identities linked to a user, oldest first
+   * @param {string} userId - The user ID
+   * @returns {Promise<object[]>} The identity records
+   */
+  async findIdentitiesByUserId(userId) {
+    throw new Error('Method findIdentitiesByUserId() must be implemented');
+  }
+
+  /**
+   * Removes an external identity
+   * @param {string} provider - Provider name
+   * @param {string} subject - The user's ID at the provider
+   * @returns {Promise<void>}
+   */
+  async unlinkIdentity(provider, subject) {
+    throw new Error('Method unlinkIdentity() must be implemented');
+  }
+
+  /**
+   * Saves a new API key
+   * @param {object} apiKey - API key record
+   * @param {string} apiKey.id - Public key ID, unique
+   * @param {string} apiKey.userId - The user the key acts for
+   * @param {string} apiKey.prefix - Prefix the key starts with
+   * @param {string} apiKey.keyHash - SHA-256 hash of the full key
+   * @param {string|null} apiKey.name - Label shown in key lists
+   * @param {string[]} apiKey.scopes - What the key may do
+   * @param {Date|null} apiKey.expiresAt - When the key stops working, or null for never
+   * @param {Date} apiKey.createdAt - When the key was created
+   * @param {Date|null} apiKey.lastUsedAt - When the key was last used
+   * @returns {Promise<void>}
+   * @throws {Error} If a key with the same ID exists
+   */
+  async saveApiKey(apiKey) {
+    throw new Error('Method saveApiKey() must be implemented');
+  }
+
+  /**
+   * Finds an API key by ID
+   * @param {string} id - The key ID
+   * @returns {Promise<object|null>} The API key record or null if not found
+   */
+  async findApiKey(id) {
+    throw new Error('Method findApiKey() must be implemented');
+  }
+
+  /**
+   * Lists a user's API keys, oldest first
+   * @param {string} userId - The user ID
+   * @returns {Promise<object[]>} The API key records
+   */
+  async findApiKeysByUserId(userId) {
+    throw new Error('Method findApiKeysByUserId() must be implemented');
+  }
+
+  /**
+   * Updates fields of an API key
+   * @param {string} id - The key ID
+   * @param {object} updates - Fields to change (lastUsedAt, name)
+   * @returns {Promise<void>}
+   */
+  async updateApiKey(id, updates) {
+    throw new Error('Method updateApiKey() must be implemented');
+  }
+
+  /**
+   * Deletes an API key
+   * @param {string} id - The key ID
+   * @returns {Promise<void>}
+   */
+  async deleteApiKey(id) {
+    throw new Error('Method deleteApiKey() must be implemented');
+  }
+
+  /**
+   * Creates an organization (a tenant)
+   * @param {object} organization - Organization data
+   * @param {string} organization.name - Display name
+   * @returns {Promise<{id: string, name: string, createdAt: Date}>} The created organization
+   */
+  async createOrganization(organization) {
+    throw new Error('Method createOrganization() must be implemented');
+  }
+
+  /**
+   * Finds an organization by ID
+   * @param {string} organizationId - The organization ID
+   * @returns {Promise<object|null>} The organization or null if not found
+   */
+  async findOrganizationById(organizationId) {
+    throw new Error('Method findOrganizationById() must be implemented');
+  }
+
+  /**
+   * Deletes an organization and its memberships
+   * @param {string} organizationId - The organization ID
+   * @returns {Promise<void>}
+   */
+  async deleteOrganization(organizationId) {
+    throw new Error('Method deleteOrganization() must be implemented');
+  }
+
+  /**
+   * Adds a user to an organization
+   * @param {object} membership - Membership record
+   * @param {string} membership.organizationId - The organization
+   * @param {string} membership.userId - The member
+   * @param {string[]} membership.roles - The member's roles in this organization, at least one
+   * @param {Date} membership.createdAt - When the user joined
+   * @returns {Promise<void>}
+   * @throws {Error} If the user is already a member
+   */
+  async addMembership(membership) {
+    throw new Error('Method addMembership() must be implemented');
+  }
+
+  /**
+   * Finds a user's membership of an organization
+   * @param {string} organizationId - The organization ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<object|null>} The membership record or null if the user isn't a member
+   */
+  async findMembership(organizationId, userId) {
+    throw new Error('Method findMembership() must be implemented');
+  }
+
+  /**
+   * Lists the organizations a user belongs to, oldest membership first
+   * @param {string} userId - The user ID
+   * @returns {Promise<object[]>} The membership records
+   */
+  async findMembershipsByUserId(userId) {
+    throw new Error('Method findMembershipsByUserId() must be implemented');
+  }
+
+  /**
+   * Lists the members of an organization, oldest membership first
+   * @param {string} organizationId - The organization ID
+   * @returns {Promise<object[]>} The membership records
+   */
+  async findMembershipsByOrganizationId(organizationId) {
+    throw new Error('Method findMembershipsByOrganizationId() must be implemented');
+  }
+
+  /**
+   * Updates fields of a membership
+   * @param {string} organizationId - The organization ID
+   * @param {string} userId - The user ID
+   * @param {object} updates - Fields to change (roles)
+   * @returns {Promise<void>}
+   * @throws {Error} If the user isn't a member
+   */
+  async updateMembership(organizationId, userId, updates) {
+    throw new Error('Method updateMembership() must be implemented');
+  }
+
+  /**
+   * Removes a user from an organization
+   * @param {string} organizationId - The organization ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<void>}
+   */
+  async deleteMembership(organizationId, userId) {
+    throw new Error('Method deleteMembership() must be implemented');
+  }
+
+  /**
+   * Saves a session, one per login
+   * @param {object} session - Session record
+   * @param {string} session.id - Session ID, the family ID of its refresh tokens
+   * @param {string} session.userId - The signed-in user
+   * @param {string|null} session.deviceName - Name the client gave its device
+   * @param {string|null} session.userAgent - User-Agent of the client
+   * @param {string|null} session.ip - Client IP address, as last seen
+   * @param {Date} session.createdAt - When the user signed in
+   * @param {Date} session.lastRefreshedAt - When the session's tokens were last issued
+   * @param {Date} session.expiresAt - When the current refresh token expires
+   * @returns {Promise<void>}
+   * @throws {Error} If a session with the same ID exists
+   */
+  async saveSession(session) {
+    throw new Error('Method saveSession() must be implemented');
+  }
+
+  /**
+   * Finds a session by ID
+   * @param {string} id - The session ID
+   * @returns {Promise<object|null>} The session record or null if not found
+   */
+  async findSession(id) {
+    throw new Error('Method findSession() must be implemented');
+  }
+
+  /**
+   * Lists a user's sessions, oldest first
+   * @param {string} userId - The user ID
+   * @returns {Promise<object[]>} The session records
+   */
+  async findSessionsByUserId(userId) {
+    throw new Error('Method findSessionsByUserId() must be implemented');
+  }
+
+  /**
+   * Updates fields of a session
+   * @param {string} id - The session ID
+   * @param {object} updates - Fields to change (lastRefreshedAt, expiresAt, ip, userAgent)
+   * @returns {Promise<void>}
+   * @throws {Error} If the session doesn't exist
+   */
+  async updateSession(id, updates) {
+    throw new Error('Method updateSession() must be implemented');
+  }
+
+  /**
+   * Deletes a session record
+   * Its refresh tokens are revoked separately, with revokeTokenFamily()
+   * @param {string} id - The session ID
+   * @returns {Promise<void>}
+   */
+  async deleteSession(id) {
+    throw new Error('Method deleteSession() must be implemented');
+  }
 }
 
 /**
@@ -67,15 +616,187 @@ export class BaseAdapter {
  */
 export const userSchema = z.object({
   email: z.string().email(),
-  hashedPassword: z.string(),
-  role: z.string().optional().default('user')
+  hashedPassword: z.string().nullable(), // null for passwordless accounts
+  role: z.string().optional().default('user'),
+  roles: z.array(z.string().min(1)).optional().default([]), // Held besides role
+  emailVerified: z.boolean().optional().default(false)
 });
 
+/**
+ * User update schema for validation
+ * Every field is optional and nothing is defaulted, so omitted fields stay unchanged
+ */
+export const userUpdateSchema = z.object({
+  email: z.string().email(),
+  hashedPassword: z.string(),
+  role: z.string(),
+  roles: z.array(z.string().min(1)),
+  emailVerified: z.boolean()
+}).partial().strict();
+
 /**
  * Refresh token schema for validation
  */
 export const refreshTokenSchema = z.object({
   userId: z.string(),
   token: z.string(),
+  expiresAt: z.date(),
+  familyId: z.string().nullable().optional().default(null),
+  parentToken: z.string().nullable().optional().default(null)
+});
+
+/**
+ * Failed login attempt schema for validation
+ */
+export const loginFailureSchema = z.object({
+  at: z.date(),
+  resetBefore: z.date()
+});
+
+/**
+ * One-time code request schema for validation
+ */
+export const otpRequestSchema = z.object({
+  at: z.date(),
+  resetBefore: z.date()
+});
+
+/**
+ * TOTP secret schema for validation
+ */
+export const totpSecretSchema = z.object({
+  secret: z.string().min(1),
+  confirmedAt: z.date().nullable().optional().default(null),
+  lastUsedStep: z.number().int().nonnegative().nullable().optional().default(null)
+});
+
+/**
+ * Passkey schema for validation
+ */
+export const passkeySchema = z.object({
+  credentialId: z.string().min(1),
+  userId: z.string().min(1),
+  publicKey: z.string().min(1),
+  algorithm: z.number().int(),
+  signCount: z.number().int().nonnegative(),
+  transports: z.array(z.string()).optional().default([]),
+  aaguid: z.string().nullable().optional().default(null),
+  backupEligible: z.boolean().optional().default(false),
+  backedUp: z.boolean().optional().default(false),
+  name: z.string().nullable().optional().default(null),
+  createdAt: z.date(),
+  lastUsedAt: z.date().nullable().optional().default(null)
+});
+
+/**
+ * Passkey update schema for validation
+ * Only the fields that change after registration
+ */
+export const passkeyUpdateSchema = z.object({
+  signCount: z.number().int().nonnegative(),
+  backedUp: z.boolean(),
+  lastUsedAt: z.date(),
+  name: z.string().nullable()
+}).partial().strict();
+
+/**
+ * API key schema for validation
+ */
+export const apiKeySchema = z.object({
+  id: z.string().min(1),
+  userId: z.string().min(1),
+  prefix: z.string().min(1),
+  keyHash: z.string().min(1),
+  name: z.string().nullable().optional().default(null),
+  scopes: z.array(z.string()).optional().default([]),
+  expiresAt: z.date().nullable().optional().default(null),
+  createdAt: z.date(),
+  lastUsedAt: z.date().nullable().optional().default(null)
+});
+
+/**
+ * API key update schema for validation
+ */
+export const apiKeyUpdateSchema = z.object({
+  lastUsedAt: z.date(),
+  name: z.string().nullable()
+}).partial().strict();
+
+/**
+ * Organization schema for validation
+ */
+export const organizationSchema = z.object({
+  name: z.string().min(1)
+});
+
+/**
+ * Membership schema for validation
+ */
+export const membershipSchema = z.object({
+  organizationId: z.string().min(1),
+  userId: z.string().min(1),
+  roles: z.array(z.string().min(1)).min(1),
+  createdAt: z.date()
+});
+
+/**
+ * Membership update schema for validation
+ */
+export const membershipUpdateSchema = z.object({
+  roles: z.array(z.string().min(1)).min(1)
+}).partial().strict();
+
+/**
+ * Session schema for validation
+ */
+export const sessionSchema = z.object({
+  id: z.string().min(1),
+  userId: z.string().min(1),
+  deviceName: z.string().nullable().optional().default(null),
+  userAgent: z.string().nullable().optional().default(null),
+  ip: z.string().nullable().optional().default(null),
+  createdAt: z.date(),
+  lastRefreshedAt: z.date(),
   expiresAt: z.date()
+});
+
+/**
+ * Session update schema for validation
+ */
+export const sessionUpdateSchema = z.object({
+  lastRefreshedAt: z.date(),
+  expiresAt: z.date(),
+  ip: z.string().nullable(),
+  userAgent: z.string().nullable()
+}).partial().strict();
+
+/**
+ * External identity schema for validation
+ */
+export const identitySchema = z.object({
+  provider: z.string().min(1),
+  subject: z.string().min(1),
+  userId: z.string().min(1),
+  email: z.string().email().nullable().optional().default(null),
+  createdAt: z.date()
+});
+
+/**
+ * Email one-time code schema for validation
+ */
+export const otpSchema = z.object({
+  codeHash: z.string().min(1),
+  userId: z.string().min(1),
+  expiresAt: z.date()
+});
+
+/**
+ * Single-use token schema for validation
+ */
+export const oneTimeTokenSchema = z.object({
+  purpose: z.string().min(1),
+  userId: z.string().nullable().optional().default(null),
+  email: z.string().email().nullable().optional().default(null),
+  expiresAt: z.date(),
+  data: z.record(z.string(), z.string()).nullable().optional().default(null)
 });
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { BaseAdapter, userSchema, refreshTokenSchema } from './base.js';
+import { BaseAdapter, userSchema, userUpdateSchema, refreshTokenSchema, oneTimeTokenSchema, loginFailureSchema, otpSchema, otpRequestSchema, totpSecretSchema, passkeySchema, passkeyUpdateSchema, identitySchema, apiKeySchema, apiKeyUpdateSchema, organizationSchema, membershipSchema, membershipUpdateSchema, sessionSchema, sessionUpdateSchema } from './base.js';
 
 /**
  * In-memory adapter implementation for testing
@@ -6,8 +6,20 @@ import { BaseAdapter, userSchema, refreshTokenSchema } from './base.js';
  */
 export class MemoryAdapter extends BaseAdapter {
   #users = new Map(); // email -> user object
-  #refreshTokens = new Map(); // token -> { userId, expiresAt }
-  #revokedTokens = new Set(); // token -> boolean
+  #refreshTokens = new Map(); // token hash -> { userId, expiresAt, familyId, parentToken }
+  #revokedTokens = new Set(); // revoked token hashes
+  #oneTimeTokens = new Map(); // token hash -> { purpose, userId, email, expiresAt }
+  #loginFailures = new Map(); // key -> { count, firstFailureAt, lastFailureAt }
+  #otps = new Map(); // "purpose:email" -> { codeHash, userId, expiresAt, attempts }
+  #otpRequests = new Map(); // "purpose:email" -> { count, lastRequestAt }
+  #totpSecrets = new Map(); // userId -> { secret, confirmedAt, lastUsedStep }
+  #recoveryCodes = new Map(); // userId -> Set of code hashes
+  #passkeys = new Map(); // credentialId -> passkey record
+  #identities = new Map(); // "provider:subject" -> { provider, subject, userId, email, createdAt }
+  #apiKeys = new Map(); // id -> API key record
+  #organizations = new Map(); // id -> { id, name, createdAt }
+  #memberships = new Map(); // "organizationId:userId" -> { organizationId, userId, roles, createdAt }
+  #sessions = new Map(); // id -> session record
 
   /**
    * Finds a user by email
@@ -39,6 +51,8 @@ export class MemoryAdapter extends BaseAdapter {
       email: validated.email,
       hashedPassword: validated.hashedPassword,
       role: validated.role,
+      roles: validated.roles,
+      emailVerified: validated.emailVerified,
       createdAt: new Date()
     };
     
@@ -46,14 +60,79 @@ export class MemoryAdapter extends BaseAdapter {
     return user;
   }
 
+  /**
+   * Finds a user by ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<object|null>} The user object or null if not found
+   */
+  async findUserById(userId) {
+    if (typeof userId !== 'string') {
+      throw new Error('User ID must be a string');
+    }
+    
+    for (const user of this.#users.values()) {
+      if (user.id === userId) {
+        return user;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Updates fields of a user
+   * @param {string} userId - The user ID
+   * @param {object} updates - Fields to change (email, hashedPassword, role, roles, emailVerified)
+   * @returns {Promise<object>} The updated user object
+   */
+  async updateUser(userId, updates) {
+    const validated = userUpdateSchema.parse(updates);
+    
+    const user = await this.findUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    // Users are keyed by email, so a new address moves the entry
+    if (validated.email !== undefined && validated.email !== user.email) {
+      if (this.#users.has(validated.email)) {
+        throw new Error('User with this email already exists');
+      }
+      this.#users.delete(user.email);
+      this.#users.set(validated.email, user);
+    }
+    
+    for (const [field, value] of Object.entries(validated)) {
+      if (value !== undefined) {
+        user[field] = value;
+      }
+    }
+    return user;
+  }
+
+  /**
+   * Marks a user's email address as verified
+   * @param {string} userId - The user ID
+   * @returns {Promise<void>}
+   */
+  async markEmailVerified(userId) {
+    const user = await this.findUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    user.emailVerified = true;
+  }
+
   /**
    * Saves a refresh token for a user
    * @param {string} userId - The user ID
-   * @param {string} token - The refresh token
+   * @param {string} token - Keyed hash of the refresh token (raw tokens are never passed to adapters)
    * @param {Date} expiresAt - The expiration date
+   * @param {object} [links] - Token family links
+   * @param {string} [links.familyId] - ID shared by every token rotated from the same login
+   * @param {string} [links.parentToken] - Hash of the token this one was rotated from
    * @returns {Promise<void>}
    */
-  async saveRefreshToken(userId, token, expiresAt) {
+  async saveRefreshToken(userId, token, expiresAt, links = {}) {
     if (typeof userId !== 'string' || typeof token !== 'string' || !(expiresAt instanceof Date)) {
       throw new Error('Invalid parameters');
     }
@@ -63,13 +142,36 @@ export class MemoryAdapter extends BaseAdapter {
       throw new Error('Token too short');
     }
     
-    this.#refreshTokens.set(token, { userId, expiresAt });
+    const { familyId, parentToken } = refreshTokenSchema
+      .pick({ familyId: true, parentToken: true })
+      .parse(links);
+    
+    this.#refreshTokens.set(token, { userId, expiresAt, familyId, parentToken });
     this.#revokedTokens.delete(token);
   }
 
+  /**
+   * Finds a refresh token, including revoked and expired ones
+   * @param {string} token - Hash of the refresh token to look up
+   * @returns {Promise<{userId: string, familyId: string|null, parentToken: string|null, expiresAt: Date, revoked: boolean}|null>} The token record or null if not found
+   */
+  async findRefreshToken(token) {
+    if (typeof token !== 'string') {
+      throw new Error('Token must be a string');
+    }
+    
+    const tokenData = this.#refreshTokens.get(token);
+    
+    if (!tokenData) {
+      return null;
+    }
+    
+    return { ...tokenData, revoked: this.#revokedTokens.has(token) };
+  }
+
   /**
    * Checks if a refresh token is valid (not revoked and not expired)
-   * @param {string} token - The refresh token to check
+   * @param {string} token - Hash of the refresh token to check
    * @returns {Promise<boolean>} True if the token is valid
    */
   async isRefreshTokenValid(token) {
@@ -98,14 +200,33 @@ export class MemoryAdapter extends BaseAdapter {
 
   /**
    * Revokes a refresh token
-   * @param {string} token - The refresh token to revoke
-   * @returns {Promise<void>}
+   * @param {string} token - Hash of the refresh token to revoke
+   * @returns {Promise<boolean>} True if the token existed and wasn't revoked before
    */
   async revokeRefreshToken(token) {
     if (typeof token !== 'string') {
       throw new Error('Token must be a string');
     }
+    const consumed = this.#refreshTokens.has(token) && !this.#revokedTokens.has(token);
     this.#revokedTokens.add(token);
+    return consumed;
+  }
+
+  /**
+   * Revokes every refresh token in a family (one login chain on one device)
+   * @param {string} familyId - The token family ID
+   * @returns {Promise<void>}
+   */
+  async revokeTokenFamily(familyId) {
+    if (typeof familyId !== 'string') {
+      throw new Error('Family ID must be a string');
+    }
+    
+    for (const [token, tokenData] of this.#refreshTokens.entries()) {
+      if (tokenData.familyId === familyId) {
+        this.#revokedTokens.add(token);
+      }
+    }
   }
 
   /**
@@ -127,31 +248,735 @@ export class MemoryAdapter extends BaseAdapter {
   }
 
   /**
-   * Helper method to clear all data (for testing)
+   * Saves a single-use token (email verification and similar flows)
+   * @param {string} token - Hash of the token
+   * @param {object} record - Token record with purpose, userId, email and expiresAt
    * @returns {Promise<void>}
    */
-  async clear() {
-    this.#users.clear();
-    this.#refreshTokens.clear();
-    this.#revokedTokens.clear();
+  async saveOneTimeToken(token, record) {
+    if (typeof token !== 'string') {
+      throw new Error('Token must be a string');
+    }
+    
+    this.#oneTimeTokens.set(token, oneTimeTokenSchema.parse(record));
+  }
+
+  /**
+   * Deletes a single-use token and returns its record
+   * @param {string} token - Hash of the token
+   * @param {string} purpose - The expected purpose
+   * @returns {Promise<object|null>} The token record or null if not found
+   */
+  async consumeOneTimeToken(token, purpose) {
+    if (typeof token !== 'string') {
+      throw new Error('Token must be a string');
+    }
+    
+    const record = this.#oneTimeTokens.get(token);
+    
+    // Leave tokens issued for another flow untouched
+    if (!record || record.purpose !== purpose) {
+      return null;
+    }
+    
+    this.#oneTimeTokens.delete(token);
+    return record;
+  }
+
+  /**
+   * Counts a failed login attempt
+   * @param {string} key - What failed (account or client IP)
+   * @param {object} attempt - Attempt details
+   * @param {Date} attempt.at - When the attempt failed
+   * @param {Date} attempt.resetBefore - Start over if the last failure is older than this
+   * @returns {Promise<object>} The updated record
+   */
+  async recordLoginFailure(key, attempt) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+    
+    const { at, resetBefore } = loginFailureSchema.parse(attempt);
+    const existing = this.#loginFailures.get(key);
+    
+    const record = existing && existing.lastFailureAt >= resetBefore
+      ? { ...existing, count: existing.count + 1, lastFailureAt: at }
+      : { count: 1, firstFailureAt: at, lastFailureAt: at };
+    
+    this.#loginFailures.set(key, record);
+    return { ...record };
+  }
+
+  /**
+   * Finds the failed login record for a key
+   * @param {string} key - What failed (account or client IP)
+   * @returns {Promise<object|null>} The record or null if not found
+   */
+  async findLoginFailures(key) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+    
+    const record = this.#loginFailures.get(key);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Deletes the failed login record for a key
+   * @param {string} key - What failed (account or client IP)
+   * @returns {Promise<void>}
+   */
+  async clearLoginFailures(key) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+    
+    this.#loginFailures.delete(key);
+  }
+
+  /**
+   * Saves an email one-time code, replacing any earlier one
+   * @param {string} email - The email address the code was sent to
+   * @param {string} purpose - What the code may be used for
+   * @param {object} record - Code hash, userId and expiresAt
+   * @returns {Promise<void>}
+   */
+  async saveOtp(email, purpose, record) {
+    this.#otps.set(this.#otpKey(email, purpose), { ...otpSchema.parse(record), attempts: 0 });
+  }
+
+  /**
+   * Finds the current one-time code for an email and purpose
+   * @param {string} email - The email address
+   * @param {string} purpose - The purpose
+   * @returns {Promise<object|null>} The record or null if not found
+   */
+  async findOtp(email, purpose) {
+    const record = this.#otps.get(this.#otpKey(email, purpose));
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Counts a verification attempt against a one-time code
+   * @param {string} email - The email address
+   * @param {string} purpose - The purpose
+   * @returns {Promise<number|null>} The updated attempt count, or null if there is no code
+   */
+  async incrementOtpAttempts(email, purpose) {
+    const record = this.#otps.get(this.#otpKey(email, purpose));
+    if (!record) {
+      return null;
+    }
+    
+    record.attempts++;
+    return record.attempts;
   }
 
   /**
-   * Helper method to get user by ID (not part of BaseAdapter contract)
+   * Deletes the one-time code for an email and purpose
+   * @param {string} email - The email address
+   * @param {string} purpose - The purpose
+   * @returns {Promise<boolean>} True if a code was deleted
+   */
+  async deleteOtp(email, purpose) {
+    return this.#otps.delete(this.#otpKey(email, purpose));
+  }
+
+  /**
+   * Counts a request for a one-time code
+   * @param {string} email - The email address, lowercased
+   * @param {string} purpose - The purpose
+   * @param {object} request - Request details
+   * @param {Date} request.at - When the code was requested
+   * @param {Date} request.resetBefore - Start over if the last request is older than this
+   * @returns {Promise<number>} The updated request count
+   */
+  async recordOtpRequest(email, purpose, request) {
+    const key = this.#otpKey(email, purpose);
+    const { at, resetBefore } = otpRequestSchema.parse(request);
+    const existing = this.#otpRequests.get(key);
+    
+    const count = existing && existing.lastRequestAt >= resetBefore ? existing.count + 1 : 1;
+    this.#otpRequests.set(key, { count, lastRequestAt: at });
+    return count;
+  }
+
+  /**
+   * Map key for a one-time code
+   * @param {string} email - The email address
+   * @param {string} purpose - The purpose
+   * @returns {string} The key
+   */
+  #otpKey(email, purpose) {
+    if (typeof email !== 'string' || typeof purpose !== 'string') {
+      throw new Error('Email and purpose must be strings');
+    }
+    return `${purpose}:${email}`;
+  }
+
+  /**
+   * Saves a user's TOTP secret, replacing any previous one
    * @param {string} userId - The user ID
-   * @returns {Promise<object|null>} The user object or null if not found
+   * @param {object} record - The encrypted secret, confirmedAt and lastUsedStep
+   * @returns {Promise<void>}
    */
-  async findUserById(userId) {
+  async saveTotpSecret(userId, record) {
     if (typeof userId !== 'string') {
       throw new Error('User ID must be a string');
     }
     
-    for (const user of this.#users.values()) {
-      if (user.id === userId) {
-        return user;
+    this.#totpSecrets.set(userId, totpSecretSchema.parse(record));
+  }
+
+  /**
+   * Finds a user's TOTP secret
+   * @param {string} userId - The user ID
+   * @returns {Promise<object|null>} The record or null if not found
+   */
+  async findTotpSecret(userId) {
+    if (typeof userId !== 'string') {
+      throw new Error('User ID must be a string');
+    }
+    
+    const record = this.#totpSecrets.get(userId);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Deletes a user's TOTP secret
+   * @param {string} userId - The user ID
+   * @returns {Promise<void>}
+   */
+  async deleteTotpSecret(userId) {
+    if (typeof userId !== 'string') {
+      throw new Error('User ID must be a string');
+    }
+    
+    this.#totpSecrets.delete(userId);
+  }
+
+  /**
+   * Records the time step of an accepted code
+   * @param {string} userId - The user ID
+   * @param {number} step - The time step
+   * @returns {Promise<boolean>} True if the step was later than the last used one
+   */
+  async markTotpStepUsed(userId, step) {
+    if (typeof userId !== 'string') {
+      throw new Error('User ID must be a string');
+    }
+    
+    const record = this.#totpSecrets.get(userId);
+    if (!record || (record.lastUsedStep !== null && step <= record.lastUsedStep)) {
+      return false;
+    }
+    
+    record.lastUsedStep = step;
+    return true;
+  }
+
+  /**
+   * Replaces a user's recovery codes
+   * @param {string} userId - The user ID
+   * @param {string[]} codes - Hashes of the codes
+   * @returns {Promise<void>}
+   */
+  async saveRecoveryCodes(userId, codes) {
+    if (typeof userId !== 'string') {
+      throw new Error('User ID must be a string');
+    }
+    if (!Array.isArray(codes) || !codes.every((code) => typeof code === 'string')) {
+      throw new Error('Codes must be an array of strings');
+    }
+    
+    this.#recoveryCodes.set(userId, new Set(codes));
+  }
+
+  /**
+   * Deletes one recovery code
+   * @param {string} userId - The user ID
+   * @param {string} code - Hash of the code
+   * @returns {Promise<boolean>} True if the code existed
+   */
+  async consumeRecoveryCode(userId, code) {
+    if (typeof userId !== 'string') {
+      throw new Error('User ID must be a string');
+    }
+    
+    return this.#recoveryCodes.get(userId)?.delete(code) ?? false;
+  }
+
+  /**
+   * Counts a user's unused recovery codes
+   * @param {string} userId - The user ID
+   * @returns {Promise<number>} The number of codes left
+   */
+  async countRecoveryCodes(userId) {
+    if (typeof userId !== 'string') {
+      throw new Error('User ID must be a string');
+    }
+    
+    return this.#recoveryCodes.get(userId)?.size ?? 0;
+  }
+
+  /**
+   * Saves a new passkey
+   * @param {object} passkey - The passkey record
+   * @returns {Promise<void>}
+   */
+  async savePasskey(passkey) {
+    const validated = passkeySchema.parse(passkey);
+    if (this.#passkeys.has(validated.credentialId)) {
+      throw new Error('Passkey already exists');
+    }
+    
+    this.#passkeys.set(validated.credentialId, validated);
+  }
+
+  /**
+   * Finds a passkey by credential ID
+   * @param {string} credentialId - The credential ID
+   * @returns {Promise<object|null>} The passkey record or null if not found
+   */
+  async findPasskey(credentialId) {
+    if (typeof credentialId !== 'string') {
+      throw new Error('Credential ID must be a string');
+    }
+    
+    const passkey = this.#passkeys.get(credentialId);
+    return passkey ? { ...passkey, transports: [...passkey.transports] } : null;
+  }
+
+  /**
+   * Lists a user's passkeys
+   * @param {string} userId - The user ID
+   * @returns {Promise<object[]>} The passkey records, oldest first
+   */
+  async findPasskeysByUserId(userId) {
+    if (typeof userId !== 'string') {
+      throw new Error('User ID must be a string');
+    }
+    
+    return [...this.#passkeys.values()]
+      .filter((passkey) => passkey.userId === userId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((passkey) => ({ ...passkey, transports: [...passkey.transports] }));
+  }
+
+  /**
+   * Updates fields of a passkey
+   * @param {string} credentialId - The credential ID
+   * @param {object} updates - Fields to change
+   * @returns {Promise<void>}
+   */
+  async updatePasskey(credentialId, updates) {
+    if (typeof credentialId !== 'string') {
+      throw new Error('Credential ID must be a string');
+    }
+    
+    const validated = passkeyUpdateSchema.parse(updates);
+    const passkey = this.#passkeys.get(credentialId);
+    if (!passkey) {
+      throw new Error('Passkey not found');
+    }
+    
+    Object.assign(passkey, validated);
+  }
+
+  /**
+   * Deletes a passkey
+   * @param {string} credentialId - The credential ID
+   * @returns {Promise<void>}
+   */
+  async deletePasskey(credentialId) {
+    if (typeof credentialId !== 'string') {
+      throw new Error('Credential ID must be a string');
+    }
+    
+    this.#passkeys.delete(credentialId);
+  }
+
+  /**
+   * Links an external identity to a user
+   * @param {object} identity - Provider, subject, userId, email and createdAt
+   * @returns {Promise<void>}
+   */
+  async linkIdentity(identity) {
+    const validated = identitySchema.parse(identity);
+    const key = `${validated.provider}:${validated.subject}`;
+    if (this.#identities.has(key)) {
+      throw new Error('Identity already linked');
+    }
+    
+    this.#identities.set(key, validated);
+  }
+
+  /**
+   * Finds an external identity
+   * @param {string} provider - Provider name
+   * @param {string} subject - The user's ID at the provider
+   * @returns {Promise<object|null>} The identity record or null if not found
+   */
+  async findIdentity(provider, subject) {
+    if (typeof provider !== 'string' || typeof subject !== 'string') {
+      throw new Error('Provider and subject must be strings');
+    }
+    
+    const identity = this.#identities.get(`${provider}:${subject}`);
+    return identity ? { ...identity } : null;
+  }
+
+  /**
+   * Lists the external identities linked to a user, oldest first
+   * @param {string} userId - The user ID
+   * @returns {Promise<object[]>} The identity records
+   */
+  async findIdentitiesByUserId(userId) {
+    if (typeof userId !== 'string') {
+      throw new Error('User ID must be a string');
+    }
+    
+    return [...this.#identities.values()]
+      .filter((identity) => identity.userId === userId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((identity) => ({ ...identity }));
+  }
+
+  /**
+   * Removes an external identity
+   * @param {string} provider - Provider name
+   * @param {string} subject - The user's ID at the provider
+   * @returns {Promise<void>}
+   */
+  async unlinkIdentity(provider, subject) {
+    if (typeof provider !== 'string' || typeof subject !== 'string') {
+      throw new Error('Provider and subject must be strings');
+    }
+    
+    this.#identities.delete(`${provider}:${subject}`);
+  }
+
+  /**
+   * Saves a new API key
+   * @param {object} apiKey - API key record
+   * @returns {Promise<void>}
+   */
+  async saveApiKey(apiKey) {
+    const validated = apiKeySchema.parse(apiKey);
+    if (this.#apiKeys.has(validated.id)) {
+      throw new Error('API key already exists');
+    }
+    
+    this.#apiKeys.set(validated.id, validated);
+  }
+
+  /**
+   * Finds an API key by ID
+   * @param {string} id - The key ID
+   * @returns {Promise<object|null>} The API key record or null if not found
+   */
+  async findApiKey(id) {
+    if (typeof id !== 'string') {
+      throw new Error('API key ID must be a string');
+    }
+    
+    const apiKey = this.#apiKeys.get(id);
+    return apiKey ? { ...apiKey, scopes: [...apiKey.scopes] } : null;
+  }
+
+  /**
+   * Lists a user's API keys
+   * @param {string} userId - The user ID
+   * @returns {Promise<object[]>} The API key records, oldest first
+   */
+  async findApiKeysByUserId(userId) {
+    if (typeof userId !== 'string') {
+      throw new Error('User ID must be a string');
+    }
+    
+    return [...this.#apiKeys.values()]
+      .filter((apiKey) => apiKey.userId === userId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((apiKey) => ({ ...apiKey, scopes: [...apiKey.scopes] }));
+  }
+
+  /**
+   * Updates fields of an API key
+   * @param {string} id - The key ID
+   * @param {object} updates - Fields to change
+   * @returns {Promise<void>}
+   */
+  async updateApiKey(id, updates) {
+    if (typeof id !== 'string') {
+      throw new Error('API key ID must be a string');
+    }
+    
+    const validated = apiKeyUpdateSchema.parse(updates);
+    const apiKey = this.#apiKeys.get(id);
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+    
+    Object.assign(apiKey, validated);
+  }
+
+  /**
+   * Deletes an API key
+   * @param {string} id - The key ID
+   * @returns {Promise<void>}
+   */
+  async deleteApiKey(id) {
+    if (typeof id !== 'string') {
+      throw new Error('API key ID must be a string');
+    }
+    
+    this.#apiKeys.delete(id);
+  }
+
+  /**
+   * Creates an organization
+   * @param {object} organization - Organization data including name
+   * @returns {Promise<object>} The created organization
+   */
+  async createOrganization(organization) {
+    const validated = organizationSchema.parse(organization);
+    
+    const created = {
+      id: crypto.randomUUID(),
+      name: validated.name,
+      createdAt: new Date()
+    };
+    
+    this.#organizations.set(created.id, created);
+    return { ...created };
+  }
+
+  /**
+   * Finds an organization by ID
+   * @param {string} organizationId - The organization ID
+   * @returns {Promise<object|null>} The organization or null if not found
+   */
+  async findOrganizationById(organizationId) {
+    if (typeof organizationId !== 'string') {
+      throw new Error('Organization ID must be a string');
+    }
+    
+    const organization = this.#organizations.get(organizationId);
+    return organization ? { ...organization } : null;
+  }
+
+  /**
+   * Deletes an organization and its memberships
+   * @param {string} organizationId - The organization ID
+   * @returns {Promise<void>}
+   */
+  async deleteOrganization(organizationId) {
+    if (typeof organizationId !== 'string') {
+      throw new Error('Organization ID must be a string');
+    }
+    
+    this.#organizations.delete(organizationId);
+    for (const [key, membership] of this.#memberships) {
+      if (membership.organizationId === organizationId) {
+        this.#memberships.delete(key);
       }
     }
-    return null;
+  }
+
+  /**
+   * Adds a user to an organization
+   * @param {object} membership - Organization, user, roles and createdAt
+   * @returns {Promise<void>}
+   */
+  async addMembership(membership) {
+    const validated = membershipSchema.parse(membership);
+    const key = `${validated.organizationId}:${validated.userId}`;
+    if (this.#memberships.has(key)) {
+      throw new Error('Membership already exists');
+    }
+    
+    this.#memberships.set(key, validated);
+  }
+
+  /**
+   * Finds a user's membership of an organization
+   * @param {string} organizationId - The organization ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<object|null>} The membership record or null if the user isn't a member
+   */
+  async findMembership(organizationId, userId) {
+    if (typeof organizationId !== 'string' || typeof userId !== 'string') {
+      throw new Error('Organization and user IDs must be strings');
+    }
+    
+    const membership = this.#memberships.get(`${organizationId}:${userId}`);
+    return membership ? { ...membership, roles: [...membership.roles] } : null;
+  }
+
+  /**
+   * Lists the organizations a user belongs to
+   * @param {string} userId - The user ID
+   * @returns {Promise<object[]>} The membership records, oldest first
+   */
+  async findMembershipsByUserId(userId) {
+    if (typeof userId !== 'string') {
+      throw new Error('User ID must be a string');
+    }
+    
+    return [...this.#memberships.values()]
+      .filter((membership) => membership.userId === userId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((membership) => ({ ...membership, roles: [...membership.roles] }));
+  }
+
+  /**
+   * Lists the members of an organization
+   * @param {string} organizationId - The organization ID
+   * @returns {Promise<object[]>} The membership records, oldest first
+   */
+  async findMembershipsByOrganizationId(organizationId) {
+    if (typeof organizationId !== 'string') {
+      throw new Error('Organization ID must be a string');
+    }
+    
+    return [...this.#memberships.values()]
+      .filter((membership) => membership.organizationId === organizationId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((membership) => ({ ...membership, roles: [...membership.roles] }));
+  }
+
+  /**
+   * Updates fields of a membership
+   * @param {string} organizationId - The organization ID
+   * @param {string} userId - The user ID
+   * @param {object} updates - Fields to change
+   * @returns {Promise<void>}
+   */
+  async updateMembership(organizationId, userId, updates) {
+    if (typeof organizationId !== 'string' || typeof userId !== 'string') {
+      throw new Error('Organization and user IDs must be strings');
+    }
+    
+    const validated = membershipUpdateSchema.parse(updates);
+    const membership = this.#memberships.get(`${organizationId}:${userId}`);
+    if (!membership) {
+      throw new Error('Membership not found');
+    }
+    
+    Object.assign(membership, validated);
+  }
+
+  /**
+   * Removes a user from an organization
+   * @param {string} organizationId - The organization ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<void>}
+   */
+  async deleteMembership(organizationId, userId) {
+    if (typeof organizationId !== 'string' || typeof userId !== 'string') {
+      throw new Error('Organization and user IDs must be strings');
+    }
+    
+    this.#memberships.delete(`${organizationId}:${userId}`);
+  }
+
+  /**
+   * Saves a session
+   * @param {object} session - Session record including id and userId
+   * @returns {Promise<void>}
+   */
+  async saveSession(session) {
+    const validated = sessionSchema.parse(session);
+    if (this.#sessions.has(validated.id)) {
+      throw new Error('Session already exists');
+    }
+    
+    this.#sessions.set(validated.id, validated);
+  }
+
+  /**
+   * Finds a session by ID
+   * @param {string} id - The session ID
+   * @returns {Promise<object|null>} The session record or null if not found
+   */
+  async findSession(id) {
+    if (typeof id !== 'string') {
+      throw new Error('Session ID must be a string');
+    }
+    
+    const session = this.#sessions.get(id);
+    return session ? { ...session } : null;
+  }
+
+  /**
+   * Lists a user's sessions
+   * @param {string} userId - The user ID
+   * @returns {Promise<object[]>} The session records, oldest first
+   */
+  async findSessionsByUserId(userId) {
+    if (typeof userId !== 'string') {
+      throw new Error('User ID must be a string');
+    }
+    
+    return [...this.#sessions.values()]
+      .filter((session) => session.userId === userId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((session) => ({ ...session }));
+  }
+
+  /**
+   * Updates fields of a session
+   * @param {string} id - The session ID
+   * @param {object} updates - Fields to change
+   * @returns {Promise<void>}
+   */
+  async updateSession(id, updates) {
+    if (typeof id !== 'string') {
+      throw new Error('Session ID must be a string');
+    }
+    
+    const validated = sessionUpdateSchema.parse(updates);
+    const session = this.#sessions.get(id);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    
+    Object.assign(session, validated);
+  }
+
+  /**
+   * Deletes a session record
+   * @param {string} id - The session ID
+   * @returns {Promise<void>}
+   */
+  async deleteSession(id) {
+    if (typeof id !== 'string') {
+      throw new Error('Session ID must be a string');
+    }
+    
+    this.#sessions.delete(id);
+  }
+
+  /**
+   * Helper method to clear all data (for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.#users.clear();
+    this.#refreshTokens.clear();
+    this.#revokedTokens.clear();
+    this.#oneTimeTokens.clear();
+    this.#loginFailures.clear();
+    this.#otps.clear();
+    this.#otpRequests.clear();
+    this.#totpSecrets.clear();
+    this.#recoveryCodes.clear();
+    this.#passkeys.clear();
+    this.#identities.clear();
+    this.#apiKeys.clear();
+    this.#organizations.clear();
+    this.#memberships.clear();
+    this.#sessions.clear();
   }
 }
 
@@ -0,0 +1,153 @@
+import { z } from 'zod';
+import { matchesPermission } from './role-policy.js';
+
+// Policy function, called with (user, action, resource)
+const policyFunctionSchema = z.custom((policy) => typeof policy === 'function', 'Policies must be functions');
+
+// Policy options schema
+const accessPolicyOptionsSchema = z.object({
+  policies: z.record(z.string().min(1), policyFunctionSchema).default({}),
+});
+
+const actionSchema = z.string({ message: 'Policy actions must be non-empty strings' })
+  .min(1, 'Policy actions must be non-empty strings');
+
+/**
+ * Policy allowing users who own the resource
+ * @param {string} [field='userId'] - Resource field holding the owner's user ID
+ * @returns {function} A policy
+ */
+export function isOwner(field = 'userId') {
+  return (user, action, resource) => resource != null && resource[field] != null && String(resource[field]) === user.userId;
+}
+
+/**
+ * Policy allowing users who hold any of the roles
+ * @param {...string} roles - Allowed roles
+ * @returns {function} A policy
+ */
+export function hasRole(...roles) {
+  return (user) => (user.roles ?? [user.role]).some((role) => roles.includes(role));
+}
+
+/**
+ * Policy allowing users whose resolved permissions cover a permission
+ * Users only have permissions when the middleware has a rolePolicy.
+ * @param {string} permission - The required permission
+ * @returns {function} A policy
+ */
+export function hasPermission(permission) {
+  return (user) => (user.permissions ?? []).some((granted) => matchesPermission(granted, permission));
+}
+
+/**
+ * Policy allowing what any of the given policies allows, checked in order
+ * @param {...function} policies - Policies to combine
+ * @returns {function} An async policy
+ */
+export function anyOf(...policies) {
+  return async (user, action, resource) => {
+    for (const policy of policies) {
+      if (await policy(user, action, resource) === true) {
+        return true;
+      }
+    }
+    return false;
+  };
+}
+
+/**
+ * Policy allowing only what all of the given policies allow, checked in order
+ * @param {...function} policies - Policies to combine
+ * @returns {function} An async policy
+ */
+export function allOf(...policies) {
+  return async (user, action, resource) => {
+    for (const policy of policies) {
+      if (await policy(user, action, resource) !== true) {
+        return false;
+      }
+    }
+    return true;
+  };
+}
+
+/**
+ * AccessPolicy class
+ * Decides whether a user may perform an action on a resource, such as editing a post only
+ * they wrote. Each action has one policy function, which may be async.
+ */
+export class AccessPolicy {
+  #policies = new Map(); // action -> policy function
+
+  /**
+   * Create AccessPolicy instance
+   * @param {object} [options] - Policy options
+   * @param {Object<string, function>} [options.policies] - Policy function per action
+   * @throws {ZodError} If the options are invalid
+   */
+  constructor(options = {}) {
+    const { policies } = accessPolicyOptionsSchema.parse(options);
+
+    for (const [action, policy] of Object.entries(policies)) {
+      this.#policies.set(action, policy);
+    }
+  }
+
+  /**
+   * Registers the policy for an action
+   * @param {string} action - The action, e.g. posts:edit
+   * @param {function} policy - Called with (user, action, resource); allows by returning or resolving to true
+   * @returns {AccessPolicy} This policy, for chaining
+   * @throws {Error} If the action already has a policy or the arguments are invalid
+   */
+  define(action, policy) {
+    const validation = z.tuple([actionSchema, policyFunctionSchema]).safeParse([action, policy]);
+    if (!validation.success) {
+      throw new Error(validation.error.issues[0].message);
+    }
+    if (this.#policies.has(action)) {
+      throw new Error(`Policy ${action} is already defined`);
+    }
+
+    this.#policies.set(action, policy);
+    return this;
+  }
+
+  /**
+   * Actions with a policy
+   * @returns {string[]} The actions
+   */
+  get actions() {
+    return [...this.#policies.keys()];
+  }
+
+  /**
+   * Tells whether an action has a policy
+   * @param {string} action - The action
+   * @returns {boolean} True if it has one
+   */
+  has(action) {
+    return this.#policies.has(action);
+  }
+
+  /**
+   * Asks the action's policy whether a user may perform it
+   * Anything but true denies, so a policy that forgets to return doesn't allow by accident.
+   * @param {object} user - The user, shaped like req.user
+   * @param {string} action - The action
+   * @param {*} [resource] - The resource acted on
+   * @returns {Promise<boolean>} True if allowed
+   * @throws {Error} If the action has no policy, or as the policy throws
+   */
+  async can(user, action, resource) {
+    const policy = this.#policies.get(action);
+    if (!policy) {
+      throw new Error(`Unknown policy ${action}`);
+    }
+    if (!user) {
+      return false;
+    }
+    return await policy(user, action, resource) === true;
+  }
+}
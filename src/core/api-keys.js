@@ -0,0 +1,48 @@
+import { createHash, randomBytes } from 'node:crypto';
+
+/**
+ * Prefix of API keys unless another one is configured
+ */
+export const DEFAULT_API_KEY_PREFIX = 'ryauth';
+
+// <prefix>_<16 hex digit id>_<43 base64url characters>; the id finds the record, the rest is secret
+const API_KEY_PATTERN = /^([a-z0-9]{1,16})_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Generates an API key
+ * The prefix makes keys easy to spot in code and secret scanners; the id is stored in clear
+ * so the key can be looked up, and the 256-bit secret part is only ever stored hashed.
+ * @param {string} [prefix='ryauth'] - 1 to 16 lowercase letters and digits
+ * @returns {{id: string, key: string}} The key ID and the full key to hand to the client
+ * @throws {Error} If the prefix is invalid
+ */
+export function generateApiKey(prefix = DEFAULT_API_KEY_PREFIX) {
+  if (typeof prefix !== 'string' || !/^[a-z0-9]{1,16}$/.test(prefix)) {
+    throw new Error('API key prefix must be 1 to 16 lowercase letters and digits');
+  }
+  const id = randomBytes(8).toString('hex');
+  return { id, key: `${prefix}_${id}_${randomBytes(32).toString('base64url')}` };
+}
+
+/**
+ * Splits an API key into its prefix and ID
+ * @param {string} key - The full key
+ * @returns {{prefix: string, id: string}|null} The parts, or null if the key isn't well-formed
+ */
+export function parseApiKey(key) {
+  const match = typeof key === 'string' ? API_KEY_PATTERN.exec(key) : null;
+  return match ? { prefix: match[1], id: match[2] } : null;
+}
+
+/**
+ * Hashes an API key for storage
+ * A plain SHA-256 is enough, as for one-time tokens: the key is random, not a secret a user picked
+ * @param {string} key - The full key
+ * @returns {string} The base64url-encoded SHA-256 hash
+ */
+export function hashApiKey(key) {
+  if (typeof key !== 'string') {
+    throw new Error('API key must be a string');
+  }
+  return createHash('sha256').update(key).digest('base64url');
+}
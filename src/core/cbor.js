@@ -0,0 +1,123 @@
+// Minimal CBOR decoder (RFC 8949)
+// Covers what WebAuthn authenticators emit: definite-length items only,
+// as CTAP2 requires canonical encoding
+
+/**
+ * Decodes the first CBOR item of a buffer
+ * @param {Buffer} buffer - The encoded bytes
+ * @param {number} [offset=0] - Where the item starts
+ * @returns {{value: *, end: number}} The decoded value (maps become Map instances) and the offset after it
+ * @throws {Error} If the bytes are truncated or use an unsupported feature
+ */
+export function decodeCborItem(buffer, offset = 0) {
+  if (!Buffer.isBuffer(buffer)) {
+    throw new Error('CBOR input must be a Buffer');
+  }
+
+  const read = (length) => {
+    if (offset + length > buffer.length) {
+      throw new Error('Truncated CBOR data');
+    }
+    const bytes = buffer.subarray(offset, offset + length);
+    offset += length;
+    return bytes;
+  };
+
+  const readLength = (info) => {
+    if (info < 24) return info;
+    if (info === 24) return read(1).readUInt8(0);
+    if (info === 25) return read(2).readUInt16BE(0);
+    if (info === 26) return read(4).readUInt32BE(0);
+    if (info === 27) {
+      const length = read(8).readBigUInt64BE(0);
+      if (length > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new Error('CBOR integer too large');
+      }
+      return Number(length);
+    }
+    throw new Error('Indefinite-length CBOR items are not supported');
+  };
+
+  const decode = (depth) => {
+    // Nesting limit, so hostile input can't exhaust the stack
+    if (depth > 16) {
+      throw new Error('CBOR nesting too deep');
+    }
+
+    const initial = read(1).readUInt8(0);
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0:
+        return readLength(info);
+      case 1:
+        return -1 - readLength(info);
+      case 2:
+        return Buffer.from(read(readLength(info)));
+      case 3:
+        return read(readLength(info)).toString('utf8');
+      case 4: {
+        const length = readLength(info);
+        const items = [];
+        for (let i = 0; i < length; i++) {
+          items.push(decode(depth + 1));
+        }
+        return items;
+      }
+      case 5: {
+        const length = readLength(info);
+        const map = new Map();
+        for (let i = 0; i < length; i++) {
+          const key = decode(depth + 1);
+          if (map.has(key)) {
+            throw new Error('Duplicate CBOR map key');
+          }
+          map.set(key, decode(depth + 1));
+        }
+        return map;
+      }
+      case 6:
+        // Tags carry no meaning for WebAuthn; keep the tagged value
+        readLength(info);
+        return decode(depth + 1);
+      default:
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        if (info === 23) return undefined;
+        if (info === 25) return decodeHalfFloat(read(2).readUInt16BE(0));
+        if (info === 26) return read(4).readFloatBE(0);
+        if (info === 27) return read(8).readDoubleBE(0);
+        throw new Error('Unsupported CBOR simple value');
+    }
+  };
+
+  const value = decode(0);
+  return { value, end: offset };
+}
+
+/**
+ * Decodes a buffer holding exactly one CBOR item
+ * @param {Buffer} buffer - The encoded bytes
+ * @returns {*} The decoded value (maps become Map instances)
+ * @throws {Error} If the bytes are malformed or followed by anything else
+ */
+export function decodeCbor(buffer) {
+  const { value, end } = decodeCborItem(buffer);
+  if (end !== buffer.length) {
+    throw new Error('Unexpected data after CBOR item');
+  }
+  return value;
+}
+
+// IEEE 754 half precision
+function decodeHalfFloat(half) {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
@@ -0,0 +1,26 @@
+/**
+ * Claims describing a user, as carried by access tokens and set on req.user
+ * Built from the stored user and membership each time, so role and verification changes apply
+ * on the next token or API key request. API key requests and access tokens share it, so both
+ * resolve roles the same way.
+ * @param {object} user - The user record
+ * @param {object|null} [membership] - Membership of the tenant the claims are scoped to
+ * @returns {{userId: string, role: string, roles: string[], emailVerified: boolean, tid?: string}} The claims;
+ *   roles lists the primary role first, then any others the user holds. Tenant-scoped claims carry
+ *   the tenant's roles only, the first being the primary one, and its ID as tid.
+ */
+export function userClaims(user, membership = null) {
+  const emailVerified = user.emailVerified === true;
+  if (membership) {
+    const roles = [...new Set(membership.roles)];
+    return { userId: user.id, role: roles[0], roles, emailVerified, tid: membership.organizationId };
+  }
+
+  const role = user.role || 'user';
+  return {
+    userId: user.id,
+    role,
+    roles: [...new Set([role, ...(user.roles ?? [])])],
+    emailVerified,
+  };
+}
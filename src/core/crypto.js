@@ -1,9 +1,22 @@
-import argon2 from 'argon2';
-import { SignJWT, jwtVerify } from 'jose';
-import dotenv from 'dotenv';
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { SYMMETRIC_ALGORITHMS } from './keys.js';
+import { KeyRing } from './keyring.js';
+import { PasswordHasher } from './password-hasher.js';
+import { TokenManager, DEFAULT_ACCESS_TOKEN_TTL, DEFAULT_REFRESH_TOKEN_TTL } from './tokens.js';
+import 'dotenv/config';
 
-// Load environment variables
-dotenv.config();
+// The token functions below read process.env on every call, so .env is still
+// loaded for existing callers. Applications configured through createRyAuth()
+// use a TokenManager instead.
+
+// Access token keys - empty until seeded from the environment by getKeyRing()
+const accessKeyRing = new KeyRing();
+
+/**
+ * Argon2id with the default parameters (64 MiB, 3 iterations, 4 lanes)
+ * Used by hashPassword/verifyPassword and by AuthService when it is created without a PasswordHasher
+ */
+export const defaultPasswordHasher = new PasswordHasher();
 
 /**
  * Hashes a plain text password using Argon2
@@ -11,10 +24,7 @@ dotenv.config();
  * @returns {Promise<string>} The hashed password
  */
 export async function hashPassword(plain) {
-  if (typeof plain !== 'string') {
-    throw new Error('Password must be a string');
-  }
-  return await argon2.hash(plain);
+  return defaultPasswordHasher.hash(plain);
 }
 
 /**
@@ -24,11 +34,79 @@ export async function hashPassword(plain) {
  * @returns {Promise<boolean>} True if the password matches, false otherwise
  */
 export async function verifyPassword(hash, plain) {
-  if (typeof hash !== 'string' || typeof plain !== 'string') {
-    throw new Error('Hash and plain text must be strings');
+  return defaultPasswordHasher.verify(hash, plain);
+}
+
+/**
+ * Reads the access token key options from the environment
+ * HS256 uses ACCESS_TOKEN_SECRET; RS256/ES256/EdDSA use ACCESS_TOKEN_PRIVATE_KEY
+ * and ACCESS_TOKEN_PUBLIC_KEY (PEM or JWK). ACCESS_TOKEN_KID optionally names the key.
+ * @returns {object} Key options accepted by KeyRing#addKey
+ */
+function getAccessKeyOptions() {
+  const algorithm = process.env.ACCESS_TOKEN_ALGORITHM || 'HS256';
+
+  if (SYMMETRIC_ALGORITHMS.includes(algorithm)) {
+    const secret = process.env.ACCESS_TOKEN_SECRET;
+    if (!secret || secret.length < 32) {
+      throw new Error('ACCESS_TOKEN_SECRET must be at least 32 characters');
+    }
+  }
+
+  return {
+    kid: process.env.ACCESS_TOKEN_KID || undefined,
+    algorithm,
+    secret: process.env.ACCESS_TOKEN_SECRET,
+    privateKey: process.env.ACCESS_TOKEN_PRIVATE_KEY,
+    publicKey: process.env.ACCESS_TOKEN_PUBLIC_KEY,
+  };
+}
+
+/**
+ * Returns the keys for signing and verifying access tokens
+ * Until keys are rotated, this follows the environment on every call
+ * @returns {KeyRing} The access token key ring
+ */
+function getAccessKeyRing() {
+  if (accessKeyRing.size > 0) {
+    return accessKeyRing;
+  }
+  return new KeyRing({ keys: [getAccessKeyOptions()] });
+}
+
+/**
+ * Returns the shared access token key ring, seeding it from the environment
+ * Pass it to createAuthMiddleware({ keyRing }) so both sides see rotations
+ * @returns {KeyRing} The access token key ring
+ */
+export function getKeyRing() {
+  if (accessKeyRing.size === 0) {
+    accessKeyRing.addKey(getAccessKeyOptions());
   }
-  // Always compare to prevent timing attacks
-  return await argon2.verify(hash, plain);
+  return accessKeyRing;
+}
+
+/**
+ * Promotes a new access token signing key
+ * The previous key keeps verifying until the tokens it signed expire
+ * @param {object} options - Key options: kid, algorithm, secret, privateKey, publicKey
+ * @returns {string} The new active key ID
+ */
+export function rotateKeys(options) {
+  return getKeyRing().rotateKeys(options);
+}
+
+/**
+ * Reads the refresh token secret from the environment
+ * Refresh tokens are only read by the issuer, so they always use HS256
+ * @returns {string} The refresh token secret
+ */
+function getRefreshTokenSecret() {
+  const secret = process.env.REFRESH_TOKEN_SECRET;
+  if (!secret || secret.length < 32) {
+    throw new Error('REFRESH_TOKEN_SECRET must be at least 32 characters');
+  }
+  return secret;
 }
 
 /**
@@ -37,18 +115,13 @@ export async function verifyPassword(hash, plain) {
  * @returns {Promise<string>} The signed JWT
  */
 export async function signAccessToken(payload) {
-  const secret = new TextEncoder().encode(process.env.ACCESS_TOKEN_SECRET);
+  const keyRing = getAccessKeyRing();
   
-  if (!secret || secret.length < 32) {
-    throw new Error('ACCESS_TOKEN_SECRET must be at least 32 characters');
+  if (!keyRing.activeKid) {
+    throw new Error('ACCESS_TOKEN_PRIVATE_KEY is required to sign access tokens');
   }
   
-  return new SignJWT(payload)
-    .setProtectedHeader({ alg: 'HS256' })
-    .setIssuedAt()
-    .setExpirationTime('15m')
-    .setJti(crypto.randomUUID()) // Add unique JWT ID
-    .sign(secret);
+  return new TokenManager({ keyRing }).signAccessToken(payload);
 }
 
 /**
@@ -57,18 +130,7 @@ export async function signAccessToken(payload) {
  * @returns {Promise<string>} The signed JWT
  */
 export async function signRefreshToken(payload) {
-  const secret = new TextEncoder().encode(process.env.REFRESH_TOKEN_SECRET);
-  
-  if (!secret || secret.length < 32) {
-    throw new Error('REFRESH_TOKEN_SECRET must be at least 32 characters');
-  }
-  
-  return new SignJWT(payload)
-    .setProtectedHeader({ alg: 'HS256' })
-    .setIssuedAt()
-    .setExpirationTime('7d')
-    .setJti(crypto.randomUUID()) // Add unique JWT ID
-    .sign(secret);
+  return new TokenManager({ refreshTokenSecret: getRefreshTokenSecret() }).signRefreshToken(payload);
 }
 
 /**
@@ -82,22 +144,121 @@ export async function verifyJWT(token, type) {
     throw new Error('Token must be a string');
   }
   
-  const secret = new TextEncoder().encode(
-    type === 'access' 
-      ? process.env.ACCESS_TOKEN_SECRET 
-      : process.env.REFRESH_TOKEN_SECRET
-  );
+  const tokens = type === 'access'
+    ? new TokenManager({ keyRing: getAccessKeyRing() })
+    : new TokenManager({ refreshTokenSecret: getRefreshTokenSecret() });
   
-  if (!secret || secret.length < 32) {
-    throw new Error(`${type.toUpperCase()}_TOKEN_SECRET must be at least 32 characters`);
+  return tokens.verifyJWT(token, type);
+}
+
+/**
+ * Hashes a refresh token for storage, keyed with REFRESH_TOKEN_SECRET
+ * @param {string} token - The raw refresh token
+ * @returns {string} The base64url-encoded token hash
+ */
+export function hashRefreshToken(token) {
+  return new TokenManager({ refreshTokenSecret: getRefreshTokenSecret() }).hashRefreshToken(token);
+}
+
+/**
+ * Hashes an email one-time code for storage, keyed with REFRESH_TOKEN_SECRET
+ * @param {string} code - The code
+ * @param {string} context - What the code is bound to
+ * @returns {string} The base64url-encoded code hash
+ */
+export function hashOneTimeCode(code, context) {
+  return new TokenManager({ refreshTokenSecret: getRefreshTokenSecret() }).hashOneTimeCode(code, context);
+}
+
+/**
+ * Token functions backed by process.env
+ * Used by AuthService when it is created without a TokenManager
+ */
+export const envTokenManager = Object.freeze({
+  signAccessToken,
+  signRefreshToken,
+  verifyJWT,
+  hashRefreshToken,
+  hashOneTimeCode,
+  accessTokenTtl: DEFAULT_ACCESS_TOKEN_TTL,
+  refreshTokenTtl: DEFAULT_REFRESH_TOKEN_TTL,
+});
+
+/**
+ * Builds the JSON Web Key Set for verifying access tokens
+ * Only asymmetric public keys are published; HS256 keys are left out
+ * @returns {Promise<{keys: object[]}>} The JWKS document
+ */
+export async function getJWKS() {
+  return getAccessKeyRing().getJWKS();
+}
+
+/**
+ * Signs a CSRF nonce
+ * Prefixed like the refresh token and one-time code hashes, so a signature can never
+ * match another HMAC made with the same secret (csrfProtect() falls back to refreshTokenSecret)
+ * @param {string} nonce - The nonce
+ * @param {string} secret - The signing secret
+ * @returns {Buffer} The HMAC-SHA256 signature
+ */
+function signCsrfNonce(nonce, secret) {
+  return createHmac('sha256', secret).update('ryauth:csrf:').update(nonce).digest();
+}
+
+/**
+ * Generates a signed CSRF token for the double-submit cookie pattern
+ * The token is a random nonce followed by its HMAC-SHA256 signature
+ * @param {string} secret - The signing secret (minimum 32 characters)
+ * @returns {string} The CSRF token in the form `<nonce>.<signature>`
+ */
+export function generateCsrfToken(secret) {
+  if (typeof secret !== 'string' || secret.length < 32) {
+    throw new Error('CSRF secret must be at least 32 characters');
   }
-  
-  try {
-    const { payload } = await jwtVerify(token, secret, {
-      algorithms: ['HS256']
-    });
-    return payload;
-  } catch (error) {
-    throw new Error('Invalid token');
+
+  const nonce = randomBytes(32).toString('base64url');
+  const signature = signCsrfNonce(nonce, secret).toString('base64url');
+  return `${nonce}.${signature}`;
+}
+
+/**
+ * Verifies the signature of a CSRF token using a timing-safe comparison
+ * @param {string} token - The CSRF token to verify
+ * @param {string} secret - The signing secret used to generate the token
+ * @returns {boolean} True if the token was signed with the secret
+ */
+export function verifyCsrfToken(token, secret) {
+  if (typeof token !== 'string' || typeof secret !== 'string') {
+    return false;
+  }
+
+  const [nonce, signature, ...rest] = token.split('.');
+  if (!nonce || !signature || rest.length > 0) {
+    return false;
+  }
+
+  const expected = signCsrfNonce(nonce, secret);
+  const actual = Buffer.from(signature, 'base64url');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Generates a random single-use token for links sent by email
+ * @returns {string} 256 random bits, base64url-encoded
+ */
+export function generateOneTimeToken() {
+  return randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hashes a single-use token for storage
+ * A plain SHA-256 is enough here because the token itself is random, not a secret a user picked
+ * @param {string} token - The raw token
+ * @returns {string} The base64url-encoded SHA-256 hash
+ */
+export function hashOneTimeToken(token) {
+  if (typeof token !== 'string') {
+    throw new Error('Token must be a string');
   }
-}
\ No newline at end of file
+  return createHash('sha256').update(token).digest('base64url');
+}
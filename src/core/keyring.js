@@ -0,0 +1,215 @@
+import { createHash } from 'node:crypto';
+import { SYMMETRIC_ALGORITHMS, loadKey, exportPublicJWK } from './keys.js';
+
+/**
+ * Derives a stable key ID from the key material, so every process
+ * loading the same key agrees on its `kid` without extra configuration
+ * @param {{algorithm: string, verificationKey: Uint8Array|KeyObject}} key - A key returned by loadKey
+ * @returns {string} The derived key ID
+ */
+function deriveKid(key) {
+  const material = SYMMETRIC_ALGORITHMS.includes(key.algorithm)
+    ? Buffer.from(key.verificationKey)
+    : key.verificationKey.export({ type: 'spki', format: 'der' });
+  return createHash('sha256').update('ryauth:kid:').update(material).digest('base64url').slice(0, 16);
+}
+
+/**
+ * KeyRing class holding the JWT signing keys
+ * One key is active and signs new tokens; retired keys keep verifying
+ * until the tokens they signed have expired
+ */
+export class KeyRing {
+  #keys = new Map(); // kid -> { kid, algorithm, signingKey, verificationKey, expiresAt }
+  #activeKid = null;
+  #retentionMs;
+
+  /**
+   * Create KeyRing instance
+   * @param {object} [options] - KeyRing options
+   * @param {object[]} [options.keys=[]] - Keys accepted by addKey; the first one becomes active
+   * @param {number} [options.retentionMs=900000] - How long retired keys keep verifying (the token lifetime)
+   */
+  constructor({ keys = [], retentionMs = 15 * 60 * 1000 } = {}) {
+    if (!Number.isInteger(retentionMs) || retentionMs < 0) {
+      throw new Error('retentionMs must be a non-negative integer');
+    }
+    this.#retentionMs = retentionMs;
+
+    for (const key of keys) {
+      this.addKey(key);
+    }
+  }
+
+  /**
+   * Number of keys that can still verify tokens
+   * @returns {number} The key count
+   */
+  get size() {
+    this.#prune();
+    return this.#keys.size;
+  }
+
+  /**
+   * ID of the key currently signing new tokens
+   * @returns {string|null} The active key ID
+   */
+  get activeKid() {
+    return this.#activeKid;
+  }
+
+  /**
+   * Adds a key to the ring
+   * The key becomes active only if the ring has no active key yet
+   * @param {object} options - Key options accepted by loadKey, plus an optional `kid` and `expiresAt`
+   * @returns {string} The key ID
+   */
+  addKey({ kid, expiresAt = null, ...keyOptions }) {
+    const key = loadKey(keyOptions);
+    const id = kid ?? deriveKid(key);
+
+    if (typeof id !== 'string' || id.length === 0) {
+      throw new Error('Key ID must be a non-empty string');
+    }
+    if (expiresAt !== null && !(expiresAt instanceof Date)) {
+      throw new Error('expiresAt must be a Date');
+    }
+
+    this.#keys.set(id, { kid: id, ...key, expiresAt });
+
+    if (!this.#activeKid && key.signingKey) {
+      this.#activeKid = id;
+    }
+
+    return id;
+  }
+
+  /**
+   * Promotes a new key to active and retires the previous active key
+   * The retired key keeps verifying for `retentionMs` so live tokens stay valid
+   * @param {object} options - Key options accepted by addKey
+   * @returns {string} The new active key ID
+   */
+  rotateKeys(options) {
+    const previousKid = this.#activeKid;
+    const kid = this.addKey(options);
+    const key = this.#keys.get(kid);
+
+    if (!key.signingKey) {
+      this.#keys.delete(kid);
+      throw new Error('The new active key must be able to sign tokens');
+    }
+
+    key.expiresAt = null;
+    this.#activeKid = kid;
+
+    if (previousKid && previousKid !== kid) {
+      this.#keys.get(previousKid).expiresAt = new Date(Date.now() + this.#retentionMs);
+    }
+
+    return kid;
+  }
+
+  /**
+   * Removes a key immediately, invalidating every token it signed
+   * @param {string} kid - The key ID
+   * @returns {boolean} True if the key existed
+   */
+  removeKey(kid) {
+    if (kid === this.#activeKid) {
+      this.#activeKid = null;
+    }
+    return this.#keys.delete(kid);
+  }
+
+  /**
+   * Returns the key used to sign new tokens
+   * @returns {{kid: string, algorithm: string, signingKey: Uint8Array|KeyObject}} The active key
+   * @throws {Error} If there is no active signing key
+   */
+  getActiveKey() {
+    const key = this.#activeKid && this.#keys.get(this.#activeKid);
+    if (!key) {
+      throw new Error('KeyRing has no active signing key');
+    }
+    return key;
+  }
+
+  /**
+   * Looks up a key that may still verify tokens
+   * @param {string} kid - The key ID
+   * @returns {object|null} The key, or null if unknown or past its retention
+   */
+  getKey(kid) {
+    this.#prune();
+    return this.#keys.get(kid) || null;
+  }
+
+  /**
+   * Algorithms of all keys that may still verify tokens
+   * @returns {string[]} The algorithms
+   */
+  getAlgorithms() {
+    this.#prune();
+    return [...new Set([...this.#keys.values()].map((key) => key.algorithm))];
+  }
+
+  /**
+   * Key resolver for jose's jwtVerify, selecting the key by the `kid` header
+   * Tokens without a `kid` (issued before key IDs existed) use the active key,
+   * or the only key of a verify-only ring
+   * @returns {function(object): Uint8Array|KeyObject} The resolver
+   */
+  keyResolver() {
+    return (header) => {
+      const key = header.kid === undefined
+        ? this.#defaultKey()
+        : this.getKey(header.kid);
+
+      if (!key || key.algorithm !== header.alg) {
+        throw new Error('No matching key');
+      }
+      return key.verificationKey;
+    };
+  }
+
+  /**
+   * Builds the JSON Web Key Set of every asymmetric key that may still verify tokens
+   * @returns {Promise<{keys: object[]}>} The JWKS document
+   */
+  async getJWKS() {
+    this.#prune();
+    const jwks = await Promise.all([...this.#keys.values()].map(async (key) => {
+      const jwk = await exportPublicJWK(key);
+      return jwk && { ...jwk, kid: key.kid };
+    }));
+    return { keys: jwks.filter(Boolean) };
+  }
+
+  /**
+   * Removes every key
+   * @returns {void}
+   */
+  clear() {
+    this.#keys.clear();
+    this.#activeKid = null;
+  }
+
+  // Key for tokens that carry no kid header
+  #defaultKey() {
+    if (this.#activeKid) {
+      return this.getKey(this.#activeKid);
+    }
+    return this.size === 1 ? [...this.#keys.values()][0] : null;
+  }
+
+  // Drop retired keys whose tokens have all expired
+  #prune() {
+    const now = new Date();
+    for (const [kid, key] of this.#keys) {
+      if (key.expiresAt && key.expiresAt <= now) {
+        this.#keys.delete(kid);
+      }
+    }
+  }
+}
@@ -0,0 +1,111 @@
+import { createPrivateKey, createPublicKey, KeyObject } from 'node:crypto';
+import { exportJWK } from 'jose';
+
+/**
+ * Algorithms signed with a shared secret
+ */
+export const SYMMETRIC_ALGORITHMS = ['HS256'];
+
+/**
+ * Algorithms signed with a private key and verified with a public key
+ */
+export const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256', 'EdDSA'];
+
+/**
+ * All supported JWT signing algorithms
+ */
+export const SUPPORTED_ALGORITHMS = [...SYMMETRIC_ALGORITHMS, ...ASYMMETRIC_ALGORITHMS];
+
+/**
+ * Converts PEM, JWK (object or JSON string) or KeyObject input into a KeyObject
+ * @param {string|object|KeyObject} key - The key material
+ * @param {string} type - The expected KeyObject type ('private' or 'public')
+ * @param {function} create - createPrivateKey or createPublicKey
+ * @returns {KeyObject} The KeyObject
+ */
+function toKeyObject(key, type, create) {
+  if (key instanceof KeyObject && key.type === type) {
+    return key;
+  }
+  return create(toKeyInput(key));
+}
+
+/**
+ * Normalizes PEM, JWK (object or JSON string) or KeyObject input for node:crypto
+ * @param {string|object|KeyObject} key - The key material
+ * @returns {KeyObject|object|string} A KeyObject or key input accepted by node:crypto
+ */
+function toKeyInput(key) {
+  if (key instanceof KeyObject) {
+    return key;
+  }
+
+  if (typeof key === 'string') {
+    const trimmed = key.trim();
+    if (trimmed.startsWith('{')) {
+      return { key: JSON.parse(trimmed), format: 'jwk' };
+    }
+    // Environment variables often carry PEM newlines escaped as "\n"
+    return trimmed.replace(/\\n/g, '\n');
+  }
+
+  if (key && typeof key === 'object') {
+    return { key, format: 'jwk' };
+  }
+
+  throw new Error('Key must be a PEM string, JWK or KeyObject');
+}
+
+/**
+ * Loads key material for signing and/or verifying JWTs
+ * HS256 uses `secret`. Asymmetric algorithms use `privateKey` for signing and
+ * `publicKey` for verification; the public key is derived when only a private key is given.
+ * @param {object} options - Key options
+ * @param {string} [options.algorithm='HS256'] - One of SUPPORTED_ALGORITHMS
+ * @param {string} [options.secret] - Shared secret for HS256 (minimum 32 characters)
+ * @param {string|object|KeyObject} [options.privateKey] - PEM (PKCS#8) or JWK private key
+ * @param {string|object|KeyObject} [options.publicKey] - PEM (SPKI) or JWK public key
+ * @returns {{algorithm: string, signingKey: Uint8Array|KeyObject|null, verificationKey: Uint8Array|KeyObject}} Loaded keys
+ */
+export function loadKey({ algorithm = 'HS256', secret, privateKey, publicKey } = {}) {
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported algorithm "${algorithm}" - expected one of ${SUPPORTED_ALGORITHMS.join(', ')}`);
+  }
+
+  if (SYMMETRIC_ALGORITHMS.includes(algorithm)) {
+    if (!secret || secret.length < 32) {
+      throw new Error('Secret must be at least 32 characters');
+    }
+    const key = new TextEncoder().encode(secret);
+    return { algorithm, signingKey: key, verificationKey: key };
+  }
+
+  if (!privateKey && !publicKey) {
+    throw new Error(`A private or public key is required for ${algorithm}`);
+  }
+
+  try {
+    const signingKey = privateKey ? toKeyObject(privateKey, 'private', createPrivateKey) : null;
+    const verificationKey = publicKey
+      ? toKeyObject(publicKey, 'public', createPublicKey)
+      : createPublicKey(signingKey);
+    return { algorithm, signingKey, verificationKey };
+  } catch (error) {
+    throw new Error(`Invalid key for ${algorithm}: ${error.message}`);
+  }
+}
+
+/**
+ * Exports the public half of a loaded key as a JWK for publishing in a JWKS
+ * @param {{algorithm: string, verificationKey: KeyObject}} key - A key returned by loadKey
+ * @returns {Promise<object|null>} The public JWK, or null for symmetric keys
+ */
+export async function exportPublicJWK(key) {
+  if (SYMMETRIC_ALGORITHMS.includes(key.algorithm)) {
+    // Never publish shared secrets
+    return null;
+  }
+
+  const jwk = await exportJWK(key.verificationKey);
+  return { ...jwk, alg: key.algorithm, use: 'sig' };
+}
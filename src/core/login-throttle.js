@@ -0,0 +1,90 @@
+import { z } from 'zod';
+
+// Throttle options schema; durations are in seconds
+const throttleOptionsSchema = z.object({
+  maxAttempts: z.number().int().positive().default(5), // Per account
+  ipMaxAttempts: z.number().int().positive().default(20), // Per client IP, across accounts
+  window: z.number().int().positive().default(15 * 60), // Failures are forgotten after this long without another
+  strategy: z.enum(['lock', 'backoff']).default('lock'),
+  lockoutDuration: z.number().int().positive().default(15 * 60), // 'lock' strategy
+  backoffBase: z.number().int().positive().default(1), // 'backoff' strategy: first delay, doubled per failure
+  backoffMax: z.number().int().positive().default(15 * 60),
+});
+
+/**
+ * LoginThrottle class
+ * Decides when repeated login failures block further attempts, per account and per client IP.
+ * The failure counts themselves live in the adapter so they are shared between processes.
+ */
+export class LoginThrottle {
+  #options;
+
+  /**
+   * Create LoginThrottle instance
+   * @param {object} [options] - Throttle options
+   * @param {number} [options.maxAttempts=5] - Failures per account before it is blocked
+   * @param {number} [options.ipMaxAttempts=20] - Failures per client IP before it is blocked
+   * @param {number} [options.window=900] - Seconds without a failure after which the count starts over
+   * @param {string} [options.strategy='lock'] - 'lock' blocks for lockoutDuration; 'backoff' doubles the delay per failure
+   * @param {number} [options.lockoutDuration=900] - Seconds an account or IP stays locked
+   * @param {number} [options.backoffBase=1] - First backoff delay in seconds
+   * @param {number} [options.backoffMax=900] - Longest backoff delay in seconds
+   * @throws {ZodError} If the options are invalid
+   */
+  constructor(options = {}) {
+    this.#options = throttleOptionsSchema.parse(options);
+  }
+
+  /**
+   * Adapter key for failures against an account
+   * Keyed by email rather than user ID, so unknown emails are throttled like real ones
+   * @param {string} email - The email the login was attempted for
+   * @returns {string} The key
+   */
+  accountKey(email) {
+    return `account:${email.toLowerCase()}`;
+  }
+
+  /**
+   * Adapter key for failures from a client
+   * @param {string} ip - The client IP address
+   * @returns {string} The key
+   */
+  ipKey(ip) {
+    return `ip:${ip}`;
+  }
+
+  /**
+   * Oldest last failure that still counts at a given time
+   * @param {Date} [now] - The current time
+   * @returns {Date} The cut-off passed to the adapter as `resetBefore`
+   */
+  resetBefore(now = new Date()) {
+    return new Date(now.getTime() - this.#options.window * 1000);
+  }
+
+  /**
+   * When a key may try again
+   * @param {{count: number, lastFailureAt: Date}|null} record - The adapter's failure record
+   * @param {string} scope - 'account' or 'ip'
+   * @param {Date} [now] - The current time
+   * @returns {Date|null} The time attempts are allowed again, or null if they are allowed now
+   */
+  blockedUntil(record, scope, now = new Date()) {
+    if (!record || record.lastFailureAt < this.resetBefore(now)) {
+      return null;
+    }
+
+    const { strategy, lockoutDuration, backoffBase, backoffMax } = this.#options;
+    const limit = scope === 'ip' ? this.#options.ipMaxAttempts : this.#options.maxAttempts;
+    if (record.count < limit) {
+      return null;
+    }
+
+    const delay = strategy === 'lock'
+      ? lockoutDuration
+      : Math.min(backoffBase * 2 ** (record.count - limit), backoffMax);
+    const until = new Date(record.lastFailureAt.getTime() + delay * 1000);
+    return until > now ? until : null;
+  }
+}
@@ -0,0 +1,336 @@
+import { createHash } from 'node:crypto';
+import { createRemoteJWKSet, jwtVerify } from 'jose';
+import { z } from 'zod';
+
+// Provider options schema
+const providerSchema = z.object({
+  name: z.string().regex(/^[a-z0-9-]+$/, 'Provider name must be lowercase letters, digits and dashes'),
+  clientId: z.string().min(1),
+  clientSecret: z.string().min(1).optional(), // Public clients rely on PKCE alone
+  redirectUri: z.string().url(),
+  issuer: z.string().url().optional(), // OpenID Connect: discovery and ID token validation
+  authorizationEndpoint: z.string().url().optional(),
+  tokenEndpoint: z.string().url().optional(),
+  userinfoEndpoint: z.string().url().optional(),
+  jwksUri: z.string().url().optional(),
+  scopes: z.array(z.string().min(1)).optional(),
+  clientAuthMethod: z.enum(['client_secret_basic', 'client_secret_post', 'none']).optional(),
+  profile: z.custom((profile) => typeof profile === 'function', 'profile must be a function').optional(),
+  linkVerifiedEmails: z.boolean().default(false),
+  timeout: z.number().int().positive().default(10000), // Milliseconds per request to the provider
+}).refine((options) => options.issuer || (options.authorizationEndpoint && options.tokenEndpoint && options.userinfoEndpoint), {
+  message: 'OAuth 2.0 providers without an issuer need authorizationEndpoint, tokenEndpoint and userinfoEndpoint',
+  path: ['issuer'],
+}).refine((options) => (options.clientAuthMethod ?? 'none') === 'none' || options.clientSecret, {
+  message: 'clientSecret is required for this clientAuthMethod',
+  path: ['clientSecret'],
+});
+
+// Standard OpenID Connect claims
+const defaultProfile = (claims) => ({
+  subject: claims.sub,
+  email: claims.email,
+  emailVerified: claims.email_verified === true,
+});
+
+const identitySchema = z.object({
+  subject: z.union([z.string().min(1), z.number().int()], { message: 'The provider did not identify the user' })
+    .transform(String),
+  email: z.string().email().nullable().optional().default(null),
+  emailVerified: z.boolean().optional().default(false),
+});
+
+/**
+ * Derives a PKCE code challenge (RFC 7636, S256 method)
+ * @param {string} codeVerifier - The random code verifier
+ * @returns {string} The base64url-encoded SHA-256 of the verifier
+ */
+export function pkceChallenge(codeVerifier) {
+  if (typeof codeVerifier !== 'string') {
+    throw new Error('Code verifier must be a string');
+  }
+  return createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+/**
+ * OAuthProvider class
+ * A social login provider using the Authorization Code flow with PKCE. With an issuer it
+ * is an OpenID Connect provider: endpoints come from discovery and ID tokens are validated.
+ * Without one it is a plain OAuth 2.0 provider that identifies users through its userinfo endpoint.
+ * State, nonce and code verifier are generated and stored by the caller.
+ */
+export class OAuthProvider {
+  #options;
+  #metadata = null;
+  #jwks = null;
+
+  /**
+   * Create OAuthProvider instance
+   * @param {object} options - Provider options
+   * @param {string} options.name - Name used in stored identities and callbacks, e.g. 'google'
+   * @param {string} options.clientId - Client ID registered with the provider
+   * @param {string} [options.clientSecret] - Client secret; omit for public clients
+   * @param {string} options.redirectUri - Callback URL registered with the provider
+   * @param {string} [options.issuer] - OpenID Connect issuer, e.g. 'https://accounts.google.com'
+   * @param {string} [options.authorizationEndpoint] - Overrides discovery; required without an issuer
+   * @param {string} [options.tokenEndpoint] - Overrides discovery; required without an issuer
+   * @param {string} [options.userinfoEndpoint] - Overrides discovery; required without an issuer
+   * @param {string} [options.jwksUri] - Overrides discovery
+   * @param {string[]} [options.scopes] - Requested scopes (default ['openid', 'email', 'profile'] with an issuer)
+   * @param {string} [options.clientAuthMethod] - 'client_secret_basic' (default with a secret), 'client_secret_post' or 'none'
+   * @param {function} [options.profile] - Maps the provider's claims to { subject, email, emailVerified };
+   *   called with the claims and { accessToken }, may be async
+   * @param {boolean} [options.linkVerifiedEmails=false] - Sign in existing users whose email the provider
+   *   reports as verified, linking the identity; only for providers that check addresses
+   * @param {number} [options.timeout=10000] - Milliseconds per request to the provider
+   * @throws {ZodError} If the options are invalid
+   */
+  constructor(options) {
+    const parsed = providerSchema.parse(options);
+    this.#options = {
+      ...parsed,
+      scopes: parsed.scopes ?? (parsed.issuer ? ['openid', 'email', 'profile'] : []),
+      clientAuthMethod: parsed.clientAuthMethod ?? (parsed.clientSecret ? 'client_secret_basic' : 'none'),
+      profile: parsed.profile ?? defaultProfile,
+    };
+  }
+
+  /**
+   * Provider name
+   * @returns {string} The name
+   */
+  get name() {
+    return this.#options.name;
+  }
+
+  /**
+   * Whether a verified email may sign in an existing user
+   * @returns {boolean} The linkVerifiedEmails option
+   */
+  get linkVerifiedEmails() {
+    return this.#options.linkVerifiedEmails;
+  }
+
+  /**
+   * Whether ID tokens are requested and validated
+   * @returns {boolean} True for OpenID Connect providers
+   */
+  get isOpenIdConnect() {
+    return Boolean(this.#options.issuer);
+  }
+
+  /**
+   * Endpoints, from the options and, for OpenID Connect, the discovery document
+   * The document is fetched once; a failed fetch is retried on the next call.
+   * @returns {Promise<{issuer: string|null, authorizationEndpoint: string, tokenEndpoint: string, userinfoEndpoint: string|null, jwksUri: string|null}>} The endpoints
+   * @throws {Error} If discovery fails or the document names another issuer
+   */
+  async metadata() {
+    this.#metadata ??= this.#loadMetadata().catch((error) => {
+      this.#metadata = null;
+      throw error;
+    });
+    return this.#metadata;
+  }
+
+  /**
+   * URL to send the user to
+   * @param {object} params - Flow parameters
+   * @param {string} params.state - Random value tying the callback to this request
+   * @param {string} params.nonce - Random value tying the ID token to this request (OpenID Connect only)
+   * @param {string} params.codeVerifier - PKCE code verifier
+   * @returns {Promise<string>} The authorization URL
+   */
+  async authorizationUrl({ state, nonce, codeVerifier }) {
+    const { authorizationEndpoint } = await this.metadata();
+    const url = new URL(authorizationEndpoint);
+
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.#options.clientId);
+    url.searchParams.set('redirect_uri', this.#options.redirectUri);
+    if (this.#options.scopes.length) {
+      url.searchParams.set('scope', this.#options.scopes.join(' '));
+    }
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', pkceChallenge(codeVerifier));
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (this.isOpenIdConnect) {
+      url.searchParams.set('nonce', nonce);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Exchanges an authorization code and identifies the user
+   * @param {object} params - Callback parameters
+   * @param {string} params.code - The code from the callback
+   * @param {string} params.codeVerifier - The PKCE code verifier sent with authorizationUrl()
+   * @param {string} params.nonce - The nonce sent with authorizationUrl()
+   * @returns {Promise<{subject: string, email: string|null, emailVerified: boolean, claims: object}>} The identity
+   * @throws {Error} If the exchange fails or the ID token is invalid
+   */
+  async identify({ code, codeVerifier, nonce }) {
+    const tokens = await this.#exchangeCode(code, codeVerifier);
+    const { userinfoEndpoint } = await this.metadata();
+
+    let claims;
+    if (this.isOpenIdConnect) {
+      claims = await this.#validateIdToken(tokens.id_token, nonce);
+      // Providers may leave the email out of the ID token
+      if (claims.email === undefined && userinfoEndpoint) {
+        const userinfo = await this.#fetchUserinfo(tokens.access_token);
+        if (userinfo.sub !== claims.sub) {
+          throw new Error('UserInfo subject does not match the ID token');
+        }
+        claims = { ...userinfo, ...claims };
+      }
+    } else {
+      claims = await this.#fetchUserinfo(tokens.access_token);
+    }
+
+    const mapped = identitySchema.safeParse(await this.#options.profile(claims, { accessToken: tokens.access_token }));
+    if (!mapped.success) {
+      throw new Error(mapped.error.issues[0].message);
+    }
+    return { ...mapped.data, claims };
+  }
+
+  /**
+   * Merges configured endpoints with the discovery document
+   * @returns {Promise<object>} The endpoints
+   */
+  async #loadMetadata() {
+    const { issuer, authorizationEndpoint, tokenEndpoint, userinfoEndpoint, jwksUri } = this.#options;
+    let discovered = {};
+    if (issuer && !(authorizationEndpoint && tokenEndpoint && jwksUri)) {
+      discovered = await this.#fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+      // OpenID Connect Discovery 1.0, section 4.3
+      if (discovered.issuer !== issuer) {
+        throw new Error('Discovery document issuer does not match');
+      }
+    }
+
+    const metadata = {
+      issuer: issuer ?? null,
+      authorizationEndpoint: authorizationEndpoint ?? discovered.authorization_endpoint,
+      tokenEndpoint: tokenEndpoint ?? discovered.token_endpoint,
+      userinfoEndpoint: userinfoEndpoint ?? discovered.userinfo_endpoint ?? null,
+      jwksUri: jwksUri ?? discovered.jwks_uri ?? null,
+    };
+    if (!metadata.authorizationEndpoint || !metadata.tokenEndpoint || (issuer && !metadata.jwksUri)) {
+      throw new Error('Discovery document is missing endpoints');
+    }
+    return metadata;
+  }
+
+  /**
+   * Redeems an authorization code at the token endpoint
+   * @param {string} code - The code from the callback
+   * @param {string} codeVerifier - The PKCE code verifier
+   * @returns {Promise<object>} The token response
+   */
+  async #exchangeCode(code, codeVerifier) {
+    const { tokenEndpoint } = await this.metadata();
+    const { clientId, clientSecret, clientAuthMethod, redirectUri } = this.#options;
+
+    const body = new URLSearchParams({ grant_type: 'authorization_code', code, redirect_uri: redirectUri, code_verifier: codeVerifier });
+    const headers = { 'content-type': 'application/x-www-form-urlencoded' };
+    if (clientAuthMethod === 'client_secret_basic') {
+      // RFC 6749 section 2.3.1: form-encode before base64
+      const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+      headers.authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_id', clientId);
+      if (clientAuthMethod === 'client_secret_post') {
+        body.set('client_secret', clientSecret);
+      }
+    }
+
+    const tokens = await this.#fetchJson(tokenEndpoint, { method: 'POST', headers, body });
+    if (typeof tokens.access_token !== 'string') {
+      throw new Error('Token response has no access token');
+    }
+    return tokens;
+  }
+
+  /**
+   * Checks an ID token's signature, issuer, audience, expiry and nonce
+   * @param {string} idToken - The ID token from the token response
+   * @param {string} nonce - The nonce sent with the authorization request
+   * @returns {Promise<object>} The token's claims
+   */
+  async #validateIdToken(idToken, nonce) {
+    if (typeof idToken !== 'string') {
+      throw new Error('Token response has no ID token');
+    }
+
+    const { issuer, jwksUri } = await this.metadata();
+    this.#jwks ??= createRemoteJWKSet(new URL(jwksUri), { timeoutDuration: this.#options.timeout });
+
+    let payload;
+    try {
+      ({ payload } = await jwtVerify(idToken, this.#jwks, {
+        issuer,
+        audience: this.#options.clientId,
+        requiredClaims: ['sub', 'iat'],
+      }));
+    } catch {
+      throw new Error('Invalid ID token');
+    }
+
+    if (payload.nonce !== nonce) {
+      throw new Error('ID token nonce does not match');
+    }
+    // With several audiences, azp must name this client (OpenID Connect Core 1.0, section 3.1.3.7)
+    if (Array.isArray(payload.aud) && payload.aud.length > 1 && payload.azp !== this.#options.clientId) {
+      throw new Error('ID token authorized party does not match');
+    }
+    return payload;
+  }
+
+  /**
+   * Fetches the user's claims from the userinfo endpoint
+   * @param {string} accessToken - Access token from the token response
+   * @returns {Promise<object>} The claims
+   */
+  async #fetchUserinfo(accessToken) {
+    const { userinfoEndpoint } = await this.metadata();
+    if (!userinfoEndpoint) {
+      throw new Error('Provider has no userinfo endpoint');
+    }
+    return this.#fetchJson(userinfoEndpoint, { headers: { authorization: `Bearer ${accessToken}` } });
+  }
+
+  /**
+   * Sends a request to the provider and parses the JSON response
+   * @param {string} url - The endpoint
+   * @param {object} [init] - Method, headers and body
+   * @returns {Promise<object>} The response body
+   * @throws {Error} If the provider is unreachable or answers with an error
+   */
+  async #fetchJson(url, { method = 'GET', headers = {}, body } = {}) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: { accept: 'application/json', ...headers },
+        body,
+        signal: AbortSignal.timeout(this.#options.timeout),
+      });
+    } catch {
+      throw new Error(`OAuth provider ${this.#options.name} is unreachable`);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok || data === null || typeof data !== 'object') {
+      // RFC 6749 section 5.2 error responses
+      const reason = typeof data?.error === 'string' ? data.error : `HTTP ${response.status}`;
+      throw new Error(`OAuth provider ${this.#options.name} request failed: ${reason}`);
+    }
+    // Some providers (GitHub) report token errors with a 200 status
+    if (typeof data.error === 'string') {
+      throw new Error(`OAuth provider ${this.#options.name} request failed: ${data.error}`);
+    }
+    return data;
+  }
+}
@@ -0,0 +1,89 @@
+import { randomInt } from 'node:crypto';
+import { z } from 'zod';
+
+/**
+ * What an email one-time code may be used for
+ */
+export const OTP_PURPOSES = ['login', 'verify', 'reset'];
+
+// Policy options schema; durations are in seconds
+const otpOptionsSchema = z.object({
+  length: z.number().int().min(6).max(8).default(6), // Digits per code
+  ttl: z.number().int().positive().default(10 * 60),
+  maxAttempts: z.number().int().positive().default(5), // Wrong guesses before the code is thrown away
+  maxRequests: z.number().int().positive().default(5), // Codes per email and purpose within requestWindow
+  requestWindow: z.number().int().positive().default(60 * 60), // Requests are forgotten after this long without another
+});
+
+/**
+ * OtpPolicy class
+ * Length, lifetime and attempt limit of the numeric codes AuthService emails for
+ * login, email verification and password reset, for clients where a link won't do.
+ */
+export class OtpPolicy {
+  #options;
+
+  /**
+   * Create OtpPolicy instance
+   * @param {object} [options] - Policy options
+   * @param {number} [options.length=6] - Digits per code, 6 to 8
+   * @param {number} [options.ttl=600] - Seconds a code stays valid
+   * @param {number} [options.maxAttempts=5] - Wrong guesses before a code is invalidated
+   * @param {number} [options.maxRequests=5] - Codes that may be requested per email and purpose before requests are refused
+   * @param {number} [options.requestWindow=3600] - Seconds without a request after which the count starts over
+   * @throws {ZodError} If the options are invalid
+   */
+  constructor(options = {}) {
+    this.#options = otpOptionsSchema.parse(options);
+  }
+
+  /**
+   * Digits per code
+   * @returns {number} The code length
+   */
+  get length() {
+    return this.#options.length;
+  }
+
+  /**
+   * Seconds a code stays valid
+   * @returns {number} The lifetime
+   */
+  get ttl() {
+    return this.#options.ttl;
+  }
+
+  /**
+   * Wrong guesses before a code is invalidated
+   * @returns {number} The attempt limit
+   */
+  get maxAttempts() {
+    return this.#options.maxAttempts;
+  }
+
+  /**
+   * Codes that may be requested per email and purpose
+   * Each new code brings a fresh attempt budget, so issuing has to be limited too.
+   * @returns {number} The request limit
+   */
+  get maxRequests() {
+    return this.#options.maxRequests;
+  }
+
+  /**
+   * Oldest last request that still counts at a given time
+   * @param {Date} [now] - The current time
+   * @returns {Date} The cut-off passed to the adapter as `resetBefore`
+   */
+  requestResetBefore(now = new Date()) {
+    return new Date(now.getTime() - this.#options.requestWindow * 1000);
+  }
+
+  /**
+   * Generates a code
+   * @returns {string} Uniformly random digits, leading zeros kept
+   */
+  generate() {
+    return String(randomInt(0, 10 ** this.#options.length)).padStart(this.#options.length, '0');
+  }
+}
@@ -0,0 +1,128 @@
+import argon2 from 'argon2';
+import { randomBytes } from 'node:crypto';
+import { z } from 'zod';
+
+// Argon2 variants by name
+const ARGON2_TYPES = {
+  argon2d: argon2.argon2d,
+  argon2i: argon2.argon2i,
+  argon2id: argon2.argon2id,
+};
+
+// Hasher options schema; the defaults are the argon2 package's own
+const hasherOptionsSchema = z.object({
+  type: z.enum(Object.keys(ARGON2_TYPES)).default('argon2id'),
+  memoryCost: z.number().int().min(1024).default(65536), // KiB
+  timeCost: z.number().int().positive().default(3), // Iterations
+  parallelism: z.number().int().positive().max(255).default(4),
+  pepper: z.string().min(32).optional(), // Kept out of the database, e.g. in a secrets manager
+  previousPeppers: z.array(z.string().min(32).nullable()).default([]), // null matches hashes without a pepper
+});
+
+/**
+ * PasswordHasher class
+ * Hashes and verifies passwords with Argon2 using explicit parameters,
+ * and reports hashes made with outdated parameters so they can be upgraded
+ */
+export class PasswordHasher {
+  #options;
+  #dummyHash = null;
+
+  /**
+   * Create PasswordHasher instance
+   * @param {object} [options] - Hashing options
+   * @param {string} [options.type='argon2id'] - Argon2 variant (argon2id, argon2i or argon2d)
+   * @param {number} [options.memoryCost=65536] - Memory in KiB
+   * @param {number} [options.timeCost=3] - Number of iterations
+   * @param {number} [options.parallelism=4] - Number of lanes
+   * @param {string} [options.pepper] - Secret mixed into every hash (minimum 32 characters)
+   * @param {Array<string|null>} [options.previousPeppers=[]] - Peppers still accepted for verification;
+   *   `null` accepts hashes made without one. Matching hashes are reported for rehashing.
+   * @throws {ZodError} If the options are invalid
+   */
+  constructor(options = {}) {
+    this.#options = hasherOptionsSchema.parse(options);
+  }
+
+  /**
+   * Hashes a plain text password with the current parameters
+   * @param {string} plain - The plain text password to hash
+   * @returns {Promise<string>} The encoded hash
+   */
+  async hash(plain) {
+    if (typeof plain !== 'string') {
+      throw new Error('Password must be a string');
+    }
+
+    const { type, memoryCost, timeCost, parallelism, pepper } = this.#options;
+    return argon2.hash(plain, {
+      type: ARGON2_TYPES[type],
+      memoryCost,
+      timeCost,
+      parallelism,
+      secret: this.#secret(pepper),
+    });
+  }
+
+  /**
+   * Verifies a plain text password against a hash
+   * @param {string} hash - The encoded hash
+   * @param {string} plain - The plain text password to verify
+   * @returns {Promise<boolean>} True if the password matches, false otherwise
+   */
+  async verify(hash, plain) {
+    return (await this.check(hash, plain)).valid;
+  }
+
+  /**
+   * Verifies a password and tells whether its hash should be upgraded
+   * @param {string} hash - The encoded hash
+   * @param {string} plain - The plain text password to verify
+   * @returns {Promise<{valid: boolean, needsRehash: boolean}>} The result
+   */
+  async check(hash, plain) {
+    if (typeof hash !== 'string' || typeof plain !== 'string') {
+      throw new Error('Hash and plain text must be strings');
+    }
+
+    const peppers = [this.#options.pepper ?? null, ...this.#options.previousPeppers];
+    for (const [index, pepper] of peppers.entries()) {
+      if (await argon2.verify(hash, plain, { secret: this.#secret(pepper) })) {
+        return { valid: true, needsRehash: index > 0 || this.needsRehash(hash) };
+      }
+    }
+
+    return { valid: false, needsRehash: false };
+  }
+
+  /**
+   * Tells whether a hash was made with other parameters than the current ones
+   * Pepper changes can't be seen in the hash; check() detects those
+   * @param {string} hash - The encoded hash
+   * @returns {boolean} True if the hash should be upgraded
+   */
+  needsRehash(hash) {
+    const { type, memoryCost, timeCost, parallelism } = this.#options;
+    return !hash.startsWith(`$${type}$`)
+      || argon2.needsRehash(hash, { memoryCost, timeCost, parallelism });
+  }
+
+  /**
+   * A hash of a random password made with the current parameters
+   * Verifying against it costs as much as verifying a real user's hash,
+   * so unknown accounts can't be told apart by response time
+   * @returns {Promise<string>} The dummy hash (computed once; retried after a failure)
+   */
+  async dummyHash() {
+    this.#dummyHash ??= this.hash(randomBytes(32).toString('base64url')).catch((error) => {
+      this.#dummyHash = null;
+      throw error;
+    });
+    return this.#dummyHash;
+  }
+
+  // argon2 expects the pepper as a Buffer
+  #secret(pepper) {
+    return pepper ? Buffer.from(pepper) : undefined;
+  }
+}
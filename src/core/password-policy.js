@@ -0,0 +1,172 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { z } from 'zod';
+
+/**
+ * Path of the common password list shipped with RyAuth
+ */
+export const COMMON_PASSWORDS_FILE = fileURLToPath(new URL('../../data/common-passwords.txt', import.meta.url));
+
+// Policy options schema
+const policyOptionsSchema = z.object({
+  minLength: z.number().int().positive().default(8),
+  maxLength: z.number().int().positive().default(128), // Bounds the hashing cost of a single request
+  requireLowercase: z.boolean().default(false),
+  requireUppercase: z.boolean().default(false),
+  requireDigit: z.boolean().default(false),
+  requireSymbol: z.boolean().default(false),
+  forbidEmailLocalPart: z.boolean().default(false),
+  breachedPasswords: z.array(z.string()).optional(),
+  breachedPasswordsFile: z.string().min(1).optional(), // One password per line, # for comments
+  rules: z.array(z.custom((rule) => typeof rule === 'function', 'rules must be functions')).default([]),
+}).refine((options) => options.minLength <= options.maxLength, {
+  message: 'minLength must not be greater than maxLength',
+  path: ['minLength'],
+});
+
+// Character class checks: option, reason code and message
+const CHARACTER_CLASSES = [
+  ['requireLowercase', 'missing_lowercase', /\p{Ll}/u, 'Password must contain a lowercase letter'],
+  ['requireUppercase', 'missing_uppercase', /\p{Lu}/u, 'Password must contain an uppercase letter'],
+  ['requireDigit', 'missing_digit', /\p{Nd}/u, 'Password must contain a digit'],
+  ['requireSymbol', 'missing_symbol', /[^\p{L}\p{Nd}]/u, 'Password must contain a symbol'],
+];
+
+// Local-parts shorter than this match too many passwords by accident
+const MIN_LOCAL_PART_LENGTH = 3;
+
+/**
+ * Reads a password list file, skipping blank lines and # comments
+ * @param {string} path - Path of the file
+ * @returns {string[]} The passwords
+ */
+function readPasswordList(path) {
+  return readFileSync(path, 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+/**
+ * Error thrown when a password breaks the policy
+ * `reasons` lists every violation, not just the first one
+ */
+export class PasswordPolicyError extends Error {
+  /**
+   * Create PasswordPolicyError instance
+   * @param {{code: string, message: string}[]} reasons - The violations
+   */
+  constructor(reasons) {
+    super(reasons[0].message);
+    this.name = 'PasswordPolicyError';
+    this.reasons = reasons;
+  }
+}
+
+/**
+ * PasswordPolicy class
+ * Checks new passwords against length, character class, email and breached-list rules
+ */
+export class PasswordPolicy {
+  #options;
+  #breached;
+
+  /**
+   * Create PasswordPolicy instance
+   * The defaults only enforce 8 to 128 characters; every other rule is opt-in
+   * @param {object} [options] - Policy options
+   * @param {number} [options.minLength=8] - Minimum length
+   * @param {number} [options.maxLength=128] - Maximum length
+   * @param {boolean} [options.requireLowercase=false] - Require a lowercase letter
+   * @param {boolean} [options.requireUppercase=false] - Require an uppercase letter
+   * @param {boolean} [options.requireDigit=false] - Require a digit
+   * @param {boolean} [options.requireSymbol=false] - Require a character that is neither a letter nor a digit
+   * @param {boolean} [options.forbidEmailLocalPart=false] - Reject passwords containing the part of the email before the @
+   * @param {string[]} [options.breachedPasswords] - Passwords to reject, compared case-insensitively
+   * @param {string} [options.breachedPasswordsFile] - File of passwords to reject, such as COMMON_PASSWORDS_FILE
+   * @param {function(string, object): ({code: string, message: string}|null)} [options.rules] - Custom rules
+   *   called with the password and `{ email }`, returning a violation or null
+   * @throws {ZodError} If the options are invalid
+   */
+  constructor(options = {}) {
+    this.#options = policyOptionsSchema.parse(options);
+
+    // Loaded once, so checks never touch the disk (or the network)
+    this.#breached = new Set([
+      ...(this.#options.breachedPasswords ?? []),
+      ...(this.#options.breachedPasswordsFile ? readPasswordList(this.#options.breachedPasswordsFile) : []),
+    ].map((password) => password.toLowerCase()));
+  }
+
+  /**
+   * Checks a password against every rule
+   * @param {string} password - The candidate password
+   * @param {object} [context] - Account details
+   * @param {string} [context.email] - The account's email address
+   * @returns {{valid: boolean, reasons: {code: string, message: string}[]}} The result with every violation
+   */
+  check(password, { email } = {}) {
+    if (typeof password !== 'string') {
+      return { valid: false, reasons: [{ code: 'invalid_type', message: 'Password must be a string' }] };
+    }
+
+    const options = this.#options;
+    const reasons = [];
+    // Count code points so emoji and accented letters count once
+    const length = [...password].length;
+
+    if (length < options.minLength) {
+      reasons.push({
+        code: 'too_short',
+        message: `Password must be at least ${options.minLength} characters`,
+        minLength: options.minLength,
+      });
+    }
+    if (length > options.maxLength) {
+      reasons.push({
+        code: 'too_long',
+        message: `Password must be at most ${options.maxLength} characters`,
+        maxLength: options.maxLength,
+      });
+    }
+
+    for (const [option, code, pattern, message] of CHARACTER_CLASSES) {
+      if (options[option] && !pattern.test(password)) {
+        reasons.push({ code, message });
+      }
+    }
+
+    const localPart = typeof email === 'string' ? email.split('@')[0].toLowerCase() : '';
+    if (options.forbidEmailLocalPart && localPart.length >= MIN_LOCAL_PART_LENGTH
+      && password.toLowerCase().includes(localPart)) {
+      reasons.push({ code: 'contains_email', message: 'Password must not contain your email address' });
+    }
+
+    if (this.#breached.has(password.toLowerCase())) {
+      reasons.push({ code: 'breached', message: 'Password is too common or has appeared in a data breach' });
+    }
+
+    for (const rule of options.rules) {
+      const reason = rule(password, { email });
+      if (reason) {
+        reasons.push(reason);
+      }
+    }
+
+    return { valid: reasons.length === 0, reasons };
+  }
+
+  /**
+   * Checks a password and throws on any violation
+   * @param {string} password - The candidate password
+   * @param {object} [context] - Account details passed to check()
+   * @returns {void}
+   * @throws {PasswordPolicyError} With every violation in `reasons`
+   */
+  assert(password, context) {
+    const { valid, reasons } = this.check(password, context);
+    if (!valid) {
+      throw new PasswordPolicyError(reasons);
+    }
+  }
+}
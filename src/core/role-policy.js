@@ -0,0 +1,153 @@
+import { z } from 'zod';
+
+// Colon-separated names such as posts:write; a final * stands for any remaining segments
+const PERMISSION_PATTERN = /^(\*|[a-z0-9_-]+(:[a-z0-9_-]+)*(:\*)?)$/i;
+
+// A permission a route asks for; always concrete
+const REQUIRED_PERMISSION_PATTERN = /^[a-z0-9_-]+(:[a-z0-9_-]+)*$/i;
+
+// Policy options schema
+const roleSchema = z.object({
+  permissions: z.array(z.string().regex(PERMISSION_PATTERN, 'Permissions must be colon-separated names, optionally ending in :*'))
+    .default([]),
+  inherits: z.array(z.string().min(1)).default([]), // Roles whose permissions this role also has
+});
+
+const policyOptionsSchema = z.object({
+  roles: z.record(z.string().min(1), roleSchema),
+});
+
+/**
+ * Tells whether a granted permission covers a required one
+ * '*' covers everything and 'posts:*' covers 'posts:write' and 'posts:comments:delete', but not 'posts'.
+ * @param {string} granted - A permission held, possibly with a wildcard
+ * @param {string} required - The permission asked for
+ * @returns {boolean} True if granted covers required
+ */
+export function matchesPermission(granted, required) {
+  if (granted === '*' || granted === required) {
+    return true;
+  }
+  return granted.endsWith(':*') && required.startsWith(granted.slice(0, -1));
+}
+
+/**
+ * Checks that a permission a route asks for is concrete
+ * @param {string} permission - The required permission
+ * @returns {string} The permission
+ * @throws {Error} If it is malformed or has a wildcard
+ */
+export function checkRequiredPermission(permission) {
+  if (typeof permission !== 'string' || !REQUIRED_PERMISSION_PATTERN.test(permission)) {
+    throw new Error('Required permissions must be colon-separated names without wildcards');
+  }
+  return permission;
+}
+
+/**
+ * RolePolicy class
+ * Maps roles to permissions. Roles inherit every permission of the roles they name, so
+ * admin can build on editor and editor on user; a user holding several roles has them all.
+ */
+export class RolePolicy {
+  #roles = new Map(); // role -> { roles: role and every inherited role, permissions }
+
+  /**
+   * Create RolePolicy instance
+   * @param {object} options - Policy options
+   * @param {Object<string, {permissions?: string[], inherits?: string[]}>} options.roles - Each role's own
+   *   permissions and the roles it inherits from
+   * @throws {ZodError} If the options are invalid
+   * @throws {Error} If a role inherits an unknown role or inheritance has a cycle
+   */
+  constructor(options) {
+    const { roles } = policyOptionsSchema.parse(options);
+
+    for (const [name, role] of Object.entries(roles)) {
+      for (const parent of role.inherits) {
+        if (!Object.hasOwn(roles, parent)) {
+          throw new Error(`Role ${name} inherits unknown role ${parent}`);
+        }
+      }
+    }
+
+    for (const name of Object.keys(roles)) {
+      this.#resolve(roles, name, []);
+    }
+  }
+
+  /**
+   * Works out a role's inherited roles and permissions, depth first
+   * @param {object} roles - The parsed role definitions
+   * @param {string} name - The role
+   * @param {string[]} path - Roles being resolved above this one, to detect cycles
+   * @returns {{roles: string[], permissions: string[]}} The resolved role
+   * @throws {Error} If inheritance has a cycle
+   */
+  #resolve(roles, name, path) {
+    if (path.includes(name)) {
+      throw new Error(`Role inheritance cycle: ${[...path.slice(path.indexOf(name)), name].join(' -> ')}`);
+    }
+    if (this.#roles.has(name)) {
+      return this.#roles.get(name);
+    }
+
+    const expanded = new Set([name]);
+    const permissions = new Set(roles[name].permissions);
+    for (const parent of roles[name].inherits) {
+      const resolved = this.#resolve(roles, parent, [...path, name]);
+      resolved.roles.forEach((role) => expanded.add(role));
+      resolved.permissions.forEach((permission) => permissions.add(permission));
+    }
+
+    const resolved = { roles: [...expanded], permissions: [...permissions] };
+    this.#roles.set(name, resolved);
+    return resolved;
+  }
+
+  /**
+   * Role names defined by the policy
+   * @returns {string[]} The roles
+   */
+  get roles() {
+    return [...this.#roles.keys()];
+  }
+
+  /**
+   * Adds the roles that held roles inherit from
+   * Roles the policy doesn't define are kept but grant nothing.
+   * @param {string[]} roles - Roles a user holds
+   * @returns {string[]} Those roles followed by the inherited ones, without duplicates
+   */
+  expandRoles(roles) {
+    const expanded = new Set();
+    for (const role of roles) {
+      expanded.add(role);
+      this.#roles.get(role)?.roles.forEach((inherited) => expanded.add(inherited));
+    }
+    return [...expanded];
+  }
+
+  /**
+   * Permissions granted by a set of roles, including inherited ones
+   * @param {string[]} roles - Roles a user holds
+   * @returns {string[]} The granted permissions, sorted, possibly with wildcards
+   */
+  permissionsFor(roles) {
+    const permissions = new Set();
+    for (const role of roles) {
+      this.#roles.get(role)?.permissions.forEach((permission) => permissions.add(permission));
+    }
+    return [...permissions].sort();
+  }
+
+  /**
+   * Tells whether granted permissions cover a required one
+   * @param {string[]} permissions - Granted permissions, as from permissionsFor()
+   * @param {string} permission - The required permission
+   * @returns {boolean} True if any granted permission covers it
+   */
+  isGranted(permissions, permission) {
+    return permissions.some((granted) => matchesPermission(granted, permission));
+  }
+}
@@ -0,0 +1,86 @@
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync, randomBytes } from 'node:crypto';
+
+// Format tag for stored values, so the scheme can change later
+const VERSION = 'v1';
+
+/**
+ * SecretBox class
+ * Encrypts secrets that must be read back (such as TOTP secrets) with AES-256-GCM,
+ * and hashes ones that only need comparing (such as recovery codes) with a keyed HMAC.
+ * Both keys are derived from one application secret with HKDF.
+ */
+export class SecretBox {
+  #encryptionKey;
+  #hashKey;
+
+  /**
+   * Create SecretBox instance
+   * @param {string} secret - Application secret (minimum 32 characters), kept out of the database
+   */
+  constructor(secret) {
+    if (typeof secret !== 'string' || secret.length < 32) {
+      throw new Error('Secret must be at least 32 characters');
+    }
+
+    this.#encryptionKey = Buffer.from(hkdfSync('sha256', secret, '', 'ryauth:secret-box:encryption', 32));
+    this.#hashKey = Buffer.from(hkdfSync('sha256', secret, '', 'ryauth:secret-box:hash', 32));
+  }
+
+  /**
+   * Encrypts a value
+   * @param {string} plaintext - The value to encrypt
+   * @param {string} context - Bound to the ciphertext, e.g. the user ID, so it can't be moved to another record
+   * @returns {string} The sealed value in the form `v1.<iv>.<tag>.<ciphertext>`
+   */
+  encrypt(plaintext, context) {
+    if (typeof plaintext !== 'string' || typeof context !== 'string') {
+      throw new Error('Plaintext and context must be strings');
+    }
+
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', this.#encryptionKey, iv).setAAD(Buffer.from(context));
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+      .map((part) => (typeof part === 'string' ? part : part.toString('base64url')))
+      .join('.');
+  }
+
+  /**
+   * Decrypts a value sealed by encrypt()
+   * @param {string} sealed - The sealed value
+   * @param {string} context - The context it was encrypted with
+   * @returns {string} The plaintext
+   * @throws {Error} If the value was tampered with, or sealed with another secret or context
+   */
+  decrypt(sealed, context) {
+    const [version, iv, tag, ciphertext] = typeof sealed === 'string' ? sealed.split('.') : [];
+    if (version !== VERSION || !iv || !tag || ciphertext === undefined || typeof context !== 'string') {
+      throw new Error('Invalid sealed value');
+    }
+
+    try {
+      // A fixed tag length stops truncated tags from being accepted
+      const decipher = createDecipheriv('aes-256-gcm', this.#encryptionKey, Buffer.from(iv, 'base64url'), { authTagLength: 16 })
+        .setAAD(Buffer.from(context))
+        .setAuthTag(Buffer.from(tag, 'base64url'));
+      return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+    } catch {
+      throw new Error('Invalid sealed value');
+    }
+  }
+
+  /**
+   * Hashes a value for storage and later comparison
+   * Keyed, so a leaked table can't be brute-forced without the secret
+   * @param {string} value - The value to hash
+   * @returns {string} The base64url-encoded HMAC-SHA256
+   */
+  hash(value) {
+    if (typeof value !== 'string') {
+      throw new Error('Value must be a string');
+    }
+
+    return createHmac('sha256', this.#hashKey).update(value).digest('base64url');
+  }
+}
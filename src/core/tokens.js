@@ -0,0 +1,238 @@
+import { createHmac } from 'node:crypto';
+import { SignJWT, jwtVerify } from 'jose';
+import { loadKey } from './keys.js';
+import { KeyRing } from './keyring.js';
+
+/**
+ * Default access token lifetime in seconds (15 minutes)
+ */
+export const DEFAULT_ACCESS_TOKEN_TTL = 15 * 60;
+
+/**
+ * Default refresh token lifetime in seconds (7 days)
+ */
+export const DEFAULT_REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * TokenManager class
+ * Signs and verifies access and refresh tokens from instance configuration,
+ * so several configurations can live side by side in one process
+ */
+export class TokenManager {
+  #keyRing;
+  #refreshKey;
+  #accessTokenTtl;
+  #refreshTokenTtl;
+  #issuer;
+  #audience;
+
+  /**
+   * Create TokenManager instance
+   * @param {object} options - Token options
+   * @param {KeyRing} [options.keyRing] - Keys for signing and verifying access tokens
+   * @param {string} [options.refreshTokenSecret] - HS256 secret for refresh tokens (minimum 32 characters)
+   * @param {number} [options.accessTokenTtl=900] - Access token lifetime in seconds
+   * @param {number} [options.refreshTokenTtl=604800] - Refresh token lifetime in seconds
+   * @param {string} [options.issuer] - Value for the `iss` claim, enforced on verification
+   * @param {string|string[]} [options.audience] - Value for the `aud` claim, enforced on verification
+   */
+  constructor({
+    keyRing,
+    refreshTokenSecret,
+    accessTokenTtl = DEFAULT_ACCESS_TOKEN_TTL,
+    refreshTokenTtl = DEFAULT_REFRESH_TOKEN_TTL,
+    issuer,
+    audience,
+  } = {}) {
+    if (keyRing !== undefined && !(keyRing instanceof KeyRing)) {
+      throw new Error('keyRing must be a KeyRing');
+    }
+    if (!Number.isInteger(accessTokenTtl) || accessTokenTtl <= 0) {
+      throw new Error('accessTokenTtl must be a positive integer');
+    }
+    if (!Number.isInteger(refreshTokenTtl) || refreshTokenTtl <= 0) {
+      throw new Error('refreshTokenTtl must be a positive integer');
+    }
+
+    this.#keyRing = keyRing ?? null;
+    this.#refreshKey = refreshTokenSecret === undefined
+      ? null
+      : loadKey({ algorithm: 'HS256', secret: refreshTokenSecret });
+    this.#accessTokenTtl = accessTokenTtl;
+    this.#refreshTokenTtl = refreshTokenTtl;
+    this.#issuer = issuer;
+    this.#audience = audience;
+  }
+
+  /**
+   * Access token lifetime in seconds
+   * @returns {number} The lifetime
+   */
+  get accessTokenTtl() {
+    return this.#accessTokenTtl;
+  }
+
+  /**
+   * Refresh token lifetime in seconds
+   * @returns {number} The lifetime
+   */
+  get refreshTokenTtl() {
+    return this.#refreshTokenTtl;
+  }
+
+  /**
+   * Keys used for access tokens
+   * @returns {KeyRing|null} The key ring
+   */
+  get keyRing() {
+    return this.#keyRing;
+  }
+
+  /**
+   * Signs an access token with the active key
+   * @param {object} payload - The payload to sign
+   * @returns {Promise<string>} The signed JWT
+   */
+  async signAccessToken(payload) {
+    const key = this.#requireKeyRing().getActiveKey();
+
+    return this.#build(payload, this.#accessTokenTtl)
+      .setProtectedHeader({ alg: key.algorithm, kid: key.kid })
+      .sign(key.signingKey);
+  }
+
+  /**
+   * Signs a refresh token
+   * @param {object} payload - The payload to sign
+   * @returns {Promise<string>} The signed JWT
+   */
+  async signRefreshToken(payload) {
+    const key = this.#requireRefreshKey();
+
+    return this.#build(payload, this.#refreshTokenTtl)
+      .setProtectedHeader({ alg: key.algorithm })
+      .sign(key.signingKey);
+  }
+
+  /**
+   * Verifies a JWT token
+   * @param {string} token - The JWT token to verify
+   * @param {string} type - The token type ('access' or 'refresh')
+   * @returns {Promise<object>} The verified payload
+   */
+  async verifyJWT(token, type) {
+    if (typeof token !== 'string') {
+      throw new Error('Token must be a string');
+    }
+
+    let key;
+    let algorithms;
+    if (type === 'access') {
+      // Select the signing key by the token's kid header
+      const keyRing = this.#requireKeyRing();
+      key = keyRing.keyResolver();
+      algorithms = keyRing.getAlgorithms();
+    } else {
+      const refreshKey = this.#requireRefreshKey();
+      key = refreshKey.verificationKey;
+      algorithms = [refreshKey.algorithm];
+    }
+
+    try {
+      const { payload } = await jwtVerify(token, key, {
+        algorithms,
+        issuer: this.#issuer,
+        audience: this.#audience,
+      });
+      return payload;
+    } catch (error) {
+      // Expiry is reported separately so callers don't treat it as tampering
+      if (error.code === 'ERR_JWT_EXPIRED') {
+        throw new Error('Token expired');
+      }
+      throw new Error('Invalid token');
+    }
+  }
+
+  /**
+   * Derives the key under which adapters store a refresh token
+   * A keyed HMAC-SHA256, so a leaked token table can't be replayed and
+   * can't be matched against tokens without the refresh token secret
+   * @param {string} token - The raw refresh token
+   * @returns {string} The base64url-encoded token hash
+   */
+  hashRefreshToken(token) {
+    if (typeof token !== 'string') {
+      throw new Error('Token must be a string');
+    }
+
+    return createHmac('sha256', this.#requireRefreshKey().signingKey)
+      .update('ryauth:refresh-token:')
+      .update(token)
+      .digest('base64url');
+  }
+
+  /**
+   * Derives the hash under which adapters store an email one-time code
+   * Keyed like refresh token hashes: codes are short enough that an unkeyed
+   * hash could be reversed by trying every one
+   * @param {string} code - The code
+   * @param {string} context - What the code is bound to, e.g. its purpose and email
+   * @returns {string} The base64url-encoded code hash
+   */
+  hashOneTimeCode(code, context) {
+    if (typeof code !== 'string' || typeof context !== 'string') {
+      throw new Error('Code and context must be strings');
+    }
+
+    return createHmac('sha256', this.#requireRefreshKey().signingKey)
+      .update('ryauth:one-time-code:')
+      .update(context)
+      .update('\0')
+      .update(code)
+      .digest('base64url');
+  }
+
+  /**
+   * Promotes a new access token signing key
+   * @param {object} options - Key options accepted by KeyRing#rotateKeys
+   * @returns {string} The new active key ID
+   */
+  rotateKeys(options) {
+    return this.#requireKeyRing().rotateKeys(options);
+  }
+
+  /**
+   * Builds the JSON Web Key Set for verifying access tokens
+   * @returns {Promise<{keys: object[]}>} The JWKS document
+   */
+  async getJWKS() {
+    return this.#requireKeyRing().getJWKS();
+  }
+
+  // Common claims for both token types
+  #build(payload, ttl) {
+    const jwt = new SignJWT(payload)
+      .setIssuedAt()
+      .setExpirationTime(`${ttl}s`)
+      .setJti(crypto.randomUUID()); // Add unique JWT ID
+
+    if (this.#issuer) jwt.setIssuer(this.#issuer);
+    if (this.#audience) jwt.setAudience(this.#audience);
+    return jwt;
+  }
+
+  #requireKeyRing() {
+    if (!this.#keyRing) {
+      throw new Error('Access token keys are not configured');
+    }
+    return this.#keyRing;
+  }
+
+  #requireRefreshKey() {
+    if (!this.#refreshKey) {
+      throw new Error('Refresh token secret is not configured');
+    }
+    return this.#refreshKey;
+  }
+}
@@ -0,0 +1,187 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+// RFC 4648 base32 alphabet, used by authenticator apps for secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// HMAC algorithms allowed by RFC 6238, with their otpauth:// names
+const ALGORITHMS = { sha1: 'SHA1', sha256: 'SHA256', sha512: 'SHA512' };
+
+/**
+ * Default TOTP parameters, understood by every common authenticator app
+ */
+export const TOTP_DEFAULTS = Object.freeze({ digits: 6, period: 30, algorithm: 'sha1' });
+
+/**
+ * Encodes bytes as unpadded base32
+ * @param {Buffer} buffer - The bytes to encode
+ * @returns {string} The base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodes base32, ignoring case, spaces and padding
+ * @param {string} input - The base32 string
+ * @returns {Buffer} The decoded bytes
+ */
+export function base32Decode(input) {
+  if (typeof input !== 'string') {
+    throw new Error('Base32 input must be a string');
+  }
+
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+}
+
+/**
+ * Generates a random TOTP secret
+ * @returns {string} 160 random bits, base32-encoded (the size RFC 4226 recommends for SHA-1)
+ */
+export function generateTotpSecret() {
+  return base32Encode(randomBytes(20));
+}
+
+// Accept raw key bytes or a base32 secret
+function toKey(secret) {
+  return Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+}
+
+/**
+ * Computes an HOTP code (RFC 4226)
+ * @param {Buffer|string} secret - Key bytes or base32 secret
+ * @param {number} counter - The moving factor
+ * @param {object} [options] - Code options
+ * @param {number} [options.digits=6] - Code length
+ * @param {string} [options.algorithm='sha1'] - sha1, sha256 or sha512
+ * @returns {string} The zero-padded code
+ */
+export function generateHotp(secret, counter, { digits = TOTP_DEFAULTS.digits, algorithm = TOTP_DEFAULTS.algorithm } = {}) {
+  if (!ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported algorithm "${algorithm}" - expected one of ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = createHmac(algorithm, toKey(secret)).update(message).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Computes a TOTP code (RFC 6238)
+ * @param {Buffer|string} secret - Key bytes or base32 secret
+ * @param {object} [options] - Code options
+ * @param {number} [options.time=Date.now()] - The time in milliseconds
+ * @param {number} [options.period=30] - Time step in seconds
+ * @param {number} [options.digits=6] - Code length
+ * @param {string} [options.algorithm='sha1'] - sha1, sha256 or sha512
+ * @returns {string} The zero-padded code
+ */
+export function generateTotp(secret, { time = Date.now(), period = TOTP_DEFAULTS.period, ...options } = {}) {
+  return generateHotp(secret, Math.floor(time / 1000 / period), options);
+}
+
+/**
+ * Verifies a TOTP code, allowing for clock drift
+ * Every candidate step is compared in constant time
+ * @param {Buffer|string} secret - Key bytes or base32 secret
+ * @param {string} code - The code entered by the user
+ * @param {object} [options] - Code options
+ * @param {number} [options.window=1] - Steps accepted either side of the current one
+ * @param {number} [options.time=Date.now()] - The time in milliseconds
+ * @param {number} [options.period=30] - Time step in seconds
+ * @param {number} [options.digits=6] - Code length
+ * @param {string} [options.algorithm='sha1'] - sha1, sha256 or sha512
+ * @returns {number|null} The matching time step (for replay checks), or null
+ */
+export function verifyTotp(secret, code, { window = 1, time = Date.now(), period = TOTP_DEFAULTS.period, ...options } = {}) {
+  const digits = options.digits ?? TOTP_DEFAULTS.digits;
+  if (typeof code !== 'string' || code.length !== digits || !/^\d+$/.test(code)) {
+    return null;
+  }
+
+  const current = Math.floor(time / 1000 / period);
+  const given = Buffer.from(code);
+  let matched = null;
+
+  for (let step = Math.max(0, current - window); step <= current + window; step++) {
+    const expected = Buffer.from(generateHotp(secret, step, options));
+    // No early exit, so the match position doesn't show in the timing
+    if (timingSafeEqual(expected, given) && matched === null) {
+      matched = step;
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code
+ * @param {object} options - URI options
+ * @param {string} options.secret - The base32 secret
+ * @param {string} options.accountName - Shown in the app, usually the email
+ * @param {string} options.issuer - Shown in the app, usually the product name
+ * @param {number} [options.digits=6] - Code length
+ * @param {number} [options.period=30] - Time step in seconds
+ * @param {string} [options.algorithm='sha1'] - sha1, sha256 or sha512
+ * @returns {string} The otpauth URI
+ */
+export function buildOtpauthUri({
+  secret,
+  accountName,
+  issuer,
+  digits = TOTP_DEFAULTS.digits,
+  period = TOTP_DEFAULTS.period,
+  algorithm = TOTP_DEFAULTS.algorithm,
+}) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: ALGORITHMS[algorithm],
+    digits: String(digits),
+    period: String(period),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
@@ -0,0 +1,506 @@
+import { X509Certificate, createHash, createPublicKey, timingSafeEqual, verify } from 'node:crypto';
+import { z } from 'zod';
+import { decodeCbor, decodeCborItem } from './cbor.js';
+
+// COSE algorithm identifiers accepted for credentials and attestation signatures
+export const COSE_ALGORITHMS = Object.freeze({ ES256: -7, RS256: -257 });
+
+// Authenticator data flag bits
+const FLAGS = { userPresent: 0x01, userVerified: 0x04, backupEligible: 0x08, backedUp: 0x10, attestedCredentialData: 0x40, extensionData: 0x80 };
+
+// id-fido-gen-ce-aaguid (1.3.6.1.4.1.45724.1.1.4), DER-encoded
+const AAGUID_EXTENSION_OID = Buffer.from('060b2b0601040182e51c010104', 'hex');
+
+const base64url = z.string().regex(/^[A-Za-z0-9_-]*$/, 'Expected a base64url string');
+
+// Relying party options schema
+const relyingPartySchema = z.object({
+  rpId: z.string().min(1), // Registrable domain, e.g. 'example.com'
+  rpName: z.string().min(1),
+  origins: z.union([z.string().url(), z.array(z.string().url()).min(1)])
+    .transform((origins) => (Array.isArray(origins) ? origins : [origins])),
+  userVerification: z.enum(['required', 'preferred', 'discouraged']).default('preferred'),
+  attestation: z.enum(['none', 'direct']).default('none'),
+  timeout: z.number().int().positive().default(5 * 60 * 1000), // Milliseconds; also the challenge lifetime
+  algorithms: z.array(z.union([z.literal(COSE_ALGORITHMS.ES256), z.literal(COSE_ALGORITHMS.RS256)]))
+    .min(1)
+    .default([COSE_ALGORITHMS.ES256, COSE_ALGORITHMS.RS256]),
+});
+
+// Browser responses, as serialized by PublicKeyCredential.toJSON()
+const registrationResponseSchema = z.object({
+  id: base64url.min(1, 'Credential ID is required'),
+  rawId: base64url.optional(),
+  type: z.literal('public-key', { message: 'Credential type must be public-key' }),
+  response: z.object({
+    clientDataJSON: base64url,
+    attestationObject: base64url,
+    transports: z.array(z.string()).optional(),
+  }),
+});
+
+const authenticationResponseSchema = z.object({
+  id: base64url.min(1, 'Credential ID is required'),
+  rawId: base64url.optional(),
+  type: z.literal('public-key', { message: 'Credential type must be public-key' }),
+  response: z.object({
+    clientDataJSON: base64url,
+    authenticatorData: base64url,
+    signature: base64url,
+    userHandle: base64url.nullable().optional(),
+  }),
+});
+
+/**
+ * Reads the client data the browser signed over
+ * @param {string} clientDataJSON - base64url-encoded client data
+ * @returns {{type: string, challenge: string, origin: string, crossOrigin?: boolean}} The parsed client data
+ * @throws {Error} If it isn't valid client data
+ */
+export function parseClientDataJSON(clientDataJSON) {
+  let clientData;
+  try {
+    clientData = JSON.parse(Buffer.from(clientDataJSON, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid client data');
+  }
+
+  if (typeof clientData?.type !== 'string' || typeof clientData.challenge !== 'string' || typeof clientData.origin !== 'string') {
+    throw new Error('Invalid client data');
+  }
+  return clientData;
+}
+
+/**
+ * Parses authenticator data (WebAuthn §6.1)
+ * @param {Buffer} authData - The raw authenticator data
+ * @returns {object} rpIdHash, flags, signCount and, when present, aaguid, credentialId and credentialPublicKey
+ * @throws {Error} If the data is truncated or malformed
+ */
+export function parseAuthenticatorData(authData) {
+  if (!Buffer.isBuffer(authData) || authData.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+
+  const flagBits = authData[32];
+  const flags = Object.fromEntries(Object.entries(FLAGS).map(([name, bit]) => [name, (flagBits & bit) !== 0]));
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags,
+    signCount: authData.readUInt32BE(33),
+  };
+
+  let offset = 37;
+  if (flags.attestedCredentialData) {
+    if (authData.length < offset + 18) {
+      throw new Error('Authenticator data is too short');
+    }
+    parsed.aaguid = authData.subarray(offset, offset + 16);
+    const idLength = authData.readUInt16BE(offset + 16);
+    offset += 18;
+    if (authData.length < offset + idLength) {
+      throw new Error('Authenticator data is too short');
+    }
+    parsed.credentialId = authData.subarray(offset, offset + idLength);
+    offset += idLength;
+
+    // The COSE key is followed directly by any extensions, so its length comes from decoding it
+    const { end } = decodeCborItem(authData, offset);
+    parsed.credentialPublicKey = authData.subarray(offset, end);
+    offset = end;
+  }
+  if (flags.extensionData) {
+    const { value, end } = decodeCborItem(authData, offset);
+    parsed.extensions = value;
+    offset = end;
+  }
+  if (offset !== authData.length) {
+    throw new Error('Unexpected data after authenticator data');
+  }
+
+  return parsed;
+}
+
+/**
+ * Converts a COSE_Key (RFC 9053) to a Node.js public key
+ * @param {Buffer} coseKey - The CBOR-encoded COSE key
+ * @returns {{algorithm: number, publicKey: KeyObject}} The COSE algorithm and the key
+ * @throws {Error} If the key type or algorithm isn't supported
+ */
+export function coseToPublicKey(coseKey) {
+  const key = decodeCbor(coseKey);
+  if (!(key instanceof Map)) {
+    throw new Error('Invalid COSE key');
+  }
+
+  const algorithm = key.get(3);
+  try {
+    if (algorithm === COSE_ALGORITHMS.ES256 && key.get(1) === 2 && key.get(-1) === 1) {
+      const jwk = { kty: 'EC', crv: 'P-256', x: key.get(-2).toString('base64url'), y: key.get(-3).toString('base64url') };
+      return { algorithm, publicKey: createPublicKey({ key: jwk, format: 'jwk' }) };
+    }
+    if (algorithm === COSE_ALGORITHMS.RS256 && key.get(1) === 3) {
+      const jwk = { kty: 'RSA', n: key.get(-1).toString('base64url'), e: key.get(-2).toString('base64url') };
+      return { algorithm, publicKey: createPublicKey({ key: jwk, format: 'jwk' }) };
+    }
+  } catch {
+    throw new Error('Invalid COSE key');
+  }
+  throw new Error(`Unsupported COSE algorithm ${algorithm}`);
+}
+
+/**
+ * Checks a WebAuthn signature
+ * ES256 signatures are DER-encoded, which is Node's default for ECDSA
+ * @param {number} algorithm - COSE algorithm
+ * @param {KeyObject} publicKey - The signer's public key
+ * @param {Buffer} data - The signed bytes
+ * @param {Buffer} signature - The signature
+ * @returns {boolean} True if the signature is valid
+ */
+function verifySignature(algorithm, publicKey, data, signature) {
+  if (algorithm !== COSE_ALGORITHMS.ES256 && algorithm !== COSE_ALGORITHMS.RS256) {
+    return false;
+  }
+  try {
+    return verify('sha256', data, publicKey, signature);
+  } catch {
+    return false;
+  }
+}
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest();
+}
+
+function equalBytes(a, b) {
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Formats a 16-byte AAGUID as a UUID string
+function formatAaguid(aaguid) {
+  const hex = aaguid.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Checks the attestation certificate rules for the packed format (WebAuthn §8.2.1)
+ * @param {X509Certificate} certificate - The leaf certificate
+ * @param {Buffer} aaguid - The AAGUID from the authenticator data
+ * @throws {Error} If a rule is broken
+ */
+function checkPackedCertificate(certificate, aaguid) {
+  const subject = certificate.subject.split('\n');
+  const has = (prefix) => subject.some((entry) => entry.startsWith(prefix));
+  if (!subject.includes('OU=Authenticator Attestation') || !has('C=') || !has('O=') || !has('CN=')) {
+    throw new Error('Attestation certificate subject is invalid');
+  }
+  if (certificate.ca) {
+    throw new Error('Attestation certificate must not be a CA');
+  }
+
+  const now = new Date();
+  if (new Date(certificate.validFrom) > now || new Date(certificate.validTo) < now) {
+    throw new Error('Attestation certificate is not valid at this time');
+  }
+
+  // When the certificate names an AAGUID it must be the authenticator's (OCTET STRING in an OCTET STRING)
+  const raw = certificate.raw;
+  const at = raw.indexOf(AAGUID_EXTENSION_OID);
+  if (at !== -1) {
+    const value = raw.subarray(at + AAGUID_EXTENSION_OID.length);
+    if (value[0] !== 0x04 || value[1] !== 0x12 || value[2] !== 0x04 || value[3] !== 0x10
+      || !equalBytes(value.subarray(4, 20), aaguid)) {
+      throw new Error('Attestation certificate AAGUID does not match');
+    }
+  }
+}
+
+/**
+ * Verifies a "packed" attestation statement (WebAuthn §8.2)
+ * @returns {{type: string, certificates: string[]}} 'basic' with the x5c chain (PEM), or 'self'
+ */
+function verifyPackedAttestation(attStmt, authData, clientDataHash, credential) {
+  const algorithm = attStmt.get('alg');
+  const signature = attStmt.get('sig');
+  if (!Buffer.isBuffer(signature)) {
+    throw new Error('Attestation signature is missing');
+  }
+  const signed = Buffer.concat([authData, clientDataHash]);
+
+  const x5c = attStmt.get('x5c');
+  if (x5c === undefined) {
+    if (algorithm !== credential.algorithm || !verifySignature(algorithm, credential.publicKey, signed, signature)) {
+      throw new Error('Attestation signature is invalid');
+    }
+    return { type: 'self', certificates: [] };
+  }
+
+  if (!Array.isArray(x5c) || x5c.length === 0 || !x5c.every(Buffer.isBuffer)) {
+    throw new Error('Attestation certificate chain is invalid');
+  }
+  let certificates;
+  try {
+    certificates = x5c.map((der) => new X509Certificate(der));
+  } catch {
+    throw new Error('Attestation certificate chain is invalid');
+  }
+  for (let i = 0; i < certificates.length - 1; i++) {
+    if (!certificates[i].verify(certificates[i + 1].publicKey)) {
+      throw new Error('Attestation certificate chain is invalid');
+    }
+  }
+
+  checkPackedCertificate(certificates[0], credential.aaguid);
+  if (!verifySignature(algorithm, certificates[0].publicKey, signed, signature)) {
+    throw new Error('Attestation signature is invalid');
+  }
+  return { type: 'basic', certificates: certificates.map((certificate) => certificate.toString()) };
+}
+
+/**
+ * RelyingParty class
+ * Builds WebAuthn ceremony options and verifies what authenticators send back.
+ * Challenges and credentials are stored by the caller; this class only does the checks.
+ */
+export class RelyingParty {
+  #options;
+
+  /**
+   * Create RelyingParty instance
+   * @param {object} options - Relying party options
+   * @param {string} options.rpId - Domain the credentials are scoped to, e.g. 'example.com'
+   * @param {string} options.rpName - Name shown by the browser
+   * @param {string|string[]} options.origins - Origins allowed to run ceremonies, e.g. 'https://app.example.com'
+   * @param {string} [options.userVerification='preferred'] - 'required', 'preferred' or 'discouraged'
+   * @param {string} [options.attestation='none'] - 'none' or 'direct'
+   * @param {number} [options.timeout=300000] - Ceremony timeout in milliseconds, also the challenge lifetime
+   * @param {number[]} [options.algorithms=[-7, -257]] - Accepted COSE algorithms, most preferred first
+   * @throws {ZodError} If the options are invalid
+   */
+  constructor(options) {
+    this.#options = relyingPartySchema.parse(options);
+  }
+
+  /**
+   * Ceremony timeout in milliseconds
+   * @returns {number} The timeout
+   */
+  get timeout() {
+    return this.#options.timeout;
+  }
+
+  /**
+   * Options for navigator.credentials.create(), in their JSON form
+   * @param {object} params - Ceremony parameters
+   * @param {string} params.challenge - base64url-encoded random challenge
+   * @param {{id: string, name: string, displayName?: string}} params.user - The account; `id` is the user ID
+   * @param {{credentialId: string, transports?: string[]}[]} [params.excludeCredentials] - Credentials the user already has
+   * @returns {object} PublicKeyCredentialCreationOptionsJSON
+   */
+  registrationOptions({ challenge, user, excludeCredentials = [] }) {
+    const { rpId, rpName, userVerification, attestation, timeout, algorithms } = this.#options;
+    return {
+      challenge,
+      rp: { id: rpId, name: rpName },
+      user: {
+        id: Buffer.from(user.id).toString('base64url'),
+        name: user.name,
+        displayName: user.displayName ?? user.name,
+      },
+      pubKeyCredParams: algorithms.map((alg) => ({ type: 'public-key', alg })),
+      timeout,
+      attestation,
+      excludeCredentials: excludeCredentials.map(({ credentialId, transports }) => ({
+        type: 'public-key',
+        id: credentialId,
+        ...(transports?.length ? { transports } : {}),
+      })),
+      authenticatorSelection: { residentKey: 'preferred', userVerification },
+    };
+  }
+
+  /**
+   * Options for navigator.credentials.get(), in their JSON form
+   * Without allowCredentials, the browser offers every passkey it has for the RP ID
+   * @param {object} params - Ceremony parameters
+   * @param {string} params.challenge - base64url-encoded random challenge
+   * @param {{credentialId: string, transports?: string[]}[]} [params.allowCredentials] - Credentials to offer
+   * @returns {object} PublicKeyCredentialRequestOptionsJSON
+   */
+  authenticationOptions({ challenge, allowCredentials = [] }) {
+    const { rpId, userVerification, timeout } = this.#options;
+    return {
+      challenge,
+      rpId,
+      timeout,
+      userVerification,
+      allowCredentials: allowCredentials.map(({ credentialId, transports }) => ({
+        type: 'public-key',
+        id: credentialId,
+        ...(transports?.length ? { transports } : {}),
+      })),
+    };
+  }
+
+  /**
+   * Checks client data against the expected ceremony, challenge and origins
+   * @param {string} clientDataJSON - base64url-encoded client data
+   * @param {string} type - 'webauthn.create' or 'webauthn.get'
+   * @param {string} expectedChallenge - The challenge that was issued
+   * @returns {Buffer} SHA-256 of the client data, as signed by the authenticator
+   */
+  #verifyClientData(clientDataJSON, type, expectedChallenge) {
+    const clientData = parseClientDataJSON(clientDataJSON);
+    if (clientData.type !== type) {
+      throw new Error(`Client data type must be ${type}`);
+    }
+    if (!equalBytes(Buffer.from(clientData.challenge), Buffer.from(expectedChallenge))) {
+      throw new Error('Challenge does not match');
+    }
+    if (!this.#options.origins.includes(clientData.origin)) {
+      throw new Error(`Origin ${clientData.origin} is not allowed`);
+    }
+    // Ceremonies run inside a cross-origin iframe aren't supported
+    if (clientData.crossOrigin === true) {
+      throw new Error('Cross-origin ceremonies are not allowed');
+    }
+    return sha256(Buffer.from(clientDataJSON, 'base64url'));
+  }
+
+  /**
+   * Checks the RP ID hash and user presence/verification flags
+   * @param {object} authData - Parsed authenticator data
+   */
+  #verifyAuthenticatorData(authData) {
+    if (!equalBytes(authData.rpIdHash, sha256(this.#options.rpId))) {
+      throw new Error('RP ID does not match');
+    }
+    if (!authData.flags.userPresent) {
+      throw new Error('User presence is required');
+    }
+    if (this.#options.userVerification === 'required' && !authData.flags.userVerified) {
+      throw new Error('User verification is required');
+    }
+  }
+
+  /**
+   * Verifies a registration (attestation) response
+   * Supports the 'none' and 'packed' attestation formats. For 'packed' with a certificate chain,
+   * the signature and certificate rules are checked; whether to trust the chain's root is up to the caller.
+   * @param {object} response - The credential from navigator.credentials.create(), as JSON
+   * @param {string} expectedChallenge - The challenge from registrationOptions()
+   * @returns {object} The credential to store: credentialId, publicKey (base64url COSE key), algorithm,
+   *   signCount, aaguid, backupEligible, backedUp, transports, and the attestation type and certificates
+   * @throws {Error} If any check fails
+   */
+  verifyRegistration(response, expectedChallenge) {
+    const validated = registrationResponseSchema.safeParse(response);
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+    const { id, rawId, response: attestation } = validated.data;
+    if (rawId !== undefined && rawId !== id) {
+      throw new Error('Credential ID does not match');
+    }
+
+    const clientDataHash = this.#verifyClientData(attestation.clientDataJSON, 'webauthn.create', expectedChallenge);
+
+    let attestationObject;
+    try {
+      attestationObject = decodeCbor(Buffer.from(attestation.attestationObject, 'base64url'));
+    } catch {
+      throw new Error('Invalid attestation object');
+    }
+    const fmt = attestationObject instanceof Map ? attestationObject.get('fmt') : undefined;
+    const attStmt = attestationObject instanceof Map ? attestationObject.get('attStmt') : undefined;
+    const rawAuthData = attestationObject instanceof Map ? attestationObject.get('authData') : undefined;
+    if (typeof fmt !== 'string' || !(attStmt instanceof Map) || !Buffer.isBuffer(rawAuthData)) {
+      throw new Error('Invalid attestation object');
+    }
+
+    const authData = parseAuthenticatorData(rawAuthData);
+    this.#verifyAuthenticatorData(authData);
+    if (!authData.flags.attestedCredentialData) {
+      throw new Error('Attested credential data is missing');
+    }
+    if (authData.credentialId.toString('base64url') !== id) {
+      throw new Error('Credential ID does not match');
+    }
+
+    const { algorithm, publicKey } = coseToPublicKey(authData.credentialPublicKey);
+    if (!this.#options.algorithms.includes(algorithm)) {
+      throw new Error(`Unsupported COSE algorithm ${algorithm}`);
+    }
+
+    let attested;
+    if (fmt === 'none') {
+      if (attStmt.size !== 0) {
+        throw new Error('Attestation statement must be empty for the none format');
+      }
+      attested = { type: 'none', certificates: [] };
+    } else if (fmt === 'packed') {
+      attested = verifyPackedAttestation(attStmt, rawAuthData, clientDataHash, { algorithm, publicKey, aaguid: authData.aaguid });
+    } else {
+      throw new Error(`Unsupported attestation format ${fmt}`);
+    }
+
+    return {
+      credentialId: id,
+      publicKey: authData.credentialPublicKey.toString('base64url'),
+      algorithm,
+      signCount: authData.signCount,
+      aaguid: formatAaguid(authData.aaguid),
+      backupEligible: authData.flags.backupEligible,
+      backedUp: authData.flags.backedUp,
+      userVerified: authData.flags.userVerified,
+      transports: attestation.transports ?? [],
+      attestation: { format: fmt, ...attested },
+    };
+  }
+
+  /**
+   * Verifies an authentication (assertion) response against a stored credential
+   * A signature counter that doesn't increase means two authenticators share the key,
+   * so the assertion is rejected. Authenticators that always report 0 don't count.
+   * @param {object} response - The credential from navigator.credentials.get(), as JSON
+   * @param {string} expectedChallenge - The challenge from authenticationOptions()
+   * @param {{credentialId: string, publicKey: string, signCount: number}} credential - The stored credential
+   * @returns {{signCount: number, userVerified: boolean, backedUp: boolean, userHandle: string|null}} The new
+   *   counter and flags to store, and the user handle (the user ID) if the authenticator sent one
+   * @throws {Error} If any check fails
+   */
+  verifyAuthentication(response, expectedChallenge, credential) {
+    const validated = authenticationResponseSchema.safeParse(response);
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+    const { id, rawId, response: assertion } = validated.data;
+    if ((rawId !== undefined && rawId !== id) || id !== credential.credentialId) {
+      throw new Error('Credential ID does not match');
+    }
+
+    const clientDataHash = this.#verifyClientData(assertion.clientDataJSON, 'webauthn.get', expectedChallenge);
+
+    const rawAuthData = Buffer.from(assertion.authenticatorData, 'base64url');
+    const authData = parseAuthenticatorData(rawAuthData);
+    this.#verifyAuthenticatorData(authData);
+
+    const { algorithm, publicKey } = coseToPublicKey(Buffer.from(credential.publicKey, 'base64url'));
+    const signed = Buffer.concat([rawAuthData, clientDataHash]);
+    if (!verifySignature(algorithm, publicKey, signed, Buffer.from(assertion.signature, 'base64url'))) {
+      throw new Error('Signature is invalid');
+    }
+
+    if ((authData.signCount > 0 || credential.signCount > 0) && authData.signCount <= credential.signCount) {
+      throw new Error('Signature counter did not increase - the authenticator may be cloned');
+    }
+
+    return {
+      signCount: authData.signCount,
+      userVerified: authData.flags.userVerified,
+      backedUp: authData.flags.backedUp,
+      userHandle: assertion.userHandle ? Buffer.from(assertion.userHandle, 'base64url').toString('utf8') : null,
+    };
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * BaseMailer class defining the contract for sending auth emails
+ * This is an abstract class that concrete mailers must implement;
+ * the application owns templates, links and the delivery provider
+ */
+export class BaseMailer {
+  /**
+   * Sends an email verification token
+   * @param {object} message - Message details
+   * @param {string} message.to - Recipient email address
+   * @param {string} message.token - The raw verification token to embed in a link
+   * @param {string} message.userId - The user being verified
+   * @param {Date} message.expiresAt - When the token stops working
+   * @returns {Promise<void>}
+   */
+  async sendVerificationEmail(message) {
+    throw new Error('Method sendVerificationEmail() must be implemented');
+  }
+
+  /**
+   * Sends a password reset token
+   * @param {object} message - Message details
+   * @param {string} message.to - Recipient email address
+   * @param {string} message.token - The raw reset token to embed in a link
+   * @param {string} message.userId - The user resetting their password
+   * @param {Date} message.expiresAt - When the token stops working
+   * @returns {Promise<void>}
+   */
+  async sendPasswordResetEmail(message) {
+    throw new Error('Method sendPasswordResetEmail() must be implemented');
+  }
+
+  /**
+   * Sends a magic sign-in link token
+   * @param {object} message - Message details
+   * @param {string} message.to - Recipient email address
+   * @param {string} message.token - The raw sign-in token to embed in a link
+   * @param {string|null} message.userId - The user signing in; null when the account will be created on first use
+   * @param {Date} message.expiresAt - When the token stops working
+   * @param {string|null} message.redirectUrl - Where the user wanted to go after signing in
+   * @returns {Promise<void>}
+   */
+  async sendMagicLinkEmail(message) {
+    throw new Error('Method sendMagicLinkEmail() must be implemented');
+  }
+
+  /**
+   * Sends a numeric one-time code, for clients that can't open links
+   * @param {object} message - Message details
+   * @param {string} message.to - Recipient email address
+   * @param {string} message.code - The code for the user to type in
+   * @param {string} message.purpose - What the code is for: 'login', 'verify' or 'reset'
+   * @param {string} message.userId - The user the code was issued for
+   * @param {Date} message.expiresAt - When the code stops working
+   * @returns {Promise<void>}
+   */
+  async sendOtpEmail(message) {
+    throw new Error('Method sendOtpEmail() must be implemented');
+  }
+}
@@ -0,0 +1,71 @@
+import { BaseMailer } from './base.js';
+
+/**
+ * In-memory mailer implementation for testing
+ * Records every message instead of delivering it
+ */
+export class MemoryMailer extends BaseMailer {
+  #messages = []; // { type, to, ...details }
+
+  /**
+   * Records an email verification message
+   * @param {object} message - Message details including to and token
+   * @returns {Promise<void>}
+   */
+  async sendVerificationEmail(message) {
+    this.#messages.push({ type: 'verification', ...message });
+  }
+
+  /**
+   * Records a password reset message
+   * @param {object} message - Message details including to and token
+   * @returns {Promise<void>}
+   */
+  async sendPasswordResetEmail(message) {
+    this.#messages.push({ type: 'password-reset', ...message });
+  }
+
+  /**
+   * Records a magic link message
+   * @param {object} message - Message details including to and token
+   * @returns {Promise<void>}
+   */
+  async sendMagicLinkEmail(message) {
+    this.#messages.push({ type: 'magic-link', ...message });
+  }
+
+  /**
+   * Records a one-time code message
+   * @param {object} message - Message details including to, code and purpose
+   * @returns {Promise<void>}
+   */
+  async sendOtpEmail(message) {
+    this.#messages.push({ type: 'otp', ...message });
+  }
+
+  /**
+   * Messages sent so far, oldest first
+   * @returns {object[]} Copies of the recorded messages
+   */
+  get messages() {
+    return this.#messages.map((message) => ({ ...message }));
+  }
+
+  /**
+   * Returns the most recent message sent to an address
+   * @param {string} to - Recipient email address
+   * @returns {object|null} The message or null if none was sent
+   */
+  lastMessageTo(to) {
+    const message = this.#messages.findLast((entry) => entry.to === to);
+    return message ? { ...message } : null;
+  }
+
+  /**
+   * Helper method to clear all messages (for testing)
+   * @returns {void}
+   */
+  clear() {
+    this.#messages = [];
+  }
+}
@@ -1,15 +1,122 @@
 // RyAuth - Authentication Middleware
-// Provides JWT validation and role-based access control
+// Provides JWT and API key validation, role-, permission- and policy-based access control,
+// tenant checks and rate limiting
 
-import { jwtVerify, importJWK, importSPKI } from 'jose';
+import { KeyObject, timingSafeEqual } from 'node:crypto';
+import { parse, serialize } from 'cookie';
 import { z } from 'zod';
+import { BaseAdapter } from '../adapters/base.js';
+import { AccessPolicy } from '../core/access-policy.js';
+import { hashApiKey, parseApiKey } from '../core/api-keys.js';
+import { userClaims } from '../core/claims.js';
+import { generateCsrfToken, verifyCsrfToken } from '../core/crypto.js';
+import { SUPPORTED_ALGORITHMS, SYMMETRIC_ALGORITHMS } from '../core/keys.js';
+import { KeyRing } from '../core/keyring.js';
+import { RolePolicy, checkRequiredPermission } from '../core/role-policy.js';
+import { TokenManager, DEFAULT_ACCESS_TOKEN_TTL, DEFAULT_REFRESH_TOKEN_TTL } from '../core/tokens.js';
+import { BaseRateLimitStore } from '../stores/base.js';
+import { MemoryRateLimitStore } from '../stores/memory.js';
+
+// Cookie transport schema (enables cookie mode when present)
+const cookieSchema = z.object({
+  accessTokenName: z.string().min(1).default('ryauth_access'),
+  refreshTokenName: z.string().min(1).default('ryauth_refresh'),
+  path: z.string().default('/'),
+  refreshPath: z.string().optional(),
+  domain: z.string().optional(),
+  sameSite: z.enum(['strict', 'lax', 'none']).default('strict'),
+  secure: z.boolean().default(true),
+});
+
+// CSRF protection schema (requires cookie mode)
+const csrfSchema = z.object({
+  secret: z.string().min(32).optional(), // Defaults to refreshTokenSecret
+  cookieName: z.string().min(1).default('ryauth_csrf'),
+  headerName: z.string().min(1).default('x-csrf-token'),
+  ignoreMethods: z.array(z.string()).default(['GET', 'HEAD', 'OPTIONS']),
+  exempt: z.array(z.union([z.string(), z.instanceof(RegExp), z.function()])).default([]),
+});
+
+// Rate limit schema, per rateLimit() call
+const rateLimitSchema = z.object({
+  windowMs: z.number().int().positive().default(60 * 1000),
+  max: z.number().int().positive().default(10), // Requests per window
+  key: z.union([
+    z.enum(['ip', 'email', 'user']),
+    z.custom((key) => typeof key === 'function', 'key must be ip, email, user or a function'),
+  ]).default('ip'),
+  store: z.instanceof(BaseRateLimitStore, { message: 'store must extend BaseRateLimitStore' }).optional(),
+  prefix: z.string().default('ryauth:rate-limit:'), // Keeps limiters sharing a store apart
+});
+
+// PEM string, JWK object or KeyObject
+const keySchema = z.union([z.string(), z.instanceof(KeyObject), z.record(z.string(), z.unknown())]);
+
+// Verification key entry for multi-key setups
+const verificationKeySchema = z.object({
+  kid: z.string().min(1).optional(),
+  algorithm: z.enum(SUPPORTED_ALGORITHMS).default('HS256'),
+  secret: z.string().min(32).optional(),
+  publicKey: keySchema.optional(),
+});
 
 // Configuration schema
 const configSchema = z.object({
-  accessTokenSecret: z.string().min(32),
-  refreshTokenSecret: z.string().min(32),
+  algorithm: z.enum(SUPPORTED_ALGORITHMS).default('HS256'),
+  accessTokenSecret: z.string().min(32).optional(), // Required for HS256
+  publicKey: keySchema.optional(), // Required for RS256/ES256/EdDSA
+  keys: z.array(verificationKeySchema).min(1).optional(), // Several keys, selected by kid
+  keyRing: z.instanceof(KeyRing).optional(), // Shared ring that sees rotations
+  tokens: z.instanceof(TokenManager).optional(), // Shared with AuthService by createRyAuth()
+  refreshTokenSecret: z.string().min(32).optional(),
+  issuer: z.string().min(1).optional(),
+  audience: z.union([z.string().min(1), z.array(z.string().min(1))]).optional(),
+  accessTokenTtl: z.number().int().positive().default(DEFAULT_ACCESS_TOKEN_TTL), // Cookie lifetimes, in seconds
+  refreshTokenTtl: z.number().int().positive().default(DEFAULT_REFRESH_TOKEN_TTL),
+  cookies: cookieSchema.optional(),
+  csrf: csrfSchema.optional(),
+  adapter: z.instanceof(BaseAdapter, { message: 'adapter must extend BaseAdapter' }).optional(), // Looks up API keys
+  rolePolicy: z.union([z.instanceof(RolePolicy), z.record(z.string(), z.unknown())])
+    .transform((policy) => (policy instanceof RolePolicy ? policy : new RolePolicy(policy)))
+    .optional(),
+  accessPolicy: z.union([z.instanceof(AccessPolicy), z.record(z.string(), z.unknown())])
+    .transform((policy) => (policy instanceof AccessPolicy ? policy : new AccessPolicy(policy)))
+    .optional(),
+}).refine((config) => config.tokens || config.keyRing || config.keys
+  || !SYMMETRIC_ALGORITHMS.includes(config.algorithm) || config.accessTokenSecret, {
+  message: 'accessTokenSecret is required for HS256',
+  path: ['accessTokenSecret'],
+}).refine((config) => config.tokens || config.keyRing || config.keys
+  || SYMMETRIC_ALGORITHMS.includes(config.algorithm) || config.publicKey, {
+  message: 'publicKey is required for asymmetric algorithms',
+  path: ['publicKey'],
+}).refine((config) => !config.csrf || config.cookies, {
+  message: 'CSRF protection requires cookie mode',
+  path: ['csrf'],
+}).refine((config) => !config.csrf || config.csrf.secret || config.refreshTokenSecret, {
+  message: 'CSRF protection requires csrf.secret or refreshTokenSecret',
+  path: ['csrf', 'secret'],
 });
 
+// lastUsedAt is written at most this often per key, not on every request
+const API_KEY_LAST_USED_RESOLUTION = 60 * 1000;
+
+// Trailing options of requirePermission()
+const permissionMatchSchema = z.object({
+  match: z.enum(['all', 'any']).default('all'),
+}).strict();
+
+// authorizePolicy() options
+const policyCheckSchema = z.object({
+  resource: z.custom((resource) => typeof resource === 'function', 'resource must be a function').optional(), // Loads it from the request
+}).strict();
+
+// requireTenant() options; the tenant may be named by either, and every one given must match
+const tenantCheckSchema = z.object({
+  param: z.string().min(1).default('tenantId'), // Route parameter
+  header: z.string().min(1).default('x-tenant-id'),
+}).strict();
+
 // Error response schema
 const errorSchema = z.object({
   error: z.string(),
@@ -18,45 +125,244 @@ const errorSchema = z.object({
 // User payload schema
 const userPayloadSchema = z.object({
   userId: z.string(),
-  email: z.string().email(),
+  email: z.string().email().optional(),
   role: z.string(),
+  roles: z.array(z.string()).optional(),
+  emailVerified: z.boolean().optional(),
+  tid: z.string().optional(), // Tenant the token is scoped to
+  sid: z.string().optional(), // Session the token was issued for
   iat: z.number(),
   exp: z.number(),
 });
 
 class AuthMiddleware {
   #config;
-  #accessKey;
-  #refreshKey;
+  #tokens;
 
   constructor(config) {
     this.#config = configSchema.parse(config);
-  }
 
-  async #initializeKeys() {
-    if (!this.#accessKey || !this.#refreshKey) {
-      // Convert secrets to JWK format for jose
-      this.#accessKey = await importJWK({ k: this.#config.accessTokenSecret, kty: 'oct' });
-      this.#refreshKey = await importJWK({ k: this.#config.refreshTokenSecret, kty: 'oct' });
-    }
+    // Only the verification half is needed, so services can hold public keys alone
+    this.#tokens = this.#config.tokens ?? new TokenManager({
+      keyRing: this.#config.keyRing ?? new KeyRing({
+        keys: this.#config.keys ?? [{
+          algorithm: this.#config.algorithm,
+          secret: this.#config.accessTokenSecret,
+          publicKey: this.#config.publicKey,
+        }],
+      }),
+      accessTokenTtl: this.#config.accessTokenTtl,
+      refreshTokenTtl: this.#config.refreshTokenTtl,
+      issuer: this.#config.issuer,
+      audience: this.#config.audience,
+    });
+
+    // Bind so the method can be passed straight to a router
+    this.authenticate = this.authenticate.bind(this);
   }
 
-  // Extract token from Authorization header
+  // Extract token from Authorization header, falling back to the access cookie
   #extractToken(req) {
     const authHeader = req.headers['authorization'];
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      return authHeader.substring(7); // Remove 'Bearer ' prefix
+    }
+
+    if (this.#config.cookies) {
+      return this.#readCookie(req, this.#config.cookies.accessTokenName);
+    }
+
+    return null;
+  }
+
+  // Read a cookie, preferring values already parsed by cookie-parser
+  #readCookie(req, name) {
+    if (req.cookies && typeof req.cookies[name] === 'string') {
+      return req.cookies[name] || null;
+    }
+
+    const header = req.headers['cookie'];
+    if (!header) {
       return null;
     }
 
-    return authHeader.substring(7); // Remove 'Bearer ' prefix
+    return parse(header)[name] || null;
+  }
+
+  // Append a Set-Cookie header without clobbering cookies set elsewhere
+  #appendCookie(res, cookie) {
+    const existing = res.getHeader('Set-Cookie');
+    const cookies = existing === undefined ? [] : [].concat(existing);
+    res.setHeader('Set-Cookie', [...cookies, cookie]);
+  }
+
+  // Shared attributes for every auth cookie
+  #cookieOptions(path, maxAge) {
+    const { domain, sameSite, secure } = this.#config.cookies;
+    return { httpOnly: true, secure, sameSite, path, domain, maxAge };
+  }
+
+  // Secret used to sign CSRF tokens
+  #csrfSecret() {
+    return this.#config.csrf.secret ?? this.#config.refreshTokenSecret;
   }
 
-  // Verify JWT token
-  async #verifyToken(token, key) {
+  // Check whether a request is excluded from CSRF checks
+  #isCsrfExempt(req, csrf) {
+    const method = (req.method || 'GET').toUpperCase();
+    if (csrf.ignoreMethods.map((m) => m.toUpperCase()).includes(method)) {
+      return true;
+    }
+
+    const path = req.path ?? (req.url || '').split('?')[0];
+    return csrf.exempt.some((rule) => {
+      if (typeof rule === 'string') return rule === path;
+      if (rule instanceof RegExp) return rule.test(path);
+      return Boolean(rule(req));
+    });
+  }
+
+  #requireCookieMode() {
+    if (!this.#config.cookies) {
+      throw new Error('Cookie mode is not enabled - pass a cookies config to createAuthMiddleware');
+    }
+    return this.#config.cookies;
+  }
+
+  #requireAdapter() {
+    if (!this.#config.adapter) {
+      throw new Error('API keys need an adapter - pass adapter to createAuthMiddleware');
+    }
+    return this.#config.adapter;
+  }
+
+  // Extract an API key from X-API-Key or Authorization: ApiKey
+  #extractApiKey(req) {
+    const header = req.headers['x-api-key'];
+    if (typeof header === 'string' && header) {
+      return header;
+    }
+
+    const authHeader = req.headers['authorization'];
+    if (authHeader && authHeader.startsWith('ApiKey ')) {
+      return authHeader.substring(7);
+    }
+
+    return null;
+  }
+
+  // Look up an API key and its user; null unless the key is known, unexpired and its user exists
+  async #verifyApiKey(adapter, key) {
+    const parsed = parseApiKey(key);
+    const apiKey = parsed && await adapter.findApiKey(parsed.id);
+    if (!apiKey) {
+      return null;
+    }
+
+    const expected = Buffer.from(apiKey.keyHash);
+    const given = Buffer.from(hashApiKey(key));
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+      return null;
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return null;
+    }
+
+    const user = await adapter.findUserById(apiKey.userId);
+    if (!user) {
+      return null;
+    }
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= API_KEY_LAST_USED_RESOLUTION) {
+      await adapter.updateApiKey(apiKey.id, { lastUsedAt: now });
+    }
+
+    return { apiKey, user };
+  }
+
+  #requireRolePolicy() {
+    if (!this.#config.rolePolicy) {
+      throw new Error('Permissions need a rolePolicy - pass rolePolicy to createAuthMiddleware');
+    }
+    return this.#config.rolePolicy;
+  }
+
+  #requireAccessPolicy() {
+    if (!this.#config.accessPolicy) {
+      throw new Error('Policies need an accessPolicy - pass accessPolicy to createAuthMiddleware');
+    }
+    return this.#config.accessPolicy;
+  }
+
+  // Roles a user holds; tokens from before multiple roles only carry role
+  #heldRoles(user) {
+    return user.roles ?? [user.role];
+  }
+
+  // Attach roles, with inherited ones, and the permissions they grant when a policy is configured
+  #withAccess(user) {
+    const policy = this.#config.rolePolicy;
+    if (!policy) {
+      return { ...user, roles: this.#heldRoles(user) };
+    }
+
+    const roles = policy.expandRoles(this.#heldRoles(user));
+    return { ...user, roles, permissions: policy.permissionsFor(roles) };
+  }
+
+  // Users attached by other middleware or built by hand may not have resolved permissions yet
+  #withResolvedAccess(user) {
+    return user.permissions || !this.#config.rolePolicy ? user : this.#withAccess(user);
+  }
+
+  #requireCsrfMode() {
+    if (!this.#config.csrf) {
+      throw new Error('CSRF protection is not enabled - pass a csrf config to createAuthMiddleware');
+    }
+    return this.#config.csrf;
+  }
+
+  // Client address, as resolved by Express (honours 'trust proxy')
+  #clientIp(req) {
+    return req.ip ?? req.socket?.remoteAddress ?? 'unknown';
+  }
+
+  // Rate limit key for a request; email and user fall back to the IP when absent
+  #rateLimitKey(req, key) {
+    if (typeof key === 'function') {
+      return key(req) || null; // Falsy keys skip the limiter
+    }
+
+    const email = req.body?.email;
+    if (key === 'email' && typeof email === 'string' && email) {
+      return `email:${email.toLowerCase()}`;
+    }
+    if (key === 'user' && req.user?.userId) {
+      return `user:${req.user.userId}`;
+    }
+    return `ip:${this.#clientIp(req)}`;
+  }
+
+  // Seconds until a request would fit under the sliding window estimate again
+  #retryAfter({ windowMs, max }, { current, previous }, elapsed) {
+    let wait;
+    if (current < max && previous > 0) {
+      // Still in this window, once enough of the previous window has slid out
+      wait = windowMs - elapsed - ((max - current - 1) * windowMs) / previous;
+    } else {
+      // In the next window, once enough of this window has slid out
+      wait = windowMs - elapsed + windowMs - ((max - 1) * windowMs) / current;
+    }
+    return Math.max(1, Math.ceil(wait / 1000));
+  }
+
+  // Verify JWT token, selecting the key by its kid header
+  async #verifyToken(token) {
     try {
-      const result = await jwtVerify(token, key);
-      return userPayloadSchema.parse(result.payload);
+      const payload = await this.#tokens.verifyJWT(token, 'access');
+      return userPayloadSchema.parse(payload);
     } catch (error) {
       return null;
     }
@@ -64,8 +370,6 @@ class AuthMiddleware {
 
   // Authentication middleware - validates JWT
   async authenticate(req, res, next) {
-    await this.#initializeKeys();
-
     const token = this.#extractToken(req);
 
     if (!token) {
@@ -74,7 +378,7 @@ class AuthMiddleware {
     }
 
     // Verify token using access key
-    const payload = await this.#verifyToken(token, this.#accessKey);
+    const payload = await this.#verifyToken(token);
 
     if (!payload) {
       res.status(403).json(errorSchema.parse({ error: 'Forbidden' }));
@@ -88,10 +392,206 @@ class AuthMiddleware {
     }
 
     // Attach user to request
-    req.user = payload;
+    req.user = this.#withAccess(payload);
     next();
   }
 
+  // API key middleware - validates X-API-Key or Authorization: ApiKey against the adapter
+  authenticateApiKey() {
+    const adapter = this.#requireAdapter();
+
+    return async (req, res, next) => {
+      const key = this.#extractApiKey(req);
+
+      if (!key) {
+        res.status(401).json(errorSchema.parse({ error: 'Unauthorized' }));
+        return;
+      }
+
+      let verified;
+      try {
+        verified = await this.#verifyApiKey(adapter, key);
+      } catch (error) {
+        next(error);
+        return;
+      }
+
+      if (!verified) {
+        res.status(403).json(errorSchema.parse({ error: 'Forbidden' }));
+        return;
+      }
+
+      // Same shape as a token's payload, plus what the key may do
+      const { apiKey, user } = verified;
+      req.user = this.#withAccess({
+        ...userClaims(user),
+        email: user.email,
+        apiKeyId: apiKey.id,
+        scopes: apiKey.scopes,
+      });
+      next();
+    };
+  }
+
+  // Set access and refresh tokens as HttpOnly cookies (cookie mode only)
+  setTokenCookies(res, { accessToken, refreshToken }) {
+    const cookies = this.#requireCookieMode();
+
+    if (accessToken) {
+      this.#appendCookie(res, serialize(
+        cookies.accessTokenName,
+        accessToken,
+        this.#cookieOptions(cookies.path, this.#tokens.accessTokenTtl)
+      ));
+    }
+
+    if (refreshToken) {
+      this.#appendCookie(res, serialize(
+        cookies.refreshTokenName,
+        refreshToken,
+        this.#cookieOptions(cookies.refreshPath ?? cookies.path, this.#tokens.refreshTokenTtl)
+      ));
+    }
+
+    // Rotate the CSRF token alongside the session tokens
+    if (this.#config.csrf) {
+      return this.issueCsrfToken(res);
+    }
+  }
+
+  // Issue a fresh CSRF token cookie and return the token (CSRF mode only)
+  issueCsrfToken(res) {
+    const csrf = this.#requireCsrfMode();
+    const cookies = this.#config.cookies;
+    const token = generateCsrfToken(this.#csrfSecret());
+
+    // Readable by client scripts so they can echo it in the header
+    this.#appendCookie(res, serialize(csrf.cookieName, token, {
+      ...this.#cookieOptions(cookies.path, this.#tokens.refreshTokenTtl),
+      httpOnly: false,
+    }));
+
+    return token;
+  }
+
+  // Expire the auth cookies, e.g. on logout (cookie mode only)
+  clearTokenCookies(res) {
+    const cookies = this.#requireCookieMode();
+
+    this.#appendCookie(res, serialize(
+      cookies.accessTokenName,
+      '',
+      { ...this.#cookieOptions(cookies.path, 0), expires: new Date(0) }
+    ));
+    this.#appendCookie(res, serialize(
+      cookies.refreshTokenName,
+      '',
+      { ...this.#cookieOptions(cookies.refreshPath ?? cookies.path, 0), expires: new Date(0) }
+    ));
+
+    if (this.#config.csrf) {
+      this.#appendCookie(res, serialize(
+        this.#config.csrf.cookieName,
+        '',
+        { ...this.#cookieOptions(cookies.path, 0), httpOnly: false, expires: new Date(0) }
+      ));
+    }
+  }
+
+  // Read the refresh token cookie to pass to AuthService (cookie mode only)
+  getRefreshToken(req) {
+    const cookies = this.#requireCookieMode();
+    return this.#readCookie(req, cookies.refreshTokenName);
+  }
+
+  // CSRF middleware - double-submit check on unsafe HTTP methods
+  csrfProtect() {
+    const csrf = this.#requireCsrfMode();
+
+    return (req, res, next) => {
+      if (this.#isCsrfExempt(req, csrf)) {
+        next();
+        return;
+      }
+
+      const cookieToken = this.#readCookie(req, csrf.cookieName);
+      const headerToken = req.headers[csrf.headerName.toLowerCase()];
+
+      if (!cookieToken || typeof headerToken !== 'string') {
+        res.status(403).json(errorSchema.parse({ error: 'Missing CSRF token' }));
+        return;
+      }
+
+      const cookieBuffer = Buffer.from(cookieToken);
+      const headerBuffer = Buffer.from(headerToken);
+      const matches = cookieBuffer.length === headerBuffer.length
+        && timingSafeEqual(cookieBuffer, headerBuffer);
+
+      if (!matches || !verifyCsrfToken(cookieToken, this.#csrfSecret())) {
+        res.status(403).json(errorSchema.parse({ error: 'Invalid CSRF token' }));
+        return;
+      }
+
+      next();
+    };
+  }
+
+  // Rate limiting middleware - sliding window per IP, email or user
+  rateLimit(options = {}) {
+    const limit = rateLimitSchema.parse(options);
+    const store = limit.store ?? new MemoryRateLimitStore();
+
+    return async (req, res, next) => {
+      const key = this.#rateLimitKey(req, limit.key);
+      if (!key) {
+        next();
+        return;
+      }
+
+      let counts;
+      try {
+        counts = await store.increment(limit.prefix + key, limit.windowMs);
+      } catch (error) {
+        next(error);
+        return;
+      }
+
+      // Weigh the previous window by how much of it still overlaps the sliding window
+      const now = Date.now();
+      const elapsed = Math.min(Math.max(now - counts.windowStart, 0), limit.windowMs);
+      const count = counts.previous * ((limit.windowMs - elapsed) / limit.windowMs) + counts.current;
+
+      res.setHeader('RateLimit-Policy', `${limit.max};w=${Math.ceil(limit.windowMs / 1000)}`);
+      res.setHeader('RateLimit-Limit', String(limit.max));
+      res.setHeader('RateLimit-Remaining', String(Math.max(0, Math.floor(limit.max - count))));
+      res.setHeader('RateLimit-Reset', String(Math.ceil((limit.windowMs - elapsed) / 1000)));
+
+      if (count > limit.max) {
+        res.setHeader('Retry-After', String(this.#retryAfter(limit, counts, elapsed)));
+        res.status(429).json(errorSchema.parse({ error: 'Too many requests' }));
+        return;
+      }
+
+      next();
+    };
+  }
+
+  // JWKS handler - serves the public keys for /.well-known/jwks.json
+  jwksHandler() {
+    return async (req, res, next) => {
+      let jwks;
+      try {
+        jwks = await this.#tokens.getJWKS();
+      } catch (error) {
+        next(error);
+        return;
+      }
+
+      res.setHeader('Cache-Control', 'public, max-age=300');
+      res.json(jwks);
+    };
+  }
+
   // Authorization middleware - enforces role-based access control
   authorize(...allowedRoles) {
     return (req, res, next) => {
@@ -101,8 +601,8 @@ class AuthMiddleware {
         return;
       }
 
-      // Check if user has required role
-      if (!allowedRoles.includes(req.user.role)) {
+      // Check if user has required role, held directly or inherited
+      if (!this.#heldRoles(req.user).some((role) => allowedRoles.includes(role))) {
         res.status(403).json(errorSchema.parse({ error: 'Forbidden' }));
         return;
       }
@@ -110,6 +610,122 @@ class AuthMiddleware {
       next();
     };
   }
+
+  // Permission middleware - every listed permission, or with a trailing { match: 'any' } at least one
+  requirePermission(...permissions) {
+    const policy = this.#requireRolePolicy();
+    const options = typeof permissions.at(-1) === 'object' ? permissions.pop() : {};
+    const { match } = permissionMatchSchema.parse(options);
+    if (permissions.length === 0) {
+      throw new Error('At least one permission is required');
+    }
+    permissions.forEach(checkRequiredPermission);
+
+    return (req, res, next) => {
+      if (!req.user) {
+        res.status(401).json(errorSchema.parse({ error: 'Unauthorized' }));
+        return;
+      }
+
+      const granted = this.#withResolvedAccess(req.user).permissions;
+      const isGranted = (permission) => policy.isGranted(granted, permission);
+      const allowed = match === 'any' ? permissions.some(isGranted) : permissions.every(isGranted);
+
+      if (!allowed) {
+        res.status(403).json(errorSchema.parse({ error: 'Forbidden' }));
+        return;
+      }
+
+      next();
+    };
+  }
+
+  // Policy middleware - asks the action's policy about the user and the resource loaded from the request
+  authorizePolicy(action, options = {}) {
+    const policy = this.#requireAccessPolicy();
+    const { resource } = policyCheckSchema.parse(options);
+    if (!policy.has(action)) {
+      throw new Error(`Unknown policy ${action}`);
+    }
+
+    return async (req, res, next) => {
+      if (!req.user) {
+        res.status(401).json(errorSchema.parse({ error: 'Unauthorized' }));
+        return;
+      }
+
+      let loaded;
+      let allowed;
+      try {
+        loaded = resource ? await resource(req) : undefined;
+        allowed = await policy.can(this.#withResolvedAccess(req.user), action, loaded);
+      } catch (error) {
+        next(error);
+        return;
+      }
+
+      if (!allowed) {
+        res.status(403).json(errorSchema.parse({ error: 'Forbidden' }));
+        return;
+      }
+
+      // Spare the handler loading it again
+      if (resource) {
+        req.resource = loaded;
+      }
+      next();
+    };
+  }
+
+  // Programmatic policy check, e.g. for background jobs or to hide buttons a user can't use
+  async can(user, action, resource) {
+    const policy = this.#requireAccessPolicy();
+    return policy.can(user && this.#withResolvedAccess(user), action, resource);
+  }
+
+  // Tenant middleware - the token's tenant must be the one named by the route or header
+  requireTenant(options = {}) {
+    const { param, header } = tenantCheckSchema.parse(options);
+
+    return (req, res, next) => {
+      if (!req.user) {
+        res.status(401).json(errorSchema.parse({ error: 'Unauthorized' }));
+        return;
+      }
+
+      const requested = [req.params?.[param], req.headers[header.toLowerCase()]]
+        .filter((tenantId) => typeof tenantId === 'string' && tenantId);
+      if (requested.length === 0) {
+        res.status(400).json(errorSchema.parse({ error: 'Tenant required' }));
+        return;
+      }
+
+      // Unscoped tokens, API keys included, match no tenant
+      if (!req.user.tid || requested.some((tenantId) => tenantId !== req.user.tid)) {
+        res.status(403).json(errorSchema.parse({ error: 'Tenant mismatch' }));
+        return;
+      }
+
+      next();
+    };
+  }
+
+  // Scope middleware - API key requests need every listed scope; token requests aren't limited by scopes
+  requireScopes(...requiredScopes) {
+    return (req, res, next) => {
+      if (!req.user) {
+        res.status(401).json(errorSchema.parse({ error: 'Unauthorized' }));
+        return;
+      }
+
+      if (req.user.scopes && !requiredScopes.every((scope) => req.user.scopes.includes(scope))) {
+        res.status(403).json(errorSchema.parse({ error: 'Insufficient scope' }));
+        return;
+      }
+
+      next();
+    };
+  }
 }
 
 // Export middleware factory
@@ -0,0 +1,206 @@
+// RyAuth - Instance Factory
+// Builds an AuthService and middleware sharing one validated configuration,
+// so several tenants with different secrets can run in one process
+
+import { KeyObject } from 'node:crypto';
+import { z } from 'zod';
+import { BaseAdapter } from './adapters/base.js';
+import { BaseMailer } from './mailers/base.js';
+import { AccessPolicy } from './core/access-policy.js';
+import { SUPPORTED_ALGORITHMS, SYMMETRIC_ALGORITHMS } from './core/keys.js';
+import { KeyRing } from './core/keyring.js';
+import { LoginThrottle } from './core/login-throttle.js';
+import { OAuthProvider } from './core/oauth.js';
+import { OtpPolicy } from './core/otp-policy.js';
+import { PasswordHasher } from './core/password-hasher.js';
+import { PasswordPolicy } from './core/password-policy.js';
+import { RolePolicy } from './core/role-policy.js';
+import { TokenManager, DEFAULT_ACCESS_TOKEN_TTL, DEFAULT_REFRESH_TOKEN_TTL } from './core/tokens.js';
+import { RelyingParty } from './core/webauthn.js';
+import { createAuthMiddleware } from './middleware/auth.js';
+import { AuthService } from './services/auth-service.js';
+
+// PEM string, JWK object or KeyObject
+const keySchema = z.union([z.string(), z.instanceof(KeyObject), z.record(z.string(), z.unknown())]);
+
+// Signing key entry; the first one signs, the others only verify
+const signingKeySchema = z.object({
+  kid: z.string().min(1).optional(),
+  algorithm: z.enum(SUPPORTED_ALGORITHMS).default('HS256'),
+  secret: z.string().min(32).optional(),
+  privateKey: keySchema.optional(),
+  publicKey: keySchema.optional(),
+});
+
+// Options schema
+const optionsSchema = z.object({
+  adapter: z.instanceof(BaseAdapter, { message: 'adapter must extend BaseAdapter' }),
+  algorithm: z.enum(SUPPORTED_ALGORITHMS).default('HS256'),
+  accessTokenSecret: z.string().min(32).optional(), // Required for HS256
+  privateKey: keySchema.optional(), // Required for RS256/ES256/EdDSA
+  publicKey: keySchema.optional(),
+  keyId: z.string().min(1).optional(),
+  keys: z.array(signingKeySchema).min(1).optional(), // Replaces the single-key options
+  refreshTokenSecret: z.string().min(32),
+  accessTokenTtl: z.number().int().positive().default(DEFAULT_ACCESS_TOKEN_TTL), // Seconds
+  refreshTokenTtl: z.number().int().positive().default(DEFAULT_REFRESH_TOKEN_TTL), // Seconds
+  issuer: z.string().min(1).optional(),
+  audience: z.union([z.string().min(1), z.array(z.string().min(1))]).optional(),
+  cookies: z.record(z.string(), z.unknown()).optional(), // Validated by createAuthMiddleware
+  csrf: z.record(z.string(), z.unknown()).optional(),
+  acceptLegacyRefreshTokens: z.boolean().default(false), // Migration from raw token storage
+  mailer: z.instanceof(BaseMailer, { message: 'mailer must extend BaseMailer' }).optional(),
+  requireEmailVerification: z.boolean().default(false),
+  verificationTokenTtl: z.number().int().positive().optional(), // Seconds
+  passwordResetTokenTtl: z.number().int().positive().optional(), // Seconds
+  passwordPolicy: z.union([z.instanceof(PasswordPolicy), z.record(z.string(), z.unknown())])
+    .transform((policy) => (policy instanceof PasswordPolicy ? policy : new PasswordPolicy(policy)))
+    .optional(),
+  passwordHasher: z.union([z.instanceof(PasswordHasher), z.record(z.string(), z.unknown())])
+    .transform((hasher) => (hasher instanceof PasswordHasher ? hasher : new PasswordHasher(hasher)))
+    .optional(),
+  mfaEncryptionKey: z.string().min(32).optional(), // Encrypts TOTP secrets; keep it out of the database
+  mfaIssuer: z.string().min(1).optional(),
+  mfaChallengeTtl: z.number().int().positive().optional(), // Seconds
+  magicLinkTtl: z.number().int().positive().optional(), // Seconds
+  magicLinkAutoRegister: z.boolean().default(false),
+  magicLinkRedirectOrigins: z.array(z.string().url()).optional(), // Origins allowed in absolute redirect URLs
+  otpPolicy: z.union([z.instanceof(OtpPolicy), z.record(z.string(), z.unknown())])
+    .transform((policy) => (policy instanceof OtpPolicy ? policy : new OtpPolicy(policy)))
+    .optional(),
+  oauthProviders: z.array(z.union([z.instanceof(OAuthProvider), z.record(z.string(), z.unknown())])
+    .transform((provider) => (provider instanceof OAuthProvider ? provider : new OAuthProvider(provider))))
+    .optional(),
+  oauthStateTtl: z.number().int().positive().optional(), // Seconds
+  apiKeyPrefix: z.string().regex(/^[a-z0-9]{1,16}$/, 'apiKeyPrefix must be 1 to 16 lowercase letters and digits').optional(),
+  rolePolicy: z.union([z.instanceof(RolePolicy), z.record(z.string(), z.unknown())])
+    .transform((policy) => (policy instanceof RolePolicy ? policy : new RolePolicy(policy)))
+    .optional(),
+  accessPolicy: z.union([z.instanceof(AccessPolicy), z.record(z.string(), z.unknown())])
+    .transform((policy) => (policy instanceof AccessPolicy ? policy : new AccessPolicy(policy)))
+    .optional(),
+  relyingParty: z.union([z.instanceof(RelyingParty), z.record(z.string(), z.unknown())])
+    .transform((rp) => (rp instanceof RelyingParty ? rp : new RelyingParty(rp)))
+    .optional(),
+  loginThrottle: z.union([z.instanceof(LoginThrottle), z.record(z.string(), z.unknown()), z.literal(false)])
+    .transform((throttle) => {
+      if (throttle === false) return null; // Throttling off
+      return throttle instanceof LoginThrottle ? throttle : new LoginThrottle(throttle);
+    })
+    .optional(),
+}).refine((options) => options.keys
+  || !SYMMETRIC_ALGORITHMS.includes(options.algorithm) || options.accessTokenSecret, {
+  message: 'accessTokenSecret is required for HS256',
+  path: ['accessTokenSecret'],
+}).refine((options) => options.keys
+  || SYMMETRIC_ALGORITHMS.includes(options.algorithm) || options.privateKey, {
+  message: 'privateKey is required for asymmetric algorithms',
+  path: ['privateKey'],
+});
+
+/**
+ * Creates an isolated RyAuth instance
+ * Nothing is read from process.env; every setting comes from the options
+ * @param {object} options - RyAuth options
+ * @param {BaseAdapter} options.adapter - Database adapter implementation
+ * @param {string} [options.algorithm='HS256'] - Access token algorithm (HS256, RS256, ES256 or EdDSA)
+ * @param {string} [options.accessTokenSecret] - Access token secret for HS256 (minimum 32 characters)
+ * @param {string|object} [options.privateKey] - PEM or JWK private key for asymmetric algorithms
+ * @param {string|object} [options.publicKey] - PEM or JWK public key (derived from privateKey when omitted)
+ * @param {string} [options.keyId] - Key ID for the kid header (derived from the key when omitted)
+ * @param {object[]} [options.keys] - Several access token keys; the first one signs
+ * @param {string} options.refreshTokenSecret - Refresh token secret (minimum 32 characters)
+ * @param {number} [options.accessTokenTtl=900] - Access token lifetime in seconds
+ * @param {number} [options.refreshTokenTtl=604800] - Refresh token lifetime in seconds
+ * @param {string} [options.issuer] - Value for the iss claim, enforced on verification
+ * @param {string|string[]} [options.audience] - Value for the aud claim, enforced on verification
+ * @param {object} [options.cookies] - Cookie transport options (see createAuthMiddleware)
+ * @param {object} [options.csrf] - CSRF protection options (see createAuthMiddleware)
+ * @param {boolean} [options.acceptLegacyRefreshTokens=false] - Also accept refresh tokens stored raw by earlier versions
+ * @param {BaseMailer} [options.mailer] - Delivers verification, password reset, magic link and one-time code emails
+ * @param {boolean} [options.requireEmailVerification=false] - Reject login until the email is verified
+ * @param {number} [options.verificationTokenTtl=86400] - Verification link lifetime in seconds
+ * @param {number} [options.passwordResetTokenTtl=3600] - Password reset link lifetime in seconds
+ * @param {PasswordPolicy|object} [options.passwordPolicy] - Password policy, or options for one
+ * @param {PasswordHasher|object} [options.passwordHasher] - Argon2 parameters and pepper, or a hasher
+ * @param {LoginThrottle|object|false} [options.loginThrottle] - Failed login limits, or false to turn them off
+ * @param {string} [options.mfaEncryptionKey] - Secret for TOTP secrets and recovery codes (minimum 32 characters)
+ * @param {string} [options.mfaIssuer='RyAuth'] - Name shown in authenticator apps
+ * @param {number} [options.mfaChallengeTtl=300] - Seconds to enter a second factor after the password
+ * @param {RelyingParty|object} [options.relyingParty] - WebAuthn relying party for passkeys, or options for one
+ * @param {number} [options.magicLinkTtl=900] - Magic link lifetime in seconds
+ * @param {boolean} [options.magicLinkAutoRegister=false] - Create accounts for unknown emails when their magic link is used
+ * @param {string[]} [options.magicLinkRedirectOrigins=[]] - Origins allowed in absolute magic link redirect URLs
+ * @param {OtpPolicy|object} [options.otpPolicy] - Length, lifetime and attempt limit of email one-time codes, or options for a policy
+ * @param {Array<OAuthProvider|object>} [options.oauthProviders=[]] - Social login providers, or options for them
+ * @param {number} [options.oauthStateTtl=600] - Seconds to finish signing in at a provider
+ * @param {string} [options.apiKeyPrefix='ryauth'] - Prefix of new API keys
+ * @param {RolePolicy|object} [options.rolePolicy] - Role permissions and inheritance, or options for a policy
+ * @param {AccessPolicy|object} [options.accessPolicy] - Policy function per action, or options for a policy
+ * @returns {{authService: AuthService, middleware: object, tokens: TokenManager, keyRing: KeyRing, rotateKeys: function, getJWKS: function}} The instance
+ * @throws {ZodError} If the options are invalid
+ */
+export function createRyAuth(options) {
+  const config = optionsSchema.parse(options);
+
+  const keyRing = new KeyRing({
+    keys: config.keys ?? [{
+      kid: config.keyId,
+      algorithm: config.algorithm,
+      secret: config.accessTokenSecret,
+      privateKey: config.privateKey,
+      publicKey: config.publicKey,
+    }],
+    retentionMs: config.accessTokenTtl * 1000, // Retired keys verify until their tokens expire
+  });
+
+  const tokens = new TokenManager({
+    keyRing,
+    refreshTokenSecret: config.refreshTokenSecret,
+    accessTokenTtl: config.accessTokenTtl,
+    refreshTokenTtl: config.refreshTokenTtl,
+    issuer: config.issuer,
+    audience: config.audience,
+  });
+
+  const authService = new AuthService(config.adapter, {
+    tokens,
+    acceptLegacyRefreshTokens: config.acceptLegacyRefreshTokens,
+    mailer: config.mailer,
+    requireEmailVerification: config.requireEmailVerification,
+    verificationTokenTtl: config.verificationTokenTtl,
+    passwordResetTokenTtl: config.passwordResetTokenTtl,
+    passwordPolicy: config.passwordPolicy,
+    passwordHasher: config.passwordHasher,
+    loginThrottle: config.loginThrottle,
+    mfaEncryptionKey: config.mfaEncryptionKey,
+    mfaIssuer: config.mfaIssuer,
+    mfaChallengeTtl: config.mfaChallengeTtl,
+    relyingParty: config.relyingParty,
+    magicLinkTtl: config.magicLinkTtl,
+    magicLinkAutoRegister: config.magicLinkAutoRegister,
+    magicLinkRedirectOrigins: config.magicLinkRedirectOrigins,
+    otpPolicy: config.otpPolicy,
+    oauthProviders: config.oauthProviders,
+    oauthStateTtl: config.oauthStateTtl,
+    apiKeyPrefix: config.apiKeyPrefix,
+  });
+  const middleware = createAuthMiddleware({
+    tokens,
+    refreshTokenSecret: config.refreshTokenSecret,
+    cookies: config.cookies,
+    csrf: config.csrf,
+    adapter: config.adapter,
+    rolePolicy: config.rolePolicy,
+    accessPolicy: config.accessPolicy,
+  });
+
+  return {
+    authService,
+    middleware,
+    tokens,
+    keyRing,
+    rotateKeys: (key) => keyRing.rotateKeys(key),
+    getJWKS: () => keyRing.getJWKS(),
+  };
+}
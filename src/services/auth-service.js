@@ -1,170 +1,2762 @@
 // Auth Service Implementation
-// Handles user registration, login, and refresh token rotation
+// Handles user registration, password, magic link, one-time code, passkey and social login,
+// two-factor authentication, API keys, refresh token rotation, password changes and account recovery
 // Uses adapter pattern for database abstraction
 
+import { randomBytes, timingSafeEqual } from 'node:crypto';
 import { z } from 'zod';
-import { hashPassword, verifyPassword } from '../core/crypto.js';
-import { signAccessToken, signRefreshToken, verifyJWT } from '../core/crypto.js';
+import { DEFAULT_API_KEY_PREFIX, generateApiKey, hashApiKey } from '../core/api-keys.js';
+import { userClaims } from '../core/claims.js';
+import {
+  generateOneTimeToken,
+  hashOneTimeToken,
+  envTokenManager,
+  defaultPasswordHasher,
+} from '../core/crypto.js';
+import { LoginThrottle } from '../core/login-throttle.js';
+import { OtpPolicy, OTP_PURPOSES } from '../core/otp-policy.js';
+import { PasswordPolicy } from '../core/password-policy.js';
+import { SecretBox } from '../core/secret-box.js';
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from '../core/totp.js';
+import { parseClientDataJSON } from '../core/webauthn.js';
+
+// Purpose tags in the adapter's single-use token store
+const EMAIL_VERIFICATION = 'email-verification';
+const PASSWORD_RESET = 'password-reset';
+const MFA_CHALLENGE = 'mfa-challenge';
+const PASSKEY_REGISTRATION = 'passkey-registration';
+const PASSKEY_LOGIN = 'passkey-login';
+const MAGIC_LINK = 'magic-link';
+const OAUTH_LOGIN = 'oauth-login';
+const OAUTH_LINK = 'oauth-link';
+
+// Default verification link lifetime in seconds (24 hours)
+const DEFAULT_VERIFICATION_TOKEN_TTL = 24 * 60 * 60;
+
+// Default password reset link lifetime in seconds (1 hour)
+const DEFAULT_PASSWORD_RESET_TOKEN_TTL = 60 * 60;
+
+// Default magic link lifetime in seconds (15 minutes)
+const DEFAULT_MAGIC_LINK_TTL = 15 * 60;
+
+// Default time to finish signing in at an OAuth provider, in seconds (10 minutes)
+const DEFAULT_OAUTH_STATE_TTL = 10 * 60;
+
+// Default time to enter a second factor after the password, in seconds (5 minutes)
+const DEFAULT_MFA_CHALLENGE_TTL = 5 * 60;
+
+// Recovery codes issued per user, each 40 random bits shown as xxxxx-xxxxx
+const RECOVERY_CODE_COUNT = 10;
+
+// Longest User-Agent kept on a session; longer headers are cut, not refused
+const MAX_USER_AGENT_LENGTH = 512;
 
 // Zod validation schemas
+
+// Device details a login records on its session
+const sessionInfoShape = {
+  ip: z.string().min(1, 'IP address must not be empty').optional(),
+  userAgent: z.string({ message: 'User agent must be a string' })
+    .transform((userAgent) => userAgent.slice(0, MAX_USER_AGENT_LENGTH))
+    .optional(),
+  deviceName: z.string({ message: 'Device name must be a string' }).trim()
+    .min(1, 'Device name must not be empty')
+    .max(100, 'Device name must be at most 100 characters')
+    .optional(),
+};
+
+const sessionInfoSchema = z.object(sessionInfoShape);
+
+// Password strength is checked by the PasswordPolicy, not here
 const registerSchema = z.object({
   email: z.string().email(),
-  password: z.string().min(8, 'Password must be at least 8 characters'),
+  password: z.string(),
 });
 
 const loginSchema = z.object({
   email: z.string().email(),
   password: z.string().min(1, 'Password is required'),
+  ...sessionInfoShape,
 });
 
 const refreshSchema = z.object({
   refreshToken: z.string().min(10, 'Refresh token is required'),
 });
 
+// A refresh can update where the session was last seen, but not its name
+const refreshSessionSchema = refreshSchema.extend({
+  ip: sessionInfoShape.ip,
+  userAgent: sessionInfoShape.userAgent,
+});
+
+const userIdSchema = z.object({
+  userId: z.string().min(1, 'User ID is required'),
+});
+
+const verificationSchema = z.object({
+  token: z.string().min(10, 'Verification token is required'),
+});
+
+const changePasswordSchema = z.object({
+  userId: z.string().min(1, 'User ID is required'),
+  currentPassword: z.string().min(1, 'Current password is required'),
+  newPassword: z.string(),
+  keepSession: z.string().min(10, 'Refresh token is required').optional(),
+}).refine((data) => data.currentPassword !== data.newPassword, {
+  message: 'New password must be different from the current password',
+  path: ['newPassword'],
+});
+
+const resetRequestSchema = z.object({
+  email: z.string().email(),
+});
+
+const resetPasswordSchema = z.object({
+  token: z.string().min(10, 'Reset token is required'),
+  password: z.string(),
+});
+
+const magicLinkRequestSchema = z.object({
+  email: z.string().email(),
+  redirectUrl: z.string().min(1, 'Redirect URL must not be empty').optional(),
+  bindToBrowser: z.boolean().optional(),
+});
+
+const otpRequestSchema = z.object({
+  email: z.string().email(),
+  purpose: z.enum(OTP_PURPOSES, { message: 'Purpose must be login, verify or reset' }),
+});
+
+const otpSchema = z.object({
+  email: z.string().email(),
+  code: z.string().regex(/^\d{6,8}$/, 'Code must be 6 to 8 digits'),
+  purpose: z.enum(OTP_PURPOSES, { message: 'Purpose must be login, verify or reset' }),
+  ...sessionInfoShape,
+});
+
+const otpResetPasswordSchema = z.object({
+  email: z.string().email(),
+  code: z.string().regex(/^\d{6,8}$/, 'Code must be 6 to 8 digits'),
+  password: z.string(),
+  ip: sessionInfoShape.ip,
+});
+
+const magicLinkSchema = z.object({
+  token: z.string().min(10, 'Magic link token is required'),
+  browserToken: z.string().min(10, 'Browser token is required').optional(),
+  ...sessionInfoShape,
+});
+
+const verifyMfaSchema = z.object({
+  challengeToken: z.string().min(10, 'Challenge token is required'),
+  code: z.string().min(1, 'Verification code is required'),
+  ...sessionInfoShape,
+});
+
+const totpCodeSchema = z.object({
+  userId: z.string().min(1, 'User ID is required'),
+  code: z.string().min(1, 'Verification code is required'),
+});
+
+const disableTotpSchema = z.object({
+  userId: z.string().min(1, 'User ID is required'),
+  currentPassword: z.string().min(1, 'Current password is required'),
+});
+
+// The credential itself is checked by the RelyingParty
+const credentialResponseSchema = z.object({
+  id: z.string().min(1, 'Credential ID is required'),
+  response: z.object({
+    clientDataJSON: z.string().min(1, 'Client data is required'),
+  }).passthrough(),
+}).passthrough();
+
+const passkeyRegistrationSchema = z.object({
+  userId: z.string().min(1, 'User ID is required'),
+  response: credentialResponseSchema,
+  name: z.string().min(1, 'Passkey name must not be empty').max(100, 'Passkey name must be at most 100 characters').optional(),
+});
+
+const passkeySchema = z.object({
+  userId: z.string().min(1, 'User ID is required'),
+  credentialId: z.string().min(1, 'Credential ID is required'),
+});
+
+const oauthProviderSchema = z.object({
+  provider: z.string().min(1, 'Provider is required'),
+});
+
+// The query parameters the provider redirected back with, plus the browser token from the start call
+const oauthCallbackSchema = z.object({
+  code: z.string({ message: 'Authorization code is required' }).min(1, 'Authorization code is required'),
+  state: z.string({ message: 'OAuth state is required' }).min(10, 'OAuth state is required'),
+  browserToken: z.string({ message: 'Browser token is required' }).min(10, 'Browser token is required'),
+});
+
+const createApiKeySchema = z.object({
+  userId: z.string().min(1, 'User ID is required'),
+  name: z.string().min(1, 'API key name must not be empty').max(100, 'API key name must be at most 100 characters').optional(),
+  scopes: z.array(z.string().regex(/^\S+$/, 'Scopes must be non-empty and contain no spaces')).default([]),
+  expiresAt: z.date({ message: 'API key expiry must be a date' })
+    .refine((date) => date > new Date(), 'API key expiry must be in the future')
+    .optional(),
+});
+
+const apiKeyIdSchema = z.object({
+  userId: z.string().min(1, 'User ID is required'),
+  keyId: z.string().min(1, 'API key ID is required'),
+});
+
+const identitySchema = z.object({
+  userId: z.string().min(1, 'User ID is required'),
+  provider: z.string().min(1, 'Provider is required'),
+  subject: z.string().min(1, 'Subject is required'),
+});
+
+// A member's roles within one organization
+const memberRolesSchema = z.array(z.string().min(1, 'Roles must not be empty'), { message: 'Roles must be an array' })
+  .min(1, 'At least one role is required');
+
+const createOrganizationSchema = z.object({
+  userId: z.string().min(1, 'User ID is required'),
+  name: z.string({ message: 'Organization name is required' }).trim()
+    .min(1, 'Organization name is required')
+    .max(100, 'Organization name must be at most 100 characters'),
+  roles: memberRolesSchema.default(['owner']),
+});
+
+const memberSchema = z.object({
+  organizationId: z.string().min(1, 'Organization ID is required'),
+  userId: z.string().min(1, 'User ID is required'),
+});
+
+const memberRolesUpdateSchema = memberSchema.extend({
+  roles: memberRolesSchema,
+});
+
+const organizationIdSchema = memberSchema.pick({ organizationId: true });
+
+const switchTenantSchema = refreshSchema.extend({
+  tenantId: z.string().min(1, 'Tenant ID must not be empty').nullable(), // null leaves the tenant
+});
+
+const sessionIdSchema = z.object({
+  userId: z.string().min(1, 'User ID is required'),
+  sessionId: z.string().min(1, 'Session ID is required'),
+});
+
 /**
  * AuthService class
  * Orchestrates authentication flows using adapter pattern
  */
 export class AuthService {
+  #secretBox;
+
   /**
    * Create AuthService instance
    * @param {BaseAdapter} adapter - Database adapter implementation
+   * @param {object} [options] - Service options
+   * @param {TokenManager} [options.tokens] - Token configuration (defaults to process.env secrets)
+   * @param {boolean} [options.acceptLegacyRefreshTokens=false] - Also look up refresh tokens stored
+   *   raw by earlier versions; they are replaced by hashed ones on their next refresh
+   * @param {BaseMailer} [options.mailer] - Delivers verification, password reset, magic link and one-time code emails
+   * @param {boolean} [options.requireEmailVerification=false] - Reject login until the email is verified
+   * @param {number} [options.verificationTokenTtl=86400] - Verification link lifetime in seconds
+   * @param {number} [options.passwordResetTokenTtl=3600] - Password reset link lifetime in seconds
+   * @param {PasswordPolicy} [options.passwordPolicy] - Rules for new passwords (defaults to 8 to 128 characters)
+   * @param {PasswordHasher} [options.passwordHasher] - Argon2 parameters for password hashes;
+   *   hashes made with other parameters are upgraded on login
+   * @param {LoginThrottle|null} [options.loginThrottle] - Limits failed logins per account and client IP;
+   *   null turns throttling off
+   * @param {string} [options.mfaEncryptionKey] - Secret (minimum 32 characters) that encrypts TOTP secrets
+   *   and hashes recovery codes; required to enroll users in two-factor authentication
+   * @param {string} [options.mfaIssuer='RyAuth'] - Name shown in authenticator apps
+   * @param {number} [options.mfaChallengeTtl=300] - Seconds to enter a second factor after the password
+   * @param {RelyingParty} [options.relyingParty] - WebAuthn relying party; required for passkeys
+   * @param {number} [options.magicLinkTtl=900] - Magic link lifetime in seconds
+   * @param {boolean} [options.magicLinkAutoRegister=false] - Create an account when a magic link
+   *   for an unknown email is used
+   * @param {string[]} [options.magicLinkRedirectOrigins=[]] - Origins allowed in absolute magic link
+   *   redirect URLs; relative paths are always allowed
+   * @param {OtpPolicy} [options.otpPolicy] - Length, lifetime and attempt limit of email one-time codes
+   *   (defaults to 6 digits, 10 minutes, 5 attempts)
+   * @param {OAuthProvider[]} [options.oauthProviders=[]] - Providers for social login, each with a unique name
+   * @param {number} [options.oauthStateTtl=600] - Seconds to finish signing in at a provider
+   * @param {string} [options.apiKeyPrefix='ryauth'] - Prefix of new API keys, 1 to 16 lowercase letters and digits
    */
-  constructor(adapter) {
+  constructor(adapter, {
+    tokens = envTokenManager,
+    acceptLegacyRefreshTokens = false,
+    mailer = null,
+    requireEmailVerification = false,
+    verificationTokenTtl = DEFAULT_VERIFICATION_TOKEN_TTL,
+    passwordResetTokenTtl = DEFAULT_PASSWORD_RESET_TOKEN_TTL,
+    passwordPolicy = new PasswordPolicy(),
+    passwordHasher = defaultPasswordHasher,
+    loginThrottle = new LoginThrottle(),
+    mfaEncryptionKey,
+    mfaIssuer = 'RyAuth',
+    mfaChallengeTtl = DEFAULT_MFA_CHALLENGE_TTL,
+    relyingParty = null,
+    magicLinkTtl = DEFAULT_MAGIC_LINK_TTL,
+    magicLinkAutoRegister = false,
+    magicLinkRedirectOrigins = [],
+    otpPolicy = new OtpPolicy(),
+    oauthProviders = [],
+    oauthStateTtl = DEFAULT_OAUTH_STATE_TTL,
+    apiKeyPrefix = DEFAULT_API_KEY_PREFIX,
+  } = {}) {
     this.adapter = adapter;
+    this.tokens = tokens;
+    this.acceptLegacyRefreshTokens = acceptLegacyRefreshTokens;
+    this.mailer = mailer;
+    this.requireEmailVerification = requireEmailVerification;
+    this.verificationTokenTtl = verificationTokenTtl;
+    this.passwordResetTokenTtl = passwordResetTokenTtl;
+    this.passwordPolicy = passwordPolicy;
+    this.passwordHasher = passwordHasher;
+    this.loginThrottle = loginThrottle;
+    this.mfaIssuer = mfaIssuer;
+    this.mfaChallengeTtl = mfaChallengeTtl;
+    this.relyingParty = relyingParty;
+    this.magicLinkTtl = magicLinkTtl;
+    this.magicLinkAutoRegister = magicLinkAutoRegister;
+    this.magicLinkRedirectOrigins = magicLinkRedirectOrigins.map((origin) => new URL(origin).origin);
+    this.otpPolicy = otpPolicy;
+    this.oauthProviders = new Map();
+    for (const provider of oauthProviders) {
+      if (this.oauthProviders.has(provider.name)) {
+        throw new Error(`Duplicate OAuth provider name ${provider.name}`);
+      }
+      this.oauthProviders.set(provider.name, provider);
+    }
+    this.oauthStateTtl = oauthStateTtl;
+    this.apiKeyPrefix = apiKeyPrefix;
+    this.#secretBox = mfaEncryptionKey === undefined ? null : new SecretBox(mfaEncryptionKey);
+
+    // Computed ahead so the first login for an unknown email isn't slower than the rest
+    this.passwordHasher.dummyHash().catch(() => {});
   }
 
   /**
-   * Register a new user
-   * @param {string} email - User's email address
-   * @param {string} password - User's password
-   * @returns {Promise<{success: true, userId: string}>} Success response
-   * @throws {Error} Validation errors or registration failures
+   * Replaces a user's password hash with one made with the current parameters
+   * A failed upgrade is retried on the next login rather than failing this one
+   * @param {object} user - The user record
+   * @param {string} password - The verified plain text password
+   * @returns {Promise<void>}
    */
-  async register(email, password) {
-    // Validate input
-    const validated = registerSchema.safeParse({ email, password });
-    if (!validated.success) {
-      throw new Error(validated.error.issues[0].message);
+  async #rehashPassword(user, password) {
+    try {
+      const hashedPassword = await this.passwordHasher.hash(password);
+      await this.adapter.updateUser(user.id, { hashedPassword });
+    } catch {
+      // Keep the old hash; it still verifies
     }
+  }
 
-    // Check if user already exists
-    const existingUser = await this.adapter.findUserByEmail(email);
-    if (existingUser) {
-      throw new Error('User already exists');
+  /**
+   * Adapter keys for the failure counters a login attempt counts against
+   * @param {string} email - The email the login was attempted for
+   * @param {string} [ip] - The client IP address
+   * @returns {{key: string, scope: string}[]} The keys with their scope
+   */
+  #throttleKeys(email, ip) {
+    const keys = [{ key: this.loginThrottle.accountKey(email), scope: 'account' }];
+    if (ip) {
+      keys.push({ key: this.loginThrottle.ipKey(ip), scope: 'ip' });
     }
+    return keys;
+  }
 
-    // Hash password
-    const hashedPassword = await hashPassword(password);
+  /**
+   * Tells whether any of the keys is currently blocked
+   * @param {{key: string, scope: string}[]} keys - Keys from #throttleKeys
+   * @returns {Promise<boolean>} True if the attempt must be rejected
+   */
+  async #isThrottled(keys) {
+    for (const { key, scope } of keys) {
+      const record = await this.adapter.findLoginFailures(key);
+      if (this.loginThrottle.blockedUntil(record, scope)) {
+        return true;
+      }
+    }
+    return false;
+  }
 
-    // Create user
-    const user = await this.adapter.createUser({
-      email: validated.data.email,
-      hashedPassword: hashedPassword,
+  /**
+   * Counts a failed login against each key
+   * @param {{key: string, scope: string}[]} keys - Keys from #throttleKeys
+   * @returns {Promise<void>}
+   */
+  async #recordLoginFailure(keys) {
+    const now = new Date();
+    for (const { key } of keys) {
+      await this.adapter.recordLoginFailure(key, { at: now, resetBefore: this.loginThrottle.resetBefore(now) });
+    }
+  }
+
+  /**
+   * Picks the device details given to a login, leaving out missing ones
+   * @param {object} data - Validated input with the sessionInfoShape fields
+   * @returns {{ip?: string, userAgent?: string, deviceName?: string}} The given details
+   */
+  #sessionInfo({ ip, userAgent, deviceName }) {
+    return Object.fromEntries(
+      Object.entries({ ip, userAgent, deviceName }).filter(([, value]) => value !== undefined)
+    );
+  }
+
+  /**
+   * Continues a login once the first factor (password or magic link) has checked out
+   * Users with two-factor authentication get a challenge for verifyMfa() instead of tokens.
+   * @param {object} user - The user record
+   * @param {object} [sessionInfo] - Device details for the session, from #sessionInfo()
+   * @returns {Promise<object>} Token pair, or the MFA challenge
+   */
+  async #completeFirstFactor(user, sessionInfo = {}) {
+    // The failure count is kept until the second factor checks out too,
+    // so a known password can't be used to reset it between code guesses
+    const totp = await this.adapter.findTotpSecret(user.id);
+    if (totp?.confirmedAt) {
+      // The challenge carries the device details on to verifyMfa()
+      const { token, expiresAt } = await this.#issueOneTimeToken(
+        user,
+        MFA_CHALLENGE,
+        this.mfaChallengeTtl,
+        Object.keys(sessionInfo).length > 0 ? sessionInfo : null
+      );
+      return {
+        success: true,
+        mfaRequired: true,
+        challengeToken: token,
+        expiresAt,
+      };
+    }
+
+    return this.#completeLogin(user, sessionInfo);
+  }
+
+  /**
+   * Finishes a login once every factor has checked out
+   * @param {object} user - The user record
+   * @param {object} [sessionInfo] - Device details for the session, from #sessionInfo()
+   * @returns {Promise<{success: true, accessToken: string, refreshToken: string}>} Token pair
+   */
+  async #completeLogin(user, sessionInfo = {}) {
+    // Only the account's count is cleared; one good password mustn't reset a client guessing at others
+    if (this.loginThrottle) {
+      await this.adapter.clearLoginFailures(this.loginThrottle.accountKey(user.email));
+    }
+
+    // Generate token pair, starting a new family (one per login) that doubles as the session ID
+    const familyId = crypto.randomUUID();
+    const { accessToken, refreshToken } = await this.#issueTokenPair(user, {
+      familyId,
+      parentToken: null,
+    });
+
+    const now = new Date();
+    await this.adapter.saveSession({
+      id: familyId,
+      userId: user.id,
+      deviceName: sessionInfo.deviceName ?? null,
+      userAgent: sessionInfo.userAgent ?? null,
+      ip: sessionInfo.ip ?? null,
+      createdAt: now,
+      lastRefreshedAt: now,
+      expiresAt: this.#refreshTokenExpiry(),
     });
 
     return {
       success: true,
-      userId: user.id,
+      accessToken,
+      refreshToken,
     };
   }
 
   /**
-   * Login user and issue token pair
-   * @param {string} email - User's email address
-   * @param {string} password - User's password
-   * @returns {Promise<{success: true, accessToken: string, refreshToken: string}>} Token pair
-   * @throws {Error} Generic "Invalid credentials" for security
+   * Encryption for TOTP secrets and recovery codes
+   * @returns {SecretBox} The secret box
+   * @throws {Error} If no mfaEncryptionKey was configured
    */
-  async login(email, password) {
-    // Validate input
-    const validated = loginSchema.safeParse({ email, password });
-    if (!validated.success) {
-      throw new Error(validated.error.issues[0].message);
+  #requireSecretBox() {
+    if (!this.#secretBox) {
+      throw new Error('Two-factor authentication is not configured - pass mfaEncryptionKey');
     }
+    return this.#secretBox;
+  }
 
-    // Find user by email
-    const user = await this.adapter.findUserByEmail(validated.data.email);
+  /**
+   * Checks a TOTP code or recovery code for a user with confirmed two-factor authentication
+   * Accepted TOTP steps and recovery codes are used up, so neither can be replayed
+   * @param {object} user - The user record
+   * @param {object} totp - The user's TOTP record
+   * @param {string} code - The code entered by the user
+   * @returns {Promise<boolean>} True if the code was accepted
+   */
+  async #verifySecondFactor(user, totp, code) {
+    const secretBox = this.#requireSecretBox();
 
-    // Always perform password verification for timing safety
-    // Use a dummy hash if user doesn't exist to maintain consistent timing
-    const hashToCheck = user ? user.hashedPassword : '$argon2id$v=19$m=65536,t=3,p=4$ltv4rLoGLpCul8wO1xwJlQ$vfkMCoi/vx7JJF0BBMrzxR/RuGzzv9i4M4o1vYfDfqY';
-    const passwordValid = await verifyPassword(hashToCheck, validated.data.password);
+    if (/^\d{6}$/.test(code)) {
+      const step = verifyTotp(secretBox.decrypt(totp.secret, user.id), code);
+      return step !== null && (await this.adapter.markTotpStepUsed(user.id, step)) === true;
+    }
 
-    // Check both user existence and password validity
-    if (!user || !passwordValid) {
-      throw new Error('Invalid credentials');
+    const normalized = code.toLowerCase().replace(/[^0-9a-f]/g, '');
+    return normalized.length > 0 && (await this.adapter.consumeRecoveryCode(user.id, secretBox.hash(normalized))) === true;
+  }
+
+  /**
+   * Replaces a user's recovery codes with new ones
+   * Only keyed hashes are stored; the raw codes are returned once
+   * @param {string} userId - The user ID
+   * @returns {Promise<string[]>} The new codes
+   */
+  async #issueRecoveryCodes(userId) {
+    const secretBox = this.#requireSecretBox();
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await this.adapter.saveRecoveryCodes(userId, codes.map((code) => secretBox.hash(code.replace('-', ''))));
+    return codes;
+  }
+
+  /**
+   * Checks where a magic link may send the user after signing in
+   * Relative paths stay on the app; absolute URLs need an allowed origin, so links can't be used for phishing redirects
+   * @param {string} redirectUrl - The requested redirect URL
+   * @returns {string} The redirect URL
+   * @throws {Error} If the URL isn't allowed
+   */
+  #checkRedirectUrl(redirectUrl) {
+    if (/^\/(?![/\\])/.test(redirectUrl)) {
+      return redirectUrl;
     }
 
-    // Generate token pair
-    const accessToken = await signAccessToken({ userId: user.id, role: user.role });
-    const refreshToken = await signRefreshToken({ userId: user.id });
+    let origin;
+    try {
+      origin = new URL(redirectUrl).origin;
+    } catch {
+      throw new Error('Redirect URL is not allowed');
+    }
+    if (!this.magicLinkRedirectOrigins.includes(origin)) {
+      throw new Error('Redirect URL is not allowed');
+    }
+    return redirectUrl;
+  }
 
-    // Save refresh token
-    await this.adapter.saveRefreshToken(
-      user.id,
-      refreshToken,
-      new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days from now
-    );
+  /**
+   * Checks a browser token against the hash stored with a single-use token
+   * @param {object} record - The one-time token record, with data.browserToken
+   * @param {string} [browserToken] - The token the browser sent back
+   * @returns {boolean} True if they match
+   */
+  #isSameBrowser(record, browserToken) {
+    const expected = Buffer.from(record.data?.browserToken ?? '');
+    const given = Buffer.from(browserToken ? hashOneTimeToken(browserToken) : '');
+    return expected.length > 0 && given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  /**
+   * The fields of an API key that are safe to show; never the hash
+   * @param {object} apiKey - The API key record
+   * @returns {object} id, prefix, name, scopes, expiresAt, createdAt and lastUsedAt
+   */
+  #listedApiKey({ id, prefix, name, scopes, expiresAt, createdAt, lastUsedAt }) {
+    return { id, prefix, name, scopes, expiresAt, createdAt, lastUsedAt };
+  }
+
+  /**
+   * Looks up a configured social login provider
+   * @param {string} name - The provider name
+   * @returns {OAuthProvider} The provider
+   * @throws {Error} If no provider has that name
+   */
+  #requireOAuthProvider(name) {
+    const provider = this.oauthProviders.get(name);
+    if (!provider) {
+      throw new Error('Unknown OAuth provider');
+    }
+    return provider;
+  }
+
+  /**
+   * Stores a fresh state, nonce and PKCE verifier and builds the provider's authorization URL
+   * @param {string} name - The provider name
+   * @param {string} purpose - OAUTH_LOGIN or OAUTH_LINK
+   * @param {object|null} user - The user linking an account, or null for sign-in
+   * @returns {Promise<{success: true, url: string, browserToken: string}>} Where to send the browser
+   */
+  async #startOAuth(name, purpose, user) {
+    const provider = this.#requireOAuthProvider(name);
+    const state = generateOneTimeToken();
+    const nonce = generateOneTimeToken();
+    const codeVerifier = generateOneTimeToken();
+    const browserToken = generateOneTimeToken();
+
+    const url = await provider.authorizationUrl({ state, nonce, codeVerifier });
+    await this.adapter.saveOneTimeToken(hashOneTimeToken(state), {
+      purpose,
+      userId: user?.id ?? null,
+      email: user?.email ?? null,
+      expiresAt: new Date(Date.now() + this.oauthStateTtl * 1000),
+      data: { provider: provider.name, nonce, codeVerifier, browserToken: hashOneTimeToken(browserToken) },
+    });
 
     return {
       success: true,
-      accessToken,
-      refreshToken,
+      url,
+      browserToken,
     };
   }
 
   /**
-   * Refresh access token using refresh token
-   * Implements automatic breach detection
-   * @param {string} refreshToken - Valid refresh token
-   * @returns {Promise<{success: true, accessToken: string, refreshToken: string}>} New token pair
-   * @throws {Error} If token is invalid or revoked
+   * Consumes the state of a provider callback and asks the provider who signed in
+   * @param {object} callback - code, state and browserToken
+   * @param {string} purpose - OAUTH_LOGIN or OAUTH_LINK
+   * @returns {Promise<{record: object, provider: OAuthProvider, identity: object}>} The flow and the external identity
+   * @throws {Error} If the state is invalid or expired, the browser differs, or the provider rejects the code
    */
-  async refresh(refreshToken) {
+  async #finishOAuth(callback, purpose) {
     // Validate input
-    const validated = refreshSchema.safeParse({ refreshToken });
+    const validated = oauthCallbackSchema.safeParse(callback ?? {});
     if (!validated.success) {
       throw new Error(validated.error.issues[0].message);
     }
 
+    const key = hashOneTimeToken(validated.data.state);
+    const record = await this.adapter.consumeOneTimeToken(key, purpose);
+    if (!record || record.expiresAt < new Date()) {
+      throw new Error('Invalid or expired OAuth state');
+    }
+    // Stops an attacker from finishing their own sign-in in the victim's browser
+    if (!this.#isSameBrowser(record, validated.data.browserToken)) {
+      await this.adapter.saveOneTimeToken(key, record);
+      throw new Error('OAuth flow must be finished in the browser that started it');
+    }
+
+    const provider = this.#requireOAuthProvider(record.data.provider);
+    const identity = await provider.identify({
+      code: validated.data.code,
+      codeVerifier: record.data.codeVerifier,
+      nonce: record.data.nonce,
+    });
+
+    return { record, provider, identity };
+  }
+
+  /**
+   * WebAuthn checks for passkeys
+   * @returns {RelyingParty} The relying party
+   * @throws {Error} If no relyingParty was configured
+   */
+  #requireRelyingParty() {
+    if (!this.relyingParty) {
+      throw new Error('Passkeys are not configured - pass relyingParty');
+    }
+    return this.relyingParty;
+  }
+
+  /**
+   * Reads the challenge a WebAuthn response was signed for, to find the stored ceremony
+   * @param {object} response - The credential response
+   * @returns {string|null} The challenge, or null if the client data can't be read
+   */
+  #passkeyChallenge(response) {
+    try {
+      return parseClientDataJSON(response.response.clientDataJSON).challenge;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Loads a user by ID for an account management call
+   * @param {string} userId - The user ID
+   * @returns {Promise<object>} The user record
+   * @throws {Error} If the user doesn't exist
+   */
+  async #requireUser(userId) {
+    const user = await this.adapter.findUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  /**
+   * Expiry date for a refresh token issued now
+   * @returns {Date} The expiration date
+   */
+  #refreshTokenExpiry() {
+    return new Date(Date.now() + this.tokens.refreshTokenTtl * 1000);
+  }
+
+  /**
+   * Signs a token pair and saves the refresh token
+   * The access token names its session as sid. The refresh token carries the tenant too,
+   * so refreshing keeps the session scoped to it.
+   * @param {object} user - The user object
+   * @param {{familyId: string, parentToken: string|null}} links - Token family links for the refresh token
+   * @param {object|null} [membership] - Membership of the tenant to scope the tokens to
+   * @returns {Promise<{accessToken: string, refreshToken: string}>} The token pair
+   */
+  async #issueTokenPair(user, links, membership = null) {
+    const accessToken = await this.tokens.signAccessToken({
+      ...userClaims(user, membership),
+      sid: links.familyId,
+    });
+    const refreshToken = await this.tokens.signRefreshToken({
+      userId: user.id,
+      ...(membership ? { tid: membership.organizationId } : {}),
+    });
+
+    await this.adapter.saveRefreshToken(
+      user.id,
+      this.tokens.hashRefreshToken(refreshToken),
+      this.#refreshTokenExpiry(),
+      links
+    );
+
+    return { accessToken, refreshToken };
+  }
+
+  /**
+   * Finds the stored record of a refresh token
+   * Adapters only ever see the token hash; raw lookups are a migration fallback
+   * @param {string} refreshToken - The raw refresh token
+   * @returns {Promise<{key: string, record: object}|null>} The storage key and record, or null if not found
+   */
+  async #findRefreshToken(refreshToken) {
+    const key = this.tokens.hashRefreshToken(refreshToken);
+    const record = await this.adapter.findRefreshToken(key);
+    if (record) {
+      return { key, record };
+    }
+
+    if (this.acceptLegacyRefreshTokens) {
+      const legacyRecord = await this.adapter.findRefreshToken(refreshToken);
+      if (legacyRecord) {
+        return { key: refreshToken, record: legacyRecord };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolves a refresh token to a live session of the given user
+   * @param {string} refreshToken - The raw refresh token
+   * @param {string} userId - The user the session must belong to
+   * @returns {Promise<{key: string, record: object, payload: object}>} The storage key, record and token claims
+   * @throws {Error} If the token is invalid, revoked, expired or belongs to someone else
+   */
+  async #findActiveSession(refreshToken, userId) {
+    let payload;
+    try {
+      payload = await this.tokens.verifyJWT(refreshToken, 'refresh');
+    } catch (error) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const stored = payload.userId === userId ? await this.#findRefreshToken(refreshToken) : null;
+    if (!stored || stored.record.revoked || stored.record.expiresAt < new Date()) {
+      throw new Error('Invalid refresh token');
+    }
+    return { ...stored, payload };
+  }
+
+  /**
+   * Checks a refresh token presented for rotation
+   * Implements reuse detection per token family: presenting a token that was
+   * already rotated revokes every token descended from the same login
+   * @param {string} refreshToken - The raw refresh token
+   * @returns {Promise<{key: string, record: object, payload: object}>} The storage key, record and token claims
+   * @throws {Error} If the token is invalid, expired, revoked or reused
+   */
+  async #checkRefreshToken(refreshToken) {
     // Verify JWT signature and extract payload
     let payload;
     try {
-      payload = await verifyJWT(validated.data.refreshToken, 'refresh');
+      payload = await this.tokens.verifyJWT(refreshToken, 'refresh');
     } catch (error) {
+      if (error.message === 'Token expired') {
+        throw new Error('Refresh token expired');
+      }
       throw new Error('Invalid refresh token');
     }
 
-    // Check if token is revoked or expired
-    const isValid = await this.adapter.isRefreshTokenValid(validated.data.refreshToken);
-    if (!isValid) {
-      // Automatic breach detection: revoke all tokens for this user
-      await this.adapter.revokeAllUserSessions(payload.userId);
+    const stored = await this.#findRefreshToken(refreshToken);
+    if (!stored) {
+      throw new Error('Session revoked - please login again');
+    }
+    const { record } = stored;
+
+    if (record.revoked) {
+      await this.#endReusedFamily(record);
       throw new Error('Session revoked - please login again');
     }
 
-    // Revoke old refresh token (token rotation)
-    await this.adapter.revokeRefreshToken(validated.data.refreshToken);
+    if (record.expiresAt < new Date()) {
+      throw new Error('Refresh token expired');
+    }
 
-    // Issue new token pair
-    const newAccessToken = await signAccessToken({ 
-      userId: payload.userId, 
-      role: payload.role || 'user' 
-    });
-    const newRefreshToken = await signRefreshToken({ userId: payload.userId });
+    return { ...stored, payload };
+  }
 
-    // Save new refresh token
-    await this.adapter.saveRefreshToken(
-      payload.userId,
-      newRefreshToken,
-      new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days from now
-    );
+  /**
+   * Ends the login chain of a refresh token that was presented after it was rotated
+   * Tokens saved before families existed fall back to revoking every session
+   * @param {object} record - The stored refresh token record
+   * @returns {Promise<void>}
+   */
+  async #endReusedFamily(record) {
+    if (record.familyId) {
+      await this.#endSession(record.familyId);
+    } else {
+      await this.#endAllSessions(record.userId);
+    }
+  }
+
+  /**
+   * Rotates a checked refresh token: consumes it, issues a new pair in the same
+   * family and records the refresh on the session
+   * @param {object} user - The user record
+   * @param {{key: string, record: object}} stored - The checked token's storage key and record
+   * @param {object|null} membership - Membership of the tenant the new pair is scoped to
+   * @param {{ip?: string, userAgent?: string}} [sessionInfo] - Where the client is now
+   * @returns {Promise<{accessToken: string, refreshToken: string}>} The new token pair
+   * @throws {Error} If a concurrent refresh consumed the token first, or ended its session meanwhile
+   */
+  async #rotateRefreshToken(user, { key, record }, membership, sessionInfo = {}) {
+    // Looked up before the token is consumed, so a session ended by a concurrent
+    // reuse isn't mistaken for a family from before sessions were recorded
+    const hadSession = record.familyId ? Boolean(await this.adapter.findSession(record.familyId)) : false;
+
+    // Of two concurrent refreshes with the same token only one consumes it; the other is a reuse
+    if (!(await this.adapter.revokeRefreshToken(key))) {
+      await this.#endReusedFamily(record);
+      throw new Error('Session revoked - please login again');
+    }
+
+    // Issue new token pair in the same family, linked to its parent
+    const familyId = record.familyId ?? crypto.randomUUID();
+    const tokens = await this.#issueTokenPair(user, {
+      familyId,
+      parentToken: key,
+    }, membership);
+
+    // A reuse detected while the pair was issued ended the session: don't bring it back
+    if (hadSession && !(await this.adapter.findSession(familyId))) {
+      await this.adapter.revokeTokenFamily(familyId);
+      throw new Error('Session revoked - please login again');
+    }
+    await this.#touchSession(user.id, familyId, sessionInfo);
+
+    return tokens;
+  }
+
+  /**
+   * Records a refresh of a session: when it happened, when its new refresh token expires
+   * and, when given, where the client was. Families from before sessions were recorded get a record now.
+   * @param {string} userId - The session's user
+   * @param {string} sessionId - The session ID, i.e. the token family
+   * @param {{ip?: string, userAgent?: string}} [sessionInfo] - Where the client is now
+   * @returns {Promise<void>}
+   */
+  async #touchSession(userId, sessionId, sessionInfo = {}) {
+    const now = new Date();
+    const updates = { lastRefreshedAt: now, expiresAt: this.#refreshTokenExpiry() };
+    if (sessionInfo.ip !== undefined) {
+      updates.ip = sessionInfo.ip;
+    }
+    if (sessionInfo.userAgent !== undefined) {
+      updates.userAgent = sessionInfo.userAgent;
+    }
+
+    if (await this.adapter.findSession(sessionId)) {
+      await this.adapter.updateSession(sessionId, updates);
+    } else {
+      await this.adapter.saveSession({ id: sessionId, userId, createdAt: now, ...updates });
+    }
+  }
+
+  /**
+   * Ends one session: its refresh tokens are revoked and its record deleted
+   * @param {string} sessionId - The session ID, i.e. the token family
+   * @returns {Promise<void>}
+   */
+  async #endSession(sessionId) {
+    // Record first: a rotation that still sees it saved its new token before the family is revoked
+    await this.adapter.deleteSession(sessionId);
+    await this.adapter.revokeTokenFamily(sessionId);
+  }
+
+  /**
+   * Ends every session of a user
+   * @param {string} userId - The user ID
+   * @param {object} [options] - Options
+   * @param {string} [options.except] - ID of a session whose record is kept, as its family goes on with a new token
+   * @returns {Promise<void>}
+   */
+  async #endAllSessions(userId, { except } = {}) {
+    await this.adapter.revokeAllUserSessions(userId);
+    for (const session of await this.adapter.findSessionsByUserId(userId)) {
+      if (session.id !== except) {
+        await this.adapter.deleteSession(session.id);
+      }
+    }
+  }
+
+  /**
+   * Shapes a session record for listing, without the user ID
+   * @param {object} session - The session record
+   * @returns {object} The listed session
+   */
+  #listedSession({ id, deviceName, userAgent, ip, createdAt, lastRefreshedAt, expiresAt }) {
+    return { id, deviceName, userAgent, ip, createdAt, lastRefreshedAt, expiresAt };
+  }
+
+  /**
+   * Issues a single-use token for a user
+   * Only the hash is stored; the raw token goes out by email
+   * @param {object} user - The user object
+   * @param {string} purpose - The flow the token is for
+   * @param {number} ttl - Token lifetime in seconds
+   * @param {Object<string, string>|null} [data] - Extra data kept with the token
+   * @returns {Promise<{token: string, expiresAt: Date}>} The raw token and its expiry
+   */
+  async #issueOneTimeToken(user, purpose, ttl, data = null) {
+    const token = generateOneTimeToken();
+    const expiresAt = new Date(Date.now() + ttl * 1000);
+    await this.adapter.saveOneTimeToken(hashOneTimeToken(token), {
+      purpose,
+      userId: user.id,
+      email: user.email,
+      expiresAt,
+      ...(data ? { data } : {}),
+    });
+    return { token, expiresAt };
+  }
+
+  /**
+   * Consumes a single-use token and loads the user it was issued for
+   * The token is used up even if it turns out to be expired
+   * @param {string} token - The raw token
+   * @param {string} purpose - The flow the token must be for
+   * @returns {Promise<{user: object, record: object}|null>} The user and token record, or null if the token is unknown, expired or stale
+   */
+  async #consumeOneTimeToken(token, purpose) {
+    const record = await this.adapter.consumeOneTimeToken(hashOneTimeToken(token), purpose);
+    if (!record || record.expiresAt < new Date()) {
+      return null;
+    }
+
+    // The address may have changed since the link was sent
+    const user = await this.adapter.findUserById(record.userId);
+    if (!user || user.email !== record.email) {
+      return null;
+    }
+    return { user, record };
+  }
+
+  /**
+   * Hashes an email one-time code, bound to the address and purpose it was issued for
+   * @param {string} code - The code
+   * @param {string} email - The email address
+   * @param {string} purpose - 'login', 'verify' or 'reset'
+   * @returns {string} The keyed hash
+   */
+  #hashOtp(code, email, purpose) {
+    return this.tokens.hashOneTimeCode(code, `${purpose}:${email}`);
+  }
+
+  /**
+   * Checks an email one-time code and uses it up
+   * The attempt is counted before the comparison, so concurrent guesses can't get past
+   * the limit; the code is deleted once it matches or the limit is reached.
+   * @param {string} email - The email address the code was sent to
+   * @param {string} code - The code entered by the user
+   * @param {string} purpose - The flow the code must be for
+   * @returns {Promise<object|null>} The user the code was issued for, or null if it is wrong, expired or used up
+   */
+  async #checkOtp(email, code, purpose) {
+    const record = await this.adapter.findOtp(email, purpose);
+    if (!record) {
+      return null;
+    }
+    if (record.expiresAt < new Date()) {
+      await this.adapter.deleteOtp(email, purpose);
+      return null;
+    }
+
+    const attempts = await this.adapter.incrementOtpAttempts(email, purpose);
+    if (attempts === null || attempts > this.otpPolicy.maxAttempts) {
+      await this.adapter.deleteOtp(email, purpose);
+      return null;
+    }
+
+    const given = Buffer.from(this.#hashOtp(code, email, purpose));
+    const expected = Buffer.from(record.codeHash);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+      if (attempts >= this.otpPolicy.maxAttempts) {
+        await this.adapter.deleteOtp(email, purpose);
+      }
+      return null;
+    }
+
+    // Only one of two concurrent requests with the right code gets to delete it
+    if (!(await this.adapter.deleteOtp(email, purpose))) {
+      return null;
+    }
+
+    // The address may have changed since the code was sent
+    const user = await this.adapter.findUserById(record.userId);
+    return user?.email === email ? user : null;
+  }
+
+  /**
+   * Register a new user
+   * @param {string} email - User's email address
+   * @param {string} password - User's password
+   * @returns {Promise<{success: true, userId: string}>} Success response
+   * @throws {Error} Validation errors or registration failures
+   */
+  async register(email, password) {
+    // Validate input
+    const validated = registerSchema.safeParse({ email, password });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+    this.passwordPolicy.assert(validated.data.password, { email: validated.data.email });
+
+    // Check if user already exists
+    const existingUser = await this.adapter.findUserByEmail(email);
+    if (existingUser) {
+      throw new Error('User already exists');
+    }
+
+    // Hash password
+    const hashedPassword = await this.passwordHasher.hash(password);
+
+    // Create user
+    const user = await this.adapter.createUser({
+      email: validated.data.email,
+      hashedPassword: hashedPassword,
+    });
+
+    return {
+      success: true,
+      userId: user.id,
+    };
+  }
+
+  /**
+   * Login user and issue token pair
+   * Failed attempts are counted per account and, when `ip` is given, per client IP.
+   * Blocked attempts fail like wrong passwords, without checking the password.
+   * Each login starts a session, which records the device details given here (see listSessions()).
+   * @param {string} email - User's email address
+   * @param {string} password - User's password
+   * @param {object} [options] - Login options
+   * @param {string} [options.ip] - Client IP address, e.g. req.ip
+   * @param {string} [options.userAgent] - User-Agent header of the client; cut to 512 characters
+   * @param {string} [options.deviceName] - Name for the device, up to 100 characters, e.g. "Work laptop"
+   * @returns {Promise<{success: true, accessToken: string, refreshToken: string}>} Token pair
+   * @throws {Error} Generic "Invalid credentials" for security, also while throttled
+   */
+  async login(email, password, { ip, userAgent, deviceName } = {}) {
+    // Validate input
+    const validated = loginSchema.safeParse({ email, password, ip, userAgent, deviceName });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    // Unknown emails are counted too, so a lockout says nothing about whether the account exists
+    const throttleKeys = this.loginThrottle ? this.#throttleKeys(validated.data.email, validated.data.ip) : [];
+    if (await this.#isThrottled(throttleKeys)) {
+      throw new Error('Invalid credentials');
+    }
+
+    // Find user by email
+    const user = await this.adapter.findUserByEmail(validated.data.email);
+
+    // Always perform password verification for timing safety
+    // Use a dummy hash made with the current parameters if user doesn't exist or has no password
+    const hashToCheck = user?.hashedPassword ?? await this.passwordHasher.dummyHash();
+    const { valid, needsRehash } = await this.passwordHasher.check(hashToCheck, validated.data.password);
+
+    // Check both user existence and password validity
+    if (!user?.hashedPassword || !valid) {
+      await this.#recordLoginFailure(throttleKeys);
+      throw new Error('Invalid credentials');
+    }
+
+    // Only reported after the password checked out, so it can't be used to probe accounts
+    if (this.requireEmailVerification && !user.emailVerified) {
+      throw new Error('Email not verified');
+    }
+
+    // The plain password is only available now, so outdated hashes are upgraded here
+    if (needsRehash) {
+      await this.#rehashPassword(user, validated.data.password);
+    }
+
+    return this.#completeFirstFactor(user, this.#sessionInfo(validated.data));
+  }
+
+  /**
+   * Exchange an MFA challenge for a token pair
+   * Accepts a current TOTP code or an unused recovery code. Wrong codes count as
+   * failed logins; the challenge stays usable until it expires, also while the account is throttled.
+   * @param {string} challengeToken - The challenge token returned by login()
+   * @param {string} code - A 6-digit TOTP code or a recovery code
+   * @param {object} [options] - Verification options; device details default to those given to login()
+   * @param {string} [options.ip] - Client IP address, e.g. req.ip
+   * @param {string} [options.userAgent] - User-Agent header of the client
+   * @param {string} [options.deviceName] - Name for the device
+   * @returns {Promise<{success: true, accessToken: string, refreshToken: string}>} Token pair
+   * @throws {Error} If the challenge is invalid or expired, or the code is wrong
+   */
+  async verifyMfa(challengeToken, code, { ip, userAgent, deviceName } = {}) {
+    // Validate input
+    const validated = verifyMfaSchema.safeParse({ challengeToken, code, ip, userAgent, deviceName });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const consumed = await this.#consumeOneTimeToken(validated.data.challengeToken, MFA_CHALLENGE);
+    const totp = consumed && await this.adapter.findTotpSecret(consumed.user.id);
+    if (!totp?.confirmedAt) {
+      throw new Error('Invalid or expired MFA challenge');
+    }
+
+    // The account is only known from the challenge, so a throttled attempt hands it back too
+    const { user, record } = consumed;
+    const throttleKeys = this.loginThrottle ? this.#throttleKeys(user.email, validated.data.ip) : [];
+    if (await this.#isThrottled(throttleKeys)) {
+      await this.adapter.saveOneTimeToken(hashOneTimeToken(validated.data.challengeToken), record);
+      throw new Error('Invalid verification code');
+    }
+
+    if (!(await this.#verifySecondFactor(user, totp, validated.data.code))) {
+      await this.#recordLoginFailure(throttleKeys);
+      // Hand the challenge back so a mistyped code doesn't mean entering the password again
+      await this.adapter.saveOneTimeToken(hashOneTimeToken(validated.data.challengeToken), record);
+      throw new Error('Invalid verification code');
+    }
+
+    return this.#completeLogin(user, { ...record.data, ...this.#sessionInfo(validated.data) });
+  }
+
+  /**
+   * Email a single-use sign-in link
+   * Unknown emails get the same response and no email, unless magicLinkAutoRegister is on.
+   * With bindToBrowser, the link only works together with the returned browserToken,
+   * which the app keeps in the requesting browser (e.g. in a cookie).
+   * @param {string} email - User's email address
+   * @param {object} [options] - Link options
+   * @param {string} [options.redirectUrl] - Where to go after signing in; a relative path or a URL on an allowed origin
+   * @param {boolean} [options.bindToBrowser=false] - Only accept the link from the browser that asked for it
+   * @returns {Promise<{success: true, browserToken?: string}>} The browser token when bindToBrowser is set
+   * @throws {Error} If no mailer is configured or the redirect URL isn't allowed
+   */
+  async requestMagicLink(email, { redirectUrl, bindToBrowser = false } = {}) {
+    // Validate input
+    const validated = magicLinkRequestSchema.safeParse({ email, redirectUrl, bindToBrowser });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    if (!this.mailer) {
+      throw new Error('A mailer is required to send magic links');
+    }
+
+    const checkedRedirectUrl = validated.data.redirectUrl === undefined
+      ? null
+      : this.#checkRedirectUrl(validated.data.redirectUrl);
+    // Issued for unknown emails too, so the response doesn't tell whether the account exists
+    const browserToken = validated.data.bindToBrowser ? generateOneTimeToken() : null;
+
+    const user = await this.adapter.findUserByEmail(validated.data.email);
+    if (user || this.magicLinkAutoRegister) {
+      const token = generateOneTimeToken();
+      const expiresAt = new Date(Date.now() + this.magicLinkTtl * 1000);
+      const data = {};
+      if (checkedRedirectUrl) data.redirectUrl = checkedRedirectUrl;
+      if (browserToken) data.browserToken = hashOneTimeToken(browserToken);
+
+      await this.adapter.saveOneTimeToken(hashOneTimeToken(token), {
+        purpose: MAGIC_LINK,
+        userId: user?.id ?? null,
+        email: user?.email ?? validated.data.email,
+        expiresAt,
+        data,
+      });
+      await this.mailer.sendMagicLinkEmail({
+        to: user?.email ?? validated.data.email,
+        token,
+        userId: user?.id ?? null,
+        expiresAt,
+        redirectUrl: checkedRedirectUrl,
+      });
+    }
+
+    return {
+      success: true,
+      ...(browserToken ? { browserToken } : {}),
+    };
+  }
+
+  /**
+   * Sign in with a magic link token
+   * Continues like login() after the password check: users with two-factor authentication
+   * get an MFA challenge. Using the link also marks the email as verified.
+   * @param {string} token - The token from the link
+   * @param {object} [options] - Sign-in options
+   * @param {string} [options.browserToken] - The browserToken from requestMagicLink(), for bound links
+   * @param {string} [options.ip] - Client IP address, recorded on the session
+   * @param {string} [options.userAgent] - User-Agent header of the client
+   * @param {string} [options.deviceName] - Name for the device
+   * @returns {Promise<object>} Token pair (or MFA challenge) plus `redirectUrl` and `created`,
+   *   which is true when the account was just registered
+   * @throws {Error} If the link is invalid, expired, used, or opened in another browser
+   */
+  async consumeMagicLink(token, { browserToken, ip, userAgent, deviceName } = {}) {
+    // Validate input
+    const validated = magicLinkSchema.safeParse({ token, browserToken, ip, userAgent, deviceName });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const key = hashOneTimeToken(validated.data.token);
+    const record = await this.adapter.consumeOneTimeToken(key, MAGIC_LINK);
+    if (!record || record.expiresAt < new Date()) {
+      throw new Error('Invalid or expired magic link');
+    }
+
+    if (record.data?.browserToken && !this.#isSameBrowser(record, validated.data.browserToken)) {
+      // Give the link back so it still works in the right browser
+      await this.adapter.saveOneTimeToken(key, record);
+      throw new Error('Magic link must be opened in the browser that requested it');
+    }
+
+    let user;
+    let created = false;
+    if (record.userId) {
+      // The address may have changed since the link was sent
+      user = await this.adapter.findUserById(record.userId);
+      if (user?.email !== record.email) {
+        user = null;
+      }
+    } else if (this.magicLinkAutoRegister) {
+      // Someone may have registered the address since the link was sent
+      user = await this.adapter.findUserByEmail(record.email);
+      if (!user) {
+        user = await this.adapter.createUser({ email: record.email, hashedPassword: null, emailVerified: true });
+        created = true;
+      }
+    }
+    if (!user) {
+      throw new Error('Invalid or expired magic link');
+    }
+
+    // Opening the link proves the user controls the address
+    if (!user.emailVerified) {
+      await this.adapter.markEmailVerified(user.id);
+      user = { ...user, emailVerified: true };
+    }
+
+    return {
+      ...(await this.#completeFirstFactor(user, this.#sessionInfo(validated.data))),
+      redirectUrl: record.data?.redirectUrl ?? null,
+      created,
+    };
+  }
+
+  /**
+   * Email a numeric one-time code
+   * For apps that can't open links. Responds the same whether or not the email
+   * belongs to an account. A new code replaces any earlier one for the same purpose.
+   * Requests per email and purpose are limited by the OtpPolicy's maxRequests.
+   * @param {string} email - Email address of the account
+   * @param {string} [purpose='login'] - 'login' for loginWithOtp(), 'verify' for verifyOtp(), 'reset' for resetPasswordWithOtp()
+   * @returns {Promise<{success: true}>} Success response
+   * @throws {Error} If the email or purpose is invalid, no mailer is configured or too many codes were requested
+   */
+  async requestOtp(email, purpose = 'login') {
+    // Validate input
+    const validated = otpRequestSchema.safeParse({ email, purpose });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    if (!this.mailer) {
+      throw new Error('A mailer is required to send one-time codes');
+    }
+
+    // Unknown emails are counted too, so refusals say nothing about whether the account exists
+    const now = new Date();
+    const requests = await this.adapter.recordOtpRequest(
+      validated.data.email.toLowerCase(),
+      validated.data.purpose,
+      { at: now, resetBefore: this.otpPolicy.requestResetBefore(now) }
+    );
+    if (requests > this.otpPolicy.maxRequests) {
+      throw new Error('Too many codes requested - try again later');
+    }
+
+    const user = await this.adapter.findUserByEmail(validated.data.email);
+
+    if (user) {
+      const code = this.otpPolicy.generate();
+      const expiresAt = new Date(Date.now() + this.otpPolicy.ttl * 1000);
+      await this.adapter.saveOtp(user.email, validated.data.purpose, {
+        codeHash: this.#hashOtp(code, user.email, validated.data.purpose),
+        userId: user.id,
+        expiresAt,
+      });
+      await this.mailer.sendOtpEmail({ to: user.email, code, purpose: validated.data.purpose, userId: user.id, expiresAt });
+    }
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * Check and use up an email one-time code
+   * A 'verify' code also marks the email as verified. Wrong codes count against the code's
+   * attempt limit; once it is reached the code is invalidated and a new one must be requested.
+   * They also count as failed logins, so requesting new codes doesn't buy more guesses.
+   * @param {string} email - Email address the code was sent to
+   * @param {string} code - The code entered by the user
+   * @param {string} purpose - The purpose the code was requested for
+   * @param {object} [options] - Check options
+   * @param {string} [options.ip] - Client IP address, e.g. req.ip
+   * @returns {Promise<{success: true, userId: string}>} The user the code belongs to
+   * @throws {Error} If the code is wrong, expired or already used, or the account is throttled
+   */
+  async verifyOtp(email, code, purpose, { ip } = {}) {
+    // Validate input
+    const validated = otpSchema.safeParse({ email, code, purpose, ip });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const throttleKeys = this.loginThrottle ? this.#throttleKeys(validated.data.email, validated.data.ip) : [];
+    if (await this.#isThrottled(throttleKeys)) {
+      throw new Error('Invalid or expired code');
+    }
+
+    const user = await this.#checkOtp(validated.data.email, validated.data.code, validated.data.purpose);
+    if (!user) {
+      await this.#recordLoginFailure(throttleKeys);
+      throw new Error('Invalid or expired code');
+    }
+
+    if (validated.data.purpose === 'verify' && !user.emailVerified) {
+      await this.adapter.markEmailVerified(user.id);
+    }
+
+    return {
+      success: true,
+      userId: user.id,
+    };
+  }
+
+  /**
+   * Login with an emailed one-time code instead of a password
+   * Produces the same result as login(): a token pair, or an MFA challenge for users
+   * with two-factor authentication. Wrong codes also count as failed logins.
+   * @param {string} email - User's email address
+   * @param {string} code - The 'login' code from requestOtp()
+   * @param {object} [options] - Login options
+   * @param {string} [options.ip] - Client IP address, e.g. req.ip
+   * @param {string} [options.userAgent] - User-Agent header of the client
+   * @param {string} [options.deviceName] - Name for the device
+   * @returns {Promise<object>} Token pair, or the MFA challenge
+   * @throws {Error} If the code is wrong, expired or already used, or the account is throttled
+   */
+  async loginWithOtp(email, code, { ip, userAgent, deviceName } = {}) {
+    // Validate input
+    const validated = otpSchema.safeParse({ email, code, purpose: 'login', ip, userAgent, deviceName });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const throttleKeys = this.loginThrottle ? this.#throttleKeys(validated.data.email, validated.data.ip) : [];
+    if (await this.#isThrottled(throttleKeys)) {
+      throw new Error('Invalid or expired code');
+    }
+
+    let user = await this.#checkOtp(validated.data.email, validated.data.code, 'login');
+    if (!user) {
+      await this.#recordLoginFailure(throttleKeys);
+      throw new Error('Invalid or expired code');
+    }
+
+    // Receiving the code proves the user controls the address
+    if (!user.emailVerified) {
+      await this.adapter.markEmailVerified(user.id);
+      user = { ...user, emailVerified: true };
+    }
+
+    return this.#completeFirstFactor(user, this.#sessionInfo(validated.data));
+  }
+
+  /**
+   * Reset a password with an emailed one-time code
+   * Every session of the user is revoked, as with resetPassword(). Wrong codes count as failed logins.
+   * @param {string} email - Email address of the account
+   * @param {string} code - The 'reset' code from requestOtp()
+   * @param {string} newPassword - The new password
+   * @param {object} [options] - Reset options
+   * @param {string} [options.ip] - Client IP address, e.g. req.ip
+   * @returns {Promise<{success: true}>} Success response
+   * @throws {Error} If the password is too weak, the code is wrong, expired or already used, or the account is throttled
+   */
+  async resetPasswordWithOtp(email, code, newPassword, { ip } = {}) {
+    // Validate input
+    const validated = otpResetPasswordSchema.safeParse({ email, code, password: newPassword, ip });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    // The address is known up front, so a weak password doesn't cost an attempt
+    this.passwordPolicy.assert(validated.data.password, { email: validated.data.email });
+
+    const throttleKeys = this.loginThrottle ? this.#throttleKeys(validated.data.email, validated.data.ip) : [];
+    if (await this.#isThrottled(throttleKeys)) {
+      throw new Error('Invalid or expired code');
+    }
+
+    const user = await this.#checkOtp(validated.data.email, validated.data.code, 'reset');
+    if (!user) {
+      await this.#recordLoginFailure(throttleKeys);
+      throw new Error('Invalid or expired code');
+    }
+
+    const hashedPassword = await this.passwordHasher.hash(validated.data.password);
+    await this.adapter.updateUser(user.id, { hashedPassword });
+    await this.#endAllSessions(user.id);
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * Start passkey sign-in
+   * The options name no credentials, so the browser offers any passkey it holds for the RP ID
+   * and the account is identified by the credential that answers.
+   * @returns {Promise<{success: true, options: object}>} Options for navigator.credentials.get()
+   * @throws {Error} If passkeys aren't configured
+   */
+  async startPasskeyLogin() {
+    const relyingParty = this.#requireRelyingParty();
+
+    // Not tied to a user yet; the answering credential decides who signs in
+    const challenge = generateOneTimeToken();
+    await this.adapter.saveOneTimeToken(hashOneTimeToken(challenge), {
+      purpose: PASSKEY_LOGIN,
+      userId: null,
+      email: null,
+      expiresAt: new Date(Date.now() + relyingParty.timeout),
+    });
+
+    return {
+      success: true,
+      options: relyingParty.authenticationOptions({ challenge }),
+    };
+  }
+
+  /**
+   * Finish passkey sign-in and issue a token pair, as login() does
+   * A user-verified passkey (PIN or biometric) replaces both the password and the TOTP step. One that
+   * only proves presence counts as the first factor: users with two-factor authentication get an MFA challenge.
+   * @param {object} response - The credential from navigator.credentials.get(), as JSON
+   * @param {object} [options] - Login options
+   * @param {string} [options.ip] - Client IP address, recorded on the session
+   * @param {string} [options.userAgent] - User-Agent header of the client
+   * @param {string} [options.deviceName] - Name for the device
+   * @returns {Promise<object>} Token pair, or the MFA challenge
+   * @throws {Error} If the challenge is invalid or expired, the passkey is unknown, or verification fails
+   */
+  async finishPasskeyLogin(response, { ip, userAgent, deviceName } = {}) {
+    // Validate input
+    const validated = credentialResponseSchema.safeParse(response);
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+    const sessionInfo = sessionInfoSchema.safeParse({ ip, userAgent, deviceName });
+    if (!sessionInfo.success) {
+      throw new Error(sessionInfo.error.issues[0].message);
+    }
+
+    const relyingParty = this.#requireRelyingParty();
+    const challenge = this.#passkeyChallenge(validated.data);
+    const record = challenge && await this.adapter.consumeOneTimeToken(hashOneTimeToken(challenge), PASSKEY_LOGIN);
+    if (!record || record.expiresAt < new Date()) {
+      throw new Error('Invalid or expired passkey challenge');
+    }
+
+    const passkey = await this.adapter.findPasskey(validated.data.id);
+    const user = passkey && await this.adapter.findUserById(passkey.userId);
+    if (!user) {
+      throw new Error('Invalid passkey');
+    }
+
+    const result = relyingParty.verifyAuthentication(validated.data, challenge, passkey);
+    if (result.userHandle !== null && result.userHandle !== user.id) {
+      throw new Error('Invalid passkey');
+    }
+    await this.adapter.updatePasskey(passkey.credentialId, {
+      signCount: result.signCount,
+      backedUp: result.backedUp,
+      lastUsedAt: new Date(),
+    });
+
+    if (this.requireEmailVerification && !user.emailVerified) {
+      throw new Error('Email not verified');
+    }
+
+    // Without user verification, anyone holding the authenticator could sign in
+    if (!result.userVerified) {
+      return this.#completeFirstFactor(user, this.#sessionInfo(sessionInfo.data));
+    }
+    return this.#completeLogin(user, this.#sessionInfo(sessionInfo.data));
+  }
+
+  /**
+   * Start social login with an OAuth 2.0 / OpenID Connect provider
+   * Redirect the browser to url and keep browserToken in it (e.g. in a cookie) until the callback.
+   * @param {string} provider - Name of a configured provider
+   * @returns {Promise<{success: true, url: string, browserToken: string}>} Authorization URL and browser token
+   * @throws {Error} If the provider is unknown or its discovery document can't be loaded
+   */
+  async startOAuthLogin(provider) {
+    // Validate input
+    const validated = oauthProviderSchema.safeParse({ provider });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    return this.#startOAuth(validated.data.provider, OAUTH_LOGIN, null);
+  }
+
+  /**
+   * Finish social login from the provider's callback and issue a token pair, as login() does
+   * A new external identity signs in the user it was linked to. Otherwise an account is created
+   * for its email if the provider verified it, unless one already exists: that account is only signed
+   * in when the provider has linkVerifiedEmails set and verified the address, and the identity is then linked to it.
+   * @param {object} callback - Callback parameters
+   * @param {string} callback.code - The code query parameter
+   * @param {string} callback.state - The state query parameter
+   * @param {string} callback.browserToken - The browserToken from startOAuthLogin()
+   * @param {object} [options] - Login options
+   * @param {string} [options.ip] - Client IP address, recorded on the session
+   * @param {string} [options.userAgent] - User-Agent header of the client
+   * @param {string} [options.deviceName] - Name for the device
+   * @returns {Promise<object>} login()'s result, plus provider and created (true for a new account)
+   * @throws {Error} If the state or browser token is invalid, the provider rejects the code,
+   *   the email of a new account isn't verified, or it belongs to an account the identity may not join
+   */
+  async finishOAuthLogin({ code, state, browserToken } = {}, { ip, userAgent, deviceName } = {}) {
+    const sessionInfo = sessionInfoSchema.safeParse({ ip, userAgent, deviceName });
+    if (!sessionInfo.success) {
+      throw new Error(sessionInfo.error.issues[0].message);
+    }
+
+    const { provider, identity } = await this.#finishOAuth({ code, state, browserToken }, OAUTH_LOGIN);
+
+    let user;
+    let created = false;
+    const linked = await this.adapter.findIdentity(provider.name, identity.subject);
+    if (linked) {
+      user = await this.adapter.findUserById(linked.userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+    } else {
+      if (!identity.email) {
+        throw new Error('The provider did not share an email address');
+      }
+
+      user = await this.adapter.findUserByEmail(identity.email);
+      if (user && !(provider.linkVerifiedEmails && identity.emailVerified)) {
+        // Whoever controls the provider account may not control the address
+        throw new Error('An account with this email already exists - sign in and link the provider from there');
+      }
+      if (!user) {
+        // Else anyone could sign up at a provider with someone else's address and keep a way into
+        // the account that address's owner later takes over
+        if (!identity.emailVerified) {
+          throw new Error('The provider has not verified this email address');
+        }
+        user = await this.adapter.createUser({
+          email: identity.email,
+          hashedPassword: null,
+          emailVerified: true,
+        });
+        created = true;
+      }
+      await this.adapter.linkIdentity({
+        provider: provider.name,
+        subject: identity.subject,
+        userId: user.id,
+        email: identity.email,
+        createdAt: new Date(),
+      });
+    }
+
+    // The provider vouches for the address
+    if (!user.emailVerified && identity.emailVerified && identity.email === user.email) {
+      await this.adapter.markEmailVerified(user.id);
+      user = { ...user, emailVerified: true };
+    }
+
+    if (this.requireEmailVerification && !user.emailVerified) {
+      throw new Error('Email not verified');
+    }
+
+    return {
+      ...(await this.#completeFirstFactor(user, this.#sessionInfo(sessionInfo.data))),
+      provider: provider.name,
+      created,
+    };
+  }
+
+  /**
+   * Refresh access token using refresh token
+   * Implements reuse detection per token family: presenting a token that was
+   * already rotated revokes every token descended from the same login.
+   * Tenant-scoped sessions stay in their tenant, with the member's current roles.
+   * The session's last-refreshed time is updated, and so are its IP and user agent when given.
+   * @param {string} refreshToken - Valid refresh token
+   * @param {object} [options] - Refresh options
+   * @param {string} [options.ip] - Client IP address, e.g. req.ip
+   * @param {string} [options.userAgent] - User-Agent header of the client
+   * @returns {Promise<{success: true, accessToken: string, refreshToken: string}>} New token pair
+   * @throws {Error} If token is invalid, expired or revoked, or the user has left the session's tenant
+   */
+  async refresh(refreshToken, { ip, userAgent } = {}) {
+    // Validate input
+    const validated = refreshSessionSchema.safeParse({ refreshToken, ip, userAgent });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const { key, record, payload } = await this.#checkRefreshToken(validated.data.refreshToken);
+
+    const user = await this.adapter.findUserById(payload.userId);
+    if (!user) {
+      await this.adapter.revokeRefreshToken(key);
+      throw new Error('Session revoked - please login again');
+    }
+
+    // Tenant-scoped sessions end when the user leaves the tenant
+    const membership = payload.tid ? await this.adapter.findMembership(payload.tid, user.id) : null;
+    if (payload.tid && !membership) {
+      if (record.familyId) {
+        await this.#endSession(record.familyId);
+      } else {
+        await this.adapter.revokeRefreshToken(key);
+      }
+      throw new Error('Session revoked - please login again');
+    }
+
+    // Token rotation
+    const tokens = await this.#rotateRefreshToken(user, { key, record }, membership, this.#sessionInfo(validated.data));
+
+    return {
+      success: true,
+      ...tokens,
+    };
+  }
+
+  /**
+   * Scope a session to one of the user's organizations, or back to no tenant
+   * Rotates the refresh token like refresh() does. The new access token carries the
+   * organization's ID as tid and the user's roles there instead of their global ones.
+   * @param {string} refreshToken - Refresh token of the session to switch
+   * @param {string|null} tenantId - ID of the organization, or null to leave the current one
+   * @returns {Promise<{success: true, accessToken: string, refreshToken: string, tenantId: string|null}>} New token pair
+   * @throws {Error} If the token is invalid, expired or revoked, or the user isn't a member of the organization
+   */
+  async switchTenant(refreshToken, tenantId) {
+    // Validate input
+    const validated = switchTenantSchema.safeParse({ refreshToken, tenantId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const { key, record, payload } = await this.#checkRefreshToken(validated.data.refreshToken);
+    const user = await this.adapter.findUserById(payload.userId);
+    if (!user) {
+      throw new Error('Session revoked - please login again');
+    }
+
+    // Checked before rotating, so a refused switch leaves the session as it was
+    const membership = validated.data.tenantId === null
+      ? null
+      : await this.adapter.findMembership(validated.data.tenantId, user.id);
+    if (validated.data.tenantId !== null && !membership) {
+      throw new Error('Not a member of this organization');
+    }
+
+    const tokens = await this.#rotateRefreshToken(user, { key, record }, membership);
+
+    return {
+      success: true,
+      ...tokens,
+      tenantId: validated.data.tenantId,
+    };
+  }
+
+  /**
+   * Change the password of a logged-in user
+   * Every session is revoked. Pass the caller's refresh token as `keepSession`
+   * to keep that device logged in: its token is rotated and the new pair returned.
+   * @param {string} userId - ID of the user
+   * @param {string} currentPassword - The user's current password
+   * @param {string} newPassword - The new password
+   * @param {object} [options] - Change options
+   * @param {string} [options.keepSession] - Refresh token of the session to keep
+   * @returns {Promise<{success: true, accessToken?: string, refreshToken?: string}>} Success response, with a new token pair when a session is kept
+   * @throws {Error} If the current password is wrong, the account is throttled, the new one is invalid or the session to keep is not live
+   */
+  async changePassword(userId, currentPassword, newPassword, { keepSession } = {}) {
+    // Validate input
+    const validated = changePasswordSchema.safeParse({ userId, currentPassword, newPassword, keepSession });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const user = await this.adapter.findUserById(validated.data.userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    this.passwordPolicy.assert(validated.data.newPassword, { email: user.email });
+
+    // Guesses at the current password count against the same account as logins
+    const throttleKeys = this.loginThrottle ? this.#throttleKeys(user.email) : [];
+    if (await this.#isThrottled(throttleKeys)) {
+      throw new Error('Current password is incorrect');
+    }
+
+    // Passwordless accounts set a first password through resetPassword()
+    const passwordValid = Boolean(user.hashedPassword)
+      && await this.passwordHasher.verify(user.hashedPassword, validated.data.currentPassword);
+    if (!passwordValid) {
+      await this.#recordLoginFailure(throttleKeys);
+      throw new Error('Current password is incorrect');
+    }
+
+    // Check the session to keep before anything changes
+    const kept = validated.data.keepSession
+      ? await this.#findActiveSession(validated.data.keepSession, user.id)
+      : null;
+
+    const hashedPassword = await this.passwordHasher.hash(validated.data.newPassword);
+    await this.adapter.updateUser(user.id, { hashedPassword });
+    await this.#endAllSessions(user.id, { except: kept?.record.familyId });
+
+    if (!kept) {
+      return {
+        success: true,
+      };
+    }
+
+    // Continue the kept session's family so replaying its old token is still detected,
+    // in its tenant if the user is still a member
+    const membership = kept.payload.tid ? await this.adapter.findMembership(kept.payload.tid, user.id) : null;
+    const familyId = kept.record.familyId ?? crypto.randomUUID();
+    const tokens = await this.#issueTokenPair(user, {
+      familyId,
+      parentToken: kept.key,
+    }, membership);
+    await this.#touchSession(user.id, familyId);
+
+    return {
+      success: true,
+      ...tokens,
+    };
+  }
+
+  /**
+   * Send an email verification link
+   * Issues a single-use token and hands it to the configured mailer
+   * @param {string} userId - ID of the user to verify
+   * @returns {Promise<{success: true, expiresAt: Date}>} Success response with the token expiry
+   * @throws {Error} If no mailer is configured, the user doesn't exist or is already verified
+   */
+  async sendVerification(userId) {
+    // Validate input
+    const validated = userIdSchema.safeParse({ userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    if (!this.mailer) {
+      throw new Error('A mailer is required to send verification emails');
+    }
+
+    const user = await this.adapter.findUserById(validated.data.userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.emailVerified) {
+      throw new Error('Email already verified');
+    }
+
+    const { token, expiresAt } = await this.#issueOneTimeToken(
+      user,
+      EMAIL_VERIFICATION,
+      this.verificationTokenTtl
+    );
+
+    await this.mailer.sendVerificationEmail({ to: user.email, token, userId: user.id, expiresAt });
+
+    return {
+      success: true,
+      expiresAt,
+    };
+  }
+
+  /**
+   * Verify an email address with a token from sendVerification()
+   * The token is consumed on first use, even if it turns out to be expired
+   * @param {string} token - The verification token
+   * @returns {Promise<{success: true, userId: string}>} Success response
+   * @throws {Error} If the token is invalid, expired or already used
+   */
+  async verifyEmail(token) {
+    // Validate input
+    const validated = verificationSchema.safeParse({ token });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const consumed = await this.#consumeOneTimeToken(validated.data.token, EMAIL_VERIFICATION);
+    if (!consumed) {
+      throw new Error('Invalid or expired verification token');
+    }
+    const { user } = consumed;
+
+    await this.adapter.markEmailVerified(user.id);
+
+    return {
+      success: true,
+      userId: user.id,
+    };
+  }
+
+  /**
+   * Request a password reset link
+   * Responds the same whether or not the email belongs to an account,
+   * so it can't be used to find out who is registered. Mailers should queue
+   * messages rather than deliver them inline, or the response time gives it away.
+   * @param {string} email - Email address of the account
+   * @returns {Promise<{success: true}>} Success response
+   * @throws {Error} If the email is malformed or no mailer is configured
+   */
+  async requestPasswordReset(email) {
+    // Validate input
+    const validated = resetRequestSchema.safeParse({ email });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    if (!this.mailer) {
+      throw new Error('A mailer is required to send password reset emails');
+    }
+
+    const user = await this.adapter.findUserByEmail(validated.data.email);
+
+    if (user) {
+      const { token, expiresAt } = await this.#issueOneTimeToken(
+        user,
+        PASSWORD_RESET,
+        this.passwordResetTokenTtl
+      );
+      await this.mailer.sendPasswordResetEmail({ to: user.email, token, userId: user.id, expiresAt });
+    }
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * Reset a password with a token from requestPasswordReset()
+   * Every session of the user is revoked, so a stolen session can't outlive the reset
+   * @param {string} token - The reset token
+   * @param {string} newPassword - The new password
+   * @returns {Promise<{success: true}>} Success response
+   * @throws {Error} If the password is too weak or the token is invalid, expired or already used
+   */
+  async resetPassword(token, newPassword) {
+    // Validate input
+    const validated = resetPasswordSchema.safeParse({ token, password: newPassword });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    // Rules that don't need the account are checked before the token is used up
+    this.passwordPolicy.assert(validated.data.password);
+
+    const consumed = await this.#consumeOneTimeToken(validated.data.token, PASSWORD_RESET);
+    if (!consumed) {
+      throw new Error('Invalid or expired reset token');
+    }
+    const { user, record } = consumed;
+
+    try {
+      this.passwordPolicy.assert(validated.data.password, { email: user.email });
+    } catch (error) {
+      // Give the token back so the user can pick another password
+      await this.adapter.saveOneTimeToken(hashOneTimeToken(validated.data.token), record);
+      throw error;
+    }
+
+    const hashedPassword = await this.passwordHasher.hash(validated.data.password);
+    await this.adapter.updateUser(user.id, { hashedPassword });
+    await this.#endAllSessions(user.id);
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * Start two-factor enrollment for a user
+   * Show the URI as a QR code (or the secret for manual entry), then call confirmTotp()
+   * with the first code from the app. Starting again replaces an unconfirmed secret.
+   * @param {string} userId - ID of the user
+   * @returns {Promise<{success: true, secret: string, uri: string}>} The base32 secret and otpauth:// URI
+   * @throws {Error} If MFA isn't configured, the user doesn't exist or already has two-factor authentication
+   */
+  async enrollTotp(userId) {
+    // Validate input
+    const validated = userIdSchema.safeParse({ userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const secretBox = this.#requireSecretBox();
+    const user = await this.#requireUser(validated.data.userId);
+
+    const existing = await this.adapter.findTotpSecret(user.id);
+    if (existing?.confirmedAt) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    // Encrypted with the user ID as context, so a secret can't be copied to another account
+    const secret = generateTotpSecret();
+    await this.adapter.saveTotpSecret(user.id, {
+      secret: secretBox.encrypt(secret, user.id),
+      confirmedAt: null,
+      lastUsedStep: null,
+    });
+
+    return {
+      success: true,
+      secret,
+      uri: buildOtpauthUri({ secret, accountName: user.email, issuer: this.mfaIssuer }),
+    };
+  }
+
+  /**
+   * Finish two-factor enrollment with the first code from the authenticator app
+   * @param {string} userId - ID of the user
+   * @param {string} code - The current TOTP code
+   * @returns {Promise<{success: true, recoveryCodes: string[]}>} One-time recovery codes, shown to the user once
+   * @throws {Error} If enrollment wasn't started or the code is wrong
+   */
+  async confirmTotp(userId, code) {
+    // Validate input
+    const validated = totpCodeSchema.safeParse({ userId, code });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const secretBox = this.#requireSecretBox();
+    const user = await this.#requireUser(validated.data.userId);
+
+    const record = await this.adapter.findTotpSecret(user.id);
+    if (!record) {
+      throw new Error('Two-factor enrollment has not been started');
+    }
+    if (record.confirmedAt) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const step = verifyTotp(secretBox.decrypt(record.secret, user.id), validated.data.code);
+    if (step === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    await this.adapter.saveTotpSecret(user.id, { ...record, confirmedAt: new Date(), lastUsedStep: step });
+
+    return {
+      success: true,
+      recoveryCodes: await this.#issueRecoveryCodes(user.id),
+    };
+  }
+
+  /**
+   * Replace a user's recovery codes, invalidating the old ones
+   * @param {string} userId - ID of the user
+   * @returns {Promise<{success: true, recoveryCodes: string[]}>} The new codes, shown to the user once
+   * @throws {Error} If the user doesn't have two-factor authentication
+   */
+  async regenerateRecoveryCodes(userId) {
+    // Validate input
+    const validated = userIdSchema.safeParse({ userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    this.#requireSecretBox();
+    const user = await this.#requireUser(validated.data.userId);
+
+    const record = await this.adapter.findTotpSecret(user.id);
+    if (!record?.confirmedAt) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    return {
+      success: true,
+      recoveryCodes: await this.#issueRecoveryCodes(user.id),
+    };
+  }
+
+  /**
+   * Turn off two-factor authentication, deleting the secret and recovery codes
+   * The current password is required so a stolen access token alone can't remove the second factor
+   * @param {string} userId - ID of the user
+   * @param {string} currentPassword - The user's current password
+   * @returns {Promise<{success: true}>} Confirmation
+   * @throws {Error} If the user doesn't exist, the password is wrong or the account is throttled
+   */
+  async disableTotp(userId, currentPassword) {
+    // Validate input
+    const validated = disableTotpSchema.safeParse({ userId, currentPassword });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const user = await this.#requireUser(validated.data.userId);
+
+    // Guesses at the current password count against the same account as logins
+    const throttleKeys = this.loginThrottle ? this.#throttleKeys(user.email) : [];
+    if (await this.#isThrottled(throttleKeys)) {
+      throw new Error('Current password is incorrect');
+    }
+
+    const passwordValid = Boolean(user.hashedPassword)
+      && await this.passwordHasher.verify(user.hashedPassword, validated.data.currentPassword);
+    if (!passwordValid) {
+      await this.#recordLoginFailure(throttleKeys);
+      throw new Error('Current password is incorrect');
+    }
+
+    await this.adapter.deleteTotpSecret(user.id);
+    await this.adapter.saveRecoveryCodes(user.id, []);
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * Start adding a passkey to an account
+   * @param {string} userId - ID of the user
+   * @returns {Promise<{success: true, options: object}>} Options for navigator.credentials.create()
+   * @throws {Error} If passkeys aren't configured or the user doesn't exist
+   */
+  async startPasskeyRegistration(userId) {
+    // Validate input
+    const validated = userIdSchema.safeParse({ userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const relyingParty = this.#requireRelyingParty();
+    const user = await this.#requireUser(validated.data.userId);
+
+    const { token: challenge } = await this.#issueOneTimeToken(user, PASSKEY_REGISTRATION, relyingParty.timeout / 1000);
+    // Listing existing passkeys stops the same authenticator from registering twice
+    const existing = await this.adapter.findPasskeysByUserId(user.id);
+
+    return {
+      success: true,
+      options: relyingParty.registrationOptions({
+        challenge,
+        user: { id: user.id, name: user.email },
+        excludeCredentials: existing,
+      }),
+    };
+  }
+
+  /**
+   * Finish adding a passkey with the authenticator's attestation response
+   * @param {string} userId - ID of the user
+   * @param {object} response - The credential from navigator.credentials.create(), as JSON
+   * @param {object} [options] - Registration options
+   * @param {string} [options.name] - Label to tell the user's passkeys apart, e.g. "Work laptop"
+   * @returns {Promise<{success: true, credentialId: string, attestation: object}>} The new credential ID and
+   *   attestation details (format, type and certificate chain) for apps that restrict authenticator models
+   * @throws {Error} If the challenge is invalid or expired, or the response fails verification
+   */
+  async finishPasskeyRegistration(userId, response, { name } = {}) {
+    // Validate input
+    const validated = passkeyRegistrationSchema.safeParse({ userId, response, name });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const relyingParty = this.#requireRelyingParty();
+    const challenge = this.#passkeyChallenge(validated.data.response);
+    const consumed = challenge && await this.#consumeOneTimeToken(challenge, PASSKEY_REGISTRATION);
+    if (!consumed || consumed.user.id !== validated.data.userId) {
+      throw new Error('Invalid or expired passkey challenge');
+    }
+
+    const credential = relyingParty.verifyRegistration(validated.data.response, challenge);
+    if (await this.adapter.findPasskey(credential.credentialId)) {
+      throw new Error('Passkey is already registered');
+    }
+
+    await this.adapter.savePasskey({
+      credentialId: credential.credentialId,
+      userId: consumed.user.id,
+      publicKey: credential.publicKey,
+      algorithm: credential.algorithm,
+      signCount: credential.signCount,
+      transports: credential.transports,
+      aaguid: credential.aaguid,
+      backupEligible: credential.backupEligible,
+      backedUp: credential.backedUp,
+      name: validated.data.name ?? null,
+      createdAt: new Date(),
+      lastUsedAt: null,
+    });
+
+    return {
+      success: true,
+      credentialId: credential.credentialId,
+      attestation: credential.attestation,
+    };
+  }
+
+  /**
+   * List a user's passkeys, e.g. for an account settings page
+   * @param {string} userId - ID of the user
+   * @returns {Promise<{success: true, passkeys: object[]}>} Each passkey's credentialId, name, aaguid,
+   *   transports, backedUp, createdAt and lastUsedAt
+   */
+  async listPasskeys(userId) {
+    // Validate input
+    const validated = userIdSchema.safeParse({ userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const passkeys = await this.adapter.findPasskeysByUserId(validated.data.userId);
+
+    return {
+      success: true,
+      passkeys: passkeys.map(({ credentialId, name, aaguid, transports, backedUp, createdAt, lastUsedAt }) => ({
+        credentialId, name, aaguid, transports, backedUp, createdAt, lastUsedAt,
+      })),
+    };
+  }
+
+  /**
+   * Remove one of a user's passkeys
+   * @param {string} userId - ID of the user
+   * @param {string} credentialId - ID of the passkey
+   * @returns {Promise<{success: true}>} Confirmation
+   * @throws {Error} If the user has no such passkey
+   */
+  async deletePasskey(userId, credentialId) {
+    // Validate input
+    const validated = passkeySchema.safeParse({ userId, credentialId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const passkey = await this.adapter.findPasskey(validated.data.credentialId);
+    if (!passkey || passkey.userId !== validated.data.userId) {
+      throw new Error('Passkey not found');
+    }
+
+    await this.adapter.deletePasskey(passkey.credentialId);
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * Start linking a provider account to a signed-in user
+   * Works like startOAuthLogin(); finish with finishOAuthLink().
+   * @param {string} userId - ID of the signed-in user
+   * @param {string} provider - Name of a configured provider
+   * @returns {Promise<{success: true, url: string, browserToken: string}>} Authorization URL and browser token
+   * @throws {Error} If the user doesn't exist or the provider is unknown
+   */
+  async startOAuthLink(userId, provider) {
+    // Validate input
+    const validated = identitySchema.pick({ userId: true, provider: true }).safeParse({ userId, provider });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const user = await this.#requireUser(validated.data.userId);
+    return this.#startOAuth(validated.data.provider, OAUTH_LINK, user);
+  }
+
+  /**
+   * Finish linking a provider account from the provider's callback
+   * Linking an identity the user already has is a no-op.
+   * @param {string} userId - ID of the signed-in user, who must be the one that started linking
+   * @param {object} callback - code, state and browserToken, as for finishOAuthLogin()
+   * @returns {Promise<{success: true, provider: string, subject: string}>} The linked identity
+   * @throws {Error} If the state is invalid, the provider rejects the code, or the identity belongs to another user
+   */
+  async finishOAuthLink(userId, { code, state, browserToken } = {}) {
+    // Validate input
+    const validated = userIdSchema.safeParse({ userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const { record, provider, identity } = await this.#finishOAuth({ code, state, browserToken }, OAUTH_LINK);
+    if (record.userId !== validated.data.userId) {
+      throw new Error('Invalid or expired OAuth state');
+    }
+    const user = await this.#requireUser(validated.data.userId);
+
+    const linked = await this.adapter.findIdentity(provider.name, identity.subject);
+    if (linked && linked.userId !== user.id) {
+      throw new Error('This account is already linked to another user');
+    }
+    if (!linked) {
+      await this.adapter.linkIdentity({
+        provider: provider.name,
+        subject: identity.subject,
+        userId: user.id,
+        email: identity.email,
+        createdAt: new Date(),
+      });
+    }
+
+    return {
+      success: true,
+      provider: provider.name,
+      subject: identity.subject,
+    };
+  }
+
+  /**
+   * List the provider accounts linked to a user, e.g. for an account settings page
+   * @param {string} userId - ID of the user
+   * @returns {Promise<{success: true, identities: object[]}>} Each identity's provider, subject, email and createdAt
+   */
+  async listIdentities(userId) {
+    // Validate input
+    const validated = userIdSchema.safeParse({ userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const identities = await this.adapter.findIdentitiesByUserId(validated.data.userId);
+
+    return {
+      success: true,
+      identities: identities.map(({ provider, subject, email, createdAt }) => ({ provider, subject, email, createdAt })),
+    };
+  }
+
+  /**
+   * Unlink a provider account from a user
+   * Users without a password or passkey may lose their only way to sign in; check listIdentities() first.
+   * @param {string} userId - ID of the user
+   * @param {string} provider - Provider name
+   * @param {string} subject - The user's ID at the provider
+   * @returns {Promise<{success: true}>} Confirmation
+   * @throws {Error} If the user has no such identity
+   */
+  async unlinkIdentity(userId, provider, subject) {
+    // Validate input
+    const validated = identitySchema.safeParse({ userId, provider, subject });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const identity = await this.adapter.findIdentity(validated.data.provider, validated.data.subject);
+    if (!identity || identity.userId !== validated.data.userId) {
+      throw new Error('Identity not found');
+    }
+
+    await this.adapter.unlinkIdentity(identity.provider, identity.subject);
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * Create an API key for machine clients acting as a user
+   * The key is only returned here; RyAuth stores its hash. Authenticate requests with
+   * the middleware's authenticateApiKey().
+   * @param {string} userId - ID of the user the key acts for
+   * @param {object} [options] - Key options
+   * @param {string} [options.name] - Label shown in key lists
+   * @param {string[]} [options.scopes=[]] - What the key may do, checked by the middleware's requireScopes()
+   * @param {Date} [options.expiresAt] - When the key stops working (default: never)
+   * @returns {Promise<{success: true, key: string, apiKey: object}>} The key and its listed fields
+   * @throws {Error} If the user doesn't exist or the options are invalid
+   */
+  async createApiKey(userId, { name, scopes, expiresAt } = {}) {
+    // Validate input
+    const validated = createApiKeySchema.safeParse({ userId, name, scopes, expiresAt });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const user = await this.#requireUser(validated.data.userId);
+    const { id, key } = generateApiKey(this.apiKeyPrefix);
+    const apiKey = {
+      id,
+      userId: user.id,
+      prefix: this.apiKeyPrefix,
+      keyHash: hashApiKey(key),
+      name: validated.data.name ?? null,
+      scopes: [...new Set(validated.data.scopes)],
+      expiresAt: validated.data.expiresAt ?? null,
+      createdAt: new Date(),
+      lastUsedAt: null,
+    };
+    await this.adapter.saveApiKey(apiKey);
+
+    return {
+      success: true,
+      key,
+      apiKey: this.#listedApiKey(apiKey),
+    };
+  }
+
+  /**
+   * List a user's API keys, e.g. for an account settings page
+   * @param {string} userId - ID of the user
+   * @returns {Promise<{success: true, apiKeys: object[]}>} Each key's id, prefix, name, scopes,
+   *   expiresAt, createdAt and lastUsedAt
+   */
+  async listApiKeys(userId) {
+    // Validate input
+    const validated = userIdSchema.safeParse({ userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const apiKeys = await this.adapter.findApiKeysByUserId(validated.data.userId);
+
+    return {
+      success: true,
+      apiKeys: apiKeys.map((apiKey) => this.#listedApiKey(apiKey)),
+    };
+  }
+
+  /**
+   * Revoke one of a user's API keys; requests with it fail from then on
+   * @param {string} userId - ID of the user
+   * @param {string} keyId - ID of the key
+   * @returns {Promise<{success: true}>} Confirmation
+   * @throws {Error} If the user has no such key
+   */
+  async revokeApiKey(userId, keyId) {
+    // Validate input
+    const validated = apiKeyIdSchema.safeParse({ userId, keyId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const apiKey = await this.adapter.findApiKey(validated.data.keyId);
+    if (!apiKey || apiKey.userId !== validated.data.userId) {
+      throw new Error('API key not found');
+    }
+
+    await this.adapter.deleteApiKey(apiKey.id);
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * Create an organization (a tenant) with the user as its first member
+   * @param {string} userId - ID of the creating user
+   * @param {object} options - Organization options
+   * @param {string} options.name - Display name
+   * @param {string[]} [options.roles=['owner']] - The creator's roles in the organization
+   * @returns {Promise<{success: true, organization: object, membership: object}>} The organization and the creator's membership
+   * @throws {Error} If the user doesn't exist or the options are invalid
+   */
+  async createOrganization(userId, { name, roles } = {}) {
+    // Validate input
+    const validated = createOrganizationSchema.safeParse({ userId, name, roles });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const user = await this.#requireUser(validated.data.userId);
+    const organization = await this.adapter.createOrganization({ name: validated.data.name });
+    const membership = {
+      organizationId: organization.id,
+      userId: user.id,
+      roles: [...new Set(validated.data.roles)],
+      createdAt: new Date(),
+    };
+    await this.adapter.addMembership(membership);
+
+    return {
+      success: true,
+      organization,
+      membership,
+    };
+  }
+
+  /**
+   * Add a user to an organization
+   * @param {string} organizationId - ID of the organization
+   * @param {string} userId - ID of the user
+   * @param {string[]} roles - The user's roles in the organization, at least one
+   * @returns {Promise<{success: true, membership: object}>} The new membership
+   * @throws {Error} If the organization or user doesn't exist, or the user is already a member
+   */
+  async addMember(organizationId, userId, roles) {
+    // Validate input
+    const validated = memberRolesUpdateSchema.safeParse({ organizationId, userId, roles });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const organization = await this.adapter.findOrganizationById(validated.data.organizationId);
+    if (!organization) {
+      throw new Error('Organization not found');
+    }
+    const user = await this.#requireUser(validated.data.userId);
+    if (await this.adapter.findMembership(organization.id, user.id)) {
+      throw new Error('User is already a member of this organization');
+    }
+
+    const membership = {
+      organizationId: organization.id,
+      userId: user.id,
+      roles: [...new Set(validated.data.roles)],
+      createdAt: new Date(),
+    };
+    await this.adapter.addMembership(membership);
+
+    return {
+      success: true,
+      membership,
+    };
+  }
+
+  /**
+   * Replace a member's roles in an organization
+   * Tokens scoped to the organization pick them up on their next refresh.
+   * @param {string} organizationId - ID of the organization
+   * @param {string} userId - ID of the member
+   * @param {string[]} roles - The new roles, at least one
+   * @returns {Promise<{success: true}>} Confirmation
+   * @throws {Error} If the user isn't a member
+   */
+  async updateMemberRoles(organizationId, userId, roles) {
+    // Validate input
+    const validated = memberRolesUpdateSchema.safeParse({ organizationId, userId, roles });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const membership = await this.adapter.findMembership(validated.data.organizationId, validated.data.userId);
+    if (!membership) {
+      throw new Error('Membership not found');
+    }
+
+    await this.adapter.updateMembership(membership.organizationId, membership.userId, {
+      roles: [...new Set(validated.data.roles)],
+    });
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * Remove a member from an organization
+   * Sessions scoped to the organization end on their next refresh; access tokens already
+   * issued stay valid until they expire.
+   * @param {string} organizationId - ID of the organization
+   * @param {string} userId - ID of the member
+   * @returns {Promise<{success: true}>} Confirmation
+   * @throws {Error} If the user isn't a member
+   */
+  async removeMember(organizationId, userId) {
+    // Validate input
+    const validated = memberSchema.safeParse({ organizationId, userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const membership = await this.adapter.findMembership(validated.data.organizationId, validated.data.userId);
+    if (!membership) {
+      throw new Error('Membership not found');
+    }
+
+    await this.adapter.deleteMembership(membership.organizationId, membership.userId);
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * List the organizations a user belongs to, e.g. for a tenant switcher
+   * @param {string} userId - ID of the user
+   * @returns {Promise<{success: true, tenants: object[]}>} Each organization's id and name, with the
+   *   user's roles there and when they joined, oldest membership first
+   */
+  async listTenants(userId) {
+    // Validate input
+    const validated = userIdSchema.safeParse({ userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const memberships = await this.adapter.findMembershipsByUserId(validated.data.userId);
+    const tenants = [];
+    for (const membership of memberships) {
+      const organization = await this.adapter.findOrganizationById(membership.organizationId);
+      if (organization) {
+        tenants.push({ id: organization.id, name: organization.name, roles: membership.roles, joinedAt: membership.createdAt });
+      }
+    }
+
+    return {
+      success: true,
+      tenants,
+    };
+  }
+
+  /**
+   * List the members of an organization
+   * @param {string} organizationId - ID of the organization
+   * @returns {Promise<{success: true, members: object[]}>} Each member's userId, email and roles, and
+   *   when they joined, oldest membership first
+   * @throws {Error} If the organization doesn't exist
+   */
+  async listMembers(organizationId) {
+    // Validate input
+    const validated = organizationIdSchema.safeParse({ organizationId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const organization = await this.adapter.findOrganizationById(validated.data.organizationId);
+    if (!organization) {
+      throw new Error('Organization not found');
+    }
+
+    const memberships = await this.adapter.findMembershipsByOrganizationId(organization.id);
+    const members = [];
+    for (const membership of memberships) {
+      const user = await this.adapter.findUserById(membership.userId);
+      if (user) {
+        members.push({ userId: user.id, email: user.email, roles: membership.roles, joinedAt: membership.createdAt });
+      }
+    }
+
+    return {
+      success: true,
+      members,
+    };
+  }
+
+  /**
+   * Logout a single session by revoking its refresh tokens and deleting its record
+   * @param {string} refreshToken - Refresh token of the session to end
+   * @returns {Promise<{success: true}>} Success response
+   * @throws {Error} If token is malformed or has an invalid signature
+   */
+  async logout(refreshToken) {
+    // Validate input
+    const validated = refreshSchema.safeParse({ refreshToken });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    // Verify JWT signature so arbitrary strings can't be pushed to the adapter
+    try {
+      await this.tokens.verifyJWT(validated.data.refreshToken, 'refresh');
+    } catch (error) {
+      throw new Error('Invalid refresh token');
+    }
+
+    // Tokens saved before families existed have no session, so only the token itself is revoked
+    const stored = await this.#findRefreshToken(validated.data.refreshToken);
+    if (stored?.record.familyId) {
+      await this.#endSession(stored.record.familyId);
+    } else if (stored) {
+      await this.adapter.revokeRefreshToken(stored.key);
+    }
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * Logout every session of a user by revoking all their refresh tokens and deleting the session records
+   * @param {string} userId - ID of the user to log out everywhere
+   * @returns {Promise<{success: true}>} Success response
+   * @throws {Error} If userId is missing
+   */
+  async logoutAll(userId) {
+    // Validate input
+    const validated = userIdSchema.safeParse({ userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    await this.#endAllSessions(validated.data.userId);
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * List a user's signed-in devices, e.g. for an account settings page
+   * Each login is one session; refreshing keeps it. The sid claim of an access token
+   * names its session, so the caller's own device can be marked.
+   * @param {string} userId - ID of the user
+   * @returns {Promise<{success: true, sessions: object[]}>} Each unexpired session's id, deviceName,
+   *   userAgent, ip, createdAt, lastRefreshedAt and expiresAt, oldest first
+   */
+  async listSessions(userId) {
+    // Validate input
+    const validated = userIdSchema.safeParse({ userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const now = new Date();
+    const sessions = await this.adapter.findSessionsByUserId(validated.data.userId);
+
+    return {
+      success: true,
+      sessions: sessions
+        .filter((session) => session.expiresAt > now)
+        .map((session) => this.#listedSession(session)),
+    };
+  }
+
+  /**
+   * Sign a user out on one device; its refresh token stops working at once
+   * Access tokens already issued stay valid until they expire.
+   * @param {string} userId - ID of the user
+   * @param {string} sessionId - ID of the session, as from listSessions()
+   * @returns {Promise<{success: true}>} Confirmation
+   * @throws {Error} If the user has no such session
+   */
+  async revokeSession(userId, sessionId) {
+    // Validate input
+    const validated = sessionIdSchema.safeParse({ userId, sessionId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const session = await this.adapter.findSession(validated.data.sessionId);
+    if (!session || session.userId !== validated.data.userId) {
+      throw new Error('Session not found');
+    }
+
+    await this.#endSession(session.id);
+
+    return {
+      success: true,
+    };
+  }
+
+  /**
+   * Sign a user out on every device but the current one
+   * Refresh tokens issued before sessions were recorded are only covered once they have been refreshed.
+   * @param {string} userId - ID of the user
+   * @param {string} currentSessionId - ID of the session to keep, e.g. req.user.sid
+   * @returns {Promise<{success: true, revoked: number}>} How many sessions were ended
+   * @throws {Error} If the session to keep isn't one of the user's
+   */
+  async revokeOtherSessions(userId, currentSessionId) {
+    // Validate input
+    const validated = sessionIdSchema.safeParse({ userId, sessionId: currentSessionId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    const current = await this.adapter.findSession(validated.data.sessionId);
+    if (!current || current.userId !== validated.data.userId) {
+      throw new Error('Session not found');
+    }
+
+    let revoked = 0;
+    for (const session of await this.adapter.findSessionsByUserId(validated.data.userId)) {
+      if (session.id !== current.id) {
+        await this.#endSession(session.id);
+        revoked += 1;
+      }
+    }
+
+    return {
+      success: true,
+      revoked,
+    };
+  }
+
+  /**
+   * Lift a login lockout on a user's account (admin operation)
+   * Failures counted against client IPs are left in place
+   * @param {string} userId - ID of the user
+   * @returns {Promise<{success: true}>} Confirmation of unlock
+   * @throws {Error} If login throttling is off or the user doesn't exist
+   */
+  async unlockUser(userId) {
+    // Validate input
+    const validated = userIdSchema.safeParse({ userId });
+    if (!validated.success) {
+      throw new Error(validated.error.issues[0].message);
+    }
+
+    if (!this.loginThrottle) {
+      throw new Error('Login throttling is not enabled');
+    }
+
+    const user = await this.adapter.findUserById(validated.data.userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await this.adapter.clearLoginFailures(this.loginThrottle.accountKey(user.email));
 
     return {
       success: true,
-      accessToken: newAccessToken,
-      refreshToken: newRefreshToken,
     };
   }
 }
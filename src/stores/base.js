@@ -0,0 +1,28 @@
+/**
+ * BaseRateLimitStore class defining the contract for rate limit counters
+ * This is an abstract class that concrete stores must implement.
+ * Requests are counted in fixed windows aligned to multiples of windowMs;
+ * the middleware weighs the previous window's count to approximate a sliding window.
+ */
+export class BaseRateLimitStore {
+  /**
+   * Counts a request against a key
+   * Must be atomic: concurrent requests must each be counted
+   * @param {string} key - The rate limit key, already prefixed by the middleware
+   * @param {number} windowMs - The window length in milliseconds
+   * @returns {Promise<{current: number, previous: number, windowStart: number}>} Requests in the current
+   *   window (including this one), requests in the window before it, and when the current window began (epoch ms)
+   */
+  async increment(key, windowMs) {
+    throw new Error('Method increment() must be implemented');
+  }
+
+  /**
+   * Forgets every request counted against a key
+   * @param {string} key - The rate limit key, already prefixed by the middleware
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    throw new Error('Method reset() must be implemented');
+  }
+}
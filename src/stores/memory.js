@@ -0,0 +1,83 @@
+import { BaseRateLimitStore } from './base.js';
+
+// How often stale counters are swept, in milliseconds
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * In-memory rate limit store
+ * Counts are per process; use a shared store when running several instances
+ */
+export class MemoryRateLimitStore extends BaseRateLimitStore {
+  #counters = new Map(); // key -> { windowMs, windowStart, current, previous }
+  #lastSweep = Date.now();
+
+  /**
+   * Counts a request against a key
+   * @param {string} key - The rate limit key
+   * @param {number} windowMs - The window length in milliseconds
+   * @returns {Promise<{current: number, previous: number, windowStart: number}>} The window counts
+   */
+  async increment(key, windowMs) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+    if (!Number.isInteger(windowMs) || windowMs <= 0) {
+      throw new Error('windowMs must be a positive integer');
+    }
+
+    const now = Date.now();
+    this.#sweep(now);
+
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const counter = this.#counters.get(key);
+
+    let next;
+    if (counter && counter.windowMs === windowMs && counter.windowStart === windowStart) {
+      next = { ...counter, current: counter.current + 1 };
+    } else {
+      // The old current window becomes the previous one only if it directly precedes this one
+      const previous = counter && counter.windowMs === windowMs && counter.windowStart === windowStart - windowMs
+        ? counter.current
+        : 0;
+      next = { windowMs, windowStart, current: 1, previous };
+    }
+
+    this.#counters.set(key, next);
+    return { current: next.current, previous: next.previous, windowStart };
+  }
+
+  /**
+   * Forgets every request counted against a key
+   * @param {string} key - The rate limit key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+
+    this.#counters.delete(key);
+  }
+
+  /**
+   * Helper method to clear all counters (for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.#counters.clear();
+  }
+
+  // Drop counters that no longer affect any estimate, so idle keys don't pile up
+  #sweep(now) {
+    if (now - this.#lastSweep < SWEEP_INTERVAL) {
+      return;
+    }
+
+    this.#lastSweep = now;
+    for (const [key, counter] of this.#counters) {
+      if (counter.windowStart + 2 * counter.windowMs <= now) {
+        this.#counters.delete(key);
+      }
+    }
+  }
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect } from '@jest/globals';
+import { AccessPolicy, isOwner, hasRole, hasPermission, anyOf, allOf } from '../src/core/access-policy.js';
+
+const alice = { userId: 'user-1', role: 'user', roles: ['user'], permissions: ['posts:read'] };
+const admin = { userId: 'user-2', role: 'admin', roles: ['admin', 'user'], permissions: ['*'] };
+const post = { id: 'post-1', authorId: 'user-1' };
+
+describe('AccessPolicy - Helpers', () => {
+  it('should allow owners by a resource field', () => {
+    expect(isOwner('authorId')(alice, 'posts:edit', post)).toBe(true);
+    expect(isOwner('authorId')(admin, 'posts:edit', post)).toBe(false);
+    expect(isOwner()(alice, 'profile:edit', { userId: 'user-1' })).toBe(true);
+    expect(isOwner('authorId')(alice, 'posts:edit', null)).toBe(false);
+    expect(isOwner('ownerId')(alice, 'posts:edit', post)).toBe(false);
+  });
+
+  it('should allow by role and permission', () => {
+    expect(hasRole('admin', 'moderator')(admin)).toBe(true);
+    expect(hasRole('admin')(alice)).toBe(false);
+    expect(hasRole('admin')({ userId: 'user-3', role: 'admin' })).toBe(true);
+    expect(hasPermission('posts:delete')(admin)).toBe(true);
+    expect(hasPermission('posts:delete')(alice)).toBe(false);
+    expect(hasPermission('posts:read')({ userId: 'user-3', role: 'user' })).toBe(false);
+  });
+
+  it('should combine policies', async () => {
+    const ownerOrAdmin = anyOf(isOwner('authorId'), hasRole('admin'));
+    const ownerWithPermission = allOf(isOwner('authorId'), hasPermission('posts:edit'));
+
+    expect(await ownerOrAdmin(alice, 'posts:edit', post)).toBe(true);
+    expect(await ownerOrAdmin(admin, 'posts:edit', post)).toBe(true);
+    expect(await ownerOrAdmin({ ...alice, userId: 'user-3' }, 'posts:edit', post)).toBe(false);
+    expect(await ownerWithPermission(alice, 'posts:edit', post)).toBe(false);
+    expect(await ownerWithPermission({ ...alice, permissions: ['posts:*'] }, 'posts:edit', post)).toBe(true);
+  });
+});
+
+describe('AccessPolicy - Checks', () => {
+  it('should ask the policy of the action with the user, action and resource', async () => {
+    const calls = [];
+    const policy = new AccessPolicy({
+      policies: {
+        'posts:edit': async (user, action, resource) => {
+          calls.push([user.userId, action, resource.id]);
+          return resource.authorId === user.userId;
+        },
+      },
+    });
+
+    expect(await policy.can(alice, 'posts:edit', post)).toBe(true);
+    expect(await policy.can(admin, 'posts:edit', post)).toBe(false);
+    expect(calls).toEqual([['user-1', 'posts:edit', 'post-1'], ['user-2', 'posts:edit', 'post-1']]);
+  });
+
+  it('should deny unless the policy returns true', async () => {
+    const policy = new AccessPolicy({
+      policies: {
+        truthy: () => 'yes',
+        silent: () => {},
+        allowed: () => true,
+      },
+    });
+
+    expect(await policy.can(alice, 'truthy')).toBe(false);
+    expect(await policy.can(alice, 'silent')).toBe(false);
+    expect(await policy.can(null, 'allowed')).toBe(false);
+    expect(await policy.can(alice, 'allowed')).toBe(true);
+  });
+
+  it('should register policies later and refuse to replace them', async () => {
+    const policy = new AccessPolicy();
+
+    policy.define('posts:delete', anyOf(isOwner('authorId'), hasRole('admin')));
+
+    expect(policy.has('posts:delete')).toBe(true);
+    expect(policy.actions).toEqual(['posts:delete']);
+    expect(await policy.can(admin, 'posts:delete', post)).toBe(true);
+    expect(() => policy.define('posts:delete', () => true)).toThrow('Policy posts:delete is already defined');
+    expect(() => policy.define('', () => true)).toThrow('Policy actions must be non-empty strings');
+    expect(() => policy.define('posts:edit', 'owner')).toThrow('Policies must be functions');
+  });
+
+  it('should reject unknown actions and invalid options', async () => {
+    const policy = new AccessPolicy({ policies: { 'posts:edit': isOwner('authorId') } });
+
+    await expect(policy.can(alice, 'posts:publish', post)).rejects.toThrow('Unknown policy posts:publish');
+    expect(() => new AccessPolicy({ policies: { 'posts:edit': true } })).toThrow();
+  });
+
+  it('should pass policy errors on', async () => {
+    const policy = new AccessPolicy({ policies: { broken: async () => { throw new Error('Database unavailable'); } } });
+
+    await expect(policy.can(alice, 'broken')).rejects.toThrow('Database unavailable');
+  });
+});
@@ -21,6 +21,24 @@ describe('Data Adapters - BaseAdapter Contract', () => {
         .toThrow('Method createUser() must be implemented');
     });
 
+    it('should throw "Not Implemented" error for findUserById', async () => {
+      await expect(baseAdapter.findUserById('user123'))
+        .rejects
+        .toThrow('Method findUserById() must be implemented');
+    });
+
+    it('should throw "Not Implemented" error for updateUser', async () => {
+      await expect(baseAdapter.updateUser('user123', { role: 'admin' }))
+        .rejects
+        .toThrow('Method updateUser() must be implemented');
+    });
+
+    it('should throw "Not Implemented" error for markEmailVerified', async () => {
+      await expect(baseAdapter.markEmailVerified('user123'))
+        .rejects
+        .toThrow('Method markEmailVerified() must be implemented');
+    });
+
     it('should throw "Not Implemented" error for saveRefreshToken', async () => {
       await expect(baseAdapter.saveRefreshToken('user123', 'token123', new Date()))
         .rejects
@@ -39,11 +57,156 @@ describe('Data Adapters - BaseAdapter Contract', () => {
         .toThrow('Method revokeRefreshToken() must be implemented');
     });
 
+    it('should throw "Not Implemented" error for findRefreshToken', async () => {
+      await expect(baseAdapter.findRefreshToken('token123'))
+        .rejects
+        .toThrow('Method findRefreshToken() must be implemented');
+    });
+
+    it('should throw "Not Implemented" error for revokeTokenFamily', async () => {
+      await expect(baseAdapter.revokeTokenFamily('family123'))
+        .rejects
+        .toThrow('Method revokeTokenFamily() must be implemented');
+    });
+
     it('should throw "Not Implemented" error for revokeAllUserSessions', async () => {
       await expect(baseAdapter.revokeAllUserSessions('user123'))
         .rejects
         .toThrow('Method revokeAllUserSessions() must be implemented');
     });
+
+    it('should throw "Not Implemented" error for saveOneTimeToken', async () => {
+      await expect(baseAdapter.saveOneTimeToken('hash123', { purpose: 'email-verification', expiresAt: new Date() }))
+        .rejects
+        .toThrow('Method saveOneTimeToken() must be implemented');
+    });
+
+    it('should throw "Not Implemented" error for consumeOneTimeToken', async () => {
+      await expect(baseAdapter.consumeOneTimeToken('hash123', 'email-verification'))
+        .rejects
+        .toThrow('Method consumeOneTimeToken() must be implemented');
+    });
+
+    it('should throw "Not Implemented" error for recordLoginFailure', async () => {
+      await expect(baseAdapter.recordLoginFailure('account:user@example.com', { at: new Date(), resetBefore: new Date() }))
+        .rejects
+        .toThrow('Method recordLoginFailure() must be implemented');
+    });
+
+    it('should throw "Not Implemented" error for findLoginFailures', async () => {
+      await expect(baseAdapter.findLoginFailures('account:user@example.com'))
+        .rejects
+        .toThrow('Method findLoginFailures() must be implemented');
+    });
+
+    it('should throw "Not Implemented" error for clearLoginFailures', async () => {
+      await expect(baseAdapter.clearLoginFailures('account:user@example.com'))
+        .rejects
+        .toThrow('Method clearLoginFailures() must be implemented');
+    });
+
+    it('should throw "Not Implemented" error for the one-time code methods', async () => {
+      const calls = {
+        saveOtp: () => baseAdapter.saveOtp('user@example.com', 'login', { codeHash: 'hash123', userId: 'user123', expiresAt: new Date() }),
+        findOtp: () => baseAdapter.findOtp('user@example.com', 'login'),
+        incrementOtpAttempts: () => baseAdapter.incrementOtpAttempts('user@example.com', 'login'),
+        deleteOtp: () => baseAdapter.deleteOtp('user@example.com', 'login'),
+        recordOtpRequest: () => baseAdapter.recordOtpRequest('user@example.com', 'login', { at: new Date(), resetBefore: new Date() }),
+      };
+
+      for (const [method, call] of Object.entries(calls)) {
+        await expect(call()).rejects.toThrow(`Method ${method}() must be implemented`);
+      }
+    });
+
+    it('should throw "Not Implemented" error for the TOTP and recovery code methods', async () => {
+      const calls = {
+        saveTotpSecret: () => baseAdapter.saveTotpSecret('user123', { secret: 'v1.sealed', confirmedAt: null, lastUsedStep: null }),
+        findTotpSecret: () => baseAdapter.findTotpSecret('user123'),
+        deleteTotpSecret: () => baseAdapter.deleteTotpSecret('user123'),
+        markTotpStepUsed: () => baseAdapter.markTotpStepUsed('user123', 1),
+        saveRecoveryCodes: () => baseAdapter.saveRecoveryCodes('user123', ['hash123']),
+        consumeRecoveryCode: () => baseAdapter.consumeRecoveryCode('user123', 'hash123'),
+        countRecoveryCodes: () => baseAdapter.countRecoveryCodes('user123'),
+      };
+
+      for (const [method, call] of Object.entries(calls)) {
+        await expect(call()).rejects.toThrow(`Method ${method}() must be implemented`);
+      }
+    });
+
+    it('should throw "Not Implemented" error for the passkey methods', async () => {
+      const calls = {
+        savePasskey: () => baseAdapter.savePasskey({ credentialId: 'cred123', userId: 'user123' }),
+        findPasskey: () => baseAdapter.findPasskey('cred123'),
+        findPasskeysByUserId: () => baseAdapter.findPasskeysByUserId('user123'),
+        updatePasskey: () => baseAdapter.updatePasskey('cred123', { signCount: 1 }),
+        deletePasskey: () => baseAdapter.deletePasskey('cred123'),
+      };
+
+      for (const [method, call] of Object.entries(calls)) {
+        await expect(call()).rejects.toThrow(`Method ${method}() must be implemented`);
+      }
+    });
+
+    it('should throw "Not Implemented" error for the identity methods', async () => {
+      const calls = {
+        linkIdentity: () => baseAdapter.linkIdentity({ provider: 'google', subject: 'sub123', userId: 'user123' }),
+        findIdentity: () => baseAdapter.findIdentity('google', 'sub123'),
+        findIdentitiesByUserId: () => baseAdapter.findIdentitiesByUserId('user123'),
+        unlinkIdentity: () => baseAdapter.unlinkIdentity('google', 'sub123'),
+      };
+
+      for (const [method, call] of Object.entries(calls)) {
+        await expect(call()).rejects.toThrow(`Method ${method}() must be implemented`);
+      }
+    });
+
+    it('should throw "Not Implemented" error for the API key methods', async () => {
+      const calls = {
+        saveApiKey: () => baseAdapter.saveApiKey({ id: 'key123', userId: 'user123' }),
+        findApiKey: () => baseAdapter.findApiKey('key123'),
+        findApiKeysByUserId: () => baseAdapter.findApiKeysByUserId('user123'),
+        updateApiKey: () => baseAdapter.updateApiKey('key123', { lastUsedAt: new Date() }),
+        deleteApiKey: () => baseAdapter.deleteApiKey('key123'),
+      };
+
+      for (const [method, call] of Object.entries(calls)) {
+        await expect(call()).rejects.toThrow(`Method ${method}() must be implemented`);
+      }
+    });
+
+    it('should throw "Not Implemented" error for the organization methods', async () => {
+      const calls = {
+        createOrganization: () => baseAdapter.createOrganization({ name: 'Acme' }),
+        findOrganizationById: () => baseAdapter.findOrganizationById('org123'),
+        deleteOrganization: () => baseAdapter.deleteOrganization('org123'),
+        addMembership: () => baseAdapter.addMembership({ organizationId: 'org123', userId: 'user123', roles: ['owner'] }),
+        findMembership: () => baseAdapter.findMembership('org123', 'user123'),
+        findMembershipsByUserId: () => baseAdapter.findMembershipsByUserId('user123'),
+        findMembershipsByOrganizationId: () => baseAdapter.findMembershipsByOrganizationId('org123'),
+        updateMembership: () => baseAdapter.updateMembership('org123', 'user123', { roles: ['admin'] }),
+        deleteMembership: () => baseAdapter.deleteMembership('org123', 'user123'),
+      };
+
+      for (const [method, call] of Object.entries(calls)) {
+        await expect(call()).rejects.toThrow(`Method ${method}() must be implemented`);
+      }
+    });
+
+    it('should throw "Not Implemented" error for the session methods', async () => {
+      const calls = {
+        saveSession: () => baseAdapter.saveSession({ id: 'session123', userId: 'user123' }),
+        findSession: () => baseAdapter.findSession('session123'),
+        findSessionsByUserId: () => baseAdapter.findSessionsByUserId('user123'),
+        updateSession: () => baseAdapter.updateSession('session123', { lastRefreshedAt: new Date() }),
+        deleteSession: () => baseAdapter.deleteSession('session123'),
+      };
+
+      for (const [method, call] of Object.entries(calls)) {
+        await expect(call()).rejects.toThrow(`Method ${method}() must be implemented`);
+      }
+    });
   });
 });
 
@@ -147,6 +310,20 @@ describe('Data Adapters - MemoryAdapter Implementation', () => {
       });
 
       expect(user.role).toBe('user');
+      expect(user.roles).toEqual([]);
+    });
+
+    it('should store additional roles', async () => {
+      const user = await memoryAdapter.createUser({
+        email: 'multi@example.com',
+        hashedPassword: 'hash1',
+        role: 'editor',
+        roles: ['billing']
+      });
+
+      expect(user.roles).toEqual(['billing']);
+      expect((await memoryAdapter.updateUser(user.id, { roles: ['billing', 'support'] })).roles).toEqual(['billing', 'support']);
+      await expect(memoryAdapter.updateUser(user.id, { roles: [''] })).rejects.toThrow();
     });
 
     it('should validate email format', async () => {
@@ -168,6 +345,108 @@ describe('Data Adapters - MemoryAdapter Implementation', () => {
     });
   });
 
+  describe('findUserById', () => {
+    it('should retrieve a user by ID', async () => {
+      const created = await memoryAdapter.createUser({
+        email: 'byid@example.com',
+        hashedPassword: 'hash'
+      });
+
+      const user = await memoryAdapter.findUserById(created.id);
+      expect(user.email).toBe('byid@example.com');
+    });
+
+    it('should return null for non-existent user', async () => {
+      expect(await memoryAdapter.findUserById('nonexistent_user')).toBeNull();
+    });
+
+    it('should throw error if userId is not a string', async () => {
+      await expect(memoryAdapter.findUserById(123))
+        .rejects
+        .toThrow('User ID must be a string');
+    });
+  });
+
+  describe('updateUser', () => {
+    it('should update only the given fields', async () => {
+      const created = await memoryAdapter.createUser({
+        email: 'update@example.com',
+        hashedPassword: 'old_hash',
+        role: 'admin'
+      });
+
+      const updated = await memoryAdapter.updateUser(created.id, { hashedPassword: 'new_hash' });
+
+      expect(updated.hashedPassword).toBe('new_hash');
+      expect(updated.role).toBe('admin');
+      expect((await memoryAdapter.findUserByEmail('update@example.com')).hashedPassword).toBe('new_hash');
+    });
+
+    it('should move the user to a new email', async () => {
+      const created = await memoryAdapter.createUser({
+        email: 'old@example.com',
+        hashedPassword: 'hash'
+      });
+
+      await memoryAdapter.updateUser(created.id, { email: 'new@example.com' });
+
+      expect(await memoryAdapter.findUserByEmail('old@example.com')).toBeNull();
+      expect((await memoryAdapter.findUserByEmail('new@example.com')).id).toBe(created.id);
+    });
+
+    it('should throw error when the new email is taken', async () => {
+      const created = await memoryAdapter.createUser({ email: 'first@example.com', hashedPassword: 'hash' });
+      await memoryAdapter.createUser({ email: 'second@example.com', hashedPassword: 'hash' });
+
+      await expect(memoryAdapter.updateUser(created.id, { email: 'second@example.com' }))
+        .rejects
+        .toThrow('User with this email already exists');
+    });
+
+    it('should throw error for unknown fields', async () => {
+      const created = await memoryAdapter.createUser({ email: 'fields@example.com', hashedPassword: 'hash' });
+
+      await expect(memoryAdapter.updateUser(created.id, { id: 'another-id' }))
+        .rejects
+        .toThrow();
+    });
+
+    it('should throw error for non-existent user', async () => {
+      await expect(memoryAdapter.updateUser('nonexistent_user', { role: 'admin' }))
+        .rejects
+        .toThrow('User not found');
+    });
+  });
+
+  describe('markEmailVerified', () => {
+    it('should create users unverified by default', async () => {
+      const user = await memoryAdapter.createUser({
+        email: 'unverified@example.com',
+        hashedPassword: 'hash'
+      });
+
+      expect(user.emailVerified).toBe(false);
+    });
+
+    it('should mark the user as verified', async () => {
+      const created = await memoryAdapter.createUser({
+        email: 'verify@example.com',
+        hashedPassword: 'hash'
+      });
+
+      await memoryAdapter.markEmailVerified(created.id);
+
+      const user = await memoryAdapter.findUserByEmail('verify@example.com');
+      expect(user.emailVerified).toBe(true);
+    });
+
+    it('should throw error for non-existent user', async () => {
+      await expect(memoryAdapter.markEmailVerified('nonexistent_user'))
+        .rejects
+        .toThrow('User not found');
+    });
+  });
+
   describe('saveRefreshToken', () => {
     it('should persist token with correct expiry', async () => {
       const expiresAt = new Date();
@@ -286,6 +565,18 @@ describe('Data Adapters - MemoryAdapter Implementation', () => {
       expect(await memoryAdapter.isRefreshTokenValid('token_to_revoke')).toBe(false);
     });
 
+    it('should tell whether the call revoked the token', async () => {
+      await memoryAdapter.saveRefreshToken('user123', 'token_to_revoke', new Date(Date.now() + 86400000));
+      
+      const results = await Promise.all([
+        memoryAdapter.revokeRefreshToken('token_to_revoke'),
+        memoryAdapter.revokeRefreshToken('token_to_revoke'),
+      ]);
+      
+      expect(results.sort()).toEqual([false, true]);
+      expect(await memoryAdapter.revokeRefreshToken('nonexistent_token')).toBe(false);
+    });
+
     it('should throw error if token is not a string', async () => {
       await expect(memoryAdapter.revokeRefreshToken(123))
         .rejects
@@ -304,6 +595,80 @@ describe('Data Adapters - MemoryAdapter Implementation', () => {
     });
   });
 
+  describe('findRefreshToken', () => {
+    it('should return the token record with its family links', async () => {
+      const expiresAt = new Date(Date.now() + 86400000);
+
+      await memoryAdapter.saveRefreshToken('user123', 'child_token', expiresAt, {
+        familyId: 'family1',
+        parentToken: 'parent_token'
+      });
+
+      const record = await memoryAdapter.findRefreshToken('child_token');
+      expect(record).toEqual({
+        userId: 'user123',
+        expiresAt,
+        familyId: 'family1',
+        parentToken: 'parent_token',
+        revoked: false
+      });
+    });
+
+    it('should default family links to null', async () => {
+      await memoryAdapter.saveRefreshToken('user123', 'legacy_token', new Date(Date.now() + 86400000));
+
+      const record = await memoryAdapter.findRefreshToken('legacy_token');
+      expect(record.familyId).toBeNull();
+      expect(record.parentToken).toBeNull();
+    });
+
+    it('should still find revoked tokens', async () => {
+      await memoryAdapter.saveRefreshToken('user123', 'revoked_token', new Date(Date.now() + 86400000));
+      await memoryAdapter.revokeRefreshToken('revoked_token');
+
+      const record = await memoryAdapter.findRefreshToken('revoked_token');
+      expect(record.revoked).toBe(true);
+    });
+
+    it('should return null for non-existent token', async () => {
+      expect(await memoryAdapter.findRefreshToken('nonexistent_token')).toBeNull();
+    });
+
+    it('should throw error if token is not a string', async () => {
+      await expect(memoryAdapter.findRefreshToken(123))
+        .rejects
+        .toThrow('Token must be a string');
+    });
+
+    it('should throw error for invalid family links', async () => {
+      await expect(memoryAdapter.saveRefreshToken('user123', 'token_abc123', new Date(), { familyId: 123 }))
+        .rejects
+        .toThrow();
+    });
+  });
+
+  describe('revokeTokenFamily', () => {
+    it('should revoke only the tokens of that family', async () => {
+      const expiresAt = new Date(Date.now() + 86400000);
+
+      await memoryAdapter.saveRefreshToken('user123', 'laptop_token1', expiresAt, { familyId: 'laptop' });
+      await memoryAdapter.saveRefreshToken('user123', 'laptop_token2', expiresAt, { familyId: 'laptop', parentToken: 'laptop_token1' });
+      await memoryAdapter.saveRefreshToken('user123', 'phone_token1', expiresAt, { familyId: 'phone' });
+
+      await memoryAdapter.revokeTokenFamily('laptop');
+
+      expect(await memoryAdapter.isRefreshTokenValid('laptop_token1')).toBe(false);
+      expect(await memoryAdapter.isRefreshTokenValid('laptop_token2')).toBe(false);
+      expect(await memoryAdapter.isRefreshTokenValid('phone_token1')).toBe(true);
+    });
+
+    it('should throw error if familyId is not a string', async () => {
+      await expect(memoryAdapter.revokeTokenFamily(null))
+        .rejects
+        .toThrow('Family ID must be a string');
+    });
+  });
+
   describe('revokeAllUserSessions', () => {
     it('should invalidate every token for a specific userId', async () => {
       const expiresAt = new Date();
@@ -352,4 +717,532 @@ describe('Data Adapters - MemoryAdapter Implementation', () => {
         .not.toThrow();
     });
   });
-});
\ No newline at end of file
+
+  describe('one-time tokens', () => {
+    const record = () => ({
+      purpose: 'email-verification',
+      userId: 'user123',
+      email: 'user@example.com',
+      expiresAt: new Date(Date.now() + 3600000)
+    });
+
+    it('should return the record once and then forget it', async () => {
+      const saved = record();
+      await memoryAdapter.saveOneTimeToken('hash123', saved);
+
+      expect(await memoryAdapter.consumeOneTimeToken('hash123', 'email-verification')).toEqual({ ...saved, data: null });
+      expect(await memoryAdapter.consumeOneTimeToken('hash123', 'email-verification')).toBeNull();
+    });
+
+    it('should keep extra string data with the record', async () => {
+      await memoryAdapter.saveOneTimeToken('hash123', { ...record(), purpose: 'magic-link', data: { redirectUrl: '/dashboard' } });
+
+      expect((await memoryAdapter.consumeOneTimeToken('hash123', 'magic-link')).data).toEqual({ redirectUrl: '/dashboard' });
+      await expect(memoryAdapter.saveOneTimeToken('hash456', { ...record(), data: { attempts: 1 } }))
+        .rejects
+        .toThrow();
+    });
+
+    it('should leave tokens issued for another purpose in place', async () => {
+      await memoryAdapter.saveOneTimeToken('hash123', record());
+
+      expect(await memoryAdapter.consumeOneTimeToken('hash123', 'password-reset')).toBeNull();
+      expect(await memoryAdapter.consumeOneTimeToken('hash123', 'email-verification')).not.toBeNull();
+    });
+
+    it('should return null for non-existent token', async () => {
+      expect(await memoryAdapter.consumeOneTimeToken('missing', 'email-verification')).toBeNull();
+    });
+
+    it('should throw error for invalid records', async () => {
+      await expect(memoryAdapter.saveOneTimeToken('hash123', { purpose: 'email-verification' }))
+        .rejects
+        .toThrow();
+    });
+
+    it('should throw error if token is not a string', async () => {
+      await expect(memoryAdapter.saveOneTimeToken(123, record()))
+        .rejects
+        .toThrow('Token must be a string');
+      await expect(memoryAdapter.consumeOneTimeToken(123, 'email-verification'))
+        .rejects
+        .toThrow('Token must be a string');
+    });
+  });
+
+  describe('login failures', () => {
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000);
+
+    it('should count failures within the window', async () => {
+      const firstAt = minutesAgo(2);
+      const secondAt = minutesAgo(1);
+      const first = await memoryAdapter.recordLoginFailure('ip:203.0.113.7', { at: firstAt, resetBefore: minutesAgo(17) });
+      const second = await memoryAdapter.recordLoginFailure('ip:203.0.113.7', { at: secondAt, resetBefore: minutesAgo(16) });
+
+      expect(first.count).toBe(1);
+      expect(second).toEqual({ count: 2, firstFailureAt: firstAt, lastFailureAt: secondAt });
+      expect(await memoryAdapter.findLoginFailures('ip:203.0.113.7')).toEqual(second);
+    });
+
+    it('should start over when the last failure is older than resetBefore', async () => {
+      await memoryAdapter.recordLoginFailure('ip:203.0.113.7', { at: minutesAgo(30), resetBefore: minutesAgo(45) });
+
+      const record = await memoryAdapter.recordLoginFailure('ip:203.0.113.7', { at: new Date(), resetBefore: minutesAgo(15) });
+
+      expect(record.count).toBe(1);
+      expect(record.firstFailureAt).toEqual(record.lastFailureAt);
+    });
+
+    it('should keep keys apart and clear them one at a time', async () => {
+      const attempt = { at: new Date(), resetBefore: minutesAgo(15) };
+      await memoryAdapter.recordLoginFailure('account:user@example.com', attempt);
+      await memoryAdapter.recordLoginFailure('ip:203.0.113.7', attempt);
+
+      await memoryAdapter.clearLoginFailures('account:user@example.com');
+
+      expect(await memoryAdapter.findLoginFailures('account:user@example.com')).toBeNull();
+      expect((await memoryAdapter.findLoginFailures('ip:203.0.113.7')).count).toBe(1);
+    });
+
+    it('should throw error for invalid attempts', async () => {
+      await expect(memoryAdapter.recordLoginFailure('ip:203.0.113.7', { at: new Date() }))
+        .rejects
+        .toThrow();
+    });
+
+    it('should throw error if key is not a string', async () => {
+      await expect(memoryAdapter.recordLoginFailure(123, { at: new Date(), resetBefore: new Date() }))
+        .rejects
+        .toThrow('Key must be a string');
+      await expect(memoryAdapter.findLoginFailures(123))
+        .rejects
+        .toThrow('Key must be a string');
+      await expect(memoryAdapter.clearLoginFailures(123))
+        .rejects
+        .toThrow('Key must be a string');
+    });
+  });
+
+  describe('one-time codes', () => {
+    const record = () => ({ codeHash: 'hash123', userId: 'user123', expiresAt: new Date(Date.now() + 60000) });
+
+    it('should save a code per email and purpose with no attempts', async () => {
+      const saved = record();
+      await memoryAdapter.saveOtp('user@example.com', 'login', saved);
+
+      expect(await memoryAdapter.findOtp('user@example.com', 'login')).toEqual({ ...saved, attempts: 0 });
+      expect(await memoryAdapter.findOtp('user@example.com', 'reset')).toBeNull();
+      expect(await memoryAdapter.findOtp('other@example.com', 'login')).toBeNull();
+    });
+
+    it('should count attempts and start over when the code is replaced', async () => {
+      await memoryAdapter.saveOtp('user@example.com', 'login', record());
+
+      expect(await memoryAdapter.incrementOtpAttempts('user@example.com', 'login')).toBe(1);
+      expect(await memoryAdapter.incrementOtpAttempts('user@example.com', 'login')).toBe(2);
+      await memoryAdapter.saveOtp('user@example.com', 'login', { ...record(), codeHash: 'hash456' });
+      expect(await memoryAdapter.findOtp('user@example.com', 'login')).toMatchObject({ codeHash: 'hash456', attempts: 0 });
+      expect(await memoryAdapter.incrementOtpAttempts('user@example.com', 'verify')).toBeNull();
+    });
+
+    it('should delete a code only once', async () => {
+      await memoryAdapter.saveOtp('user@example.com', 'login', record());
+
+      expect(await memoryAdapter.deleteOtp('user@example.com', 'login')).toBe(true);
+      expect(await memoryAdapter.deleteOtp('user@example.com', 'login')).toBe(false);
+      expect(await memoryAdapter.findOtp('user@example.com', 'login')).toBeNull();
+    });
+
+    it('should count requests per email and purpose, apart from login failures', async () => {
+      const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000);
+
+      expect(await memoryAdapter.recordOtpRequest('user@example.com', 'login', { at: minutesAgo(30), resetBefore: minutesAgo(90) })).toBe(1);
+      expect(await memoryAdapter.recordOtpRequest('user@example.com', 'login', { at: new Date(), resetBefore: minutesAgo(60) })).toBe(2);
+      expect(await memoryAdapter.recordOtpRequest('user@example.com', 'reset', { at: new Date(), resetBefore: minutesAgo(60) })).toBe(1);
+      expect(await memoryAdapter.findLoginFailures('user@example.com')).toBeNull();
+
+      // Starts over once the last request is older than the window
+      expect(await memoryAdapter.recordOtpRequest('user@example.com', 'login', { at: new Date(), resetBefore: new Date(Date.now() + 1000) })).toBe(1);
+    });
+
+    it('should throw error for invalid records and keys', async () => {
+      await expect(memoryAdapter.saveOtp('user@example.com', 'login', { codeHash: 'hash123' }))
+        .rejects
+        .toThrow();
+      await expect(memoryAdapter.findOtp(123, 'login'))
+        .rejects
+        .toThrow('Email and purpose must be strings');
+    });
+  });
+
+  describe('TOTP secrets', () => {
+    const record = { secret: 'v1.sealed', confirmedAt: null, lastUsedStep: null };
+
+    it('should save, find, replace and delete a secret', async () => {
+      await memoryAdapter.saveTotpSecret('user123', record);
+      expect(await memoryAdapter.findTotpSecret('user123')).toEqual(record);
+
+      const confirmed = { ...record, confirmedAt: new Date(), lastUsedStep: 100 };
+      await memoryAdapter.saveTotpSecret('user123', confirmed);
+      expect(await memoryAdapter.findTotpSecret('user123')).toEqual(confirmed);
+
+      await memoryAdapter.deleteTotpSecret('user123');
+      expect(await memoryAdapter.findTotpSecret('user123')).toBeNull();
+    });
+
+    it('should only accept time steps later than the last used one', async () => {
+      await memoryAdapter.saveTotpSecret('user123', record);
+
+      expect(await memoryAdapter.markTotpStepUsed('user123', 100)).toBe(true);
+      expect(await memoryAdapter.markTotpStepUsed('user123', 100)).toBe(false);
+      expect(await memoryAdapter.markTotpStepUsed('user123', 99)).toBe(false);
+      expect(await memoryAdapter.markTotpStepUsed('user123', 101)).toBe(true);
+      expect(await memoryAdapter.markTotpStepUsed('nobody', 1)).toBe(false);
+    });
+
+    it('should throw error for invalid records', async () => {
+      await expect(memoryAdapter.saveTotpSecret('user123', { confirmedAt: null }))
+        .rejects
+        .toThrow();
+      await expect(memoryAdapter.findTotpSecret(123))
+        .rejects
+        .toThrow('User ID must be a string');
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should consume each code once', async () => {
+      await memoryAdapter.saveRecoveryCodes('user123', ['hash1', 'hash2']);
+
+      expect(await memoryAdapter.consumeRecoveryCode('user123', 'hash1')).toBe(true);
+      expect(await memoryAdapter.consumeRecoveryCode('user123', 'hash1')).toBe(false);
+      expect(await memoryAdapter.consumeRecoveryCode('other', 'hash2')).toBe(false);
+      expect(await memoryAdapter.countRecoveryCodes('user123')).toBe(1);
+    });
+
+    it('should replace every code on save', async () => {
+      await memoryAdapter.saveRecoveryCodes('user123', ['hash1', 'hash2']);
+      await memoryAdapter.saveRecoveryCodes('user123', ['hash3']);
+
+      expect(await memoryAdapter.consumeRecoveryCode('user123', 'hash1')).toBe(false);
+      expect(await memoryAdapter.countRecoveryCodes('user123')).toBe(1);
+      expect(await memoryAdapter.countRecoveryCodes('nobody')).toBe(0);
+    });
+
+    it('should throw error for invalid codes', async () => {
+      await expect(memoryAdapter.saveRecoveryCodes('user123', [123]))
+        .rejects
+        .toThrow('Codes must be an array of strings');
+    });
+  });
+
+  describe('passkeys', () => {
+    const passkey = (credentialId, userId, createdAt) => ({
+      credentialId,
+      userId,
+      publicKey: 'pQECAyYgASFYIA',
+      algorithm: -7,
+      signCount: 0,
+      createdAt,
+    });
+
+    it('should save passkeys with defaults and list them per user, oldest first', async () => {
+      const older = new Date('2026-01-01T00:00:00Z');
+      const newer = new Date('2026-02-01T00:00:00Z');
+      await memoryAdapter.savePasskey(passkey('cred2', 'user123', newer));
+      await memoryAdapter.savePasskey(passkey('cred1', 'user123', older));
+      await memoryAdapter.savePasskey(passkey('cred3', 'other', older));
+
+      expect(await memoryAdapter.findPasskey('cred1')).toEqual({
+        ...passkey('cred1', 'user123', older),
+        transports: [],
+        aaguid: null,
+        backupEligible: false,
+        backedUp: false,
+        name: null,
+        lastUsedAt: null,
+      });
+      expect((await memoryAdapter.findPasskeysByUserId('user123')).map((p) => p.credentialId)).toEqual(['cred1', 'cred2']);
+      expect(await memoryAdapter.findPasskeysByUserId('nobody')).toEqual([]);
+      expect(await memoryAdapter.findPasskey('missing')).toBeNull();
+    });
+
+    it('should reject duplicate credential IDs', async () => {
+      await memoryAdapter.savePasskey(passkey('cred1', 'user123', new Date()));
+
+      await expect(memoryAdapter.savePasskey(passkey('cred1', 'other', new Date())))
+        .rejects
+        .toThrow('Passkey already exists');
+    });
+
+    it('should update and delete passkeys', async () => {
+      const lastUsedAt = new Date();
+      await memoryAdapter.savePasskey(passkey('cred1', 'user123', new Date()));
+
+      await memoryAdapter.updatePasskey('cred1', { signCount: 7, backedUp: true, lastUsedAt });
+      expect(await memoryAdapter.findPasskey('cred1')).toMatchObject({ signCount: 7, backedUp: true, lastUsedAt });
+
+      await memoryAdapter.deletePasskey('cred1');
+      expect(await memoryAdapter.findPasskey('cred1')).toBeNull();
+    });
+
+    it('should throw error for invalid records and updates', async () => {
+      await expect(memoryAdapter.savePasskey({ credentialId: 'cred1' }))
+        .rejects
+        .toThrow();
+      await memoryAdapter.savePasskey(passkey('cred1', 'user123', new Date()));
+      await expect(memoryAdapter.updatePasskey('cred1', { userId: 'other' }))
+        .rejects
+        .toThrow();
+      await expect(memoryAdapter.updatePasskey('missing', { signCount: 1 }))
+        .rejects
+        .toThrow('Passkey not found');
+      await expect(memoryAdapter.findPasskey(123))
+        .rejects
+        .toThrow('Credential ID must be a string');
+    });
+  });
+
+  describe('identities', () => {
+    const identity = (provider, subject, userId, createdAt) => ({ provider, subject, userId, createdAt });
+
+    it('should link identities and list them per user, oldest first', async () => {
+      const older = new Date('2026-01-01T00:00:00Z');
+      const newer = new Date('2026-02-01T00:00:00Z');
+      await memoryAdapter.linkIdentity({ ...identity('google', 'sub1', 'user123', newer), email: 'test@example.com' });
+      await memoryAdapter.linkIdentity(identity('github', 'sub1', 'user123', older));
+      await memoryAdapter.linkIdentity(identity('google', 'sub2', 'other', older));
+
+      expect(await memoryAdapter.findIdentity('google', 'sub1')).toEqual({
+        ...identity('google', 'sub1', 'user123', newer),
+        email: 'test@example.com',
+      });
+      expect(await memoryAdapter.findIdentity('github', 'sub1')).toMatchObject({ userId: 'user123', email: null });
+      expect((await memoryAdapter.findIdentitiesByUserId('user123')).map((i) => i.provider)).toEqual(['github', 'google']);
+      expect(await memoryAdapter.findIdentitiesByUserId('nobody')).toEqual([]);
+      expect(await memoryAdapter.findIdentity('google', 'missing')).toBeNull();
+    });
+
+    it('should link each provider and subject pair once', async () => {
+      await memoryAdapter.linkIdentity(identity('google', 'sub1', 'user123', new Date()));
+
+      await expect(memoryAdapter.linkIdentity(identity('google', 'sub1', 'other', new Date())))
+        .rejects
+        .toThrow('Identity already linked');
+    });
+
+    it('should unlink identities', async () => {
+      await memoryAdapter.linkIdentity(identity('google', 'sub1', 'user123', new Date()));
+
+      await memoryAdapter.unlinkIdentity('google', 'sub1');
+
+      expect(await memoryAdapter.findIdentity('google', 'sub1')).toBeNull();
+      await expect(memoryAdapter.unlinkIdentity('google', 'sub1')).resolves.toBeUndefined();
+    });
+
+    it('should throw error for invalid records and lookups', async () => {
+      await expect(memoryAdapter.linkIdentity({ provider: 'google', subject: 'sub1' }))
+        .rejects
+        .toThrow();
+      await expect(memoryAdapter.findIdentity('google', 123))
+        .rejects
+        .toThrow('Provider and subject must be strings');
+      await expect(memoryAdapter.findIdentitiesByUserId(null))
+        .rejects
+        .toThrow('User ID must be a string');
+    });
+  });
+
+  describe('API keys', () => {
+    const apiKey = (id, userId, createdAt) => ({
+      id,
+      userId,
+      prefix: 'ryauth',
+      keyHash: `hash-${id}`,
+      scopes: ['orders:read'],
+      createdAt,
+    });
+
+    it('should save API keys with defaults and list them per user, oldest first', async () => {
+      const older = new Date('2026-01-01T00:00:00Z');
+      const newer = new Date('2026-02-01T00:00:00Z');
+      await memoryAdapter.saveApiKey(apiKey('key2', 'user123', newer));
+      await memoryAdapter.saveApiKey(apiKey('key1', 'user123', older));
+      await memoryAdapter.saveApiKey(apiKey('key3', 'other', older));
+
+      expect(await memoryAdapter.findApiKey('key1')).toEqual({
+        ...apiKey('key1', 'user123', older),
+        name: null,
+        expiresAt: null,
+        lastUsedAt: null,
+      });
+      expect((await memoryAdapter.findApiKeysByUserId('user123')).map((k) => k.id)).toEqual(['key1', 'key2']);
+      expect(await memoryAdapter.findApiKeysByUserId('nobody')).toEqual([]);
+      expect(await memoryAdapter.findApiKey('missing')).toBeNull();
+    });
+
+    it('should reject duplicate key IDs', async () => {
+      await memoryAdapter.saveApiKey(apiKey('key1', 'user123', new Date()));
+
+      await expect(memoryAdapter.saveApiKey(apiKey('key1', 'other', new Date())))
+        .rejects
+        .toThrow('API key already exists');
+    });
+
+    it('should not share scope arrays with callers', async () => {
+      await memoryAdapter.saveApiKey(apiKey('key1', 'user123', new Date()));
+
+      (await memoryAdapter.findApiKey('key1')).scopes.push('orders:write');
+
+      expect((await memoryAdapter.findApiKey('key1')).scopes).toEqual(['orders:read']);
+    });
+
+    it('should update and delete API keys', async () => {
+      const lastUsedAt = new Date();
+      await memoryAdapter.saveApiKey(apiKey('key1', 'user123', new Date()));
+
+      await memoryAdapter.updateApiKey('key1', { lastUsedAt, name: 'CI' });
+      expect(await memoryAdapter.findApiKey('key1')).toMatchObject({ lastUsedAt, name: 'CI' });
+
+      await memoryAdapter.deleteApiKey('key1');
+      expect(await memoryAdapter.findApiKey('key1')).toBeNull();
+    });
+
+    it('should throw error for invalid records and updates', async () => {
+      await expect(memoryAdapter.saveApiKey({ id: 'key1' }))
+        .rejects
+        .toThrow();
+      await memoryAdapter.saveApiKey(apiKey('key1', 'user123', new Date()));
+      await expect(memoryAdapter.updateApiKey('key1', { scopes: ['admin'] }))
+        .rejects
+        .toThrow();
+      await expect(memoryAdapter.updateApiKey('missing', { lastUsedAt: new Date() }))
+        .rejects
+        .toThrow('API key not found');
+      await expect(memoryAdapter.findApiKey(123))
+        .rejects
+        .toThrow('API key ID must be a string');
+    });
+  });
+
+  describe('organizations', () => {
+    const membership = (organizationId, userId, createdAt, roles = ['member']) => ({ organizationId, userId, roles, createdAt });
+
+    it('should create and find organizations', async () => {
+      const organization = await memoryAdapter.createOrganization({ name: 'Acme' });
+
+      expect(organization).toEqual({ id: expect.any(String), name: 'Acme', createdAt: expect.any(Date) });
+      expect(await memoryAdapter.findOrganizationById(organization.id)).toEqual(organization);
+      expect(await memoryAdapter.findOrganizationById('missing')).toBeNull();
+      await expect(memoryAdapter.createOrganization({ name: '' })).rejects.toThrow();
+      await expect(memoryAdapter.findOrganizationById(123)).rejects.toThrow('Organization ID must be a string');
+    });
+
+    it('should list memberships per user and per organization, oldest first', async () => {
+      const older = new Date('2026-01-01T00:00:00Z');
+      const newer = new Date('2026-02-01T00:00:00Z');
+      await memoryAdapter.addMembership(membership('org2', 'user123', newer, ['admin', 'billing']));
+      await memoryAdapter.addMembership(membership('org1', 'user123', older));
+      await memoryAdapter.addMembership(membership('org1', 'other', newer));
+
+      expect(await memoryAdapter.findMembership('org2', 'user123')).toEqual(membership('org2', 'user123', newer, ['admin', 'billing']));
+      expect(await memoryAdapter.findMembership('org2', 'other')).toBeNull();
+      expect((await memoryAdapter.findMembershipsByUserId('user123')).map((m) => m.organizationId)).toEqual(['org1', 'org2']);
+      expect((await memoryAdapter.findMembershipsByOrganizationId('org1')).map((m) => m.userId)).toEqual(['user123', 'other']);
+      expect(await memoryAdapter.findMembershipsByUserId('nobody')).toEqual([]);
+    });
+
+    it('should reject duplicate memberships and memberships without roles', async () => {
+      await memoryAdapter.addMembership(membership('org1', 'user123', new Date()));
+
+      await expect(memoryAdapter.addMembership(membership('org1', 'user123', new Date(), ['admin'])))
+        .rejects
+        .toThrow('Membership already exists');
+      await expect(memoryAdapter.addMembership(membership('org2', 'user123', new Date(), [])))
+        .rejects
+        .toThrow();
+    });
+
+    it('should update and delete memberships without sharing role arrays', async () => {
+      await memoryAdapter.addMembership(membership('org1', 'user123', new Date()));
+      (await memoryAdapter.findMembership('org1', 'user123')).roles.push('admin');
+
+      expect((await memoryAdapter.findMembership('org1', 'user123')).roles).toEqual(['member']);
+
+      await memoryAdapter.updateMembership('org1', 'user123', { roles: ['admin'] });
+      expect((await memoryAdapter.findMembership('org1', 'user123')).roles).toEqual(['admin']);
+      await expect(memoryAdapter.updateMembership('org1', 'user123', { organizationId: 'org2' })).rejects.toThrow();
+      await expect(memoryAdapter.updateMembership('org1', 'other', { roles: ['admin'] }))
+        .rejects
+        .toThrow('Membership not found');
+
+      await memoryAdapter.deleteMembership('org1', 'user123');
+      expect(await memoryAdapter.findMembership('org1', 'user123')).toBeNull();
+    });
+
+    it('should delete the memberships of a deleted organization', async () => {
+      const organization = await memoryAdapter.createOrganization({ name: 'Acme' });
+      const kept = await memoryAdapter.createOrganization({ name: 'Globex' });
+      await memoryAdapter.addMembership(membership(organization.id, 'user123', new Date()));
+      await memoryAdapter.addMembership(membership(kept.id, 'user123', new Date()));
+
+      await memoryAdapter.deleteOrganization(organization.id);
+
+      expect(await memoryAdapter.findOrganizationById(organization.id)).toBeNull();
+      expect((await memoryAdapter.findMembershipsByUserId('user123')).map((m) => m.organizationId)).toEqual([kept.id]);
+    });
+  });
+
+  describe('sessions', () => {
+    const session = (id, userId, createdAt) => ({
+      id,
+      userId,
+      deviceName: null,
+      userAgent: 'Mozilla/5.0',
+      ip: '203.0.113.7',
+      createdAt,
+      lastRefreshedAt: createdAt,
+      expiresAt: new Date(createdAt.getTime() + 60000),
+    });
+
+    it('should save, find and list sessions, oldest first', async () => {
+      const older = new Date('2026-01-01T00:00:00Z');
+      const newer = new Date('2026-02-01T00:00:00Z');
+      await memoryAdapter.saveSession(session('s2', 'user123', newer));
+      await memoryAdapter.saveSession(session('s1', 'user123', older));
+      await memoryAdapter.saveSession(session('s3', 'other', older));
+
+      expect(await memoryAdapter.findSession('s1')).toEqual(session('s1', 'user123', older));
+      expect(await memoryAdapter.findSession('missing')).toBeNull();
+      expect((await memoryAdapter.findSessionsByUserId('user123')).map((s) => s.id)).toEqual(['s1', 's2']);
+      expect(await memoryAdapter.findSessionsByUserId('nobody')).toEqual([]);
+      await expect(memoryAdapter.findSession(123)).rejects.toThrow('Session ID must be a string');
+    });
+
+    it('should default device details to null and reject duplicates', async () => {
+      const now = new Date();
+      await memoryAdapter.saveSession({ id: 's1', userId: 'user123', createdAt: now, lastRefreshedAt: now, expiresAt: now });
+
+      expect(await memoryAdapter.findSession('s1')).toMatchObject({ deviceName: null, userAgent: null, ip: null });
+      await expect(memoryAdapter.saveSession(session('s1', 'user123', now)))
+        .rejects
+        .toThrow('Session already exists');
+    });
+
+    it('should update and delete sessions', async () => {
+      const createdAt = new Date('2026-01-01T00:00:00Z');
+      const refreshedAt = new Date('2026-01-02T00:00:00Z');
+      await memoryAdapter.saveSession(session('s1', 'user123', createdAt));
+
+      await memoryAdapter.updateSession('s1', { lastRefreshedAt: refreshedAt, ip: '198.51.100.2' });
+      expect(await memoryAdapter.findSession('s1')).toMatchObject({ createdAt, lastRefreshedAt: refreshedAt, ip: '198.51.100.2' });
+      await expect(memoryAdapter.updateSession('s1', { userId: 'other' })).rejects.toThrow();
+      await expect(memoryAdapter.updateSession('missing', { ip: null }))
+        .rejects
+        .toThrow('Session not found');
+
+      await memoryAdapter.deleteSession('s1');
+      expect(await memoryAdapter.findSession('s1')).toBeNull();
+    });
+  });
+});
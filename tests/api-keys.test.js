@@ -0,0 +1,45 @@
+import { describe, it, expect } from '@jest/globals';
+import { generateApiKey, parseApiKey, hashApiKey, DEFAULT_API_KEY_PREFIX } from '../src/core/api-keys.js';
+
+describe('API Keys - Format', () => {
+  it('should generate prefixed keys that carry their ID', () => {
+    const { id, key } = generateApiKey();
+
+    expect(id).toMatch(/^[0-9a-f]{16}$/);
+    expect(key.startsWith(`${DEFAULT_API_KEY_PREFIX}_${id}_`)).toBe(true);
+    expect(parseApiKey(key)).toEqual({ prefix: 'ryauth', id });
+    expect(generateApiKey().key).not.toBe(key);
+  });
+
+  it('should use a custom prefix', () => {
+    const { id, key } = generateApiKey('acme2');
+
+    expect(parseApiKey(key)).toEqual({ prefix: 'acme2', id });
+  });
+
+  it('should reject invalid prefixes', () => {
+    expect(() => generateApiKey('Acme')).toThrow('API key prefix must be 1 to 16 lowercase letters and digits');
+    expect(() => generateApiKey('acme_live')).toThrow();
+    expect(() => generateApiKey('')).toThrow();
+  });
+
+  it('should not parse malformed keys', () => {
+    const { key } = generateApiKey();
+
+    expect(parseApiKey(`${key}x`)).toBeNull();
+    expect(parseApiKey(key.replace('ryauth_', 'ryauth-'))).toBeNull();
+    expect(parseApiKey('Bearer token')).toBeNull();
+    expect(parseApiKey(undefined)).toBeNull();
+  });
+});
+
+describe('API Keys - Hashing', () => {
+  it('should hash keys with SHA-256', () => {
+    const { key } = generateApiKey();
+
+    expect(hashApiKey(key)).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(hashApiKey(key)).toBe(hashApiKey(key));
+    expect(hashApiKey(key)).not.toBe(hashApiKey(generateApiKey().key));
+    expect(() => hashApiKey(null)).toThrow('API key must be a string');
+  });
+});
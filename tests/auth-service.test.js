@@ -1,7 +1,18 @@
-import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
 import { AuthService } from '../src/services/auth-service.js';
 import { MemoryAdapter } from '../src/adapters/memory.js';
-import { hashPassword } from '../src/core/crypto.js';
+import { MemoryMailer } from '../src/mailers/memory.js';
+import { PasswordPolicy, PasswordPolicyError } from '../src/core/password-policy.js';
+import { PasswordHasher } from '../src/core/password-hasher.js';
+import { LoginThrottle } from '../src/core/login-throttle.js';
+import { OtpPolicy } from '../src/core/otp-policy.js';
+import { generateTotp } from '../src/core/totp.js';
+import { RelyingParty } from '../src/core/webauthn.js';
+import { OAuthProvider, pkceChallenge } from '../src/core/oauth.js';
+import { SoftwareAuthenticator } from './fixtures/authenticator.js';
+import { StubProvider } from './fixtures/oidc-provider.js';
+import { hashApiKey } from '../src/core/api-keys.js';
+import { generateOneTimeToken, hashOneTimeCode, hashOneTimeToken, hashPassword, hashRefreshToken, signRefreshToken, verifyJWT } from '../src/core/crypto.js';
 
 // Mock environment variables
 const originalEnv = process.env;
@@ -103,7 +114,7 @@ describe('AuthService - Login', () => {
     expect(typeof result.refreshToken).toBe('string');
     
     // Verify refresh token was saved
-    const isValid = await global.testAdapter.isRefreshTokenValid(result.refreshToken);
+    const isValid = await global.testAdapter.isRefreshTokenValid(hashRefreshToken(result.refreshToken));
     expect(isValid).toBe(true);
   });
 
@@ -168,11 +179,11 @@ describe('AuthService - Token Rotation', () => {
     expect(refreshResult.refreshToken).not.toBe(oldRefreshToken);
     
     // Verify old refresh token is revoked
-    const isOldTokenValid = await global.testAdapter.isRefreshTokenValid(oldRefreshToken);
+    const isOldTokenValid = await global.testAdapter.isRefreshTokenValid(hashRefreshToken(oldRefreshToken));
     expect(isOldTokenValid).toBe(false);
     
     // Verify new refresh token is valid
-    const isNewTokenValid = await global.testAdapter.isRefreshTokenValid(refreshResult.refreshToken);
+    const isNewTokenValid = await global.testAdapter.isRefreshTokenValid(hashRefreshToken(refreshResult.refreshToken));
     expect(isNewTokenValid).toBe(true);
   });
 
@@ -192,7 +203,7 @@ describe('AuthService - Token Rotation', () => {
     const refreshToken = loginResult.refreshToken;
     
     // Revoke the token
-    await global.testAdapter.revokeRefreshToken(refreshToken);
+    await global.testAdapter.revokeRefreshToken(hashRefreshToken(refreshToken));
     
     // Try to use revoked token
     await expect(service.refresh(refreshToken))
@@ -221,15 +232,103 @@ describe('AuthService - Token Rotation', () => {
       .toThrow('Session revoked - please login again');
     
     // Verify all tokens for this user are now revoked
-    const isFirstValid = await global.testAdapter.isRefreshTokenValid(firstRefreshToken);
-    const isSecondValid = await global.testAdapter.isRefreshTokenValid(secondRefreshToken);
-    const isThirdValid = await global.testAdapter.isRefreshTokenValid(thirdRefreshToken);
+    const isFirstValid = await global.testAdapter.isRefreshTokenValid(hashRefreshToken(firstRefreshToken));
+    const isSecondValid = await global.testAdapter.isRefreshTokenValid(hashRefreshToken(secondRefreshToken));
+    const isThirdValid = await global.testAdapter.isRefreshTokenValid(hashRefreshToken(thirdRefreshToken));
     
     expect(isFirstValid).toBe(false);
     expect(isSecondValid).toBe(false);
     expect(isThirdValid).toBe(false);
   });
 
+  it('should only revoke the reused token family, not other devices', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    const laptop = await service.login('test@example.com', 'password123');
+    const phone = await service.login('test@example.com', 'password123');
+    
+    const laptopRotated = await service.refresh(laptop.refreshToken);
+    
+    // Replay the laptop's rotated token
+    await expect(service.refresh(laptop.refreshToken))
+      .rejects
+      .toThrow('Session revoked - please login again');
+    
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(laptopRotated.refreshToken))).toBe(false);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(phone.refreshToken))).toBe(true);
+    
+    // The other device keeps working
+    const phoneRotated = await service.refresh(phone.refreshToken);
+    expect(phoneRotated.success).toBe(true);
+  });
+
+  it('should close the family when one token is refreshed twice concurrently', async () => {
+    const service = new AuthService(global.testAdapter);
+    const login = await service.login('test@example.com', 'password123');
+    
+    const results = await Promise.allSettled([
+      service.refresh(login.refreshToken),
+      service.refresh(login.refreshToken),
+    ]);
+    
+    // Only one refresh consumes the token; the other is treated as reuse and ends the
+    // session, so a pair the first one managed to issue is dead as well
+    expect(results.some((result) => result.status === 'rejected')).toBe(true);
+    for (const result of results.filter(({ status }) => status === 'fulfilled')) {
+      await expect(service.refresh(result.value.refreshToken))
+        .rejects
+        .toThrow('Session revoked - please login again');
+    }
+    const { sid } = await verifyJWT(login.accessToken, 'access');
+    expect(await global.testAdapter.findSession(sid)).toBeNull();
+  });
+
+  it('should link rotated tokens to their family and parent', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    const loginResult = await service.login('test@example.com', 'password123');
+    const refreshResult = await service.refresh(loginResult.refreshToken);
+    
+    const parent = await global.testAdapter.findRefreshToken(hashRefreshToken(loginResult.refreshToken));
+    const child = await global.testAdapter.findRefreshToken(hashRefreshToken(refreshResult.refreshToken));
+    
+    expect(parent.familyId).toEqual(expect.any(String));
+    expect(parent.parentToken).toBeNull();
+    expect(child.familyId).toBe(parent.familyId);
+    expect(child.parentToken).toBe(hashRefreshToken(loginResult.refreshToken));
+  });
+
+  it('should start a new family for each login', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    const session1 = await service.login('test@example.com', 'password123');
+    const session2 = await service.login('test@example.com', 'password123');
+    
+    const record1 = await global.testAdapter.findRefreshToken(hashRefreshToken(session1.refreshToken));
+    const record2 = await global.testAdapter.findRefreshToken(hashRefreshToken(session2.refreshToken));
+    
+    expect(record1.familyId).not.toBe(record2.familyId);
+  });
+
+  it('should report an expired refresh token as expired without revoking sessions', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    const oldSession = await service.login('test@example.com', 'password123');
+    
+    jest.useFakeTimers({ now: Date.now() + 8 * 24 * 60 * 60 * 1000 });
+    try {
+      const newSession = await service.login('test@example.com', 'password123');
+      
+      await expect(service.refresh(oldSession.refreshToken))
+        .rejects
+        .toThrow('Refresh token expired');
+      
+      expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(newSession.refreshToken))).toBe(true);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
   it('should throw error for expired refresh token', async () => {
     const service = new AuthService(global.testAdapter);
     
@@ -241,7 +340,7 @@ describe('AuthService - Token Rotation', () => {
     const refreshToken = loginResult.refreshToken;
     
     // Manually revoke the token to simulate expiration
-    await global.testAdapter.revokeRefreshToken(refreshToken);
+    await global.testAdapter.revokeRefreshToken(hashRefreshToken(refreshToken));
     
     // Try to use expired token
     await expect(service.refresh(refreshToken))
@@ -249,6 +348,37 @@ describe('AuthService - Token Rotation', () => {
       .toThrow('Session revoked - please login again');
   });
 
+  it('should take the role of refreshed access tokens from the stored user', async () => {
+    const service = new AuthService(global.testAdapter);
+    await global.testAdapter.createUser({
+      email: 'admin@example.com',
+      hashedPassword: await hashPassword('password123'),
+      role: 'admin'
+    });
+    
+    const loginResult = await service.login('admin@example.com', 'password123');
+    const refreshResult = await service.refresh(loginResult.refreshToken);
+    
+    const payload = await verifyJWT(refreshResult.accessToken, 'access');
+    expect(payload.role).toBe('admin');
+  });
+
+  it('should list every role the user holds in access tokens, the primary role first', async () => {
+    const service = new AuthService(global.testAdapter);
+    await global.testAdapter.createUser({
+      email: 'editor@example.com',
+      hashedPassword: await hashPassword('password123'),
+      role: 'editor',
+      roles: ['billing', 'editor']
+    });
+    
+    const { accessToken } = await service.login('editor@example.com', 'password123');
+    
+    const payload = await verifyJWT(accessToken, 'access');
+    expect(payload).toMatchObject({ role: 'editor', roles: ['editor', 'billing'] });
+    expect((await verifyJWT((await service.login('test@example.com', 'password123')).accessToken, 'access')).roles).toEqual(['user']);
+  });
+
   it('should throw error for short refresh token', async () => {
     const service = new AuthService(global.testAdapter);
     
@@ -273,15 +403,2189 @@ describe('AuthService - Integration with MemoryAdapter', () => {
     const login2 = await service.login('user2@example.com', 'password456');
     
     // Verify tokens are saved
-    expect(await adapter.isRefreshTokenValid(login1.refreshToken)).toBe(true);
-    expect(await adapter.isRefreshTokenValid(login2.refreshToken)).toBe(true);
+    expect(await adapter.isRefreshTokenValid(hashRefreshToken(login1.refreshToken))).toBe(true);
+    expect(await adapter.isRefreshTokenValid(hashRefreshToken(login2.refreshToken))).toBe(true);
     
     // Rotate user1's token
     const refresh1 = await service.refresh(login1.refreshToken);
     
     // Verify user1's old token is revoked but user2's token is still valid
-    expect(await adapter.isRefreshTokenValid(login1.refreshToken)).toBe(false);
-    expect(await adapter.isRefreshTokenValid(login2.refreshToken)).toBe(true);
-    expect(await adapter.isRefreshTokenValid(refresh1.refreshToken)).toBe(true);
+    expect(await adapter.isRefreshTokenValid(hashRefreshToken(login1.refreshToken))).toBe(false);
+    expect(await adapter.isRefreshTokenValid(hashRefreshToken(login2.refreshToken))).toBe(true);
+    expect(await adapter.isRefreshTokenValid(hashRefreshToken(refresh1.refreshToken))).toBe(true);
+  });
+});
+describe('AuthService - Refresh Token Storage', () => {
+  // Every refresh token argument the service passed to the adapter
+  function spyOnTokenArguments(adapter) {
+    const calls = ['saveRefreshToken', 'findRefreshToken', 'isRefreshTokenValid', 'revokeRefreshToken']
+      .map((method) => jest.spyOn(adapter, method));
+    return () => calls.flatMap((spy) => spy.mock.calls.flatMap(([first, second, , links]) => [
+      first, second, links?.parentToken,
+    ]));
+  }
+
+  it('should never pass raw refresh tokens to the adapter', async () => {
+    const service = new AuthService(global.testAdapter);
+    const tokenArguments = spyOnTokenArguments(global.testAdapter);
+    
+    const loginResult = await service.login('test@example.com', 'password123');
+    const refreshResult = await service.refresh(loginResult.refreshToken);
+    await service.logout(refreshResult.refreshToken);
+    
+    const passed = tokenArguments();
+    expect(passed).toContain(hashRefreshToken(loginResult.refreshToken));
+    expect(passed).toContain(hashRefreshToken(refreshResult.refreshToken));
+    expect(passed).not.toContain(loginResult.refreshToken);
+    expect(passed).not.toContain(refreshResult.refreshToken);
+  });
+
+  it('should not find sessions by their raw refresh token', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    const loginResult = await service.login('test@example.com', 'password123');
+    
+    expect(await global.testAdapter.findRefreshToken(loginResult.refreshToken)).toBeNull();
+    expect(await global.testAdapter.findRefreshToken(hashRefreshToken(loginResult.refreshToken))).not.toBeNull();
+  });
+
+  it('should reject refresh tokens stored raw by default', async () => {
+    const service = new AuthService(global.testAdapter);
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    
+    const legacyToken = await signRefreshToken({ userId: user.id });
+    await global.testAdapter.saveRefreshToken(user.id, legacyToken, new Date(Date.now() + 60 * 60 * 1000));
+    
+    await expect(service.refresh(legacyToken))
+      .rejects
+      .toThrow('Session revoked - please login again');
+  });
+
+  it('should migrate raw refresh tokens when legacy tokens are accepted', async () => {
+    const service = new AuthService(global.testAdapter, { acceptLegacyRefreshTokens: true });
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    
+    const legacyToken = await signRefreshToken({ userId: user.id });
+    await global.testAdapter.saveRefreshToken(user.id, legacyToken, new Date(Date.now() + 60 * 60 * 1000));
+    
+    const refreshResult = await service.refresh(legacyToken);
+    
+    // The raw record is retired and its successor is stored hashed
+    expect(await global.testAdapter.isRefreshTokenValid(legacyToken)).toBe(false);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(refreshResult.refreshToken))).toBe(true);
+    
+    // Reusing the legacy token still counts as reuse
+    await expect(service.refresh(legacyToken))
+      .rejects
+      .toThrow('Session revoked - please login again');
+  });
+
+  it('should revoke raw refresh tokens on logout when legacy tokens are accepted', async () => {
+    const service = new AuthService(global.testAdapter, { acceptLegacyRefreshTokens: true });
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    
+    const legacyToken = await signRefreshToken({ userId: user.id });
+    await global.testAdapter.saveRefreshToken(user.id, legacyToken, new Date(Date.now() + 60 * 60 * 1000));
+    
+    await service.logout(legacyToken);
+    
+    expect(await global.testAdapter.isRefreshTokenValid(legacyToken)).toBe(false);
+  });
+});
+
+describe('AuthService - Email Verification', () => {
+  async function registerUnverified(service, email = 'verify@example.com') {
+    const { userId } = await service.register(email, 'password123');
+    return userId;
+  }
+
+  it('should mail a verification token and verify the email with it', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    const userId = await registerUnverified(service);
+    
+    const result = await service.sendVerification(userId);
+    
+    expect(result.success).toBe(true);
+    expect(result.expiresAt).toBeInstanceOf(Date);
+    
+    const message = mailer.lastMessageTo('verify@example.com');
+    expect(message.userId).toBe(userId);
+    
+    expect(await service.verifyEmail(message.token)).toEqual({ success: true, userId });
+    expect((await global.testAdapter.findUserById(userId)).emailVerified).toBe(true);
+  });
+
+  it('should only accept a verification token once', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    const userId = await registerUnverified(service);
+    
+    await service.sendVerification(userId);
+    const { token } = mailer.lastMessageTo('verify@example.com');
+    await service.verifyEmail(token);
+    
+    await expect(service.verifyEmail(token))
+      .rejects
+      .toThrow('Invalid or expired verification token');
+  });
+
+  it('should store only a hash of the verification token', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    const saveSpy = jest.spyOn(global.testAdapter, 'saveOneTimeToken');
+    const userId = await registerUnverified(service);
+    
+    await service.sendVerification(userId);
+    
+    const { token } = mailer.lastMessageTo('verify@example.com');
+    expect(saveSpy.mock.calls[0][0]).not.toBe(token);
+    expect(JSON.stringify(saveSpy.mock.calls[0])).not.toContain(token);
+  });
+
+  it('should reject expired verification tokens', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, verificationTokenTtl: 60 });
+    const userId = await registerUnverified(service);
+    
+    await service.sendVerification(userId);
+    const { token } = mailer.lastMessageTo('verify@example.com');
+    
+    jest.useFakeTimers({ now: Date.now() + 61 * 1000 });
+    try {
+      await expect(service.verifyEmail(token))
+        .rejects
+        .toThrow('Invalid or expired verification token');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should reject unknown verification tokens', async () => {
+    const service = new AuthService(global.testAdapter, { mailer: new MemoryMailer() });
+    
+    await expect(service.verifyEmail('unknown-verification-token'))
+      .rejects
+      .toThrow('Invalid or expired verification token');
+    await expect(service.verifyEmail('short'))
+      .rejects
+      .toThrow('Verification token is required');
+  });
+
+  it('should refuse to send without a mailer or for verified users', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    const userId = await registerUnverified(service);
+    
+    await expect(new AuthService(global.testAdapter).sendVerification(userId))
+      .rejects
+      .toThrow('A mailer is required to send verification emails');
+    await expect(service.sendVerification('nonexistent_user'))
+      .rejects
+      .toThrow('User not found');
+    
+    await global.testAdapter.markEmailVerified(userId);
+    await expect(service.sendVerification(userId))
+      .rejects
+      .toThrow('Email already verified');
+  });
+
+  it('should block login for unverified users when verification is required', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, requireEmailVerification: true });
+    const userId = await registerUnverified(service);
+    
+    await expect(service.login('verify@example.com', 'password123'))
+      .rejects
+      .toThrow('Email not verified');
+    
+    // Wrong passwords still get the generic error
+    await expect(service.login('verify@example.com', 'wrongpassword'))
+      .rejects
+      .toThrow('Invalid credentials');
+    
+    await service.sendVerification(userId);
+    await service.verifyEmail(mailer.lastMessageTo('verify@example.com').token);
+    
+    const result = await service.login('verify@example.com', 'password123');
+    expect(result.success).toBe(true);
+  });
+
+  it('should flag the verification state in access token claims', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    const userId = await registerUnverified(service);
+    
+    const before = await service.login('verify@example.com', 'password123');
+    expect((await verifyJWT(before.accessToken, 'access')).emailVerified).toBe(false);
+    
+    await service.sendVerification(userId);
+    await service.verifyEmail(mailer.lastMessageTo('verify@example.com').token);
+    
+    // Refreshed tokens pick up the new state
+    const refreshed = await service.refresh(before.refreshToken);
+    expect((await verifyJWT(refreshed.accessToken, 'access')).emailVerified).toBe(true);
+  });
+});
+
+describe('AuthService - Change Password', () => {
+  async function testUserId() {
+    return (await global.testAdapter.findUserByEmail('test@example.com')).id;
+  }
+
+  it('should change the password after checking the current one', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    const result = await service.changePassword(await testUserId(), 'password123', 'newPassword456');
+    
+    expect(result).toEqual({ success: true });
+    await expect(service.login('test@example.com', 'password123'))
+      .rejects
+      .toThrow('Invalid credentials');
+    expect((await service.login('test@example.com', 'newPassword456')).success).toBe(true);
+  });
+
+  it('should store the new password as an Argon2 hash', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    await service.changePassword(await testUserId(), 'password123', 'newPassword456');
+    
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    expect(user.hashedPassword).toMatch(/^\$argon2id\$/);
+    expect(user.hashedPassword).not.toContain('newPassword456');
+  });
+
+  it('should reject a wrong current password without changing anything', async () => {
+    const service = new AuthService(global.testAdapter);
+    const session = await service.login('test@example.com', 'password123');
+    
+    await expect(service.changePassword(await testUserId(), 'wrongpassword', 'newPassword456'))
+      .rejects
+      .toThrow('Current password is incorrect');
+    
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(session.refreshToken))).toBe(true);
+    expect((await service.login('test@example.com', 'password123')).success).toBe(true);
+  });
+
+  it('should throttle guesses at the current password with logins', async () => {
+    const service = new AuthService(global.testAdapter, {
+      loginThrottle: new LoginThrottle({ maxAttempts: 2 }),
+    });
+    const userId = await testUserId();
+    
+    for (let i = 0; i < 2; i++) {
+      await expect(service.changePassword(userId, 'wrongpassword', 'newPassword456'))
+        .rejects
+        .toThrow('Current password is incorrect');
+    }
+    
+    // Locked out: the right password is refused here and at login
+    await expect(service.changePassword(userId, 'password123', 'newPassword456'))
+      .rejects
+      .toThrow('Current password is incorrect');
+    await expect(service.login('test@example.com', 'password123'))
+      .rejects
+      .toThrow('Invalid credentials');
+  });
+
+  it('should revoke every session by default', async () => {
+    const service = new AuthService(global.testAdapter);
+    const session1 = await service.login('test@example.com', 'password123');
+    const session2 = await service.login('test@example.com', 'password123');
+    
+    await service.changePassword(await testUserId(), 'password123', 'newPassword456');
+    
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(session1.refreshToken))).toBe(false);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(session2.refreshToken))).toBe(false);
+  });
+
+  it('should keep the current session with a rotated token pair', async () => {
+    const service = new AuthService(global.testAdapter);
+    const current = await service.login('test@example.com', 'password123');
+    const other = await service.login('test@example.com', 'password123');
+    
+    const result = await service.changePassword(await testUserId(), 'password123', 'newPassword456', {
+      keepSession: current.refreshToken,
+    });
+    
+    expect(result.success).toBe(true);
+    expect(result.accessToken).toBeDefined();
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(result.refreshToken))).toBe(true);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(current.refreshToken))).toBe(false);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(other.refreshToken))).toBe(false);
+    
+    // The kept session refreshes as usual
+    expect((await service.refresh(result.refreshToken)).success).toBe(true);
+  });
+
+  it('should treat replay of the kept session\'s old token as reuse', async () => {
+    const service = new AuthService(global.testAdapter);
+    const current = await service.login('test@example.com', 'password123');
+    
+    const result = await service.changePassword(await testUserId(), 'password123', 'newPassword456', {
+      keepSession: current.refreshToken,
+    });
+    
+    await expect(service.refresh(current.refreshToken))
+      .rejects
+      .toThrow('Session revoked - please login again');
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(result.refreshToken))).toBe(false);
+  });
+
+  it('should refuse to keep a session that is not live or belongs to another user', async () => {
+    const service = new AuthService(global.testAdapter);
+    await service.register('other@example.com', 'password123');
+    const otherSession = await service.login('other@example.com', 'password123');
+    const revoked = await service.login('test@example.com', 'password123');
+    await service.logout(revoked.refreshToken);
+    
+    for (const keepSession of [otherSession.refreshToken, revoked.refreshToken, 'not-a-refresh-token']) {
+      await expect(service.changePassword(await testUserId(), 'password123', 'newPassword456', { keepSession }))
+        .rejects
+        .toThrow('Invalid refresh token');
+    }
+    
+    // Nothing changed
+    expect((await service.login('test@example.com', 'password123')).success).toBe(true);
+  });
+
+  it('should validate the new password', async () => {
+    const service = new AuthService(global.testAdapter);
+    const userId = await testUserId();
+    
+    await expect(service.changePassword(userId, 'password123', 'short'))
+      .rejects
+      .toThrow('Password must be at least 8 characters');
+    await expect(service.changePassword(userId, 'password123', 'password123'))
+      .rejects
+      .toThrow('New password must be different from the current password');
+    await expect(service.changePassword('', 'password123', 'newPassword456'))
+      .rejects
+      .toThrow('User ID is required');
+    await expect(service.changePassword('nonexistent_user', 'password123', 'newPassword456'))
+      .rejects
+      .toThrow('User not found');
+  });
+});
+
+describe('AuthService - Password Reset', () => {
+  async function requestResetToken(service, mailer) {
+    await service.requestPasswordReset('test@example.com');
+    return mailer.lastMessageTo('test@example.com').token;
+  }
+
+  it('should reset the password with a mailed token', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const token = await requestResetToken(service, mailer);
+    const result = await service.resetPassword(token, 'newPassword456');
+    
+    expect(result).toEqual({ success: true });
+    await expect(service.login('test@example.com', 'password123'))
+      .rejects
+      .toThrow('Invalid credentials');
+    expect((await service.login('test@example.com', 'newPassword456')).success).toBe(true);
+  });
+
+  it('should respond the same for unknown emails without sending anything', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const known = await service.requestPasswordReset('test@example.com');
+    const unknown = await service.requestPasswordReset('nobody@example.com');
+    
+    expect(unknown).toEqual(known);
+    expect(mailer.lastMessageTo('nobody@example.com')).toBeNull();
+  });
+
+  it('should revoke every session after a reset', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const session1 = await service.login('test@example.com', 'password123');
+    const session2 = await service.login('test@example.com', 'password123');
+    
+    await service.resetPassword(await requestResetToken(service, mailer), 'newPassword456');
+    
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(session1.refreshToken))).toBe(false);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(session2.refreshToken))).toBe(false);
+  });
+
+  it('should only accept a reset token once', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const token = await requestResetToken(service, mailer);
+    await service.resetPassword(token, 'newPassword456');
+    
+    await expect(service.resetPassword(token, 'anotherPassword789'))
+      .rejects
+      .toThrow('Invalid or expired reset token');
+  });
+
+  it('should reject expired reset tokens', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, passwordResetTokenTtl: 60 });
+    
+    const token = await requestResetToken(service, mailer);
+    
+    jest.useFakeTimers({ now: Date.now() + 61 * 1000 });
+    try {
+      await expect(service.resetPassword(token, 'newPassword456'))
+        .rejects
+        .toThrow('Invalid or expired reset token');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should not accept verification tokens as reset tokens', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    
+    await service.sendVerification(user.id);
+    const { token } = mailer.lastMessageTo('test@example.com');
+    
+    await expect(service.resetPassword(token, 'newPassword456'))
+      .rejects
+      .toThrow('Invalid or expired reset token');
+    
+    // The verification token is still usable for its own flow
+    expect((await service.verifyEmail(token)).success).toBe(true);
+  });
+
+  it('should apply the registration password rules', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const token = await requestResetToken(service, mailer);
+    
+    await expect(service.resetPassword(token, 'short'))
+      .rejects
+      .toThrow('Password must be at least 8 characters');
+    
+    // A rejected password doesn't use up the token
+    expect((await service.resetPassword(token, 'newPassword456')).success).toBe(true);
+  });
+
+  it('should store only a hash of the reset token', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    const saveSpy = jest.spyOn(global.testAdapter, 'saveOneTimeToken');
+    
+    const token = await requestResetToken(service, mailer);
+    
+    expect(JSON.stringify(saveSpy.mock.calls[0])).not.toContain(token);
+  });
+
+  it('should validate input and require a mailer', async () => {
+    const service = new AuthService(global.testAdapter, { mailer: new MemoryMailer() });
+    
+    await expect(service.requestPasswordReset('not-an-email'))
+      .rejects
+      .toThrow();
+    await expect(new AuthService(global.testAdapter).requestPasswordReset('test@example.com'))
+      .rejects
+      .toThrow('A mailer is required to send password reset emails');
+    await expect(service.resetPassword('short', 'newPassword456'))
+      .rejects
+      .toThrow('Reset token is required');
+  });
+});
+
+describe('AuthService - Password Policy', () => {
+  const strictPolicy = () => new PasswordPolicy({
+    minLength: 10,
+    requireDigit: true,
+    forbidEmailLocalPart: true,
+    breachedPasswords: ['correcthorse1'],
   });
-});
\ No newline at end of file
+
+  async function rejection(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the promise to reject');
+  }
+
+  it('should apply the policy on register with structured reasons', async () => {
+    const service = new AuthService(global.testAdapter, { passwordPolicy: strictPolicy() });
+    
+    const error = await rejection(service.register('alice@example.com', 'alice'));
+    
+    expect(error).toBeInstanceOf(PasswordPolicyError);
+    expect(error.message).toBe('Password must be at least 10 characters');
+    expect(error.reasons.map((reason) => reason.code)).toEqual(['too_short', 'missing_digit', 'contains_email']);
+    expect(await global.testAdapter.findUserByEmail('alice@example.com')).toBeNull();
+    
+    const result = await service.register('alice@example.com', 'wonderland-42');
+    expect(result.success).toBe(true);
+  });
+
+  it('should apply the policy on password change', async () => {
+    const service = new AuthService(global.testAdapter, { passwordPolicy: strictPolicy() });
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    
+    const error = await rejection(service.changePassword(user.id, 'password123', 'correcthorse1'));
+    
+    expect(error).toBeInstanceOf(PasswordPolicyError);
+    expect(error.reasons.map((reason) => reason.code)).toEqual(['breached']);
+    expect((await service.login('test@example.com', 'password123')).success).toBe(true);
+  });
+
+  it('should apply the policy on password reset and keep the token', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, passwordPolicy: strictPolicy() });
+    
+    await service.requestPasswordReset('test@example.com');
+    const { token } = mailer.lastMessageTo('test@example.com');
+    
+    // Checked before the token is consumed
+    const weak = await rejection(service.resetPassword(token, 'weak'));
+    expect(weak.reasons.map((reason) => reason.code)).toEqual(['too_short', 'missing_digit']);
+    
+    // Needs the account's email, so checked after; the token is handed back
+    const personal = await rejection(service.resetPassword(token, 'test-account-1'));
+    expect(personal.reasons.map((reason) => reason.code)).toEqual(['contains_email']);
+    
+    expect((await service.resetPassword(token, 'brand-new-secret-7')).success).toBe(true);
+  });
+});
+
+describe('AuthService - Password Hashing', () => {
+  const fast = { memoryCost: 1024, timeCost: 2, parallelism: 1 };
+  const pepper = 'pepper-that-is-at-least-32-characters-long';
+
+  it('should hash new passwords with the configured parameters', async () => {
+    const service = new AuthService(global.testAdapter, { passwordHasher: new PasswordHasher(fast) });
+    
+    await service.register('alice@example.com', 'wonderland-42');
+    
+    const user = await global.testAdapter.findUserByEmail('alice@example.com');
+    expect(user.hashedPassword).toMatch(/^\$argon2id\$v=19\$m=1024,t=2,p=1\$/);
+  });
+
+  it('should rehash outdated hashes on login', async () => {
+    // The test user was hashed with the default parameters
+    const service = new AuthService(global.testAdapter, { passwordHasher: new PasswordHasher(fast) });
+    
+    expect((await service.login('test@example.com', 'password123')).success).toBe(true);
+    
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    expect(user.hashedPassword).toMatch(/^\$argon2id\$v=19\$m=1024,t=2,p=1\$/);
+    expect((await service.login('test@example.com', 'password123')).success).toBe(true);
+  });
+
+  it('should leave current hashes and failed logins alone', async () => {
+    const service = new AuthService(global.testAdapter, { passwordHasher: new PasswordHasher(fast) });
+    await service.register('alice@example.com', 'wonderland-42');
+    const updateUser = jest.spyOn(global.testAdapter, 'updateUser');
+    
+    await service.login('alice@example.com', 'wonderland-42');
+    await expect(service.login('test@example.com', 'wrongpassword')).rejects.toThrow('Invalid credentials');
+    
+    expect(updateUser).not.toHaveBeenCalled();
+  });
+
+  it('should still log in when the rehash cannot be saved', async () => {
+    const service = new AuthService(global.testAdapter, { passwordHasher: new PasswordHasher(fast) });
+    jest.spyOn(global.testAdapter, 'updateUser').mockRejectedValue(new Error('Database unavailable'));
+    
+    const result = await service.login('test@example.com', 'password123');
+    
+    expect(result.success).toBe(true);
+  });
+
+  it('should move hashes to a new pepper on login', async () => {
+    const service = new AuthService(global.testAdapter, {
+      passwordHasher: new PasswordHasher({ ...fast, pepper, previousPeppers: [null] }),
+    });
+    
+    await service.login('test@example.com', 'password123');
+    
+    // The upgraded hash no longer verifies without the pepper
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    expect(await new PasswordHasher(fast).verify(user.hashedPassword, 'password123')).toBe(false);
+    expect(await new PasswordHasher({ ...fast, pepper }).verify(user.hashedPassword, 'password123')).toBe(true);
+  });
+
+  it('should check unknown users against a dummy hash with the current parameters', async () => {
+    const passwordHasher = new PasswordHasher(fast);
+    const check = jest.spyOn(passwordHasher, 'check');
+    const service = new AuthService(global.testAdapter, { passwordHasher });
+    
+    await expect(service.login('nobody@example.com', 'password123')).rejects.toThrow('Invalid credentials');
+    
+    expect(check).toHaveBeenCalledWith(await passwordHasher.dummyHash(), 'password123');
+  });
+});
+
+describe('AuthService - Login Throttling', () => {
+  const throttled = (options) => new AuthService(global.testAdapter, {
+    loginThrottle: new LoginThrottle({ maxAttempts: 2, ipMaxAttempts: 3, ...options }),
+  });
+
+  async function failLogin(service, email, options) {
+    await expect(service.login(email, 'wrongpassword', options)).rejects.toThrow('Invalid credentials');
+  }
+
+  it('should lock an account after too many failures, even for the right password', async () => {
+    const service = throttled();
+    
+    await failLogin(service, 'test@example.com');
+    await failLogin(service, 'test@example.com');
+    
+    await expect(service.login('test@example.com', 'password123')).rejects.toThrow('Invalid credentials');
+  });
+
+  it('should not check the password while locked', async () => {
+    const passwordHasher = new PasswordHasher();
+    const service = new AuthService(global.testAdapter, {
+      passwordHasher,
+      loginThrottle: new LoginThrottle({ maxAttempts: 1 }),
+    });
+    await failLogin(service, 'test@example.com');
+    const check = jest.spyOn(passwordHasher, 'check');
+    
+    await failLogin(service, 'test@example.com');
+    
+    expect(check).not.toHaveBeenCalled();
+    expect((await global.testAdapter.findLoginFailures('account:test@example.com')).count).toBe(1);
+  });
+
+  it('should lock unknown emails the same way', async () => {
+    const service = throttled();
+    
+    await failLogin(service, 'nobody@example.com');
+    await failLogin(service, 'nobody@example.com');
+    
+    expect((await global.testAdapter.findLoginFailures('account:nobody@example.com')).count).toBe(2);
+  });
+
+  it('should count failures regardless of email case', async () => {
+    const service = throttled();
+    
+    await failLogin(service, 'test@example.com');
+    await failLogin(service, 'TEST@example.com');
+    
+    await expect(service.login('test@example.com', 'password123')).rejects.toThrow('Invalid credentials');
+  });
+
+  it('should reset the account count after a successful login', async () => {
+    const service = throttled();
+    
+    await failLogin(service, 'test@example.com');
+    expect((await service.login('test@example.com', 'password123')).success).toBe(true);
+    await failLogin(service, 'test@example.com');
+    
+    expect((await service.login('test@example.com', 'password123')).success).toBe(true);
+  });
+
+  it('should block a client IP guessing across accounts', async () => {
+    const service = throttled();
+    const ip = '203.0.113.7';
+    
+    await failLogin(service, 'a@example.com', { ip });
+    await failLogin(service, 'b@example.com', { ip });
+    await failLogin(service, 'c@example.com', { ip });
+    
+    await expect(service.login('test@example.com', 'password123', { ip })).rejects.toThrow('Invalid credentials');
+    expect((await service.login('test@example.com', 'password123', { ip: '198.51.100.1' })).success).toBe(true);
+  });
+
+  it('should not clear the IP count on a successful login', async () => {
+    const service = throttled();
+    const ip = '203.0.113.7';
+    
+    await failLogin(service, 'a@example.com', { ip });
+    await service.login('test@example.com', 'password123', { ip });
+    
+    expect((await global.testAdapter.findLoginFailures('ip:203.0.113.7')).count).toBe(1);
+  });
+
+  it('should let an admin unlock a user', async () => {
+    const service = throttled();
+    await failLogin(service, 'test@example.com');
+    await failLogin(service, 'test@example.com');
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    
+    expect(await service.unlockUser(user.id)).toEqual({ success: true });
+    
+    expect((await service.login('test@example.com', 'password123')).success).toBe(true);
+    await expect(service.unlockUser('missing-user')).rejects.toThrow('User not found');
+  });
+
+  it('should allow unlimited attempts when throttling is off', async () => {
+    const service = new AuthService(global.testAdapter, { loginThrottle: null });
+    const recordLoginFailure = jest.spyOn(global.testAdapter, 'recordLoginFailure');
+    
+    await failLogin(service, 'test@example.com');
+    
+    expect(recordLoginFailure).not.toHaveBeenCalled();
+    await expect(service.unlockUser('test-user-id')).rejects.toThrow('Login throttling is not enabled');
+  });
+
+  it('should throttle by default', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    await failLogin(service, 'test@example.com', { ip: '203.0.113.7' });
+    
+    expect((await global.testAdapter.findLoginFailures('account:test@example.com')).count).toBe(1);
+    expect((await global.testAdapter.findLoginFailures('ip:203.0.113.7')).count).toBe(1);
+  });
+});
+
+describe('AuthService - Two-Factor Authentication', () => {
+  const mfaEncryptionKey = 'mfa-encryption-key-at-least-32-characters';
+  const mfaService = (options) => new AuthService(global.testAdapter, { mfaEncryptionKey, mfaIssuer: 'Example', ...options });
+  let userId;
+
+  beforeEach(async () => {
+    userId = (await global.testAdapter.findUserByEmail('test@example.com')).id;
+  });
+
+  // Confirms with the previous step's code, leaving the current step free for login
+  async function enroll(service) {
+    const { secret } = await service.enrollTotp(userId);
+    const { recoveryCodes } = await service.confirmTotp(userId, generateTotp(secret, { time: Date.now() - 30000 }));
+    return { secret, recoveryCodes };
+  }
+
+  async function challenge(service) {
+    const result = await service.login('test@example.com', 'password123');
+    expect(result).toEqual({ success: true, mfaRequired: true, challengeToken: expect.any(String), expiresAt: expect.any(Date) });
+    return result.challengeToken;
+  }
+
+  it('should start enrollment with an encrypted secret and an otpauth URI', async () => {
+    const service = mfaService();
+    
+    const { secret, uri } = await service.enrollTotp(userId);
+    
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(uri).toBe(`otpauth://totp/Example:test%40example.com?secret=${secret}&issuer=Example&algorithm=SHA1&digits=6&period=30`);
+    const stored = await global.testAdapter.findTotpSecret(userId);
+    expect(stored.secret).not.toContain(secret);
+    expect(stored.confirmedAt).toBeNull();
+  });
+
+  it('should not require a second factor until enrollment is confirmed', async () => {
+    const service = mfaService();
+    await service.enrollTotp(userId);
+    
+    await expect(service.confirmTotp(userId, '000000')).rejects.toThrow('Invalid verification code');
+    
+    const result = await service.login('test@example.com', 'password123');
+    expect(result.accessToken).toBeDefined();
+  });
+
+  it('should issue a challenge instead of tokens and exchange it for a TOTP code', async () => {
+    const service = mfaService();
+    const { secret, recoveryCodes } = await enroll(service);
+    
+    const challengeToken = await challenge(service);
+    const result = await service.verifyMfa(challengeToken, generateTotp(secret));
+    
+    expect(recoveryCodes).toHaveLength(10);
+    recoveryCodes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    expect(result.success).toBe(true);
+    expect((await verifyJWT(result.accessToken, 'access')).userId).toBe(userId);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(result.refreshToken))).toBe(true);
+  });
+
+  it('should reject a replayed TOTP code', async () => {
+    const service = mfaService();
+    const { secret } = await enroll(service);
+    const code = generateTotp(secret);
+    await service.verifyMfa(await challenge(service), code);
+    
+    await expect(service.verifyMfa(await challenge(service), code)).rejects.toThrow('Invalid verification code');
+  });
+
+  it('should keep the challenge after a wrong code but not after success', async () => {
+    const service = mfaService();
+    const { secret } = await enroll(service);
+    const challengeToken = await challenge(service);
+    
+    await expect(service.verifyMfa(challengeToken, '000000')).rejects.toThrow('Invalid verification code');
+    expect((await service.verifyMfa(challengeToken, generateTotp(secret))).success).toBe(true);
+    
+    await expect(service.verifyMfa(challengeToken, generateTotp(secret))).rejects.toThrow('Invalid or expired MFA challenge');
+  });
+
+  it('should expire challenges', async () => {
+    const service = mfaService({ mfaChallengeTtl: 60 });
+    const { secret } = await enroll(service);
+    const challengeToken = await challenge(service);
+    
+    jest.useFakeTimers({ now: Date.now() + 61 * 1000 });
+    try {
+      await expect(service.verifyMfa(challengeToken, generateTotp(secret))).rejects.toThrow('Invalid or expired MFA challenge');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should accept each recovery code once, ignoring case and dashes', async () => {
+    const service = mfaService();
+    const { recoveryCodes } = await enroll(service);
+    
+    const result = await service.verifyMfa(await challenge(service), recoveryCodes[0].toUpperCase().replace('-', ''));
+    
+    expect(result.success).toBe(true);
+    expect(await global.testAdapter.countRecoveryCodes(userId)).toBe(9);
+    await expect(service.verifyMfa(await challenge(service), recoveryCodes[0])).rejects.toThrow('Invalid verification code');
+  });
+
+  it('should replace recovery codes on regeneration', async () => {
+    const service = mfaService();
+    const { recoveryCodes } = await enroll(service);
+    
+    const { recoveryCodes: fresh } = await service.regenerateRecoveryCodes(userId);
+    
+    await expect(service.verifyMfa(await challenge(service), recoveryCodes[1])).rejects.toThrow('Invalid verification code');
+    expect((await service.verifyMfa(await challenge(service), fresh[1])).success).toBe(true);
+  });
+
+  it('should count wrong codes as failed logins', async () => {
+    const service = mfaService({ loginThrottle: new LoginThrottle({ maxAttempts: 2 }) });
+    const { secret } = await enroll(service);
+    const challengeToken = await challenge(service);
+    
+    await expect(service.verifyMfa(challengeToken, '000000')).rejects.toThrow('Invalid verification code');
+    await expect(service.verifyMfa(challengeToken, '111111')).rejects.toThrow('Invalid verification code');
+    
+    // Locked now: neither the right code nor the password helps
+    await expect(service.verifyMfa(challengeToken, generateTotp(secret))).rejects.toThrow('Invalid verification code');
+    await expect(service.login('test@example.com', 'password123')).rejects.toThrow('Invalid credentials');
+  });
+
+  it('should keep the challenge usable through a lockout', async () => {
+    const loginThrottle = new LoginThrottle({ maxAttempts: 1 });
+    const service = mfaService({ loginThrottle });
+    const { secret } = await enroll(service);
+    const challengeToken = await challenge(service);
+    
+    await expect(service.verifyMfa(challengeToken, '000000')).rejects.toThrow('Invalid verification code');
+    await expect(service.verifyMfa(challengeToken, generateTotp(secret))).rejects.toThrow('Invalid verification code');
+    
+    // Once the lockout is over, the same challenge still works
+    await global.testAdapter.clearLoginFailures(loginThrottle.accountKey('test@example.com'));
+    expect((await service.verifyMfa(challengeToken, generateTotp(secret))).success).toBe(true);
+  });
+
+  it('should disable two-factor authentication with the current password', async () => {
+    const service = mfaService();
+    await enroll(service);
+    
+    await expect(service.disableTotp(userId, 'wrongpassword')).rejects.toThrow('Current password is incorrect');
+    expect(await service.disableTotp(userId, 'password123')).toEqual({ success: true });
+    
+    expect(await global.testAdapter.findTotpSecret(userId)).toBeNull();
+    expect(await global.testAdapter.countRecoveryCodes(userId)).toBe(0);
+    expect((await service.login('test@example.com', 'password123')).accessToken).toBeDefined();
+  });
+
+  it('should throttle guesses at the password when disabling', async () => {
+    const service = mfaService({ loginThrottle: new LoginThrottle({ maxAttempts: 2 }) });
+    await enroll(service);
+    
+    for (let i = 0; i < 2; i++) {
+      await expect(service.disableTotp(userId, 'wrongpassword')).rejects.toThrow('Current password is incorrect');
+    }
+    
+    // Locked out: the right password doesn't remove the second factor
+    await expect(service.disableTotp(userId, 'password123')).rejects.toThrow('Current password is incorrect');
+    expect((await global.testAdapter.findTotpSecret(userId)).confirmedAt).toEqual(expect.any(Date));
+  });
+
+  it('should guard enrollment state', async () => {
+    const service = mfaService();
+    
+    await expect(service.confirmTotp(userId, '123456')).rejects.toThrow('Two-factor enrollment has not been started');
+    await expect(service.regenerateRecoveryCodes(userId)).rejects.toThrow('Two-factor authentication is not enabled');
+    await enroll(service);
+    await expect(service.enrollTotp(userId)).rejects.toThrow('Two-factor authentication is already enabled');
+    await expect(service.enrollTotp('missing-user')).rejects.toThrow('User not found');
+  });
+
+  it('should require an encryption key', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    await expect(service.enrollTotp(userId))
+      .rejects
+      .toThrow('Two-factor authentication is not configured - pass mfaEncryptionKey');
+  });
+});
+
+describe('AuthService - Magic Links', () => {
+  async function requestLink(service, mailer, email = 'test@example.com', options) {
+    const result = await service.requestMagicLink(email, options);
+    return { ...result, token: mailer.lastMessageTo(email)?.token };
+  }
+
+  it('should sign in with a mailed link', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const { token } = await requestLink(service, mailer, 'test@example.com', { redirectUrl: '/dashboard' });
+    const result = await service.consumeMagicLink(token);
+    
+    expect(mailer.lastMessageTo('test@example.com')).toMatchObject({ type: 'magic-link', redirectUrl: '/dashboard' });
+    expect(result).toMatchObject({ success: true, redirectUrl: '/dashboard', created: false });
+    const payload = await verifyJWT(result.accessToken, 'access');
+    expect(payload.emailVerified).toBe(true);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(result.refreshToken))).toBe(true);
+  });
+
+  it('should only accept a link once, and not after it expires', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, magicLinkTtl: 60 });
+    
+    const { token } = await requestLink(service, mailer);
+    await service.consumeMagicLink(token);
+    await expect(service.consumeMagicLink(token)).rejects.toThrow('Invalid or expired magic link');
+    
+    const { token: late } = await requestLink(service, mailer);
+    jest.useFakeTimers({ now: Date.now() + 61 * 1000 });
+    try {
+      await expect(service.consumeMagicLink(late)).rejects.toThrow('Invalid or expired magic link');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should store only a hash of the link token', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const { token } = await requestLink(service, mailer);
+    
+    expect(await global.testAdapter.consumeOneTimeToken(token, 'magic-link')).toBeNull();
+    expect(await global.testAdapter.consumeOneTimeToken(hashOneTimeToken(token), 'magic-link')).not.toBeNull();
+  });
+
+  it('should respond the same for unknown emails without sending anything', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const known = await service.requestMagicLink('test@example.com');
+    const unknown = await service.requestMagicLink('nobody@example.com');
+    
+    expect(unknown).toEqual(known);
+    expect(mailer.lastMessageTo('nobody@example.com')).toBeNull();
+  });
+
+  it('should register unknown emails when auto-registration is on', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, magicLinkAutoRegister: true });
+    
+    const { token } = await requestLink(service, mailer, 'new@example.com');
+    const result = await service.consumeMagicLink(token);
+    
+    expect(result.created).toBe(true);
+    const user = await global.testAdapter.findUserByEmail('new@example.com');
+    expect(user).toMatchObject({ hashedPassword: null, emailVerified: true });
+    expect((await verifyJWT(result.accessToken, 'access')).userId).toBe(user.id);
+    
+    // No password to guess, and none to change until one is set by reset
+    await expect(service.login('new@example.com', 'anything')).rejects.toThrow('Invalid credentials');
+    await expect(service.changePassword(user.id, 'anything', 'newPassword456')).rejects.toThrow('Current password is incorrect');
+  });
+
+  it('should bind links to the requesting browser when asked', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const { token, browserToken } = await requestLink(service, mailer, 'test@example.com', { bindToBrowser: true });
+    
+    await expect(service.consumeMagicLink(token))
+      .rejects
+      .toThrow('Magic link must be opened in the browser that requested it');
+    await expect(service.consumeMagicLink(token, { browserToken: generateOneTimeToken() }))
+      .rejects
+      .toThrow('Magic link must be opened in the browser that requested it');
+    expect((await service.consumeMagicLink(token, { browserToken })).success).toBe(true);
+    expect((await service.requestMagicLink('nobody@example.com', { bindToBrowser: true })).browserToken).toEqual(expect.any(String));
+  });
+
+  it('should only redirect to relative paths and allowed origins', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, magicLinkRedirectOrigins: ['https://app.example.com/'] });
+    
+    const { token } = await requestLink(service, mailer, 'test@example.com', { redirectUrl: 'https://app.example.com/welcome' });
+    
+    expect((await service.consumeMagicLink(token)).redirectUrl).toBe('https://app.example.com/welcome');
+    for (const redirectUrl of ['https://evil.example/', '//evil.example/', '/\\evil.example', 'javascript:alert(1)']) {
+      await expect(service.requestMagicLink('test@example.com', { redirectUrl })).rejects.toThrow('Redirect URL is not allowed');
+    }
+  });
+
+  it('should reject links once the email has changed', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    const { token } = await requestLink(service, mailer);
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    
+    await global.testAdapter.updateUser(user.id, { email: 'changed@example.com' });
+    
+    await expect(service.consumeMagicLink(token)).rejects.toThrow('Invalid or expired magic link');
+  });
+
+  it('should still ask for the second factor', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, mfaEncryptionKey: 'mfa-encryption-key-at-least-32-characters' });
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    const { secret } = await service.enrollTotp(user.id);
+    await service.confirmTotp(user.id, generateTotp(secret));
+    
+    const { token } = await requestLink(service, mailer);
+    const result = await service.consumeMagicLink(token);
+    
+    expect(result).toMatchObject({ success: true, mfaRequired: true, challengeToken: expect.any(String) });
+    expect(result.accessToken).toBeUndefined();
+  });
+
+  it('should require a mailer', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    await expect(service.requestMagicLink('test@example.com'))
+      .rejects
+      .toThrow('A mailer is required to send magic links');
+  });
+});
+
+describe('AuthService - One-Time Codes', () => {
+  async function requestCode(service, mailer, purpose, email = 'test@example.com') {
+    await service.requestOtp(email, purpose);
+    return mailer.lastMessageTo(email)?.code;
+  }
+
+  // A code of the same length that is certainly wrong
+  const wrong = (code) => String((Number(code) + 1) % 10 ** code.length).padStart(code.length, '0');
+
+  it('should sign in with a mailed code', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const code = await requestCode(service, mailer);
+    const result = await service.loginWithOtp('test@example.com', code);
+    
+    expect(code).toMatch(/^\d{6}$/);
+    expect(mailer.lastMessageTo('test@example.com')).toMatchObject({ type: 'otp', purpose: 'login', expiresAt: expect.any(Date) });
+    expect(result).toEqual({ success: true, accessToken: expect.any(String), refreshToken: expect.any(String) });
+    expect((await verifyJWT(result.accessToken, 'access')).emailVerified).toBe(true);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(result.refreshToken))).toBe(true);
+  });
+
+  it('should use the configured code length', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, otpPolicy: new OtpPolicy({ length: 8 }) });
+    
+    const code = await requestCode(service, mailer);
+    
+    expect(code).toMatch(/^\d{8}$/);
+    expect((await service.loginWithOtp('test@example.com', code)).success).toBe(true);
+  });
+
+  it('should only accept a code once, for its own purpose', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const verifyCode = await requestCode(service, mailer, 'verify');
+    await expect(service.loginWithOtp('test@example.com', verifyCode)).rejects.toThrow('Invalid or expired code');
+    
+    const code = await requestCode(service, mailer, 'login');
+    await service.loginWithOtp('test@example.com', code);
+    await expect(service.loginWithOtp('test@example.com', code)).rejects.toThrow('Invalid or expired code');
+    expect((await service.verifyOtp('test@example.com', verifyCode, 'verify')).success).toBe(true);
+  });
+
+  it('should replace earlier codes', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const first = await requestCode(service, mailer);
+    const second = await requestCode(service, mailer);
+    
+    if (first !== second) {
+      await expect(service.loginWithOtp('test@example.com', first)).rejects.toThrow('Invalid or expired code');
+    }
+    expect((await service.loginWithOtp('test@example.com', second)).success).toBe(true);
+  });
+
+  it('should reject expired codes', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, otpPolicy: new OtpPolicy({ ttl: 60 }) });
+    
+    const code = await requestCode(service, mailer);
+    
+    jest.useFakeTimers({ now: Date.now() + 61 * 1000 });
+    try {
+      await expect(service.loginWithOtp('test@example.com', code)).rejects.toThrow('Invalid or expired code');
+    } finally {
+      jest.useRealTimers();
+    }
+    expect(await global.testAdapter.findOtp('test@example.com', 'login')).toBeNull();
+  });
+
+  it('should invalidate a code after too many wrong guesses', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, otpPolicy: new OtpPolicy({ maxAttempts: 3 }), loginThrottle: null });
+    
+    const code = await requestCode(service, mailer);
+    await expect(service.loginWithOtp('test@example.com', wrong(code))).rejects.toThrow('Invalid or expired code');
+    await expect(service.loginWithOtp('test@example.com', wrong(code))).rejects.toThrow('Invalid or expired code');
+    expect((await global.testAdapter.findOtp('test@example.com', 'login')).attempts).toBe(2);
+    await expect(service.loginWithOtp('test@example.com', wrong(code))).rejects.toThrow('Invalid or expired code');
+    
+    expect(await global.testAdapter.findOtp('test@example.com', 'login')).toBeNull();
+    await expect(service.loginWithOtp('test@example.com', code)).rejects.toThrow('Invalid or expired code');
+  });
+
+  it('should still accept the code after fewer wrong guesses than the limit', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, otpPolicy: new OtpPolicy({ maxAttempts: 3 }) });
+    
+    const code = await requestCode(service, mailer);
+    await expect(service.loginWithOtp('test@example.com', wrong(code))).rejects.toThrow('Invalid or expired code');
+    await expect(service.loginWithOtp('test@example.com', wrong(code))).rejects.toThrow('Invalid or expired code');
+    
+    expect((await service.loginWithOtp('test@example.com', code)).success).toBe(true);
+  });
+
+  it('should count wrong codes as failed logins', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, loginThrottle: new LoginThrottle({ maxAttempts: 2 }) });
+    
+    const code = await requestCode(service, mailer);
+    await expect(service.loginWithOtp('test@example.com', wrong(code), { ip: '203.0.113.7' })).rejects.toThrow('Invalid or expired code');
+    await expect(service.loginWithOtp('test@example.com', wrong(code), { ip: '203.0.113.7' })).rejects.toThrow('Invalid or expired code');
+    
+    await expect(service.loginWithOtp('test@example.com', code)).rejects.toThrow('Invalid or expired code');
+    expect((await global.testAdapter.findLoginFailures('ip:203.0.113.7')).count).toBe(2);
+  });
+
+  it('should lock out repeated request-and-guess cycles against reset and verify codes', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, otpPolicy: new OtpPolicy({ maxRequests: 100 }) });
+    
+    // One code's worth of wrong guesses reaches the account's failure limit
+    const first = await requestCode(service, mailer, 'reset');
+    for (let i = 0; i < 5; i++) {
+      await expect(service.resetPasswordWithOtp('test@example.com', wrong(first), 'newPassword456', { ip: '203.0.113.7' }))
+        .rejects
+        .toThrow('Invalid or expired code');
+    }
+    
+    // A fresh code doesn't bring fresh guesses, not even the right one
+    const second = await requestCode(service, mailer, 'reset');
+    await expect(service.resetPasswordWithOtp('test@example.com', second, 'newPassword456'))
+      .rejects
+      .toThrow('Invalid or expired code');
+    const verifyCode = await requestCode(service, mailer, 'verify');
+    await expect(service.verifyOtp('test@example.com', verifyCode, 'verify')).rejects.toThrow('Invalid or expired code');
+    
+    expect((await global.testAdapter.findLoginFailures('account:test@example.com')).count).toBe(5);
+    expect((await global.testAdapter.findLoginFailures('ip:203.0.113.7')).count).toBe(5);
+    expect(await global.testAdapter.findOtp('test@example.com', 'reset')).not.toBeNull();
+  });
+
+  it('should limit how many codes can be requested per email and purpose', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, otpPolicy: new OtpPolicy({ maxRequests: 2 }) });
+    
+    await service.requestOtp('test@example.com', 'reset');
+    await service.requestOtp('test@example.com', 'reset');
+    
+    await expect(service.requestOtp('test@example.com', 'reset')).rejects.toThrow('Too many codes requested - try again later');
+    await expect(service.requestOtp('nobody@example.com', 'reset')).resolves.toEqual({ success: true });
+    await service.requestOtp('nobody@example.com', 'reset');
+    await expect(service.requestOtp('nobody@example.com', 'reset')).rejects.toThrow('Too many codes requested - try again later');
+    expect((await service.requestOtp('test@example.com', 'login')).success).toBe(true);
+    expect(mailer.messages.filter((message) => message.to === 'test@example.com')).toHaveLength(3);
+    // Requests don't count as failed logins
+    expect(await global.testAdapter.findLoginFailures('account:test@example.com')).toBeNull();
+  });
+
+  it('should store only a keyed hash of the code', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const code = await requestCode(service, mailer);
+    const record = await global.testAdapter.findOtp('test@example.com', 'login');
+    
+    expect(record.codeHash).not.toContain(code);
+    expect(record.codeHash).toBe(hashOneTimeCode(code, 'login:test@example.com'));
+  });
+
+  it('should respond the same for unknown emails without sending anything', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    const known = await service.requestOtp('test@example.com');
+    const unknown = await service.requestOtp('nobody@example.com');
+    
+    expect(unknown).toEqual(known);
+    expect(mailer.lastMessageTo('nobody@example.com')).toBeNull();
+    await expect(service.loginWithOtp('nobody@example.com', '123456')).rejects.toThrow('Invalid or expired code');
+  });
+
+  it('should verify the email with a verify code', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    
+    const code = await requestCode(service, mailer, 'verify');
+    const result = await service.verifyOtp('test@example.com', code, 'verify');
+    
+    expect(result).toEqual({ success: true, userId: user.id });
+    expect((await global.testAdapter.findUserById(user.id)).emailVerified).toBe(true);
+  });
+
+  it('should reset the password with a reset code and revoke every session', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    const session = await service.login('test@example.com', 'password123');
+    
+    const code = await requestCode(service, mailer, 'reset');
+    await expect(service.resetPasswordWithOtp('test@example.com', code, 'short')).rejects.toThrow(PasswordPolicyError);
+    const result = await service.resetPasswordWithOtp('test@example.com', code, 'newPassword456');
+    
+    expect(result).toEqual({ success: true });
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(session.refreshToken))).toBe(false);
+    await expect(service.login('test@example.com', 'password123')).rejects.toThrow('Invalid credentials');
+    expect((await service.login('test@example.com', 'newPassword456')).success).toBe(true);
+    await expect(service.resetPasswordWithOtp('test@example.com', code, 'anotherPassword789')).rejects.toThrow('Invalid or expired code');
+  });
+
+  it('should reject codes once the email has changed', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    const code = await requestCode(service, mailer);
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    
+    await global.testAdapter.updateUser(user.id, { email: 'changed@example.com' });
+    
+    await expect(service.loginWithOtp('test@example.com', code)).rejects.toThrow('Invalid or expired code');
+  });
+
+  it('should still ask for the second factor', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer, mfaEncryptionKey: 'mfa-encryption-key-at-least-32-characters' });
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    const { secret } = await service.enrollTotp(user.id);
+    await service.confirmTotp(user.id, generateTotp(secret));
+    
+    const result = await service.loginWithOtp('test@example.com', await requestCode(service, mailer));
+    
+    expect(result).toMatchObject({ success: true, mfaRequired: true, challengeToken: expect.any(String) });
+    expect(result.accessToken).toBeUndefined();
+  });
+
+  it('should validate input and require a mailer', async () => {
+    const mailer = new MemoryMailer();
+    const service = new AuthService(global.testAdapter, { mailer });
+    
+    await expect(service.requestOtp('test@example.com', 'delete')).rejects.toThrow('Purpose must be login, verify or reset');
+    await expect(service.loginWithOtp('test@example.com', '12345')).rejects.toThrow('Code must be 6 to 8 digits');
+    await expect(service.loginWithOtp('test@example.com', 'abcdef')).rejects.toThrow('Code must be 6 to 8 digits');
+    await expect(new AuthService(global.testAdapter).requestOtp('test@example.com'))
+      .rejects
+      .toThrow('A mailer is required to send one-time codes');
+  });
+});
+
+describe('AuthService - Passkeys', () => {
+  const relyingParty = new RelyingParty({ rpId: 'example.com', rpName: 'Example', origins: 'https://app.example.com' });
+  const passkeyService = (options) => new AuthService(global.testAdapter, { relyingParty, ...options });
+  let userId;
+
+  beforeEach(async () => {
+    userId = (await global.testAdapter.findUserByEmail('test@example.com')).id;
+  });
+
+  async function addPasskey(service, authenticator = new SoftwareAuthenticator(), name) {
+    const { options } = await service.startPasskeyRegistration(userId);
+    return service.finishPasskeyRegistration(userId, authenticator.create(options), { name });
+  }
+
+  async function signIn(service, authenticator, overrides) {
+    const { options } = await service.startPasskeyLogin();
+    return service.finishPasskeyLogin(authenticator.get(options, overrides));
+  }
+
+  it('should register a passkey for a user', async () => {
+    const service = passkeyService();
+    const authenticator = new SoftwareAuthenticator();
+    
+    const { options } = await service.startPasskeyRegistration(userId);
+    const result = await service.finishPasskeyRegistration(userId, authenticator.create(options), { name: 'Laptop' });
+    
+    expect(options.user).toEqual({ id: Buffer.from(userId).toString('base64url'), name: 'test@example.com', displayName: 'test@example.com' });
+    expect(result).toEqual({ success: true, credentialId: authenticator.id, attestation: { format: 'none', type: 'none', certificates: [] } });
+    expect(await global.testAdapter.findPasskey(authenticator.id)).toMatchObject({ userId, name: 'Laptop', signCount: 0 });
+  });
+
+  it('should exclude passkeys the user already has', async () => {
+    const service = passkeyService();
+    const authenticator = new SoftwareAuthenticator();
+    await addPasskey(service, authenticator);
+    
+    const { options } = await service.startPasskeyRegistration(userId);
+    
+    expect(options.excludeCredentials).toEqual([{ type: 'public-key', id: authenticator.id, transports: ['internal', 'hybrid'] }]);
+    await expect(service.finishPasskeyRegistration(userId, authenticator.create(options)))
+      .rejects
+      .toThrow('Passkey is already registered');
+  });
+
+  it('should use each registration challenge once, for its own user', async () => {
+    const service = passkeyService();
+    const authenticator = new SoftwareAuthenticator();
+    const { options } = await service.startPasskeyRegistration(userId);
+    const response = authenticator.create(options);
+    
+    await expect(service.finishPasskeyRegistration('other-user', response))
+      .rejects
+      .toThrow('Invalid or expired passkey challenge');
+    await expect(service.finishPasskeyRegistration(userId, response))
+      .rejects
+      .toThrow('Invalid or expired passkey challenge');
+  });
+
+  it('should sign in with a passkey and issue the same tokens as login', async () => {
+    const service = passkeyService();
+    const authenticator = new SoftwareAuthenticator();
+    await addPasskey(service, authenticator);
+    
+    const result = await signIn(service, authenticator);
+    
+    expect(result.success).toBe(true);
+    expect((await verifyJWT(result.accessToken, 'access')).userId).toBe(userId);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(result.refreshToken))).toBe(true);
+    expect(await global.testAdapter.findPasskey(authenticator.id)).toMatchObject({ signCount: 1, lastUsedAt: expect.any(Date) });
+  });
+
+  it('should reject a replayed assertion', async () => {
+    const service = passkeyService();
+    const authenticator = new SoftwareAuthenticator();
+    await addPasskey(service, authenticator);
+    const { options } = await service.startPasskeyLogin();
+    const response = authenticator.get(options);
+    await service.finishPasskeyLogin(response);
+    
+    await expect(service.finishPasskeyLogin(response)).rejects.toThrow('Invalid or expired passkey challenge');
+  });
+
+  it('should reject a cloned authenticator', async () => {
+    const service = passkeyService();
+    const authenticator = new SoftwareAuthenticator();
+    await addPasskey(service, authenticator);
+    await signIn(service, authenticator);
+    
+    // The clone still has the counter from before the last sign-in
+    authenticator.signCount = 0;
+    
+    await expect(signIn(service, authenticator))
+      .rejects
+      .toThrow('Signature counter did not increase - the authenticator may be cloned');
+  });
+
+  it('should reject expired challenges, unknown passkeys and wrong origins', async () => {
+    const service = passkeyService();
+    const authenticator = new SoftwareAuthenticator();
+    await addPasskey(service, authenticator);
+    
+    await expect(signIn(service, new SoftwareAuthenticator())).rejects.toThrow('Invalid passkey');
+    await expect(signIn(service, authenticator, { origin: 'https://evil.example' })).rejects.toThrow('is not allowed');
+    
+    const { options } = await service.startPasskeyLogin();
+    jest.useFakeTimers({ now: Date.now() + relyingParty.timeout + 1000 });
+    try {
+      await expect(service.finishPasskeyLogin(authenticator.get(options))).rejects.toThrow('Invalid or expired passkey challenge');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should skip the TOTP step but honor requireEmailVerification', async () => {
+    const service = passkeyService({ mfaEncryptionKey: 'mfa-encryption-key-at-least-32-characters', requireEmailVerification: true });
+    const authenticator = new SoftwareAuthenticator();
+    await addPasskey(service, authenticator);
+    const { secret } = await service.enrollTotp(userId);
+    await service.confirmTotp(userId, generateTotp(secret));
+    
+    await expect(signIn(service, authenticator)).rejects.toThrow('Email not verified');
+    
+    await global.testAdapter.markEmailVerified(userId);
+    expect((await signIn(service, authenticator)).accessToken).toBeDefined();
+  });
+
+  it('should ask for the TOTP step when the passkey did not verify the user', async () => {
+    const service = passkeyService({ mfaEncryptionKey: 'mfa-encryption-key-at-least-32-characters' });
+    const authenticator = new SoftwareAuthenticator({ userVerified: false });
+    await addPasskey(service, authenticator);
+    
+    expect((await signIn(service, authenticator)).accessToken).toBeDefined();
+    
+    const { secret } = await service.enrollTotp(userId);
+    await service.confirmTotp(userId, generateTotp(secret, { time: Date.now() - 30000 }));
+    const result = await signIn(service, authenticator);
+    
+    expect(result).toEqual({ success: true, mfaRequired: true, challengeToken: expect.any(String), expiresAt: expect.any(Date) });
+    expect((await service.verifyMfa(result.challengeToken, generateTotp(secret))).accessToken).toBeDefined();
+  });
+
+  it('should list and delete a user\'s passkeys', async () => {
+    const service = passkeyService();
+    const authenticator = new SoftwareAuthenticator();
+    await addPasskey(service, authenticator, 'Phone');
+    
+    const { passkeys } = await service.listPasskeys(userId);
+    
+    expect(passkeys).toEqual([{
+      credentialId: authenticator.id,
+      name: 'Phone',
+      aaguid: '00000000-0000-0000-0000-000000000000',
+      transports: ['internal', 'hybrid'],
+      backedUp: true,
+      createdAt: expect.any(Date),
+      lastUsedAt: null,
+    }]);
+    await expect(service.deletePasskey('other-user', authenticator.id)).rejects.toThrow('Passkey not found');
+    expect(await service.deletePasskey(userId, authenticator.id)).toEqual({ success: true });
+    await expect(signIn(service, authenticator)).rejects.toThrow('Invalid passkey');
+  });
+
+  it('should require a relying party', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    await expect(service.startPasskeyLogin()).rejects.toThrow('Passkeys are not configured - pass relyingParty');
+    await expect(service.startPasskeyRegistration(userId)).rejects.toThrow('Passkeys are not configured - pass relyingParty');
+  });
+});
+
+describe('AuthService - Social Login', () => {
+  const stub = new StubProvider();
+  let provider;
+  const socialService = (options) => new AuthService(global.testAdapter, { oauthProviders: [provider], ...options });
+  let userId;
+
+  beforeAll(async () => {
+    await stub.start();
+    provider = new OAuthProvider(stub.options());
+  });
+
+  afterAll(async () => {
+    await stub.stop();
+  });
+
+  beforeEach(async () => {
+    userId = (await global.testAdapter.findUserByEmail('test@example.com')).id;
+  });
+
+  // Plays the browser: consents at the provider and comes back with the callback parameters
+  async function signIn(service, user) {
+    const { url, browserToken } = await service.startOAuthLogin('stub');
+    const { code, state } = stub.authorize(url, user);
+    return service.finishOAuthLogin({ code, state, browserToken });
+  }
+
+  async function link(service, user) {
+    const { url, browserToken } = await service.startOAuthLink(userId, 'stub');
+    const { code, state } = stub.authorize(url, user);
+    return service.finishOAuthLink(userId, { code, state, browserToken });
+  }
+
+  it('should create an account on first sign-in and issue the same tokens as login', async () => {
+    const service = socialService();
+    
+    const result = await signIn(service);
+    
+    const user = await global.testAdapter.findUserByEmail('social@example.com');
+    expect(result).toMatchObject({ success: true, provider: 'stub', created: true });
+    expect(user).toMatchObject({ hashedPassword: null, emailVerified: true });
+    expect((await verifyJWT(result.accessToken, 'access')).userId).toBe(user.id);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(result.refreshToken))).toBe(true);
+    expect(await global.testAdapter.findIdentity('stub', 'stub-user-1')).toMatchObject({ userId: user.id, email: 'social@example.com' });
+  });
+
+  it('should sign in the linked user again, even after the email changed at the provider', async () => {
+    const service = socialService();
+    const first = await signIn(service);
+    
+    const again = await signIn(service, { sub: 'stub-user-1', email: 'renamed@example.com', email_verified: true });
+    
+    expect(again.created).toBe(false);
+    expect((await verifyJWT(again.accessToken, 'access')).userId).toBe((await verifyJWT(first.accessToken, 'access')).userId);
+    expect(await global.testAdapter.findUserByEmail('renamed@example.com')).toBeNull();
+  });
+
+  it('should keep the verifier and nonce on the server and send their PKCE challenge', async () => {
+    const service = socialService();
+    
+    const { url, browserToken } = await service.startOAuthLogin('stub');
+    
+    const params = new URL(url).searchParams;
+    const record = await global.testAdapter.consumeOneTimeToken(hashOneTimeToken(params.get('state')), 'oauth-login');
+    expect(record.data).toEqual({
+      provider: 'stub',
+      nonce: params.get('nonce'),
+      codeVerifier: expect.any(String),
+      browserToken: hashOneTimeToken(browserToken),
+    });
+    expect(params.get('code_challenge')).toBe(pkceChallenge(record.data.codeVerifier));
+  });
+
+  it('should not take over an existing account with the same email', async () => {
+    const service = socialService();
+    
+    await expect(signIn(service, { sub: 'stub-user-2', email: 'test@example.com', email_verified: true }))
+      .rejects
+      .toThrow('An account with this email already exists - sign in and link the provider from there');
+    expect(await global.testAdapter.findIdentity('stub', 'stub-user-2')).toBeNull();
+  });
+
+  it('should sign in an existing account when the provider verified the email and linkVerifiedEmails is on', async () => {
+    provider = new OAuthProvider(stub.options({ linkVerifiedEmails: true }));
+    try {
+      const service = socialService();
+      
+      await expect(signIn(service, { sub: 'stub-user-2', email: 'test@example.com', email_verified: false }))
+        .rejects
+        .toThrow('An account with this email already exists');
+      const result = await signIn(service, { sub: 'stub-user-2', email: 'test@example.com', email_verified: true });
+      
+      expect(result.created).toBe(false);
+      expect((await verifyJWT(result.accessToken, 'access')).userId).toBe(userId);
+      expect((await global.testAdapter.findUserById(userId)).emailVerified).toBe(true);
+      expect(await global.testAdapter.findIdentity('stub', 'stub-user-2')).toMatchObject({ userId });
+    } finally {
+      provider = new OAuthProvider(stub.options());
+    }
+  });
+
+  it('should need an email to create an account', async () => {
+    const service = socialService();
+    
+    await expect(signIn(service, { sub: 'stub-user-2' }))
+      .rejects
+      .toThrow('The provider did not share an email address');
+  });
+
+  it('should not create an account for an email the provider did not verify', async () => {
+    const service = socialService();
+    
+    await expect(signIn(service, { sub: 'stub-user-2', email: 'unverified@example.com', email_verified: false }))
+      .rejects
+      .toThrow('The provider has not verified this email address');
+    expect(await global.testAdapter.findUserByEmail('unverified@example.com')).toBeNull();
+    expect(await global.testAdapter.findIdentity('stub', 'stub-user-2')).toBeNull();
+  });
+
+  it('should enforce email verification when required', async () => {
+    const service = socialService({ requireEmailVerification: true });
+    await signIn(service);
+    const user = await global.testAdapter.findUserByEmail('social@example.com');
+    await global.testAdapter.updateUser(user.id, { emailVerified: false });
+    
+    await expect(signIn(service, { sub: 'stub-user-1', email: 'social@example.com', email_verified: false }))
+      .rejects
+      .toThrow('Email not verified');
+  });
+
+  it('should only finish in the browser that started the flow', async () => {
+    const service = socialService();
+    const { url, browserToken } = await service.startOAuthLogin('stub');
+    const { code, state } = stub.authorize(url);
+    
+    await expect(service.finishOAuthLogin({ code, state, browserToken: generateOneTimeToken() }))
+      .rejects
+      .toThrow('OAuth flow must be finished in the browser that started it');
+    await expect(service.finishOAuthLogin({ code, state }))
+      .rejects
+      .toThrow('Browser token is required');
+    expect((await service.finishOAuthLogin({ code, state, browserToken })).success).toBe(true);
+  });
+
+  it('should only accept a state once, and not after it expires', async () => {
+    const service = socialService({ oauthStateTtl: 60 });
+    const { url, browserToken } = await service.startOAuthLogin('stub');
+    const { code, state } = stub.authorize(url);
+    await service.finishOAuthLogin({ code, state, browserToken });
+    
+    await expect(service.finishOAuthLogin({ code, state, browserToken }))
+      .rejects
+      .toThrow('Invalid or expired OAuth state');
+    
+    const late = await service.startOAuthLogin('stub');
+    const callback = stub.authorize(late.url);
+    jest.useFakeTimers({ now: Date.now() + 61 * 1000 });
+    try {
+      await expect(service.finishOAuthLogin({ ...callback, browserToken: late.browserToken }))
+        .rejects
+        .toThrow('Invalid or expired OAuth state');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should pass on errors from the provider', async () => {
+    const service = socialService();
+    const { url, browserToken } = await service.startOAuthLogin('stub');
+    const { state } = stub.authorize(url);
+    
+    await expect(service.finishOAuthLogin({ code: 'not-a-code', state, browserToken }))
+      .rejects
+      .toThrow('OAuth provider stub request failed: invalid_grant');
+  });
+
+  it('should link a provider account to a signed-in user', async () => {
+    const service = socialService();
+    
+    const linked = await link(service);
+    const result = await signIn(service);
+    
+    expect(linked).toEqual({ success: true, provider: 'stub', subject: 'stub-user-1' });
+    expect(await link(service)).toEqual(linked);
+    expect(result.created).toBe(false);
+    expect((await verifyJWT(result.accessToken, 'access')).userId).toBe(userId);
+    expect(await global.testAdapter.findUserByEmail('social@example.com')).toBeNull();
+  });
+
+  it('should not link a provider account that belongs to another user', async () => {
+    const service = socialService();
+    await signIn(service);
+    
+    await expect(link(service))
+      .rejects
+      .toThrow('This account is already linked to another user');
+  });
+
+  it('should only finish linking for the user that started it', async () => {
+    const service = socialService();
+    const { url, browserToken } = await service.startOAuthLink(userId, 'stub');
+    const { code, state } = stub.authorize(url);
+    
+    await expect(service.finishOAuthLink('other-user', { code, state, browserToken }))
+      .rejects
+      .toThrow('Invalid or expired OAuth state');
+    await expect(service.finishOAuthLogin({ code, state, browserToken }))
+      .rejects
+      .toThrow('Invalid or expired OAuth state');
+  });
+
+  it('should list and unlink identities', async () => {
+    const service = socialService();
+    await link(service);
+    
+    const { identities } = await service.listIdentities(userId);
+    
+    expect(identities).toEqual([{ provider: 'stub', subject: 'stub-user-1', email: 'social@example.com', createdAt: expect.any(Date) }]);
+    await expect(service.unlinkIdentity('other-user', 'stub', 'stub-user-1'))
+      .rejects
+      .toThrow('Identity not found');
+    expect(await service.unlinkIdentity(userId, 'stub', 'stub-user-1')).toEqual({ success: true });
+    expect((await service.listIdentities(userId)).identities).toEqual([]);
+  });
+
+  it('should still ask for the second factor', async () => {
+    const service = socialService({ mfaEncryptionKey: 'mfa-encryption-key-at-least-32-characters' });
+    await link(service);
+    const { secret } = await service.enrollTotp(userId);
+    await service.confirmTotp(userId, generateTotp(secret));
+    
+    const result = await signIn(service);
+    
+    expect(result).toMatchObject({ success: true, mfaRequired: true, challengeToken: expect.any(String), provider: 'stub' });
+    expect(result.accessToken).toBeUndefined();
+  });
+
+  it('should reject unknown and duplicate providers', async () => {
+    const service = socialService();
+    
+    await expect(service.startOAuthLogin('nope')).rejects.toThrow('Unknown OAuth provider');
+    await expect(service.startOAuthLink('missing-user', 'stub')).rejects.toThrow('User not found');
+    expect(() => socialService({ oauthProviders: [provider, provider] })).toThrow('Duplicate OAuth provider name stub');
+  });
+});
+
+describe('AuthService - API Keys', () => {
+  let userId;
+
+  beforeEach(async () => {
+    userId = (await global.testAdapter.findUserByEmail('test@example.com')).id;
+  });
+
+  it('should create a key and store only its hash', async () => {
+    const service = new AuthService(global.testAdapter);
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    
+    const result = await service.createApiKey(userId, { name: 'Nightly export', scopes: ['orders:read', 'orders:read'], expiresAt });
+    
+    expect(result).toEqual({
+      success: true,
+      key: expect.stringMatching(/^ryauth_[0-9a-f]{16}_/),
+      apiKey: {
+        id: result.key.split('_')[1],
+        prefix: 'ryauth',
+        name: 'Nightly export',
+        scopes: ['orders:read'],
+        expiresAt,
+        createdAt: expect.any(Date),
+        lastUsedAt: null,
+      },
+    });
+    const stored = await global.testAdapter.findApiKey(result.apiKey.id);
+    expect(stored).toMatchObject({ userId, keyHash: hashApiKey(result.key) });
+    expect(JSON.stringify(stored)).not.toContain(result.key);
+  });
+
+  it('should use the configured prefix', async () => {
+    const service = new AuthService(global.testAdapter, { apiKeyPrefix: 'acme' });
+    
+    const { key, apiKey } = await service.createApiKey(userId);
+    
+    expect(key.startsWith(`acme_${apiKey.id}_`)).toBe(true);
+    expect(apiKey).toMatchObject({ prefix: 'acme', name: null, scopes: [], expiresAt: null });
+  });
+
+  it('should validate key options', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    await expect(service.createApiKey('missing-user')).rejects.toThrow('User not found');
+    await expect(service.createApiKey(userId, { scopes: ['orders read'] }))
+      .rejects
+      .toThrow('Scopes must be non-empty and contain no spaces');
+    await expect(service.createApiKey(userId, { expiresAt: new Date(Date.now() - 1000) }))
+      .rejects
+      .toThrow('API key expiry must be in the future');
+    await expect(service.createApiKey(userId, { expiresAt: '2030-01-01' }))
+      .rejects
+      .toThrow('API key expiry must be a date');
+    await expect(service.createApiKey(userId, { name: '' }))
+      .rejects
+      .toThrow('API key name must not be empty');
+  });
+
+  it('should list keys without their hashes', async () => {
+    const service = new AuthService(global.testAdapter);
+    const first = await service.createApiKey(userId, { name: 'CI' });
+    const second = await service.createApiKey(userId, { name: 'Partner' });
+    
+    const { apiKeys } = await service.listApiKeys(userId);
+    
+    expect(apiKeys).toEqual([first.apiKey, second.apiKey]);
+    expect(apiKeys[0].keyHash).toBeUndefined();
+    expect((await service.listApiKeys('other-user')).apiKeys).toEqual([]);
+  });
+
+  it('should revoke only the user\'s own keys', async () => {
+    const service = new AuthService(global.testAdapter);
+    const { apiKey } = await service.createApiKey(userId);
+    
+    await expect(service.revokeApiKey('other-user', apiKey.id))
+      .rejects
+      .toThrow('API key not found');
+    expect(await service.revokeApiKey(userId, apiKey.id)).toEqual({ success: true });
+    expect(await global.testAdapter.findApiKey(apiKey.id)).toBeNull();
+    await expect(service.revokeApiKey(userId, apiKey.id))
+      .rejects
+      .toThrow('API key not found');
+  });
+});
+
+describe('AuthService - Organizations', () => {
+  let userId;
+  let otherId;
+
+  beforeEach(async () => {
+    userId = (await global.testAdapter.findUserByEmail('test@example.com')).id;
+    otherId = (await global.testAdapter.createUser({ email: 'other@example.com', hashedPassword: await hashPassword('password123') })).id;
+  });
+
+  it('should create an organization with its creator as owner', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    const result = await service.createOrganization(userId, { name: '  Acme  ' });
+    
+    expect(result).toEqual({
+      success: true,
+      organization: { id: expect.any(String), name: 'Acme', createdAt: expect.any(Date) },
+      membership: { organizationId: result.organization.id, userId, roles: ['owner'], createdAt: expect.any(Date) },
+    });
+    expect(await global.testAdapter.findMembership(result.organization.id, userId)).toEqual(result.membership);
+  });
+
+  it('should add, update and remove members', async () => {
+    const service = new AuthService(global.testAdapter);
+    const { organization } = await service.createOrganization(userId, { name: 'Acme', roles: ['admin'] });
+    
+    await service.addMember(organization.id, otherId, ['member', 'billing', 'member']);
+    await service.updateMemberRoles(organization.id, otherId, ['billing']);
+    
+    expect((await service.listMembers(organization.id)).members).toEqual([
+      { userId, email: 'test@example.com', roles: ['admin'], joinedAt: expect.any(Date) },
+      { userId: otherId, email: 'other@example.com', roles: ['billing'], joinedAt: expect.any(Date) },
+    ]);
+    
+    await service.removeMember(organization.id, otherId);
+    
+    expect((await service.listMembers(organization.id)).members.map((m) => m.userId)).toEqual([userId]);
+    await expect(service.removeMember(organization.id, otherId)).rejects.toThrow('Membership not found');
+    await expect(service.updateMemberRoles(organization.id, otherId, ['admin'])).rejects.toThrow('Membership not found');
+  });
+
+  it('should validate organizations and memberships', async () => {
+    const service = new AuthService(global.testAdapter);
+    const { organization } = await service.createOrganization(userId, { name: 'Acme' });
+    
+    await expect(service.createOrganization(userId, { name: ' ' })).rejects.toThrow('Organization name is required');
+    await expect(service.createOrganization(userId)).rejects.toThrow('Organization name is required');
+    await expect(service.createOrganization('missing', { name: 'Acme' })).rejects.toThrow('User not found');
+    await expect(service.addMember(organization.id, otherId, [])).rejects.toThrow('At least one role is required');
+    await expect(service.addMember(organization.id, otherId, 'member')).rejects.toThrow('Roles must be an array');
+    await expect(service.addMember('missing', otherId, ['member'])).rejects.toThrow('Organization not found');
+    await expect(service.addMember(organization.id, 'missing', ['member'])).rejects.toThrow('User not found');
+    await expect(service.addMember(organization.id, userId, ['member'])).rejects.toThrow('User is already a member of this organization');
+    await expect(service.listMembers('missing')).rejects.toThrow('Organization not found');
+  });
+
+  it('should list the tenants of a user', async () => {
+    const service = new AuthService(global.testAdapter);
+    const { organization: acme } = await service.createOrganization(userId, { name: 'Acme' });
+    const { organization: globex } = await service.createOrganization(otherId, { name: 'Globex' });
+    await service.addMember(globex.id, userId, ['member']);
+    
+    expect((await service.listTenants(userId)).tenants).toEqual([
+      { id: acme.id, name: 'Acme', roles: ['owner'], joinedAt: expect.any(Date) },
+      { id: globex.id, name: 'Globex', roles: ['member'], joinedAt: expect.any(Date) },
+    ]);
+    
+    await global.testAdapter.deleteOrganization(acme.id);
+    
+    expect((await service.listTenants(userId)).tenants.map((t) => t.name)).toEqual(['Globex']);
+  });
+
+  it('should scope tokens to a tenant with its roles', async () => {
+    const service = new AuthService(global.testAdapter);
+    const { organization } = await service.createOrganization(otherId, { name: 'Acme' });
+    await service.addMember(organization.id, userId, ['billing', 'member']);
+    const { refreshToken } = await service.login('test@example.com', 'password123');
+    
+    const switched = await service.switchTenant(refreshToken, organization.id);
+    
+    expect(switched).toMatchObject({ success: true, tenantId: organization.id });
+    expect(await verifyJWT(switched.accessToken, 'access')).toMatchObject({ userId, role: 'billing', roles: ['billing', 'member'], tid: organization.id });
+    expect((await verifyJWT(switched.refreshToken, 'refresh')).tid).toBe(organization.id);
+    await expect(service.refresh(refreshToken)).rejects.toThrow('Session revoked - please login again');
+  });
+
+  it('should keep refreshed sessions in their tenant with current roles', async () => {
+    const service = new AuthService(global.testAdapter);
+    const { organization } = await service.createOrganization(otherId, { name: 'Acme' });
+    await service.addMember(organization.id, userId, ['member']);
+    const { refreshToken } = await service.login('test@example.com', 'password123');
+    const switched = await service.switchTenant(refreshToken, organization.id);
+    await service.updateMemberRoles(organization.id, userId, ['admin']);
+    
+    const refreshed = await service.refresh(switched.refreshToken);
+    
+    expect(await verifyJWT(refreshed.accessToken, 'access')).toMatchObject({ role: 'admin', roles: ['admin'], tid: organization.id });
+    
+    await service.removeMember(organization.id, userId);
+    
+    await expect(service.refresh(refreshed.refreshToken)).rejects.toThrow('Session revoked - please login again');
+  });
+
+  it('should leave a tenant and refuse tenants the user is not a member of', async () => {
+    const service = new AuthService(global.testAdapter);
+    const { organization } = await service.createOrganization(userId, { name: 'Acme' });
+    const { organization: foreign } = await service.createOrganization(otherId, { name: 'Globex' });
+    const { refreshToken } = await service.login('test@example.com', 'password123');
+    const switched = await service.switchTenant(refreshToken, organization.id);
+    
+    await expect(service.switchTenant(switched.refreshToken, foreign.id)).rejects.toThrow('Not a member of this organization');
+    
+    // A refused switch leaves the session usable
+    const left = await service.switchTenant(switched.refreshToken, null);
+    
+    const payload = await verifyJWT(left.accessToken, 'access');
+    expect(left.tenantId).toBeNull();
+    expect(payload).toMatchObject({ role: 'user', roles: ['user'] });
+    expect(payload.tid).toBeUndefined();
+    await expect(service.switchTenant(left.refreshToken)).rejects.toThrow();
+  });
+
+  it('should detect reuse of a token rotated by a tenant switch', async () => {
+    const service = new AuthService(global.testAdapter);
+    const { organization } = await service.createOrganization(userId, { name: 'Acme' });
+    const { refreshToken } = await service.login('test@example.com', 'password123');
+    const switched = await service.switchTenant(refreshToken, organization.id);
+    
+    await expect(service.switchTenant(refreshToken, organization.id)).rejects.toThrow('Session revoked - please login again');
+    
+    await expect(service.refresh(switched.refreshToken)).rejects.toThrow('Session revoked - please login again');
+  });
+
+  it('should keep the tenant of the session kept on password change', async () => {
+    const service = new AuthService(global.testAdapter);
+    const { organization } = await service.createOrganization(userId, { name: 'Acme' });
+    const { refreshToken } = await service.login('test@example.com', 'password123');
+    const switched = await service.switchTenant(refreshToken, organization.id);
+    
+    const result = await service.changePassword(userId, 'password123', 'newPassword456', { keepSession: switched.refreshToken });
+    
+    expect((await verifyJWT(result.accessToken, 'access')).tid).toBe(organization.id);
+  });
+});
+
+describe('AuthService - Sessions', () => {
+  let userId;
+
+  beforeEach(async () => {
+    userId = (await global.testAdapter.findUserByEmail('test@example.com')).id;
+  });
+
+  const sessionIdOf = async (accessToken) => (await verifyJWT(accessToken, 'access')).sid;
+
+  it('should record a session with the device details on login', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    const { accessToken } = await service.login('test@example.com', 'password123', {
+      ip: '203.0.113.7',
+      userAgent: `Mozilla/5.0 ${'x'.repeat(600)}`,
+      deviceName: '  Work laptop  ',
+    });
+    const sid = await sessionIdOf(accessToken);
+    
+    const { sessions } = await service.listSessions(userId);
+    expect(sessions).toEqual([{
+      id: sid,
+      deviceName: 'Work laptop',
+      userAgent: expect.stringMatching(/^Mozilla\/5\.0 x+$/),
+      ip: '203.0.113.7',
+      createdAt: expect.any(Date),
+      lastRefreshedAt: expect.any(Date),
+      expiresAt: expect.any(Date),
+    }]);
+    expect(sessions[0].userAgent).toHaveLength(512);
+  });
+
+  it('should keep one session per login across refreshes and update it', async () => {
+    const service = new AuthService(global.testAdapter);
+    const login = await service.login('test@example.com', 'password123', { ip: '203.0.113.7', userAgent: 'Old/1.0' });
+    const sid = await sessionIdOf(login.accessToken);
+    const [before] = (await service.listSessions(userId)).sessions;
+    
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const refreshed = await service.refresh(login.refreshToken, { ip: '198.51.100.2', userAgent: 'New/2.0' });
+    
+    expect(await sessionIdOf(refreshed.accessToken)).toBe(sid);
+    const [after] = (await service.listSessions(userId)).sessions;
+    expect(after).toMatchObject({ id: sid, ip: '198.51.100.2', userAgent: 'New/2.0', createdAt: before.createdAt });
+    expect(after.lastRefreshedAt.getTime()).toBeGreaterThan(before.lastRefreshedAt.getTime());
+    
+    // Details left out of a refresh are kept
+    await service.refresh(refreshed.refreshToken);
+    expect((await service.listSessions(userId)).sessions).toEqual([expect.objectContaining({ ip: '198.51.100.2', userAgent: 'New/2.0' })]);
+  });
+
+  it('should carry the device details through an MFA challenge', async () => {
+    const service = new AuthService(global.testAdapter, { mfaEncryptionKey: 'mfa-encryption-key-at-least-32-characters' });
+    const { secret } = await service.enrollTotp(userId);
+    await service.confirmTotp(userId, generateTotp(secret, { time: Date.now() - 30000 }));
+    
+    const { challengeToken } = await service.login('test@example.com', 'password123', { deviceName: 'Phone', ip: '203.0.113.7' });
+    expect((await service.listSessions(userId)).sessions).toEqual([]);
+    await service.verifyMfa(challengeToken, generateTotp(secret), { ip: '198.51.100.2' });
+    
+    expect((await service.listSessions(userId)).sessions).toEqual([
+      expect.objectContaining({ deviceName: 'Phone', ip: '198.51.100.2', userAgent: null }),
+    ]);
+  });
+
+  it('should reject invalid device details', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    await expect(service.login('test@example.com', 'password123', { deviceName: '   ' }))
+      .rejects
+      .toThrow('Device name must not be empty');
+    await expect(service.login('test@example.com', 'password123', { deviceName: 'x'.repeat(101) }))
+      .rejects
+      .toThrow('Device name must be at most 100 characters');
+    await expect(service.refresh('x'.repeat(20), { userAgent: 42 }))
+      .rejects
+      .toThrow('User agent must be a string');
+  });
+
+  it('should revoke a single session', async () => {
+    const service = new AuthService(global.testAdapter);
+    const laptop = await service.login('test@example.com', 'password123', { deviceName: 'Laptop' });
+    const phone = await service.login('test@example.com', 'password123', { deviceName: 'Phone' });
+    
+    const result = await service.revokeSession(userId, await sessionIdOf(phone.accessToken));
+    
+    expect(result).toEqual({ success: true });
+    await expect(service.refresh(phone.refreshToken)).rejects.toThrow('Session revoked - please login again');
+    expect((await service.listSessions(userId)).sessions.map((session) => session.deviceName)).toEqual(['Laptop']);
+    expect((await service.refresh(laptop.refreshToken)).success).toBe(true);
+  });
+
+  it('should not revoke sessions of other users', async () => {
+    const service = new AuthService(global.testAdapter);
+    const otherId = (await service.register('other@example.com', 'password123')).userId;
+    const other = await service.login('other@example.com', 'password123');
+    const otherSid = await sessionIdOf(other.accessToken);
+    
+    await expect(service.revokeSession(userId, otherSid)).rejects.toThrow('Session not found');
+    await expect(service.revokeSession(userId, 'missing')).rejects.toThrow('Session not found');
+    await expect(service.revokeOtherSessions(userId, otherSid)).rejects.toThrow('Session not found');
+    await expect(service.revokeSession(userId, '')).rejects.toThrow('Session ID is required');
+    expect((await service.listSessions(otherId)).sessions.map((session) => session.id)).toEqual([otherSid]);
+  });
+
+  it('should revoke every session but the current one', async () => {
+    const service = new AuthService(global.testAdapter);
+    const current = await service.login('test@example.com', 'password123', { deviceName: 'Laptop' });
+    const phone = await service.login('test@example.com', 'password123', { deviceName: 'Phone' });
+    const tablet = await service.login('test@example.com', 'password123', { deviceName: 'Tablet' });
+    const sid = await sessionIdOf(current.accessToken);
+    
+    const result = await service.revokeOtherSessions(userId, sid);
+    
+    expect(result).toEqual({ success: true, revoked: 2 });
+    expect((await service.listSessions(userId)).sessions.map((session) => session.id)).toEqual([sid]);
+    await expect(service.refresh(phone.refreshToken)).rejects.toThrow('Session revoked - please login again');
+    await expect(service.refresh(tablet.refreshToken)).rejects.toThrow('Session revoked - please login again');
+    expect((await service.refresh(current.refreshToken)).success).toBe(true);
+  });
+
+  it('should drop session records when sessions end', async () => {
+    const service = new AuthService(global.testAdapter);
+    const first = await service.login('test@example.com', 'password123');
+    const second = await service.login('test@example.com', 'password123');
+    
+    await service.logout(first.refreshToken);
+    expect((await service.listSessions(userId)).sessions.map((session) => session.id))
+      .toEqual([await sessionIdOf(second.accessToken)]);
+    
+    await service.logoutAll(userId);
+    expect((await service.listSessions(userId)).sessions).toEqual([]);
+  });
+
+  it('should end the session whose rotated token is reused', async () => {
+    const service = new AuthService(global.testAdapter);
+    const login = await service.login('test@example.com', 'password123');
+    await service.refresh(login.refreshToken);
+    
+    await expect(service.refresh(login.refreshToken)).rejects.toThrow('Session revoked - please login again');
+    
+    expect((await service.listSessions(userId)).sessions).toEqual([]);
+  });
+
+  it('should keep only the kept session on a password change', async () => {
+    const service = new AuthService(global.testAdapter);
+    const kept = await service.login('test@example.com', 'password123', { deviceName: 'Laptop' });
+    await service.login('test@example.com', 'password123', { deviceName: 'Phone' });
+    
+    const result = await service.changePassword(userId, 'password123', 'newPassword456', { keepSession: kept.refreshToken });
+    
+    expect(await sessionIdOf(result.accessToken)).toBe(await sessionIdOf(kept.accessToken));
+    expect((await service.listSessions(userId)).sessions.map((session) => session.deviceName)).toEqual(['Laptop']);
+  });
+
+  it('should record a session for token families from before sessions were kept', async () => {
+    const service = new AuthService(global.testAdapter);
+    const login = await service.login('test@example.com', 'password123', { deviceName: 'Laptop' });
+    const sid = await sessionIdOf(login.accessToken);
+    await global.testAdapter.deleteSession(sid);
+    
+    await service.refresh(login.refreshToken, { ip: '203.0.113.7' });
+    
+    expect((await service.listSessions(userId)).sessions).toEqual([
+      expect.objectContaining({ id: sid, deviceName: null, ip: '203.0.113.7' }),
+    ]);
+  });
+
+  it('should leave expired sessions out of the list', async () => {
+    const service = new AuthService(global.testAdapter);
+    const { accessToken } = await service.login('test@example.com', 'password123');
+    await global.testAdapter.updateSession(await sessionIdOf(accessToken), { expiresAt: new Date(Date.now() - 1000) });
+    
+    expect(await service.listSessions(userId)).toEqual({ success: true, sessions: [] });
+  });
+});
+
+describe('AuthService - Logout', () => {
+  it('should revoke the refresh token on logout', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    const loginResult = await service.login('test@example.com', 'password123');
+    
+    const result = await service.logout(loginResult.refreshToken);
+    
+    expect(result).toEqual({ success: true });
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(loginResult.refreshToken))).toBe(false);
+    
+    // Logged out token can no longer be used
+    await expect(service.refresh(loginResult.refreshToken))
+      .rejects
+      .toThrow('Session revoked - please login again');
+  });
+
+  it('should only end the session being logged out', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    const session1 = await service.login('test@example.com', 'password123');
+    const session2 = await service.login('test@example.com', 'password123');
+    
+    await service.logout(session1.refreshToken);
+    
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(session1.refreshToken))).toBe(false);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(session2.refreshToken))).toBe(true);
+  });
+
+  it('should throw error for invalid refresh token', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    await expect(service.logout('invalid-token'))
+      .rejects
+      .toThrow('Invalid refresh token');
+  });
+
+  it('should throw error for short refresh token', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    await expect(service.logout('short'))
+      .rejects
+      .toThrow('Refresh token is required');
+  });
+
+  it('should revoke every session on logoutAll', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    const user = await global.testAdapter.findUserByEmail('test@example.com');
+    const session1 = await service.login('test@example.com', 'password123');
+    const session2 = await service.login('test@example.com', 'password123');
+    
+    const result = await service.logoutAll(user.id);
+    
+    expect(result).toEqual({ success: true });
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(session1.refreshToken))).toBe(false);
+    expect(await global.testAdapter.isRefreshTokenValid(hashRefreshToken(session2.refreshToken))).toBe(false);
+  });
+
+  it('should throw error for missing userId on logoutAll', async () => {
+    const service = new AuthService(global.testAdapter);
+    
+    await expect(service.logoutAll(''))
+      .rejects
+      .toThrow('User ID is required');
+  });
+});
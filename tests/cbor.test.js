@@ -0,0 +1,60 @@
+import { describe, it, expect } from '@jest/globals';
+import { decodeCbor, decodeCborItem } from '../src/core/cbor.js';
+
+const hex = (value) => Buffer.from(value, 'hex');
+
+describe('CBOR - RFC 8949 Appendix A Examples', () => {
+  it.each([
+    ['00', 0],
+    ['17', 23],
+    ['1818', 24],
+    ['1903e8', 1000],
+    ['1a000f4240', 1000000],
+    ['20', -1],
+    ['3903e7', -1000],
+    ['f4', false],
+    ['f5', true],
+    ['f6', null],
+    ['f93c00', 1],
+    ['f97bff', 65504],
+    ['fa47c35000', 100000],
+    ['fb3ff199999999999a', 1.1],
+    ['6449455446', 'IETF'],
+    ['62c3bc', 'ü'],
+    ['83010203', [1, 2, 3]],
+    ['8301820203820405', [1, [2, 3], [4, 5]]],
+  ])('should decode %s', (encoded, expected) => {
+    expect(decodeCbor(hex(encoded))).toEqual(expected);
+  });
+
+  it('should decode byte strings as Buffers and maps as Maps', () => {
+    expect(decodeCbor(hex('4401020304'))).toEqual(Buffer.from([1, 2, 3, 4]));
+    expect(decodeCbor(hex('a201020304'))).toEqual(new Map([[1, 2], [3, 4]]));
+    expect(decodeCbor(hex('a26161016162820203'))).toEqual(new Map([['a', 1], ['b', [2, 3]]]));
+  });
+
+  it('should keep the value of tagged items', () => {
+    expect(decodeCbor(hex('c11a514b67b0'))).toBe(1363896240);
+  });
+});
+
+describe('CBOR - Strictness', () => {
+  it('should report where an item ends', () => {
+    expect(decodeCborItem(hex('0102'), 1)).toEqual({ value: 2, end: 2 });
+  });
+
+  it('should reject trailing, truncated and indefinite-length data', () => {
+    expect(() => decodeCbor(hex('0102'))).toThrow('Unexpected data after CBOR item');
+    expect(() => decodeCbor(hex('4401'))).toThrow('Truncated CBOR data');
+    expect(() => decodeCbor(hex('9fff'))).toThrow('Indefinite-length CBOR items are not supported');
+  });
+
+  it('should reject duplicate map keys and deep nesting', () => {
+    expect(() => decodeCbor(hex('a201020103'))).toThrow('Duplicate CBOR map key');
+    expect(() => decodeCbor(Buffer.concat([Buffer.alloc(20, 0x81), hex('00')]))).toThrow('CBOR nesting too deep');
+  });
+
+  it('should only accept Buffers', () => {
+    expect(() => decodeCbor('00')).toThrow('CBOR input must be a Buffer');
+  });
+});
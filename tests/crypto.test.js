@@ -1,5 +1,7 @@
-import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
-import { hashPassword, verifyPassword, signAccessToken, signRefreshToken, verifyJWT } from '../src/core/crypto.js';
+import { describe, it, expect, beforeAll, afterAll, afterEach, jest } from '@jest/globals';
+import { hashPassword, verifyPassword, signAccessToken, signRefreshToken, verifyJWT, hashRefreshToken, getJWKS, getKeyRing, rotateKeys, generateCsrfToken, verifyCsrfToken, generateOneTimeToken, hashOneTimeToken, hashOneTimeCode } from '../src/core/crypto.js';
+import { createHmac, generateKeyPairSync } from 'node:crypto';
+import { createLocalJWKSet, decodeProtectedHeader, jwtVerify } from 'jose';
 import argon2 from 'argon2';
 
 // Mock environment variables
@@ -199,4 +201,274 @@ describe('Core Crypto Module - JWT Management', () => {
       process.env.REFRESH_TOKEN_SECRET = originalSecret;
     });
   });
+});
+
+describe('Core Crypto Module - Refresh Token Hashing', () => {
+  it('should derive a stable hash that differs from the token', async () => {
+    const token = await signRefreshToken({ userId: 'user123' });
+    const hash = hashRefreshToken(token);
+
+    expect(hash).toMatch(/^[\w-]{43}$/);
+    expect(hash).not.toBe(token);
+    expect(hashRefreshToken(token)).toBe(hash);
+  });
+
+  it('should key the hash with REFRESH_TOKEN_SECRET', async () => {
+    const token = await signRefreshToken({ userId: 'user123' });
+    const hash = hashRefreshToken(token);
+
+    const originalSecret = process.env.REFRESH_TOKEN_SECRET;
+    process.env.REFRESH_TOKEN_SECRET = 'another_refresh_secret_32_characters_long_123';
+    try {
+      expect(hashRefreshToken(token)).not.toBe(hash);
+    } finally {
+      process.env.REFRESH_TOKEN_SECRET = originalSecret;
+    }
+  });
+
+  it('should throw error for non-string tokens', () => {
+    expect(() => hashRefreshToken(123)).toThrow('Token must be a string');
+  });
+});
+
+describe('Core Crypto Module - One-Time Tokens', () => {
+  it('should generate unique random tokens', () => {
+    const token1 = generateOneTimeToken();
+    const token2 = generateOneTimeToken();
+
+    expect(token1).toMatch(/^[\w-]{43}$/);
+    expect(token1).not.toBe(token2);
+  });
+
+  it('should hash tokens deterministically', () => {
+    const token = generateOneTimeToken();
+
+    expect(hashOneTimeToken(token)).toBe(hashOneTimeToken(token));
+    expect(hashOneTimeToken(token)).not.toBe(token);
+  });
+
+  it('should throw error for non-string tokens', () => {
+    expect(() => hashOneTimeToken(null)).toThrow('Token must be a string');
+  });
+});
+
+describe('Core Crypto Module - One-Time Codes', () => {
+  it('should bind the hash to the context and key it with REFRESH_TOKEN_SECRET', () => {
+    const hash = hashOneTimeCode('123456', 'login:user@example.com');
+
+    expect(hash).toMatch(/^[\w-]{43}$/);
+    expect(hashOneTimeCode('123456', 'login:user@example.com')).toBe(hash);
+    expect(hashOneTimeCode('123456', 'reset:user@example.com')).not.toBe(hash);
+
+    const originalSecret = process.env.REFRESH_TOKEN_SECRET;
+    process.env.REFRESH_TOKEN_SECRET = 'another_refresh_secret_32_characters_long_123';
+    try {
+      expect(hashOneTimeCode('123456', 'login:user@example.com')).not.toBe(hash);
+    } finally {
+      process.env.REFRESH_TOKEN_SECRET = originalSecret;
+    }
+  });
+
+  it('should throw error for non-string codes', () => {
+    expect(() => hashOneTimeCode(123456, 'login:user@example.com')).toThrow('Code and context must be strings');
+  });
+});
+
+describe('Core Crypto Module - CSRF Tokens', () => {
+  const secret = 'test_csrf_secret_32_characters_long_1234567890';
+
+  it('should generate unique signed tokens', () => {
+    const token1 = generateCsrfToken(secret);
+    const token2 = generateCsrfToken(secret);
+
+    expect(token1).toMatch(/^[\w-]+\.[\w-]+$/);
+    expect(token1).not.toBe(token2);
+  });
+
+  it('should verify tokens signed with the same secret', () => {
+    const token = generateCsrfToken(secret);
+    expect(verifyCsrfToken(token, secret)).toBe(true);
+  });
+
+  it('should reject tokens signed with a different secret', () => {
+    const token = generateCsrfToken(secret);
+    expect(verifyCsrfToken(token, 'another_csrf_secret_32_characters_long_123')).toBe(false);
+  });
+
+  it('should reject tampered or malformed tokens', () => {
+    const [nonce, signature] = generateCsrfToken(secret).split('.');
+
+    expect(verifyCsrfToken(`${nonce}x.${signature}`, secret)).toBe(false);
+    expect(verifyCsrfToken(nonce, secret)).toBe(false);
+    expect(verifyCsrfToken(`${nonce}.${signature}.extra`, secret)).toBe(false);
+    expect(verifyCsrfToken(123, secret)).toBe(false);
+  });
+
+  it('should reject a plain HMAC of the nonce under the same secret', () => {
+    const [nonce] = generateCsrfToken(secret).split('.');
+    const plain = createHmac('sha256', secret).update(nonce).digest('base64url');
+
+    expect(verifyCsrfToken(`${nonce}.${plain}`, secret)).toBe(false);
+  });
+
+  it('should throw error if secret is too short', () => {
+    expect(() => generateCsrfToken('short')).toThrow('CSRF secret must be at least 32 characters');
+  });
+});
+
+describe('Core Crypto Module - Asymmetric Signing', () => {
+  const keyPairs = {
+    RS256: generateKeyPairSync('rsa', { modulusLength: 2048 }),
+    ES256: generateKeyPairSync('ec', { namedCurve: 'P-256' }),
+    EdDSA: generateKeyPairSync('ed25519'),
+  };
+
+  // Configure the environment for an algorithm and restore it afterwards
+  function withAlgorithm(algorithm, { privateKey = true, publicKey = true } = {}) {
+    const { privateKey: priv, publicKey: pub } = keyPairs[algorithm];
+    process.env.ACCESS_TOKEN_ALGORITHM = algorithm;
+    if (privateKey) process.env.ACCESS_TOKEN_PRIVATE_KEY = priv.export({ type: 'pkcs8', format: 'pem' });
+    if (publicKey) process.env.ACCESS_TOKEN_PUBLIC_KEY = pub.export({ type: 'spki', format: 'pem' });
+  }
+
+  afterEach(() => {
+    delete process.env.ACCESS_TOKEN_ALGORITHM;
+    delete process.env.ACCESS_TOKEN_PRIVATE_KEY;
+    delete process.env.ACCESS_TOKEN_PUBLIC_KEY;
+  });
+
+  it.each(['RS256', 'ES256', 'EdDSA'])('should sign and verify %s access tokens', async (algorithm) => {
+    withAlgorithm(algorithm);
+
+    const token = await signAccessToken({ userId: '12345' });
+
+    expect(decodeProtectedHeader(token).alg).toBe(algorithm);
+    const payload = await verifyJWT(token, 'access');
+    expect(payload.userId).toBe('12345');
+  });
+
+  it('should derive the public key when only a private key is configured', async () => {
+    withAlgorithm('ES256', { publicKey: false });
+
+    const token = await signAccessToken({ userId: '12345' });
+    const payload = await verifyJWT(token, 'access');
+
+    expect(payload.userId).toBe('12345');
+  });
+
+  it('should accept JWK private keys', async () => {
+    process.env.ACCESS_TOKEN_ALGORITHM = 'EdDSA';
+    process.env.ACCESS_TOKEN_PRIVATE_KEY = JSON.stringify(keyPairs.EdDSA.privateKey.export({ format: 'jwk' }));
+
+    const token = await signAccessToken({ userId: '12345' });
+
+    expect((await verifyJWT(token, 'access')).userId).toBe('12345');
+  });
+
+  it('should verify with only a public key but refuse to sign', async () => {
+    withAlgorithm('RS256');
+    const token = await signAccessToken({ userId: '12345' });
+
+    delete process.env.ACCESS_TOKEN_PRIVATE_KEY;
+
+    expect((await verifyJWT(token, 'access')).userId).toBe('12345');
+    await expect(signAccessToken({ userId: '12345' })).rejects.toThrow('ACCESS_TOKEN_PRIVATE_KEY is required to sign access tokens');
+  });
+
+  it('should reject HS256 tokens when an asymmetric algorithm is configured', async () => {
+    const hsToken = await signAccessToken({ userId: '12345' });
+    withAlgorithm('RS256');
+
+    await expect(verifyJWT(hsToken, 'access')).rejects.toThrow('Invalid token');
+  });
+
+  it('should throw error for unsupported algorithms', async () => {
+    process.env.ACCESS_TOKEN_ALGORITHM = 'none';
+
+    await expect(signAccessToken({ userId: '12345' })).rejects.toThrow('Unsupported algorithm "none"');
+  });
+
+  it('should keep refresh tokens on HS256', async () => {
+    withAlgorithm('RS256');
+
+    const token = await signRefreshToken({ userId: '12345' });
+
+    expect(decodeProtectedHeader(token).alg).toBe('HS256');
+  });
+
+  describe('getJWKS', () => {
+    it('should publish the public key so tokens verify without the private key', async () => {
+      withAlgorithm('ES256');
+      const token = await signAccessToken({ userId: '12345' });
+
+      const jwks = await getJWKS();
+
+      expect(jwks.keys).toHaveLength(1);
+      expect(jwks.keys[0]).toMatchObject({ kty: 'EC', crv: 'P-256', alg: 'ES256', use: 'sig' });
+      expect(jwks.keys[0].d).toBeUndefined();
+
+      const { payload } = await jwtVerify(token, createLocalJWKSet(jwks));
+      expect(payload.userId).toBe('12345');
+    });
+
+    it('should return an empty key set for HS256', async () => {
+      expect(await getJWKS()).toEqual({ keys: [] });
+    });
+  });
+});
+
+describe('Core Crypto Module - Key Rotation', () => {
+  const NEW_SECRET = 'test_rotated_secret_32_characters_long_1234567890';
+
+  afterEach(() => {
+    // Return to following the environment
+    getKeyRing().clear();
+    delete process.env.ACCESS_TOKEN_KID;
+  });
+
+  it('should tag access tokens with the key ID', async () => {
+    process.env.ACCESS_TOKEN_KID = 'env-key';
+
+    const token = await signAccessToken({ userId: '12345' });
+
+    expect(decodeProtectedHeader(token).kid).toBe('env-key');
+  });
+
+  it('should seed the shared key ring from the environment', () => {
+    process.env.ACCESS_TOKEN_KID = 'env-key';
+
+    const keyRing = getKeyRing();
+
+    expect(keyRing.activeKid).toBe('env-key');
+    expect(getKeyRing()).toBe(keyRing);
+  });
+
+  it('should sign with the new key after rotateKeys', async () => {
+    const kid = rotateKeys({ kid: 'key-2', secret: NEW_SECRET });
+
+    const token = await signAccessToken({ userId: '12345' });
+
+    expect(kid).toBe('key-2');
+    expect(decodeProtectedHeader(token).kid).toBe('key-2');
+    expect((await verifyJWT(token, 'access')).userId).toBe('12345');
+  });
+
+  it('should keep verifying tokens signed before the rotation', async () => {
+    const oldToken = await signAccessToken({ userId: '12345' });
+
+    rotateKeys({ kid: 'key-2', secret: NEW_SECRET });
+
+    expect((await verifyJWT(oldToken, 'access')).userId).toBe('12345');
+  });
+
+  it('should stop following environment changes once keys are rotated', async () => {
+    rotateKeys({ kid: 'key-2', secret: NEW_SECRET });
+    const originalSecret = process.env.ACCESS_TOKEN_SECRET;
+    process.env.ACCESS_TOKEN_SECRET = 'short';
+
+    const token = await signAccessToken({ userId: '12345' });
+
+    expect(decodeProtectedHeader(token).kid).toBe('key-2');
+    process.env.ACCESS_TOKEN_SECRET = originalSecret;
+  });
 });
\ No newline at end of file
@@ -0,0 +1,170 @@
+// Stub OpenID Connect / OAuth 2.0 provider for social login tests
+// Serves discovery, JWKS, token and userinfo endpoints on 127.0.0.1 and signs real ID tokens
+
+import { createHash, randomBytes } from 'node:crypto';
+import { createServer } from 'node:http';
+import { SignJWT, exportJWK, generateKeyPair } from 'jose';
+
+export const CLIENT_ID = 'ryauth-client';
+export const CLIENT_SECRET = 'ryauth-client-secret';
+
+/**
+ * StubProvider class
+ * Plays the provider and, through authorize(), the user consenting in the browser
+ */
+export class StubProvider {
+  /**
+   * @param {object} [options] - Stub options
+   * @param {boolean} [options.oidc=true] - Issue ID tokens and serve discovery and JWKS
+   * @param {boolean} [options.emailInIdToken=true] - Put email claims in the ID token, or only in userinfo
+   */
+  constructor({ oidc = true, emailInIdToken = true } = {}) {
+    this.oidc = oidc;
+    this.emailInIdToken = emailInIdToken;
+    this.codes = new Map(); // code -> { params, user }
+    this.accessTokens = new Map(); // token -> user
+    this.requests = []; // { method, path, headers, body }
+    this.tamper = {}; // Claim overrides for the next ID tokens, or signWith: another key
+    this.server = null;
+    this.issuer = null;
+  }
+
+  /**
+   * Starts listening on a free port
+   * @returns {Promise<StubProvider>} This provider
+   */
+  async start() {
+    const { privateKey, publicKey } = await generateKeyPair('ES256');
+    this.privateKey = privateKey;
+    this.jwk = { ...(await exportJWK(publicKey)), kid: 'stub-key', alg: 'ES256', use: 'sig' };
+    this.otherKey = (await generateKeyPair('ES256')).privateKey;
+
+    this.server = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => this.#handle(req, body, res));
+    });
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    this.issuer = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  /**
+   * Stops listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * Provider options for OAuthProvider pointing at this stub
+   * @param {object} [overrides] - Extra or replaced options
+   * @returns {object} The options
+   */
+  options(overrides = {}) {
+    const base = { name: 'stub', clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, redirectUri: 'https://app.example.com/auth/callback' };
+    if (this.oidc) {
+      return { ...base, issuer: this.issuer, ...overrides };
+    }
+    return {
+      ...base,
+      authorizationEndpoint: `${this.issuer}/authorize`,
+      tokenEndpoint: `${this.issuer}/token`,
+      userinfoEndpoint: `${this.issuer}/userinfo`,
+      profile: (info) => ({ subject: info.id, email: info.email, emailVerified: false }),
+      ...overrides,
+    };
+  }
+
+  /**
+   * Answers the authorization request as the user would, by consenting
+   * @param {string} url - The authorization URL
+   * @param {object} [user] - The user signing in at the provider
+   * @returns {{code: string, state: string}} The callback parameters
+   */
+  authorize(url, user = { sub: 'stub-user-1', email: 'social@example.com', email_verified: true }) {
+    const params = Object.fromEntries(new URL(url).searchParams);
+    const code = randomBytes(16).toString('base64url');
+    this.codes.set(code, { params, user });
+    return { code, state: params.state };
+  }
+
+  async #idToken(params, user) {
+    const { signWith, ...claims } = this.tamper;
+    const { email, email_verified: emailVerified, ...rest } = user;
+    const payload = {
+      ...rest,
+      ...(this.emailInIdToken ? { email, email_verified: emailVerified } : {}),
+      nonce: params.nonce,
+      ...claims,
+    };
+    return new SignJWT(payload)
+      .setProtectedHeader({ alg: 'ES256', kid: 'stub-key' })
+      .setIssuer(claims.iss ?? this.issuer)
+      .setAudience(claims.aud ?? CLIENT_ID)
+      .setSubject(user.sub)
+      .setIssuedAt()
+      .setExpirationTime(claims.exp ?? '5m')
+      .sign(signWith === 'other' ? this.otherKey : this.privateKey);
+  }
+
+  async #handle(req, body, res) {
+    const url = new URL(req.url, this.issuer);
+    const send = (status, data) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    this.requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+
+    if (this.oidc && url.pathname === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer: this.issuer,
+        authorization_endpoint: `${this.issuer}/authorize`,
+        token_endpoint: `${this.issuer}/token`,
+        userinfo_endpoint: `${this.issuer}/userinfo`,
+        jwks_uri: `${this.issuer}/jwks`,
+      });
+    }
+    if (this.oidc && url.pathname === '/jwks') {
+      return send(200, { keys: [this.jwk] });
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const form = Object.fromEntries(new URLSearchParams(body));
+      const basic = req.headers.authorization?.startsWith('Basic ')
+        ? Buffer.from(req.headers.authorization.slice(6), 'base64').toString().split(':').map(decodeURIComponent)
+        : [form.client_id, form.client_secret];
+      if (basic[0] !== CLIENT_ID || basic[1] !== CLIENT_SECRET) {
+        return send(401, { error: 'invalid_client' });
+      }
+
+      // Codes are single-use and bound to the redirect URI and PKCE challenge
+      const grant = this.codes.get(form.code);
+      this.codes.delete(form.code);
+      if (!grant || grant.params.redirect_uri !== form.redirect_uri
+        || createHash('sha256').update(form.code_verifier ?? '').digest('base64url') !== grant.params.code_challenge) {
+        return send(400, { error: 'invalid_grant' });
+      }
+
+      const accessToken = randomBytes(16).toString('base64url');
+      this.accessTokens.set(accessToken, grant.user);
+      const tokens = { access_token: accessToken, token_type: 'Bearer', expires_in: 3600 };
+      if (this.oidc && grant.params.scope?.split(' ').includes('openid')) {
+        tokens.id_token = await this.#idToken(grant.params, grant.user);
+      }
+      return send(200, tokens);
+    }
+
+    if (url.pathname === '/userinfo') {
+      const user = this.accessTokens.get(req.headers.authorization?.replace(/^Bearer /, ''));
+      if (!user) {
+        return send(401, { error: 'invalid_token' });
+      }
+      return send(200, this.oidc ? user : { id: Number(user.sub.replace(/\D/g, '')), login: user.sub, email: user.email });
+    }
+
+    send(404, { error: 'not_found' });
+  }
+}
@@ -0,0 +1,182 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { KeyRing } from '../src/core/keyring.js';
+import { generateKeyPairSync } from 'node:crypto';
+import { SignJWT, jwtVerify, createLocalJWKSet, decodeProtectedHeader } from 'jose';
+
+const SECRET_A = 'test_keyring_secret_a_32_characters_long_123';
+const SECRET_B = 'test_keyring_secret_b_32_characters_long_123';
+
+// Sign a token with the ring's active key, the same way core/crypto.js does
+async function sign(keyRing, payload = { userId: 'user-1' }) {
+  const key = keyRing.getActiveKey();
+  return new SignJWT(payload)
+    .setProtectedHeader({ alg: key.algorithm, kid: key.kid })
+    .setIssuedAt()
+    .setExpirationTime('15m')
+    .sign(key.signingKey);
+}
+
+function verify(keyRing, token) {
+  return jwtVerify(token, keyRing.keyResolver(), { algorithms: keyRing.getAlgorithms() });
+}
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('KeyRing - Key Management', () => {
+  it('should make the first signing key active', () => {
+    const keyRing = new KeyRing({ keys: [{ kid: 'a', secret: SECRET_A }, { kid: 'b', secret: SECRET_B }] });
+
+    expect(keyRing.activeKid).toBe('a');
+    expect(keyRing.size).toBe(2);
+  });
+
+  it('should derive a stable kid from the key material', () => {
+    const kid1 = new KeyRing().addKey({ secret: SECRET_A });
+    const kid2 = new KeyRing().addKey({ secret: SECRET_A });
+    const kid3 = new KeyRing().addKey({ secret: SECRET_B });
+
+    expect(kid1).toBe(kid2);
+    expect(kid1).not.toBe(kid3);
+    expect(kid1).not.toContain(SECRET_A.slice(0, 8));
+  });
+
+  it('should not activate verify-only keys', () => {
+    const { publicKey } = generateKeyPairSync('ed25519');
+    const keyRing = new KeyRing({ keys: [{ algorithm: 'EdDSA', publicKey }] });
+
+    expect(keyRing.activeKid).toBeNull();
+    expect(() => keyRing.getActiveKey()).toThrow('KeyRing has no active signing key');
+  });
+
+  it('should throw error for an invalid retention', () => {
+    expect(() => new KeyRing({ retentionMs: -1 })).toThrow('retentionMs must be a non-negative integer');
+  });
+
+  it('should throw error for short secrets', () => {
+    expect(() => new KeyRing({ keys: [{ secret: 'short' }] })).toThrow('Secret must be at least 32 characters');
+  });
+});
+
+describe('KeyRing - Rotation', () => {
+  it('should sign new tokens with the rotated key and its kid', async () => {
+    const keyRing = new KeyRing({ keys: [{ kid: 'a', secret: SECRET_A }] });
+
+    const newKid = keyRing.rotateKeys({ kid: 'b', secret: SECRET_B });
+    const token = await sign(keyRing);
+
+    expect(newKid).toBe('b');
+    expect(keyRing.activeKid).toBe('b');
+    expect(decodeProtectedHeader(token).kid).toBe('b');
+  });
+
+  it('should keep verifying tokens from the retired key', async () => {
+    const keyRing = new KeyRing({ keys: [{ kid: 'a', secret: SECRET_A }] });
+    const oldToken = await sign(keyRing);
+
+    keyRing.rotateKeys({ kid: 'b', secret: SECRET_B });
+    const newToken = await sign(keyRing);
+
+    expect((await verify(keyRing, oldToken)).payload.userId).toBe('user-1');
+    expect((await verify(keyRing, newToken)).payload.userId).toBe('user-1');
+  });
+
+  it('should drop the retired key once its tokens have expired', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const keyRing = new KeyRing({ keys: [{ kid: 'a', secret: SECRET_A }], retentionMs: 60 * 1000 });
+    const oldToken = await sign(keyRing);
+
+    keyRing.rotateKeys({ kid: 'b', secret: SECRET_B });
+    expect(keyRing.getKey('a')).not.toBeNull();
+
+    jest.setSystemTime(new Date('2026-01-01T00:01:01Z'));
+
+    expect(keyRing.getKey('a')).toBeNull();
+    expect(keyRing.size).toBe(1);
+    await expect(verify(keyRing, oldToken)).rejects.toThrow();
+  });
+
+  it('should reject a verify-only key as the new active key', () => {
+    const { publicKey } = generateKeyPairSync('ed25519');
+    const keyRing = new KeyRing({ keys: [{ kid: 'a', secret: SECRET_A }] });
+
+    expect(() => keyRing.rotateKeys({ kid: 'b', algorithm: 'EdDSA', publicKey }))
+      .toThrow('The new active key must be able to sign tokens');
+    expect(keyRing.activeKid).toBe('a');
+    expect(keyRing.getKey('b')).toBeNull();
+  });
+
+  it('should invalidate tokens immediately when a key is removed', async () => {
+    const keyRing = new KeyRing({ keys: [{ kid: 'a', secret: SECRET_A }] });
+    const oldToken = await sign(keyRing);
+    keyRing.rotateKeys({ kid: 'b', secret: SECRET_B });
+
+    expect(keyRing.removeKey('a')).toBe(true);
+
+    await expect(verify(keyRing, oldToken)).rejects.toThrow();
+  });
+});
+
+describe('KeyRing - Verification', () => {
+  it('should select the key by kid', async () => {
+    const signer = new KeyRing({ keys: [{ kid: 'b', secret: SECRET_B }] });
+    const verifier = new KeyRing({ keys: [{ kid: 'a', secret: SECRET_A }, { kid: 'b', secret: SECRET_B }] });
+
+    const token = await sign(signer);
+
+    expect((await verify(verifier, token)).payload.userId).toBe('user-1');
+  });
+
+  it('should reject tokens with an unknown kid', async () => {
+    const signer = new KeyRing({ keys: [{ kid: 'c', secret: SECRET_A }] });
+    const verifier = new KeyRing({ keys: [{ kid: 'a', secret: SECRET_A }] });
+
+    const token = await sign(signer);
+
+    await expect(verify(verifier, token)).rejects.toThrow();
+  });
+
+  it('should reject tokens whose alg does not match the selected key', async () => {
+    const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const keyRing = new KeyRing({ keys: [{ kid: 'a', secret: SECRET_A }, { kid: 'b', algorithm: 'ES256', privateKey }] });
+
+    // Forge an HS256 token claiming the ES256 key
+    const token = await new SignJWT({ userId: 'user-1' })
+      .setProtectedHeader({ alg: 'HS256', kid: 'b' })
+      .sign(new TextEncoder().encode(SECRET_A));
+
+    await expect(verify(keyRing, token)).rejects.toThrow();
+  });
+
+  it('should verify tokens without a kid against the active key', async () => {
+    const keyRing = new KeyRing({ keys: [{ kid: 'a', secret: SECRET_A }] });
+    const token = await new SignJWT({ userId: 'user-1' })
+      .setProtectedHeader({ alg: 'HS256' })
+      .sign(new TextEncoder().encode(SECRET_A));
+
+    expect((await verify(keyRing, token)).payload.userId).toBe('user-1');
+  });
+});
+
+describe('KeyRing - JWKS', () => {
+  it('should publish every live asymmetric key with its kid', async () => {
+    const first = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const second = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const keyRing = new KeyRing({ keys: [{ kid: 'ec-1', algorithm: 'ES256', privateKey: first.privateKey }] });
+    const oldToken = await sign(keyRing);
+
+    keyRing.rotateKeys({ kid: 'rsa-1', algorithm: 'RS256', privateKey: second.privateKey });
+    const jwks = await keyRing.getJWKS();
+
+    expect(jwks.keys.map((key) => key.kid)).toEqual(['ec-1', 'rsa-1']);
+    const { payload } = await jwtVerify(oldToken, createLocalJWKSet(jwks));
+    expect(payload.userId).toBe('user-1');
+  });
+
+  it('should never publish HS256 secrets', async () => {
+    const keyRing = new KeyRing({ keys: [{ kid: 'a', secret: SECRET_A }] });
+
+    expect(await keyRing.getJWKS()).toEqual({ keys: [] });
+  });
+});
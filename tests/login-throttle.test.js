@@ -0,0 +1,71 @@
+import { describe, it, expect } from '@jest/globals';
+import { LoginThrottle } from '../src/core/login-throttle.js';
+
+const NOW = new Date('2026-01-01T12:00:00Z');
+const secondsAgo = (seconds) => new Date(NOW.getTime() - seconds * 1000);
+const failures = (count, lastFailureAt = NOW) => ({ count, firstFailureAt: secondsAgo(600), lastFailureAt });
+
+describe('LoginThrottle - Keys', () => {
+  it('should key accounts by lowercased email and clients by IP', () => {
+    const throttle = new LoginThrottle();
+
+    expect(throttle.accountKey('User@Example.com')).toBe('account:user@example.com');
+    expect(throttle.ipKey('203.0.113.7')).toBe('ip:203.0.113.7');
+  });
+
+  it('should forget failures after the window', () => {
+    expect(new LoginThrottle({ window: 60 }).resetBefore(NOW)).toEqual(secondsAgo(60));
+  });
+});
+
+describe('LoginThrottle - Lock Strategy', () => {
+  const throttle = new LoginThrottle({ maxAttempts: 3, ipMaxAttempts: 10, lockoutDuration: 300, window: 900 });
+
+  it('should allow attempts below the limit', () => {
+    expect(throttle.blockedUntil(null, 'account', NOW)).toBeNull();
+    expect(throttle.blockedUntil(failures(2), 'account', NOW)).toBeNull();
+  });
+
+  it('should lock for the lockout duration once the limit is reached', () => {
+    expect(throttle.blockedUntil(failures(3), 'account', NOW)).toEqual(new Date(NOW.getTime() + 300000));
+    expect(throttle.blockedUntil(failures(3, secondsAgo(299)), 'account', NOW)).not.toBeNull();
+    expect(throttle.blockedUntil(failures(3, secondsAgo(300)), 'account', NOW)).toBeNull();
+  });
+
+  it('should apply the IP limit to the ip scope', () => {
+    expect(throttle.blockedUntil(failures(3), 'ip', NOW)).toBeNull();
+    expect(throttle.blockedUntil(failures(10), 'ip', NOW)).not.toBeNull();
+  });
+
+  it('should ignore records older than the window', () => {
+    const longLock = new LoginThrottle({ maxAttempts: 3, lockoutDuration: 3600, window: 900 });
+
+    expect(longLock.blockedUntil(failures(3, secondsAgo(901)), 'account', NOW)).toBeNull();
+  });
+});
+
+describe('LoginThrottle - Backoff Strategy', () => {
+  const throttle = new LoginThrottle({ maxAttempts: 3, strategy: 'backoff', backoffBase: 2, backoffMax: 30 });
+
+  it('should double the delay for every failure past the limit', () => {
+    const delay = (count) => (throttle.blockedUntil(failures(count), 'account', NOW).getTime() - NOW.getTime()) / 1000;
+
+    expect(delay(3)).toBe(2);
+    expect(delay(4)).toBe(4);
+    expect(delay(5)).toBe(8);
+    expect(delay(7)).toBe(30);
+    expect(delay(1000)).toBe(30);
+  });
+
+  it('should allow attempts once the delay has passed', () => {
+    expect(throttle.blockedUntil(failures(4, secondsAgo(4)), 'account', NOW)).toBeNull();
+  });
+});
+
+describe('LoginThrottle - Options', () => {
+  it('should reject invalid options', () => {
+    expect(() => new LoginThrottle({ maxAttempts: 0 })).toThrow();
+    expect(() => new LoginThrottle({ strategy: 'captcha' })).toThrow();
+    expect(() => new LoginThrottle({ window: -1 })).toThrow();
+  });
+});
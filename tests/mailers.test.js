@@ -0,0 +1,101 @@
+import { BaseMailer } from '../src/mailers/base.js';
+import { MemoryMailer } from '../src/mailers/memory.js';
+
+describe('Mailers - BaseMailer Contract', () => {
+  it('should throw "Not Implemented" error for sendVerificationEmail', async () => {
+    const mailer = new BaseMailer();
+
+    await expect(mailer.sendVerificationEmail({ to: 'user@example.com', token: 'token123' }))
+      .rejects
+      .toThrow('Method sendVerificationEmail() must be implemented');
+  });
+
+  it('should throw "Not Implemented" error for sendPasswordResetEmail', async () => {
+    const mailer = new BaseMailer();
+
+    await expect(mailer.sendPasswordResetEmail({ to: 'user@example.com', token: 'token123' }))
+      .rejects
+      .toThrow('Method sendPasswordResetEmail() must be implemented');
+  });
+
+  it('should throw "Not Implemented" error for sendMagicLinkEmail', async () => {
+    const mailer = new BaseMailer();
+
+    await expect(mailer.sendMagicLinkEmail({ to: 'user@example.com', token: 'token123' }))
+      .rejects
+      .toThrow('Method sendMagicLinkEmail() must be implemented');
+  });
+
+  it('should throw "Not Implemented" error for sendOtpEmail', async () => {
+    const mailer = new BaseMailer();
+
+    await expect(mailer.sendOtpEmail({ to: 'user@example.com', code: '123456', purpose: 'login' }))
+      .rejects
+      .toThrow('Method sendOtpEmail() must be implemented');
+  });
+});
+
+describe('Mailers - MemoryMailer Implementation', () => {
+  let mailer;
+
+  beforeEach(() => {
+    mailer = new MemoryMailer();
+  });
+
+  it('should record verification emails', async () => {
+    await mailer.sendVerificationEmail({ to: 'user@example.com', token: 'token123', userId: 'user123' });
+
+    expect(mailer.messages).toEqual([
+      { type: 'verification', to: 'user@example.com', token: 'token123', userId: 'user123' },
+    ]);
+  });
+
+  it('should record password reset emails', async () => {
+    await mailer.sendPasswordResetEmail({ to: 'user@example.com', token: 'token123' });
+
+    expect(mailer.lastMessageTo('user@example.com')).toEqual({
+      type: 'password-reset',
+      to: 'user@example.com',
+      token: 'token123',
+    });
+  });
+
+  it('should record magic link emails', async () => {
+    await mailer.sendMagicLinkEmail({ to: 'user@example.com', token: 'token123', redirectUrl: '/dashboard' });
+
+    expect(mailer.lastMessageTo('user@example.com')).toEqual({
+      type: 'magic-link',
+      to: 'user@example.com',
+      token: 'token123',
+      redirectUrl: '/dashboard',
+    });
+  });
+
+  it('should record one-time code emails', async () => {
+    await mailer.sendOtpEmail({ to: 'user@example.com', code: '123456', purpose: 'verify' });
+
+    expect(mailer.lastMessageTo('user@example.com')).toEqual({
+      type: 'otp',
+      to: 'user@example.com',
+      code: '123456',
+      purpose: 'verify',
+    });
+  });
+
+  it('should return the latest message for a recipient', async () => {
+    await mailer.sendVerificationEmail({ to: 'user@example.com', token: 'first' });
+    await mailer.sendVerificationEmail({ to: 'other@example.com', token: 'other' });
+    await mailer.sendVerificationEmail({ to: 'user@example.com', token: 'second' });
+
+    expect(mailer.lastMessageTo('user@example.com').token).toBe('second');
+    expect(mailer.lastMessageTo('nobody@example.com')).toBeNull();
+  });
+
+  it('should forget messages on clear', async () => {
+    await mailer.sendVerificationEmail({ to: 'user@example.com', token: 'token123' });
+
+    mailer.clear();
+
+    expect(mailer.messages).toEqual([]);
+  });
+});
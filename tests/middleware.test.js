@@ -0,0 +1,1040 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, jest } from '@jest/globals';
+import { createAuthMiddleware } from '../src/middleware/auth.js';
+import { MemoryAdapter } from '../src/adapters/memory.js';
+import { AccessPolicy, anyOf, hasPermission, hasRole, isOwner } from '../src/core/access-policy.js';
+import { generateApiKey, hashApiKey } from '../src/core/api-keys.js';
+import { signAccessToken } from '../src/core/crypto.js';
+import { KeyRing } from '../src/core/keyring.js';
+import { MemoryRateLimitStore } from '../src/stores/memory.js';
+import { generateKeyPairSync } from 'node:crypto';
+import { SignJWT } from 'jose';
+
+// Mock environment variables
+const originalEnv = process.env;
+
+const config = {
+  accessTokenSecret: 'test_access_secret_32_characters_long_1234567890',
+  refreshTokenSecret: 'test_refresh_secret_32_characters_long_1234567890',
+};
+
+beforeAll(() => {
+  process.env = { ...originalEnv };
+  process.env.ACCESS_TOKEN_SECRET = config.accessTokenSecret;
+  process.env.REFRESH_TOKEN_SECRET = config.refreshTokenSecret;
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+// Minimal Express-like request/response doubles
+function mockRequest({ method = 'GET', headers = {}, cookies } = {}) {
+  return { method, headers, cookies };
+}
+
+function mockResponse() {
+  const headers = {};
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((body) => {
+      res.body = body;
+      return res;
+    }),
+    getHeader: (name) => headers[name.toLowerCase()],
+    setHeader: (name, value) => {
+      headers[name.toLowerCase()] = value;
+    },
+  };
+  return res;
+}
+
+describe('AuthMiddleware - Bearer Authentication', () => {
+  it('should authenticate a valid access token from the Authorization header', async () => {
+    const middleware = createAuthMiddleware(config);
+    const token = await signAccessToken({ userId: 'user-1', role: 'user' });
+    const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await middleware.authenticate(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.userId).toBe('user-1');
+    expect(req.user.role).toBe('user');
+  });
+
+  it('should keep the session claim on req.user', async () => {
+    const middleware = createAuthMiddleware(config);
+    const token = await signAccessToken({ userId: 'user-1', role: 'user', sid: 'session-1' });
+    const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+
+    await middleware.authenticate(req, mockResponse(), jest.fn());
+
+    expect(req.user.sid).toBe('session-1');
+  });
+
+  it('should return 401 when no token is present', async () => {
+    const middleware = createAuthMiddleware(config);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await middleware.authenticate(mockRequest(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toEqual({ error: 'Unauthorized' });
+  });
+
+  it('should return 403 for a tampered token', async () => {
+    const middleware = createAuthMiddleware(config);
+    const token = await signAccessToken({ userId: 'user-1', role: 'user' });
+    const req = mockRequest({ headers: { authorization: `Bearer ${token}x` } });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await middleware.authenticate(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should ignore cookies when cookie mode is disabled', async () => {
+    const middleware = createAuthMiddleware(config);
+    const token = await signAccessToken({ userId: 'user-1', role: 'user' });
+    const req = mockRequest({ headers: { cookie: `ryauth_access=${token}` } });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await middleware.authenticate(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+});
+
+describe('AuthMiddleware - Cookie Transport', () => {
+  const cookieConfig = {
+    ...config,
+    cookies: { refreshPath: '/auth', domain: 'example.com', sameSite: 'lax' },
+  };
+
+  it('should set HttpOnly, Secure, SameSite cookies for both tokens', () => {
+    const middleware = createAuthMiddleware(cookieConfig);
+    const res = mockResponse();
+
+    middleware.setTokenCookies(res, { accessToken: 'access.jwt.value', refreshToken: 'refresh.jwt.value' });
+
+    const [accessCookie, refreshCookie] = res.getHeader('Set-Cookie');
+    expect(accessCookie).toMatch(/^ryauth_access=access\.jwt\.value;/);
+    expect(accessCookie).toContain('Path=/;');
+    expect(accessCookie).toContain('Max-Age=900');
+    expect(refreshCookie).toMatch(/^ryauth_refresh=refresh\.jwt\.value;/);
+    expect(refreshCookie).toContain('Path=/auth');
+    expect(refreshCookie).toContain('Max-Age=604800');
+
+    for (const cookie of [accessCookie, refreshCookie]) {
+      expect(cookie).toContain('Domain=example.com');
+      expect(cookie).toContain('HttpOnly');
+      expect(cookie).toContain('Secure');
+      expect(cookie).toContain('SameSite=Lax');
+    }
+  });
+
+  it('should keep Set-Cookie headers written by other code', () => {
+    const middleware = createAuthMiddleware(cookieConfig);
+    const res = mockResponse();
+    res.setHeader('Set-Cookie', 'theme=dark');
+
+    middleware.setTokenCookies(res, { refreshToken: 'refresh.jwt.value' });
+
+    const cookies = res.getHeader('Set-Cookie');
+    expect(cookies).toHaveLength(2);
+    expect(cookies[0]).toBe('theme=dark');
+  });
+
+  it('should authenticate using the access token cookie', async () => {
+    const middleware = createAuthMiddleware(cookieConfig);
+    const token = await signAccessToken({ userId: 'user-1', role: 'admin' });
+    const req = mockRequest({ headers: { cookie: `other=1; ryauth_access=${token}` } });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await middleware.authenticate(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.role).toBe('admin');
+  });
+
+  it('should read cookies already parsed by cookie-parser', async () => {
+    const middleware = createAuthMiddleware({ ...config, cookies: { accessTokenName: 'sid' } });
+    const token = await signAccessToken({ userId: 'user-1', role: 'user' });
+    const req = mockRequest({ cookies: { sid: token } });
+    const next = jest.fn();
+
+    await middleware.authenticate(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.userId).toBe('user-1');
+  });
+
+  it('should read the refresh token cookie', () => {
+    const middleware = createAuthMiddleware(cookieConfig);
+    const req = mockRequest({ headers: { cookie: 'ryauth_refresh=refresh.jwt.value' } });
+
+    expect(middleware.getRefreshToken(req)).toBe('refresh.jwt.value');
+    expect(middleware.getRefreshToken(mockRequest())).toBeNull();
+  });
+
+  it('should clear both cookies on logout', () => {
+    const middleware = createAuthMiddleware(cookieConfig);
+    const res = mockResponse();
+
+    middleware.clearTokenCookies(res);
+
+    const [accessCookie, refreshCookie] = res.getHeader('Set-Cookie');
+    expect(accessCookie).toMatch(/^ryauth_access=;/);
+    expect(refreshCookie).toMatch(/^ryauth_refresh=;/);
+    expect(refreshCookie).toContain('Path=/auth');
+    expect(refreshCookie).toContain('Max-Age=0');
+    expect(refreshCookie).toContain('Expires=Thu, 01 Jan 1970 00:00:00 GMT');
+  });
+
+  it('should throw when cookie helpers are used without cookie mode', () => {
+    const middleware = createAuthMiddleware(config);
+
+    expect(() => middleware.setTokenCookies(mockResponse(), { accessToken: 'a' }))
+      .toThrow('Cookie mode is not enabled');
+    expect(() => middleware.clearTokenCookies(mockResponse()))
+      .toThrow('Cookie mode is not enabled');
+  });
+});
+
+describe('AuthMiddleware - CSRF Protection', () => {
+  const csrfConfig = {
+    ...config,
+    cookies: {},
+    csrf: { exempt: ['/auth/login', /^\/webhooks\//] },
+  };
+
+  // Issue a token through the response and build a request echoing it back
+  function issueToken(middleware) {
+    const res = mockResponse();
+    const token = middleware.issueCsrfToken(res);
+    return { token, setCookie: res.getHeader('Set-Cookie')[0] };
+  }
+
+  it('should require cookie mode', () => {
+    expect(() => createAuthMiddleware({ ...config, csrf: {} }))
+      .toThrow('CSRF protection requires cookie mode');
+  });
+
+  it('should issue a readable CSRF cookie alongside the session cookies', () => {
+    const middleware = createAuthMiddleware(csrfConfig);
+    const res = mockResponse();
+
+    const token = middleware.setTokenCookies(res, { accessToken: 'a.b.c', refreshToken: 'd.e.f' });
+
+    const cookies = res.getHeader('Set-Cookie');
+    expect(cookies).toHaveLength(3);
+    expect(cookies[2]).toMatch(new RegExp(`^ryauth_csrf=${token.replace('.', '\\.')};`));
+    expect(cookies[2]).not.toContain('HttpOnly');
+    expect(cookies[2]).toContain('SameSite=Strict');
+  });
+
+  it('should allow unsafe requests with a matching header and cookie', () => {
+    const middleware = createAuthMiddleware(csrfConfig);
+    const { token } = issueToken(middleware);
+    const req = mockRequest({
+      method: 'POST',
+      headers: { cookie: `ryauth_csrf=${token}`, 'x-csrf-token': token },
+    });
+    const next = jest.fn();
+
+    middleware.csrfProtect()(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should reject unsafe requests without a header with 403', () => {
+    const middleware = createAuthMiddleware(csrfConfig);
+    const { token } = issueToken(middleware);
+    const req = mockRequest({ method: 'POST', headers: { cookie: `ryauth_csrf=${token}` } });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    middleware.csrfProtect()(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({ error: 'Missing CSRF token' });
+  });
+
+  it('should reject mismatched header and cookie with 403', () => {
+    const middleware = createAuthMiddleware(csrfConfig);
+    const { token } = issueToken(middleware);
+    const { token: otherToken } = issueToken(middleware);
+    const req = mockRequest({
+      method: 'DELETE',
+      headers: { cookie: `ryauth_csrf=${token}`, 'x-csrf-token': otherToken },
+    });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    middleware.csrfProtect()(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({ error: 'Invalid CSRF token' });
+  });
+
+  it('should reject matching tokens that were not signed by the server', () => {
+    const middleware = createAuthMiddleware(csrfConfig);
+    const forged = 'attacker-chosen.value';
+    const req = mockRequest({
+      method: 'POST',
+      headers: { cookie: `ryauth_csrf=${forged}`, 'x-csrf-token': forged },
+    });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    middleware.csrfProtect()(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.body).toEqual({ error: 'Invalid CSRF token' });
+  });
+
+  it('should skip safe methods', () => {
+    const middleware = createAuthMiddleware(csrfConfig);
+    const next = jest.fn();
+
+    middleware.csrfProtect()(mockRequest({ method: 'GET' }), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should skip exempt paths', () => {
+    const middleware = createAuthMiddleware(csrfConfig);
+    const next = jest.fn();
+
+    middleware.csrfProtect()({ ...mockRequest({ method: 'POST' }), path: '/auth/login' }, mockResponse(), next);
+    middleware.csrfProtect()({ ...mockRequest({ method: 'POST' }), url: '/webhooks/stripe?id=1' }, mockResponse(), next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  it('should clear the CSRF cookie on logout', () => {
+    const middleware = createAuthMiddleware(csrfConfig);
+    const res = mockResponse();
+
+    middleware.clearTokenCookies(res);
+
+    expect(res.getHeader('Set-Cookie')[2]).toMatch(/^ryauth_csrf=;/);
+  });
+});
+
+describe('AuthMiddleware - Asymmetric Verification', () => {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+  function signES256(payload) {
+    return new SignJWT(payload)
+      .setProtectedHeader({ alg: 'ES256' })
+      .setIssuedAt()
+      .setExpirationTime('15m')
+      .sign(privateKey);
+  }
+
+  it('should authenticate with only a public key', async () => {
+    const middleware = createAuthMiddleware({ algorithm: 'ES256', publicKey: publicPem });
+    const token = await signES256({ userId: 'user-1', role: 'user' });
+    const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+    const next = jest.fn();
+
+    await middleware.authenticate(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.userId).toBe('user-1');
+  });
+
+  it('should accept a JWK public key', async () => {
+    const middleware = createAuthMiddleware({ algorithm: 'ES256', publicKey: publicKey.export({ format: 'jwk' }) });
+    const token = await signES256({ userId: 'user-1', role: 'user' });
+    const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+    const next = jest.fn();
+
+    await middleware.authenticate(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should reject tokens signed with a different algorithm', async () => {
+    const middleware = createAuthMiddleware({ algorithm: 'ES256', publicKey: publicPem });
+    const token = await signAccessToken({ userId: 'user-1', role: 'user' });
+    const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await middleware.authenticate(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should require a public key for asymmetric algorithms', () => {
+    expect(() => createAuthMiddleware({ algorithm: 'RS256' }))
+      .toThrow('publicKey is required for asymmetric algorithms');
+  });
+
+  it('should require a secret for HS256', () => {
+    expect(() => createAuthMiddleware({}))
+      .toThrow('accessTokenSecret is required for HS256');
+  });
+
+  it('should serve the public key from the JWKS handler', async () => {
+    const middleware = createAuthMiddleware({ algorithm: 'ES256', publicKey: publicPem });
+    const res = mockResponse();
+
+    await middleware.jwksHandler()(mockRequest(), res);
+
+    expect(res.getHeader('Cache-Control')).toBe('public, max-age=300');
+    expect(res.body.keys).toHaveLength(1);
+    expect(res.body.keys[0]).toMatchObject({ kty: 'EC', alg: 'ES256', use: 'sig' });
+  });
+
+  it('should serve an empty key set for HS256', async () => {
+    const middleware = createAuthMiddleware(config);
+    const res = mockResponse();
+
+    await middleware.jwksHandler()(mockRequest(), res);
+
+    expect(res.body).toEqual({ keys: [] });
+  });
+
+  it('should pass key export errors from the JWKS handler to next', async () => {
+    const keyRing = new KeyRing({ keys: [{ kid: 'a', secret: config.accessTokenSecret }] });
+    const error = new Error('Key export failed');
+    jest.spyOn(keyRing, 'getJWKS').mockRejectedValue(error);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await createAuthMiddleware({ keyRing }).jwksHandler()(mockRequest(), res, next);
+
+    expect(next).toHaveBeenCalledWith(error);
+    expect(res.body).toBeUndefined();
+  });
+});
+
+describe('AuthMiddleware - Key Rotation', () => {
+  const SECRET_B = 'test_rotated_secret_32_characters_long_1234567890';
+
+  function signWith(keyRing, payload) {
+    const key = keyRing.getActiveKey();
+    return new SignJWT(payload)
+      .setProtectedHeader({ alg: key.algorithm, kid: key.kid })
+      .setIssuedAt()
+      .setExpirationTime('15m')
+      .sign(key.signingKey);
+  }
+
+  async function authenticateWith(middleware, token) {
+    const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware.authenticate(req, res, next);
+    return { req, res, next };
+  }
+
+  it('should see rotations on a shared key ring', async () => {
+    const keyRing = new KeyRing({ keys: [{ kid: 'a', secret: config.accessTokenSecret }] });
+    const middleware = createAuthMiddleware({ keyRing });
+    const oldToken = await signWith(keyRing, { userId: 'user-1', role: 'user' });
+
+    keyRing.rotateKeys({ kid: 'b', secret: SECRET_B });
+    const newToken = await signWith(keyRing, { userId: 'user-2', role: 'user' });
+
+    expect((await authenticateWith(middleware, oldToken)).next).toHaveBeenCalled();
+    expect((await authenticateWith(middleware, newToken)).next).toHaveBeenCalled();
+  });
+
+  it('should verify against a static list of keys by kid', async () => {
+    const signer = new KeyRing({ keys: [{ kid: 'b', secret: SECRET_B }] });
+    const middleware = createAuthMiddleware({
+      keys: [
+        { kid: 'a', secret: config.accessTokenSecret },
+        { kid: 'b', secret: SECRET_B },
+      ],
+    });
+
+    const token = await signWith(signer, { userId: 'user-1', role: 'user' });
+
+    expect((await authenticateWith(middleware, token)).next).toHaveBeenCalled();
+  });
+
+  it('should reject tokens signed by an unknown kid', async () => {
+    const signer = new KeyRing({ keys: [{ kid: 'c', secret: SECRET_B }] });
+    const middleware = createAuthMiddleware({ keys: [{ kid: 'a', secret: config.accessTokenSecret }] });
+
+    const token = await signWith(signer, { userId: 'user-1', role: 'user' });
+    const { res, next } = await authenticateWith(middleware, token);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('AuthMiddleware - Rate Limiting', () => {
+  const request = (overrides = {}) => ({ method: 'POST', headers: {}, ip: '203.0.113.7', body: {}, ...overrides });
+
+  async function hit(limiter, req = request()) {
+    const res = mockResponse();
+    const next = jest.fn();
+    await limiter(req, res, next);
+    return { res, next };
+  }
+
+  beforeEach(() => {
+    // Ten seconds into a one-minute window
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:10Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should allow requests up to the limit with RateLimit headers', async () => {
+    const limiter = createAuthMiddleware(config).rateLimit({ windowMs: 60000, max: 2 });
+
+    const first = await hit(limiter);
+    const second = await hit(limiter);
+
+    expect(first.next).toHaveBeenCalled();
+    expect(second.next).toHaveBeenCalled();
+    expect(first.res.getHeader('RateLimit-Limit')).toBe('2');
+    expect(first.res.getHeader('RateLimit-Remaining')).toBe('1');
+    expect(second.res.getHeader('RateLimit-Remaining')).toBe('0');
+    expect(second.res.getHeader('RateLimit-Reset')).toBe('50');
+    expect(second.res.getHeader('RateLimit-Policy')).toBe('2;w=60');
+  });
+
+  it('should reject requests over the limit with 429 and Retry-After', async () => {
+    const limiter = createAuthMiddleware(config).rateLimit({ windowMs: 60000, max: 2 });
+    await hit(limiter);
+    await hit(limiter);
+
+    const { res, next } = await hit(limiter);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toEqual({ error: 'Too many requests' });
+    // 50s until this window ends, then 40s more until two of its three requests have slid out
+    expect(res.getHeader('Retry-After')).toBe('90');
+  });
+
+  it('should slide the previous window out gradually', async () => {
+    const limiter = createAuthMiddleware(config).rateLimit({ windowMs: 60000, max: 2 });
+    const early = request({ ip: '203.0.113.7' });
+    const late = request({ ip: '198.51.100.1' });
+    for (const req of [early, early, late, late]) {
+      await hit(limiter, req);
+    }
+
+    // A quarter into the next window, 1.5 of the previous two requests still count
+    jest.setSystemTime(new Date('2026-01-01T00:01:15Z'));
+    expect((await hit(limiter, early)).res.statusCode).toBe(429);
+
+    // Just past halfway, less than one does
+    jest.setSystemTime(new Date('2026-01-01T00:01:31Z'));
+    expect((await hit(limiter, late)).next).toHaveBeenCalled();
+  });
+
+  it('should key by IP by default', async () => {
+    const limiter = createAuthMiddleware(config).rateLimit({ max: 1 });
+    await hit(limiter);
+
+    expect((await hit(limiter)).res.statusCode).toBe(429);
+    expect((await hit(limiter, request({ ip: '198.51.100.1' }))).next).toHaveBeenCalled();
+  });
+
+  it('should key by the email in the body, case-insensitively', async () => {
+    const limiter = createAuthMiddleware(config).rateLimit({ max: 1, key: 'email' });
+    await hit(limiter, request({ body: { email: 'user@example.com' } }));
+
+    const sameEmail = await hit(limiter, request({ ip: '198.51.100.1', body: { email: 'USER@example.com' } }));
+    const otherEmail = await hit(limiter, request({ body: { email: 'other@example.com' } }));
+
+    expect(sameEmail.res.statusCode).toBe(429);
+    expect(otherEmail.next).toHaveBeenCalled();
+  });
+
+  it('should key by the authenticated user', async () => {
+    const limiter = createAuthMiddleware(config).rateLimit({ max: 1, key: 'user' });
+    await hit(limiter, request({ user: { userId: 'user-1' } }));
+
+    const sameUser = await hit(limiter, request({ ip: '198.51.100.1', user: { userId: 'user-1' } }));
+    const otherUser = await hit(limiter, request({ user: { userId: 'user-2' } }));
+
+    expect(sameUser.res.statusCode).toBe(429);
+    expect(otherUser.next).toHaveBeenCalled();
+  });
+
+  it('should fall back to the IP when the email or user is missing', async () => {
+    const limiter = createAuthMiddleware(config).rateLimit({ max: 1, key: 'email' });
+    await hit(limiter);
+
+    expect((await hit(limiter)).res.statusCode).toBe(429);
+  });
+
+  it('should accept a key function and skip requests without a key', async () => {
+    const limiter = createAuthMiddleware(config).rateLimit({ max: 1, key: (req) => req.headers['x-api-client'] });
+    const client = request({ headers: { 'x-api-client': 'mobile' } });
+    await hit(limiter, client);
+
+    expect((await hit(limiter, client)).res.statusCode).toBe(429);
+    expect((await hit(limiter)).next).toHaveBeenCalled();
+    expect((await hit(limiter)).next).toHaveBeenCalled();
+  });
+
+  it('should count in a shared store under the prefix', async () => {
+    const store = new MemoryRateLimitStore();
+    const increment = jest.spyOn(store, 'increment');
+    const middleware = createAuthMiddleware(config);
+    const login = middleware.rateLimit({ max: 1, store, prefix: 'login:' });
+    const register = middleware.rateLimit({ max: 1, store, prefix: 'register:' });
+
+    await hit(login);
+
+    expect((await hit(register)).next).toHaveBeenCalled();
+    expect(increment).toHaveBeenCalledWith('login:ip:203.0.113.7', 60000);
+  });
+
+  it('should pass store errors to next', async () => {
+    const store = new MemoryRateLimitStore();
+    jest.spyOn(store, 'increment').mockRejectedValue(new Error('Store unavailable'));
+    const limiter = createAuthMiddleware(config).rateLimit({ store });
+
+    const { next } = await hit(limiter);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Store unavailable' }));
+  });
+
+  it('should reject invalid options', () => {
+    const middleware = createAuthMiddleware(config);
+
+    expect(() => middleware.rateLimit({ max: 0 })).toThrow();
+    expect(() => middleware.rateLimit({ key: 'session' })).toThrow();
+    expect(() => middleware.rateLimit({ store: {} })).toThrow('store must extend BaseRateLimitStore');
+  });
+});
+
+describe('AuthMiddleware - API Keys', () => {
+  let adapter;
+  let user;
+
+  beforeEach(async () => {
+    adapter = new MemoryAdapter();
+    user = await adapter.createUser({ email: 'robot@example.com', hashedPassword: null, role: 'service', emailVerified: true });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  async function addKey(overrides = {}) {
+    const { id, key } = generateApiKey();
+    await adapter.saveApiKey({
+      id,
+      userId: user.id,
+      prefix: 'ryauth',
+      keyHash: hashApiKey(key),
+      scopes: ['orders:read'],
+      createdAt: new Date(),
+      ...overrides,
+    });
+    return { id, key };
+  }
+
+  async function call(handler, headers) {
+    const req = mockRequest({ headers });
+    const res = mockResponse();
+    const next = jest.fn();
+    await handler(req, res, next);
+    return { req, res, next };
+  }
+
+  it('should authenticate a key from X-API-Key like a token', async () => {
+    const { id, key } = await addKey();
+
+    const { req, next } = await call(createAuthMiddleware({ ...config, adapter }).authenticateApiKey(), { 'x-api-key': key });
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toEqual({
+      userId: user.id,
+      email: 'robot@example.com',
+      role: 'service',
+      roles: ['service'],
+      emailVerified: true,
+      apiKeyId: id,
+      scopes: ['orders:read'],
+    });
+  });
+
+  it('should resolve the key user\'s roles like an access token does', async () => {
+    const { key } = await addKey();
+    jest.spyOn(adapter, 'findUserById').mockResolvedValue({ id: user.id, email: 'robot@example.com', roles: ['billing'] });
+    const middleware = createAuthMiddleware({ ...config, adapter });
+
+    const { req } = await call(middleware.authenticateApiKey(), { 'x-api-key': key });
+    const next = jest.fn();
+    middleware.authorize('user')(req, mockResponse(), next);
+
+    expect(req.user).toMatchObject({ role: 'user', roles: ['user', 'billing'], emailVerified: false });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should accept Authorization: ApiKey', async () => {
+    const { key } = await addKey();
+
+    const { req, next } = await call(createAuthMiddleware({ ...config, adapter }).authenticateApiKey(), { authorization: `ApiKey ${key}` });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.userId).toBe(user.id);
+  });
+
+  it('should return 401 without a key and 403 for bad keys', async () => {
+    const handler = createAuthMiddleware({ ...config, adapter }).authenticateApiKey();
+    const { id, key } = await addKey();
+    const unknown = generateApiKey().key;
+    const forged = `ryauth_${id}_${unknown.split('_')[2]}`;
+
+    expect((await call(handler, {})).res.statusCode).toBe(401);
+    expect((await call(handler, { authorization: `Bearer ${key}` })).res.statusCode).toBe(401);
+    for (const bad of [unknown, forged, 'not-a-key']) {
+      const { res, next } = await call(handler, { 'x-api-key': bad });
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(403);
+      expect(res.body).toEqual({ error: 'Forbidden' });
+    }
+  });
+
+  it('should reject expired keys, deleted keys and keys of deleted users', async () => {
+    const handler = createAuthMiddleware({ ...config, adapter }).authenticateApiKey();
+    const expired = await addKey({ expiresAt: new Date(Date.now() + 1000) });
+    const deleted = await addKey();
+    const orphan = await addKey({ userId: 'gone' });
+    await adapter.deleteApiKey(deleted.id);
+
+    jest.useFakeTimers({ now: Date.now() + 2000 });
+
+    for (const { key } of [expired, deleted, orphan]) {
+      expect((await call(handler, { 'x-api-key': key })).res.statusCode).toBe(403);
+    }
+  });
+
+  it('should record when a key was last used, at most once a minute', async () => {
+    const handler = createAuthMiddleware({ ...config, adapter }).authenticateApiKey();
+    const { id, key } = await addKey();
+    const update = jest.spyOn(adapter, 'updateApiKey');
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+
+    await call(handler, { 'x-api-key': key });
+    jest.setSystemTime(new Date('2026-01-01T00:00:30Z'));
+    await call(handler, { 'x-api-key': key });
+    jest.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+    await call(handler, { 'x-api-key': key });
+
+    expect(update).toHaveBeenCalledTimes(2);
+    expect((await adapter.findApiKey(id)).lastUsedAt).toEqual(new Date('2026-01-01T00:01:00Z'));
+  });
+
+  it('should pass adapter errors to next', async () => {
+    const { key } = await addKey();
+    jest.spyOn(adapter, 'findApiKey').mockRejectedValue(new Error('Database unavailable'));
+
+    const { next } = await call(createAuthMiddleware({ ...config, adapter }).authenticateApiKey(), { 'x-api-key': key });
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Database unavailable' }));
+  });
+
+  it('should need an adapter', () => {
+    expect(() => createAuthMiddleware(config).authenticateApiKey())
+      .toThrow('API keys need an adapter - pass adapter to createAuthMiddleware');
+    expect(() => createAuthMiddleware({ ...config, adapter: {} })).toThrow('adapter must extend BaseAdapter');
+  });
+
+  it('should require scopes of API key requests only', async () => {
+    const middleware = createAuthMiddleware({ ...config, adapter });
+    const requireWrite = middleware.requireScopes('orders:read', 'orders:write');
+    const requireRead = middleware.requireScopes('orders:read');
+
+    const keyUser = { userId: user.id, role: 'service', scopes: ['orders:read'] };
+    const denied = await call((req, res, next) => requireWrite(Object.assign(req, { user: keyUser }), res, next), {});
+    const allowed = await call((req, res, next) => requireRead(Object.assign(req, { user: keyUser }), res, next), {});
+    const tokenUser = await call((req, res, next) => requireWrite(Object.assign(req, { user: { userId: 'user-1', role: 'user' } }), res, next), {});
+    const anonymous = await call(requireRead, {});
+
+    expect(denied.res.statusCode).toBe(403);
+    expect(denied.res.body).toEqual({ error: 'Insufficient scope' });
+    expect(allowed.next).toHaveBeenCalled();
+    expect(tokenUser.next).toHaveBeenCalled();
+    expect(anonymous.res.statusCode).toBe(401);
+  });
+});
+
+describe('AuthMiddleware - Permissions', () => {
+  const rolePolicy = {
+    roles: {
+      user: { permissions: ['posts:read'] },
+      editor: { inherits: ['user'], permissions: ['posts:*'] },
+      billing: { permissions: ['invoices:read'] },
+    },
+  };
+
+  async function authenticated(middleware, payload) {
+    const req = mockRequest({ headers: { authorization: `Bearer ${await signAccessToken(payload)}` } });
+    await middleware.authenticate(req, mockResponse(), jest.fn());
+    return req;
+  }
+
+  function run(handler, req) {
+    const res = mockResponse();
+    const next = jest.fn();
+    handler(req, res, next);
+    return { res, next };
+  }
+
+  it('should attach inherited roles and resolved permissions', async () => {
+    const middleware = createAuthMiddleware({ ...config, rolePolicy });
+
+    const req = await authenticated(middleware, { userId: 'user-1', role: 'editor', roles: ['editor', 'billing'] });
+
+    expect(req.user.roles).toEqual(['editor', 'user', 'billing']);
+    expect(req.user.permissions).toEqual(['invoices:read', 'posts:*', 'posts:read']);
+  });
+
+  it('should treat tokens without a roles claim as holding their role', async () => {
+    const req = await authenticated(createAuthMiddleware(config), { userId: 'user-1', role: 'admin' });
+
+    expect(req.user.roles).toEqual(['admin']);
+    expect(req.user.permissions).toBeUndefined();
+  });
+
+  it('should authorize any held or inherited role', async () => {
+    const middleware = createAuthMiddleware({ ...config, rolePolicy });
+    const req = await authenticated(middleware, { userId: 'user-1', role: 'editor', roles: ['editor', 'billing'] });
+
+    expect(run(middleware.authorize('billing'), req).next).toHaveBeenCalled();
+    expect(run(middleware.authorize('user'), req).next).toHaveBeenCalled();
+    expect(run(middleware.authorize('admin'), req).res.statusCode).toBe(403);
+  });
+
+  it('should require every permission unless asked to match any', async () => {
+    const middleware = createAuthMiddleware({ ...config, rolePolicy });
+    const req = await authenticated(middleware, { userId: 'user-1', role: 'user' });
+
+    expect(run(middleware.requirePermission('posts:read'), req).next).toHaveBeenCalled();
+    const denied = run(middleware.requirePermission('posts:read', 'posts:write'), req);
+    expect(denied.res.statusCode).toBe(403);
+    expect(denied.res.body).toEqual({ error: 'Forbidden' });
+    expect(run(middleware.requirePermission('posts:read', 'posts:write', { match: 'any' }), req).next).toHaveBeenCalled();
+    expect(run(middleware.requirePermission('posts:delete', 'invoices:read', { match: 'any' }), req).res.statusCode).toBe(403);
+  });
+
+  it('should grant wildcard permissions', async () => {
+    const middleware = createAuthMiddleware({ ...config, rolePolicy });
+    const req = await authenticated(middleware, { userId: 'user-1', role: 'editor' });
+
+    expect(run(middleware.requirePermission('posts:write', 'posts:comments:delete'), req).next).toHaveBeenCalled();
+  });
+
+  it('should resolve permissions of users attached elsewhere and return 401 without a user', () => {
+    const middleware = createAuthMiddleware({ ...config, rolePolicy });
+    const handler = middleware.requirePermission('posts:write');
+
+    expect(run(handler, { headers: {}, user: { userId: 'user-1', role: 'editor' } }).next).toHaveBeenCalled();
+    expect(run(handler, { headers: {} }).res.statusCode).toBe(401);
+  });
+
+  it('should grant API key users the permissions of their roles', async () => {
+    const adapter = new MemoryAdapter();
+    const user = await adapter.createUser({ email: 'robot@example.com', hashedPassword: null, role: 'service', roles: ['billing'] });
+    const { id, key } = generateApiKey();
+    await adapter.saveApiKey({ id, userId: user.id, prefix: 'ryauth', keyHash: hashApiKey(key), scopes: ['invoices'], createdAt: new Date() });
+    const middleware = createAuthMiddleware({ ...config, adapter, rolePolicy });
+    const req = mockRequest({ headers: { 'x-api-key': key } });
+
+    await middleware.authenticateApiKey()(req, mockResponse(), jest.fn());
+
+    expect(req.user.roles).toEqual(['service', 'billing']);
+    expect(run(middleware.requirePermission('invoices:read'), req).next).toHaveBeenCalled();
+  });
+
+  it('should validate the policy and the required permissions', () => {
+    const middleware = createAuthMiddleware({ ...config, rolePolicy });
+
+    expect(() => createAuthMiddleware(config).requirePermission('posts:read'))
+      .toThrow('Permissions need a rolePolicy - pass rolePolicy to createAuthMiddleware');
+    expect(() => createAuthMiddleware({ ...config, rolePolicy: { roles: { a: { inherits: ['b'] } } } }))
+      .toThrow('Role a inherits unknown role b');
+    expect(() => middleware.requirePermission()).toThrow('At least one permission is required');
+    expect(() => middleware.requirePermission('posts:*'))
+      .toThrow('Required permissions must be colon-separated names without wildcards');
+    expect(() => middleware.requirePermission('posts:read', { match: 'some' })).toThrow();
+  });
+});
+
+describe('AuthMiddleware - Resource Policies', () => {
+  const posts = new Map([['post-1', { id: 'post-1', authorId: 'user-1' }]]);
+  const accessPolicy = new AccessPolicy({
+    policies: {
+      'posts:edit': anyOf(isOwner('authorId'), hasPermission('posts:moderate')),
+      'posts:create': hasRole('editor'),
+    },
+  });
+  const rolePolicy = { roles: { user: {}, moderator: { inherits: ['user'], permissions: ['posts:moderate'] } } };
+  const loadPost = (req) => posts.get(req.params.id) ?? null;
+
+  async function run(handler, user, params = {}) {
+    const req = { headers: {}, params, user };
+    const res = mockResponse();
+    const next = jest.fn();
+    await handler(req, res, next);
+    return { req, res, next };
+  }
+
+  it('should let owners act on their own resources only', async () => {
+    const middleware = createAuthMiddleware({ ...config, accessPolicy });
+    const handler = middleware.authorizePolicy('posts:edit', { resource: loadPost });
+
+    const owner = await run(handler, { userId: 'user-1', role: 'user' }, { id: 'post-1' });
+    const other = await run(handler, { userId: 'user-2', role: 'user' }, { id: 'post-1' });
+    const missing = await run(handler, { userId: 'user-1', role: 'user' }, { id: 'post-2' });
+
+    expect(owner.next).toHaveBeenCalledWith();
+    expect(owner.req.resource).toBe(posts.get('post-1'));
+    expect(other.next).not.toHaveBeenCalled();
+    expect(other.res.statusCode).toBe(403);
+    expect(other.res.body).toEqual({ error: 'Forbidden' });
+    expect(missing.res.statusCode).toBe(403);
+  });
+
+  it('should resolve permissions for policies when a role policy is configured', async () => {
+    const middleware = createAuthMiddleware({ ...config, accessPolicy, rolePolicy });
+    const handler = middleware.authorizePolicy('posts:edit', { resource: loadPost });
+
+    expect((await run(handler, { userId: 'user-2', role: 'moderator' }, { id: 'post-1' })).next).toHaveBeenCalledWith();
+    expect((await run(handler, { userId: 'user-2', role: 'user' }, { id: 'post-1' })).res.statusCode).toBe(403);
+  });
+
+  it('should check policies without a resource', async () => {
+    const handler = createAuthMiddleware({ ...config, accessPolicy }).authorizePolicy('posts:create');
+
+    const editor = await run(handler, { userId: 'user-1', role: 'user', roles: ['user', 'editor'] });
+
+    expect(editor.next).toHaveBeenCalledWith();
+    expect(editor.req).not.toHaveProperty('resource');
+    expect((await run(handler, { userId: 'user-1', role: 'user' })).res.statusCode).toBe(403);
+    expect((await run(handler, undefined)).res.statusCode).toBe(401);
+  });
+
+  it('should pass loader and policy errors to next', async () => {
+    const broken = new AccessPolicy({ policies: { 'posts:edit': () => { throw new Error('Policy failed'); } } });
+    const loaderError = await run(
+      createAuthMiddleware({ ...config, accessPolicy }).authorizePolicy('posts:edit', { resource: async () => { throw new Error('Database unavailable'); } }),
+      { userId: 'user-1', role: 'user' }
+    );
+    const policyError = await run(createAuthMiddleware({ ...config, accessPolicy: broken }).authorizePolicy('posts:edit'), { userId: 'user-1', role: 'user' });
+
+    expect(loaderError.next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Database unavailable' }));
+    expect(policyError.next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Policy failed' }));
+  });
+
+  it('should check policies programmatically', async () => {
+    const middleware = createAuthMiddleware({ ...config, accessPolicy, rolePolicy });
+
+    expect(await middleware.can({ userId: 'user-1', role: 'user' }, 'posts:edit', posts.get('post-1'))).toBe(true);
+    expect(await middleware.can({ userId: 'user-2', role: 'moderator' }, 'posts:edit', posts.get('post-1'))).toBe(true);
+    expect(await middleware.can({ userId: 'user-2', role: 'user' }, 'posts:edit', posts.get('post-1'))).toBe(false);
+    await expect(middleware.can({ userId: 'user-1', role: 'user' }, 'posts:delete')).rejects.toThrow('Unknown policy posts:delete');
+  });
+
+  it('should validate the policy and the options', async () => {
+    const middleware = createAuthMiddleware({ ...config, accessPolicy: { policies: { 'posts:edit': isOwner('authorId') } } });
+
+    expect(() => createAuthMiddleware(config).authorizePolicy('posts:edit'))
+      .toThrow('Policies need an accessPolicy - pass accessPolicy to createAuthMiddleware');
+    await expect(createAuthMiddleware(config).can({ userId: 'user-1', role: 'user' }, 'posts:edit')).rejects.toThrow('Policies need an accessPolicy');
+    expect(() => middleware.authorizePolicy('posts:delete')).toThrow('Unknown policy posts:delete');
+    expect(() => middleware.authorizePolicy('posts:edit', { resource: 'post' })).toThrow();
+    expect(() => middleware.authorizePolicy('posts:edit', { loader: loadPost })).toThrow();
+    expect(() => createAuthMiddleware({ ...config, accessPolicy: { policies: { 'posts:edit': 'owner' } } })).toThrow();
+  });
+});
+
+describe('AuthMiddleware - Tenants', () => {
+  function run(handler, { user, params = {}, headers = {} }) {
+    const req = { headers, params, user };
+    const res = mockResponse();
+    const next = jest.fn();
+    handler(req, res, next);
+    return { res, next };
+  }
+
+  it('should keep the tenant claim on req.user', async () => {
+    const middleware = createAuthMiddleware(config);
+    const token = await signAccessToken({ userId: 'user-1', role: 'admin', roles: ['admin'], tid: 'org-1' });
+    const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+
+    await middleware.authenticate(req, mockResponse(), jest.fn());
+
+    expect(req.user).toMatchObject({ userId: 'user-1', roles: ['admin'], tid: 'org-1' });
+  });
+
+  it('should pass when the route or header names the token tenant', () => {
+    const handler = createAuthMiddleware(config).requireTenant();
+    const user = { userId: 'user-1', role: 'admin', tid: 'org-1' };
+
+    expect(run(handler, { user, params: { tenantId: 'org-1' } }).next).toHaveBeenCalledWith();
+    expect(run(handler, { user, headers: { 'x-tenant-id': 'org-1' } }).next).toHaveBeenCalledWith();
+    expect(run(handler, { user, params: { tenantId: 'org-1' }, headers: { 'x-tenant-id': 'org-1' } }).next).toHaveBeenCalledWith();
+  });
+
+  it('should return 403 for another tenant or an unscoped token', () => {
+    const handler = createAuthMiddleware(config).requireTenant();
+    const user = { userId: 'user-1', role: 'admin', tid: 'org-1' };
+
+    for (const denied of [
+      run(handler, { user, params: { tenantId: 'org-2' } }),
+      run(handler, { user, params: { tenantId: 'org-1' }, headers: { 'x-tenant-id': 'org-2' } }),
+      run(handler, { user: { userId: 'user-1', role: 'admin' }, params: { tenantId: 'org-1' } }),
+    ]) {
+      expect(denied.next).not.toHaveBeenCalled();
+      expect(denied.res.statusCode).toBe(403);
+      expect(denied.res.body).toEqual({ error: 'Tenant mismatch' });
+    }
+  });
+
+  it('should return 400 when the request names no tenant and 401 without a user', () => {
+    const handler = createAuthMiddleware(config).requireTenant();
+
+    const missing = run(handler, { user: { userId: 'user-1', role: 'admin', tid: 'org-1' } });
+
+    expect(missing.res.statusCode).toBe(400);
+    expect(missing.res.body).toEqual({ error: 'Tenant required' });
+    expect(run(handler, {}).res.statusCode).toBe(401);
+  });
+
+  it('should read custom parameter and header names', () => {
+    const handler = createAuthMiddleware(config).requireTenant({ param: 'orgId', header: 'X-Organization' });
+    const user = { userId: 'user-1', role: 'admin', tid: 'org-1' };
+
+    expect(run(handler, { user, params: { orgId: 'org-1' } }).next).toHaveBeenCalled();
+    expect(run(handler, { user, headers: { 'x-organization': 'org-2' } }).res.statusCode).toBe(403);
+    expect(run(handler, { user, params: { tenantId: 'org-1' } }).res.statusCode).toBe(400);
+    expect(() => createAuthMiddleware(config).requireTenant({ query: 'org' })).toThrow();
+  });
+});
@@ -0,0 +1,215 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { OAuthProvider, pkceChallenge } from '../src/core/oauth.js';
+import { StubProvider, CLIENT_ID } from './fixtures/oidc-provider.js';
+
+const flow = { state: 'state-1234567890', nonce: 'nonce-1234567890', codeVerifier: 'verifier-1234567890-1234567890-1234567890' };
+
+describe('OAuthProvider - Options', () => {
+  it('should need an issuer or all three endpoints', () => {
+    const base = { name: 'github', clientId: 'id', clientSecret: 'secret', redirectUri: 'https://app.example.com/callback' };
+
+    expect(() => new OAuthProvider(base)).toThrow('OAuth 2.0 providers without an issuer need');
+    expect(() => new OAuthProvider({ ...base, authorizationEndpoint: 'https://github.com/login/oauth/authorize' })).toThrow();
+    expect(new OAuthProvider({
+      ...base,
+      authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+      tokenEndpoint: 'https://github.com/login/oauth/access_token',
+      userinfoEndpoint: 'https://api.github.com/user',
+    }).isOpenIdConnect).toBe(false);
+  });
+
+  it('should validate names and client authentication', () => {
+    const base = { name: 'google', clientId: 'id', redirectUri: 'https://app.example.com/callback', issuer: 'https://accounts.google.com' };
+
+    expect(new OAuthProvider(base).name).toBe('google');
+    expect(() => new OAuthProvider({ ...base, name: 'Google!' })).toThrow('Provider name must be lowercase letters, digits and dashes');
+    expect(() => new OAuthProvider({ ...base, clientAuthMethod: 'client_secret_post' })).toThrow('clientSecret is required');
+  });
+
+  it('should derive S256 PKCE challenges', () => {
+    // RFC 7636 Appendix B
+    expect(pkceChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk')).toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+  });
+});
+
+describe('OAuthProvider - OpenID Connect', () => {
+  const stub = new StubProvider();
+
+  beforeAll(async () => {
+    await stub.start();
+  });
+
+  afterAll(async () => {
+    await stub.stop();
+  });
+
+  beforeEach(() => {
+    stub.tamper = {};
+    stub.emailInIdToken = true;
+  });
+
+  it('should build the authorization URL from discovery', async () => {
+    const provider = new OAuthProvider(stub.options());
+
+    const url = new URL(await provider.authorizationUrl(flow));
+
+    expect(url.origin + url.pathname).toBe(`${stub.issuer}/authorize`);
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      response_type: 'code',
+      client_id: CLIENT_ID,
+      redirect_uri: 'https://app.example.com/auth/callback',
+      scope: 'openid email profile',
+      state: flow.state,
+      nonce: flow.nonce,
+      code_challenge: pkceChallenge(flow.codeVerifier),
+      code_challenge_method: 'S256',
+    });
+  });
+
+  it('should fetch the discovery document once', async () => {
+    const provider = new OAuthProvider(stub.options());
+    const before = stub.requests.filter((request) => request.path.startsWith('/.well-known')).length;
+
+    await provider.metadata();
+    await provider.metadata();
+
+    expect(stub.requests.filter((request) => request.path.startsWith('/.well-known')).length).toBe(before + 1);
+  });
+
+  it('should reject a discovery document for another issuer', async () => {
+    const provider = new OAuthProvider(stub.options({ issuer: `${stub.issuer}/other` }));
+
+    await expect(provider.metadata()).rejects.toThrow('OAuth provider stub request failed: not_found');
+
+    const lying = new OAuthProvider(stub.options({ issuer: stub.issuer.replace('127.0.0.1', 'localhost') }));
+    await expect(lying.metadata()).rejects.toThrow('Discovery document issuer does not match');
+  });
+
+  it('should exchange the code with PKCE and validate the ID token', async () => {
+    const provider = new OAuthProvider(stub.options());
+    const { code } = stub.authorize(await provider.authorizationUrl(flow));
+
+    const identity = await provider.identify({ code, codeVerifier: flow.codeVerifier, nonce: flow.nonce });
+
+    expect(identity).toMatchObject({ subject: 'stub-user-1', email: 'social@example.com', emailVerified: true });
+    expect(identity.claims.iss).toBe(stub.issuer);
+    expect(stub.requests.findLast((entry) => entry.path === '/token').headers.authorization).toMatch(/^Basic /);
+  });
+
+  it('should authenticate with client_secret_post when asked', async () => {
+    const provider = new OAuthProvider(stub.options({ clientAuthMethod: 'client_secret_post' }));
+    const { code } = stub.authorize(await provider.authorizationUrl(flow));
+
+    await provider.identify({ code, codeVerifier: flow.codeVerifier, nonce: flow.nonce });
+
+    const request = stub.requests.findLast((entry) => entry.path === '/token');
+    expect(request.headers.authorization).toBeUndefined();
+    expect(new URLSearchParams(request.body).get('client_secret')).toBeTruthy();
+  });
+
+  it('should fail the exchange for a wrong code verifier or a reused code', async () => {
+    const provider = new OAuthProvider(stub.options());
+    const { code } = stub.authorize(await provider.authorizationUrl(flow));
+
+    await expect(provider.identify({ code, codeVerifier: 'another-verifier-1234567890-1234567890', nonce: flow.nonce }))
+      .rejects
+      .toThrow('OAuth provider stub request failed: invalid_grant');
+    await expect(provider.identify({ code, codeVerifier: flow.codeVerifier, nonce: flow.nonce }))
+      .rejects
+      .toThrow('invalid_grant');
+  });
+
+  it('should fail for a wrong client secret', async () => {
+    const provider = new OAuthProvider(stub.options({ clientSecret: 'wrong-secret' }));
+    const { code } = stub.authorize(await provider.authorizationUrl(flow));
+
+    await expect(provider.identify({ code, codeVerifier: flow.codeVerifier, nonce: flow.nonce }))
+      .rejects
+      .toThrow('invalid_client');
+  });
+
+  it.each([
+    ['signed with an unknown key', { signWith: 'other' }, 'Invalid ID token'],
+    ['for another audience', { aud: 'someone-else' }, 'Invalid ID token'],
+    ['from another issuer', { iss: 'https://evil.example' }, 'Invalid ID token'],
+    ['expired', { exp: Math.floor(Date.now() / 1000) - 60 }, 'Invalid ID token'],
+    ['with another nonce', { nonce: 'replayed-nonce' }, 'ID token nonce does not match'],
+    ['for several audiences without azp', { aud: [CLIENT_ID, 'someone-else'] }, 'ID token authorized party does not match'],
+  ])('should reject ID tokens %s', async (_, tamper, message) => {
+    const provider = new OAuthProvider(stub.options());
+    const { code } = stub.authorize(await provider.authorizationUrl(flow));
+    stub.tamper = tamper;
+
+    await expect(provider.identify({ code, codeVerifier: flow.codeVerifier, nonce: flow.nonce })).rejects.toThrow(message);
+  });
+
+  it('should accept several audiences when azp names the client', async () => {
+    const provider = new OAuthProvider(stub.options());
+    const { code } = stub.authorize(await provider.authorizationUrl(flow));
+    stub.tamper = { aud: [CLIENT_ID, 'someone-else'], azp: CLIENT_ID };
+
+    expect((await provider.identify({ code, codeVerifier: flow.codeVerifier, nonce: flow.nonce })).subject).toBe('stub-user-1');
+  });
+
+  it('should fetch the email from userinfo when the ID token has none', async () => {
+    stub.emailInIdToken = false;
+    const provider = new OAuthProvider(stub.options());
+    const { code } = stub.authorize(await provider.authorizationUrl(flow));
+
+    const identity = await provider.identify({ code, codeVerifier: flow.codeVerifier, nonce: flow.nonce });
+
+    expect(identity).toMatchObject({ subject: 'stub-user-1', email: 'social@example.com', emailVerified: true });
+  });
+
+  it('should map claims with a custom profile function', async () => {
+    const provider = new OAuthProvider(stub.options({
+      profile: async (claims, { accessToken }) => ({ subject: `custom-${claims.sub}`, email: accessToken ? claims.email : null }),
+    }));
+    const { code } = stub.authorize(await provider.authorizationUrl(flow));
+
+    const identity = await provider.identify({ code, codeVerifier: flow.codeVerifier, nonce: flow.nonce });
+
+    expect(identity).toMatchObject({ subject: 'custom-stub-user-1', email: 'social@example.com', emailVerified: false });
+  });
+});
+
+describe('OAuthProvider - Plain OAuth 2.0', () => {
+  const stub = new StubProvider({ oidc: false });
+
+  beforeAll(async () => {
+    await stub.start();
+  });
+
+  afterAll(async () => {
+    await stub.stop();
+  });
+
+  it('should identify users through userinfo without asking for an ID token', async () => {
+    const provider = new OAuthProvider(stub.options({ scopes: ['read:user', 'user:email'] }));
+    const url = await provider.authorizationUrl(flow);
+    const { code } = stub.authorize(url, { sub: 'user-42', email: 'octo@example.com' });
+
+    const identity = await provider.identify({ code, codeVerifier: flow.codeVerifier });
+
+    expect(new URL(url).searchParams.get('nonce')).toBeNull();
+    expect(new URL(url).searchParams.get('scope')).toBe('read:user user:email');
+    expect(identity).toMatchObject({ subject: '42', email: 'octo@example.com', emailVerified: false });
+  });
+
+  it('should require the profile function to name a subject', async () => {
+    const provider = new OAuthProvider(stub.options({ profile: () => ({ email: 'octo@example.com' }) }));
+    const { code } = stub.authorize(await provider.authorizationUrl(flow), { sub: 'user-42', email: 'octo@example.com' });
+
+    await expect(provider.identify({ code, codeVerifier: flow.codeVerifier }))
+      .rejects
+      .toThrow('The provider did not identify the user');
+  });
+
+  it('should report unreachable providers', async () => {
+    const provider = new OAuthProvider(stub.options({ tokenEndpoint: 'http://127.0.0.1:9/token', timeout: 2000 }));
+
+    await expect(provider.identify({ code: 'code', codeVerifier: flow.codeVerifier }))
+      .rejects
+      .toThrow('OAuth provider stub is unreachable');
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from '@jest/globals';
+import { OtpPolicy } from '../src/core/otp-policy.js';
+
+describe('OtpPolicy - Options', () => {
+  it('should default to 6 digits, 10 minutes and 5 attempts', () => {
+    const policy = new OtpPolicy();
+
+    expect(policy.length).toBe(6);
+    expect(policy.ttl).toBe(600);
+    expect(policy.maxAttempts).toBe(5);
+    expect(policy.maxRequests).toBe(5);
+  });
+
+  it('should only allow 6 to 8 digits', () => {
+    expect(new OtpPolicy({ length: 8 }).length).toBe(8);
+    expect(() => new OtpPolicy({ length: 5 })).toThrow();
+    expect(() => new OtpPolicy({ length: 9 })).toThrow();
+  });
+
+  it('should reject invalid lifetimes and attempt limits', () => {
+    expect(() => new OtpPolicy({ ttl: 0 })).toThrow();
+    expect(() => new OtpPolicy({ maxAttempts: 1.5 })).toThrow();
+    expect(() => new OtpPolicy({ maxRequests: 0 })).toThrow();
+    expect(() => new OtpPolicy({ requestWindow: -1 })).toThrow();
+  });
+
+  it('should count code requests within the request window', () => {
+    const policy = new OtpPolicy({ requestWindow: 60 });
+    const now = new Date('2026-01-01T01:00:00Z');
+
+    expect(policy.requestResetBefore(now)).toEqual(new Date('2026-01-01T00:59:00Z'));
+  });
+});
+
+describe('OtpPolicy - Codes', () => {
+  it('should generate codes of the configured length', () => {
+    for (const length of [6, 7, 8]) {
+      const policy = new OtpPolicy({ length });
+      for (let i = 0; i < 50; i++) {
+        expect(policy.generate()).toMatch(new RegExp(`^\\d{${length}}$`));
+      }
+    }
+  });
+
+  it('should not repeat codes', () => {
+    const codes = new Set(Array.from({ length: 50 }, () => new OtpPolicy({ length: 8 }).generate()));
+
+    expect(codes.size).toBeGreaterThan(45);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { PasswordHasher } from '../src/core/password-hasher.js';
+import { hashPassword } from '../src/core/crypto.js';
+
+// Small parameters keep the suite fast
+const FAST = { memoryCost: 1024, timeCost: 2, parallelism: 1 };
+const PEPPER = 'pepper-that-is-at-least-32-characters-long';
+const OLD_PEPPER = 'older-pepper-that-is-at-least-32-characters';
+
+describe('PasswordHasher - Parameters', () => {
+  it('should encode the configured parameters in the hash', async () => {
+    const hasher = new PasswordHasher({ ...FAST, type: 'argon2i' });
+
+    const hash = await hasher.hash('password123');
+
+    expect(hash).toMatch(/^\$argon2i\$v=19\$m=1024,t=2,p=1\$/);
+  });
+
+  it('should default to argon2id with the argon2 defaults', async () => {
+    const hash = await hashPassword('password123');
+
+    expect(hash).toMatch(/^\$argon2id\$v=19\$m=65536,t=3,p=4\$/);
+    expect(new PasswordHasher().needsRehash(hash)).toBe(false);
+  });
+
+  it('should reject invalid options', () => {
+    expect(() => new PasswordHasher({ type: 'bcrypt' })).toThrow();
+    expect(() => new PasswordHasher({ memoryCost: 512 })).toThrow();
+    expect(() => new PasswordHasher({ timeCost: 0 })).toThrow();
+    expect(() => new PasswordHasher({ pepper: 'too-short' })).toThrow();
+  });
+
+  it('should reject non-string input', async () => {
+    const hasher = new PasswordHasher(FAST);
+
+    await expect(hasher.hash(123)).rejects.toThrow('Password must be a string');
+    await expect(hasher.check(null, 'password123')).rejects.toThrow('Hash and plain text must be strings');
+  });
+});
+
+describe('PasswordHasher - Verification', () => {
+  it('should verify the correct password only', async () => {
+    const hasher = new PasswordHasher(FAST);
+    const hash = await hasher.hash('password123');
+
+    expect(await hasher.verify(hash, 'password123')).toBe(true);
+    expect(await hasher.verify(hash, 'wrongpassword')).toBe(false);
+    expect(await hasher.check(hash, 'password123')).toEqual({ valid: true, needsRehash: false });
+    expect(await hasher.check(hash, 'wrongpassword')).toEqual({ valid: false, needsRehash: false });
+  });
+
+  it('should verify hashes made with other parameters and flag them for rehashing', async () => {
+    const hash = await new PasswordHasher(FAST).hash('password123');
+    const stronger = new PasswordHasher({ ...FAST, timeCost: 3 });
+
+    expect(stronger.needsRehash(hash)).toBe(true);
+    expect(await stronger.check(hash, 'password123')).toEqual({ valid: true, needsRehash: true });
+  });
+
+  it('should flag hashes made with another Argon2 variant', async () => {
+    const hash = await new PasswordHasher({ ...FAST, type: 'argon2i' }).hash('password123');
+
+    expect(new PasswordHasher(FAST).needsRehash(hash)).toBe(true);
+  });
+});
+
+describe('PasswordHasher - Pepper', () => {
+  it('should require the pepper to verify', async () => {
+    const hash = await new PasswordHasher({ ...FAST, pepper: PEPPER }).hash('password123');
+
+    expect(await new PasswordHasher({ ...FAST, pepper: PEPPER }).verify(hash, 'password123')).toBe(true);
+    expect(await new PasswordHasher(FAST).verify(hash, 'password123')).toBe(false);
+    expect(await new PasswordHasher({ ...FAST, pepper: OLD_PEPPER }).verify(hash, 'password123')).toBe(false);
+  });
+
+  it('should accept previous peppers and flag their hashes for rehashing', async () => {
+    const oldHash = await new PasswordHasher({ ...FAST, pepper: OLD_PEPPER }).hash('password123');
+    const hasher = new PasswordHasher({ ...FAST, pepper: PEPPER, previousPeppers: [OLD_PEPPER] });
+
+    expect(await hasher.check(oldHash, 'password123')).toEqual({ valid: true, needsRehash: true });
+    expect(await hasher.check(oldHash, 'wrongpassword')).toEqual({ valid: false, needsRehash: false });
+  });
+
+  it('should accept unpeppered hashes when null is a previous pepper', async () => {
+    const plainHash = await new PasswordHasher(FAST).hash('password123');
+
+    const strict = new PasswordHasher({ ...FAST, pepper: PEPPER });
+    const migrating = new PasswordHasher({ ...FAST, pepper: PEPPER, previousPeppers: [null] });
+
+    expect(await strict.verify(plainHash, 'password123')).toBe(false);
+    expect(await migrating.check(plainHash, 'password123')).toEqual({ valid: true, needsRehash: true });
+  });
+});
+
+describe('PasswordHasher - Dummy Hash', () => {
+  it('should use the current parameters and be computed once', async () => {
+    const hasher = new PasswordHasher({ ...FAST, timeCost: 4 });
+
+    const first = await hasher.dummyHash();
+    const second = await hasher.dummyHash();
+
+    expect(first).toMatch(/^\$argon2id\$v=19\$m=1024,t=4,p=1\$/);
+    expect(second).toBe(first);
+    expect(hasher.needsRehash(first)).toBe(false);
+  });
+
+  it('should compute it again after a failure', async () => {
+    const hasher = new PasswordHasher(FAST);
+    jest.spyOn(hasher, 'hash').mockRejectedValueOnce(new Error('Memory allocation error'));
+
+    await expect(hasher.dummyHash()).rejects.toThrow('Memory allocation error');
+    expect(await hasher.dummyHash()).toMatch(/^\$argon2id\$/);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { PasswordPolicy, PasswordPolicyError, COMMON_PASSWORDS_FILE } from '../src/core/password-policy.js';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+function codes(result) {
+  return result.reasons.map((reason) => reason.code);
+}
+
+describe('PasswordPolicy - Defaults', () => {
+  it('should only enforce 8 to 128 characters', () => {
+    const policy = new PasswordPolicy();
+
+    expect(policy.check('password123').valid).toBe(true);
+    expect(codes(policy.check('short'))).toEqual(['too_short']);
+    expect(codes(policy.check('a'.repeat(129)))).toEqual(['too_long']);
+  });
+
+  it('should count characters, not UTF-16 code units', () => {
+    const policy = new PasswordPolicy({ minLength: 4 });
+
+    expect(policy.check('🔑🔑🔑').valid).toBe(false);
+    expect(policy.check('🔑🔑🔑🔑').valid).toBe(true);
+  });
+
+  it('should reject non-string passwords', () => {
+    expect(codes(new PasswordPolicy().check(undefined))).toEqual(['invalid_type']);
+  });
+});
+
+describe('PasswordPolicy - Rules', () => {
+  it('should require the configured character classes', () => {
+    const policy = new PasswordPolicy({
+      requireLowercase: true,
+      requireUppercase: true,
+      requireDigit: true,
+      requireSymbol: true,
+    });
+
+    expect(codes(policy.check('ALLUPPERCASE'))).toEqual(['missing_lowercase', 'missing_digit', 'missing_symbol']);
+    expect(policy.check('Mixed-case-1').valid).toBe(true);
+  });
+
+  it('should reject passwords containing the email local-part', () => {
+    const policy = new PasswordPolicy({ forbidEmailLocalPart: true });
+
+    expect(codes(policy.check('Johnny2024!', { email: 'johnny@example.com' }))).toEqual(['contains_email']);
+    expect(policy.check('Johnny2024!', { email: 'someone@example.com' }).valid).toBe(true);
+    expect(policy.check('Johnny2024!').valid).toBe(true);
+  });
+
+  it('should ignore very short local-parts', () => {
+    const policy = new PasswordPolicy({ forbidEmailLocalPart: true });
+
+    expect(policy.check('password-jo', { email: 'jo@example.com' }).valid).toBe(true);
+  });
+
+  it('should reject listed passwords case-insensitively', () => {
+    const policy = new PasswordPolicy({ breachedPasswords: ['Correct-Horse'] });
+
+    expect(codes(policy.check('correct-horse'))).toEqual(['breached']);
+    expect(policy.check('correct-horse-battery').valid).toBe(true);
+  });
+
+  it('should apply custom rules', () => {
+    const policy = new PasswordPolicy({
+      rules: [(password) => (password.includes('acme') ? { code: 'company_name', message: 'No company names' } : null)],
+    });
+
+    expect(policy.check('acme-rocks-2024').reasons).toEqual([{ code: 'company_name', message: 'No company names' }]);
+  });
+
+  it('should report every violation at once', () => {
+    const policy = new PasswordPolicy({ minLength: 12, requireDigit: true, breachedPasswords: ['qwerty'] });
+
+    expect(codes(policy.check('qwerty'))).toEqual(['too_short', 'missing_digit', 'breached']);
+  });
+});
+
+describe('PasswordPolicy - Password Lists', () => {
+  let directory;
+
+  afterEach(() => {
+    if (directory) {
+      rmSync(directory, { recursive: true, force: true });
+      directory = null;
+    }
+  });
+
+  it('should load a list file, skipping comments and blank lines', () => {
+    directory = mkdtempSync(join(tmpdir(), 'ryauth-'));
+    const file = join(directory, 'passwords.txt');
+    writeFileSync(file, '# leaked\nhunter2000\n\n  Tr0ub4dor&3  \r\n');
+
+    const policy = new PasswordPolicy({ breachedPasswordsFile: file });
+
+    expect(codes(policy.check('hunter2000'))).toEqual(['breached']);
+    expect(codes(policy.check('tr0ub4dor&3'))).toEqual(['breached']);
+    expect(policy.check('# leaked').valid).toBe(true);
+  });
+
+  it('should ship a common password list', () => {
+    const policy = new PasswordPolicy({ breachedPasswordsFile: COMMON_PASSWORDS_FILE });
+
+    expect(codes(policy.check('password123'))).toEqual(['breached']);
+    expect(policy.check('a-much-less-common-passphrase').valid).toBe(true);
+  });
+
+  it('should throw error for a missing list file', () => {
+    expect(() => new PasswordPolicy({ breachedPasswordsFile: '/nonexistent/passwords.txt' })).toThrow();
+  });
+});
+
+describe('PasswordPolicy - assert', () => {
+  it('should throw a PasswordPolicyError with every reason', () => {
+    const policy = new PasswordPolicy({ requireDigit: true });
+
+    let error;
+    try {
+      policy.assert('short');
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(PasswordPolicyError);
+    expect(error.message).toBe('Password must be at least 8 characters');
+    expect(codes(error)).toEqual(['too_short', 'missing_digit']);
+  });
+
+  it('should not throw for valid passwords', () => {
+    expect(() => new PasswordPolicy().assert('password123')).not.toThrow();
+  });
+
+  it('should validate its options', () => {
+    expect(() => new PasswordPolicy({ minLength: 0 })).toThrow();
+    expect(() => new PasswordPolicy({ minLength: 20, maxLength: 10 })).toThrow('minLength must not be greater than maxLength');
+    expect(() => new PasswordPolicy({ rules: ['not a function'] })).toThrow('rules must be functions');
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from '@jest/globals';
+import { RolePolicy, matchesPermission, checkRequiredPermission } from '../src/core/role-policy.js';
+
+const roles = {
+  user: { permissions: ['posts:read', 'comments:write'] },
+  editor: { inherits: ['user'], permissions: ['posts:*'] },
+  billing: { permissions: ['invoices:read'] },
+  admin: { inherits: ['editor', 'billing'], permissions: ['users:*'] },
+};
+
+describe('RolePolicy - Permissions', () => {
+  it('should match exact and wildcard permissions', () => {
+    expect(matchesPermission('posts:write', 'posts:write')).toBe(true);
+    expect(matchesPermission('posts:*', 'posts:write')).toBe(true);
+    expect(matchesPermission('posts:*', 'posts:comments:delete')).toBe(true);
+    expect(matchesPermission('*', 'anything:at:all')).toBe(true);
+    expect(matchesPermission('posts:*', 'posts')).toBe(false);
+    expect(matchesPermission('posts:*', 'postscript:read')).toBe(false);
+    expect(matchesPermission('posts:read', 'posts:write')).toBe(false);
+  });
+
+  it('should only accept concrete required permissions', () => {
+    expect(checkRequiredPermission('posts:write')).toBe('posts:write');
+    expect(() => checkRequiredPermission('posts:*')).toThrow('Required permissions must be colon-separated names without wildcards');
+    expect(() => checkRequiredPermission('posts::write')).toThrow();
+    expect(() => checkRequiredPermission(undefined)).toThrow();
+  });
+});
+
+describe('RolePolicy - Roles', () => {
+  it('should grant the permissions of inherited roles', () => {
+    const policy = new RolePolicy({ roles });
+
+    expect(policy.permissionsFor(['user'])).toEqual(['comments:write', 'posts:read']);
+    expect(policy.permissionsFor(['editor'])).toEqual(['comments:write', 'posts:*', 'posts:read']);
+    expect(policy.permissionsFor(['admin'])).toEqual(['comments:write', 'invoices:read', 'posts:*', 'posts:read', 'users:*']);
+  });
+
+  it('should expand held roles with the ones they inherit', () => {
+    const policy = new RolePolicy({ roles });
+
+    expect(policy.expandRoles(['admin'])).toEqual(['admin', 'editor', 'user', 'billing']);
+    expect(policy.expandRoles(['billing', 'editor'])).toEqual(['billing', 'editor', 'user']);
+    expect(policy.roles).toEqual(expect.arrayContaining(['user', 'editor', 'billing', 'admin']));
+  });
+
+  it('should combine the permissions of several roles', () => {
+    const policy = new RolePolicy({ roles });
+    const permissions = policy.permissionsFor(['user', 'billing']);
+
+    expect(policy.isGranted(permissions, 'invoices:read')).toBe(true);
+    expect(policy.isGranted(permissions, 'posts:write')).toBe(false);
+  });
+
+  it('should keep undefined roles without granting anything', () => {
+    const policy = new RolePolicy({ roles });
+
+    expect(policy.expandRoles(['guest'])).toEqual(['guest']);
+    expect(policy.permissionsFor(['guest'])).toEqual([]);
+  });
+
+  it('should reject unknown parents, cycles and malformed permissions', () => {
+    expect(() => new RolePolicy({ roles: { editor: { inherits: ['writer'] } } }))
+      .toThrow('Role editor inherits unknown role writer');
+    expect(() => new RolePolicy({ roles: { a: { inherits: ['b'] }, b: { inherits: ['c'] }, c: { inherits: ['a'] } } }))
+      .toThrow('Role inheritance cycle: a -> b -> c -> a');
+    expect(() => new RolePolicy({ roles: { a: { permissions: ['posts:*:read'] } } })).toThrow();
+    expect(() => new RolePolicy({})).toThrow();
+  });
+});
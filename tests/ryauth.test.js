@@ -0,0 +1,395 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { createRyAuth } from '../src/ryauth.js';
+import { MemoryAdapter } from '../src/adapters/memory.js';
+import { MemoryMailer } from '../src/mailers/memory.js';
+import { OAuthProvider } from '../src/core/oauth.js';
+import { generateKeyPairSync } from 'node:crypto';
+import { decodeJwt, decodeProtectedHeader } from 'jose';
+
+const tenantA = {
+  accessTokenSecret: 'tenant_a_access_secret_32_characters_long',
+  refreshTokenSecret: 'tenant_a_refresh_secret_32_characters_long',
+};
+
+const tenantB = {
+  accessTokenSecret: 'tenant_b_access_secret_32_characters_long',
+  refreshTokenSecret: 'tenant_b_refresh_secret_32_characters_long',
+};
+
+// Make sure nothing falls back to process.env
+const originalEnv = process.env;
+
+beforeEach(() => {
+  process.env = { ...originalEnv };
+  delete process.env.ACCESS_TOKEN_SECRET;
+  delete process.env.REFRESH_TOKEN_SECRET;
+});
+
+afterEach(() => {
+  process.env = originalEnv;
+});
+
+function mockResponse() {
+  const headers = {};
+  const res = {
+    statusCode: 200,
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((body) => {
+      res.body = body;
+      return res;
+    }),
+    getHeader: (name) => headers[name.toLowerCase()],
+    setHeader: (name, value) => {
+      headers[name.toLowerCase()] = value;
+    },
+  };
+  return res;
+}
+
+async function authenticate(middleware, accessToken) {
+  const req = { method: 'GET', headers: { authorization: `Bearer ${accessToken}` } };
+  const res = mockResponse();
+  const next = jest.fn();
+  await middleware.authenticate(req, res, next);
+  return { req, res, next };
+}
+
+async function registerAndLogin(authService) {
+  await authService.register('user@example.com', 'password123');
+  return authService.login('user@example.com', 'password123');
+}
+
+describe('createRyAuth - Shared Configuration', () => {
+  it('should issue tokens the middleware accepts without any environment', async () => {
+    const { authService, middleware } = createRyAuth({ adapter: new MemoryAdapter(), ...tenantA });
+
+    const { accessToken } = await registerAndLogin(authService);
+    const { req, next } = await authenticate(middleware, accessToken);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.role).toBe('user');
+  });
+
+  it('should keep tenants in one process isolated', async () => {
+    const a = createRyAuth({ adapter: new MemoryAdapter(), ...tenantA });
+    const b = createRyAuth({ adapter: new MemoryAdapter(), ...tenantB });
+
+    const tokensA = await registerAndLogin(a.authService);
+
+    expect((await authenticate(a.middleware, tokensA.accessToken)).next).toHaveBeenCalled();
+    expect((await authenticate(b.middleware, tokensA.accessToken)).res.statusCode).toBe(403);
+    await expect(b.authService.refresh(tokensA.refreshToken)).rejects.toThrow('Invalid refresh token');
+  });
+
+  it('should apply the configured token lifetimes', async () => {
+    const adapter = new MemoryAdapter();
+    const saveSpy = jest.spyOn(adapter, 'saveRefreshToken');
+    const { authService } = createRyAuth({
+      adapter,
+      ...tenantA,
+      accessTokenTtl: 300,
+      refreshTokenTtl: 3600,
+    });
+
+    const before = Date.now();
+    const { accessToken, refreshToken } = await registerAndLogin(authService);
+
+    const access = decodeJwt(accessToken);
+    const refresh = decodeJwt(refreshToken);
+    expect(access.exp - access.iat).toBe(300);
+    expect(refresh.exp - refresh.iat).toBe(3600);
+
+    const expiresAt = saveSpy.mock.calls[0][2];
+    expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 3600 * 1000);
+    expect(expiresAt.getTime()).toBeLessThan(before + 3601 * 1000);
+  });
+
+  it('should size auth cookies from the token lifetimes', () => {
+    const { middleware } = createRyAuth({
+      adapter: new MemoryAdapter(),
+      ...tenantA,
+      accessTokenTtl: 300,
+      cookies: {},
+    });
+    const res = mockResponse();
+
+    middleware.setTokenCookies(res, { accessToken: 'a.b.c', refreshToken: 'd.e.f' });
+
+    const [accessCookie, refreshCookie] = res.getHeader('Set-Cookie');
+    expect(accessCookie).toContain('Max-Age=300');
+    expect(refreshCookie).toContain('Max-Age=604800');
+  });
+
+  it('should set and enforce issuer and audience', async () => {
+    const issuing = createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, issuer: 'https://auth.example.com', audience: 'api' });
+    const otherAudience = createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, issuer: 'https://auth.example.com', audience: 'billing' });
+
+    const { accessToken } = await registerAndLogin(issuing.authService);
+
+    expect(decodeJwt(accessToken)).toMatchObject({ iss: 'https://auth.example.com', aud: 'api' });
+    expect((await authenticate(issuing.middleware, accessToken)).next).toHaveBeenCalled();
+    expect((await authenticate(otherAudience.middleware, accessToken)).res.statusCode).toBe(403);
+  });
+
+  it('should sign with asymmetric keys and publish them', async () => {
+    const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const { authService, middleware, getJWKS } = createRyAuth({
+      adapter: new MemoryAdapter(),
+      algorithm: 'ES256',
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      keyId: 'tenant-a-1',
+      refreshTokenSecret: tenantA.refreshTokenSecret,
+    });
+
+    const { accessToken } = await registerAndLogin(authService);
+
+    expect(decodeProtectedHeader(accessToken)).toEqual({ alg: 'ES256', kid: 'tenant-a-1' });
+    expect((await authenticate(middleware, accessToken)).next).toHaveBeenCalled();
+    expect((await getJWKS()).keys[0]).toMatchObject({ kid: 'tenant-a-1', alg: 'ES256' });
+  });
+
+  it('should share key rotations between the service and the middleware', async () => {
+    const { authService, middleware, rotateKeys } = createRyAuth({ adapter: new MemoryAdapter(), ...tenantA });
+    const { accessToken: oldToken } = await registerAndLogin(authService);
+
+    rotateKeys({ kid: 'next', secret: tenantB.accessTokenSecret });
+    const { accessToken: newToken } = await authService.login('user@example.com', 'password123');
+
+    expect(decodeProtectedHeader(newToken).kid).toBe('next');
+    expect((await authenticate(middleware, oldToken)).next).toHaveBeenCalled();
+    expect((await authenticate(middleware, newToken)).next).toHaveBeenCalled();
+  });
+});
+
+describe('createRyAuth - Option Validation', () => {
+  it('should require an adapter extending BaseAdapter', () => {
+    expect(() => createRyAuth({ ...tenantA })).toThrow('adapter must extend BaseAdapter');
+    expect(() => createRyAuth({ adapter: {}, ...tenantA })).toThrow('adapter must extend BaseAdapter');
+  });
+
+  it('should require secrets of at least 32 characters', () => {
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, accessTokenSecret: 'short' }))
+      .toThrow();
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), accessTokenSecret: tenantA.accessTokenSecret }))
+      .toThrow();
+  });
+
+  it('should require a private key for asymmetric algorithms', () => {
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), algorithm: 'RS256', refreshTokenSecret: tenantA.refreshTokenSecret }))
+      .toThrow('privateKey is required for asymmetric algorithms');
+  });
+
+  it('should reject invalid lifetimes', () => {
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, accessTokenTtl: 0 })).toThrow();
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, refreshTokenTtl: '7d' })).toThrow();
+  });
+
+  it('should validate cookie and CSRF options at startup', () => {
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, csrf: {} }))
+      .toThrow('CSRF protection requires cookie mode');
+  });
+
+  it('should build a password policy from options', async () => {
+    const { authService } = createRyAuth({
+      adapter: new MemoryAdapter(),
+      ...tenantA,
+      passwordPolicy: { requireSymbol: true },
+    });
+
+    await expect(authService.register('user@example.com', 'password123'))
+      .rejects
+      .toThrow('Password must contain a symbol');
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, passwordPolicy: { minLength: -1 } }))
+      .toThrow();
+  });
+
+  it('should build a password hasher from options', async () => {
+    const adapter = new MemoryAdapter();
+    const { authService } = createRyAuth({
+      adapter,
+      ...tenantA,
+      passwordHasher: { memoryCost: 1024, timeCost: 2, parallelism: 1 },
+    });
+
+    await authService.register('user@example.com', 'password123');
+
+    const user = await adapter.findUserByEmail('user@example.com');
+    expect(user.hashedPassword).toMatch(/^\$argon2id\$v=19\$m=1024,t=2,p=1\$/);
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, passwordHasher: { type: 'bcrypt' } }))
+      .toThrow();
+  });
+
+  it('should configure or turn off login throttling', async () => {
+    const adapter = new MemoryAdapter();
+    const { authService } = createRyAuth({ adapter, ...tenantA, loginThrottle: { maxAttempts: 1 } });
+    await authService.register('user@example.com', 'password123');
+
+    await expect(authService.login('user@example.com', 'wrongpassword')).rejects.toThrow('Invalid credentials');
+    await expect(authService.login('user@example.com', 'password123')).rejects.toThrow('Invalid credentials');
+
+    const unthrottled = createRyAuth({ adapter, ...tenantA, loginThrottle: false });
+    expect(unthrottled.authService.loginThrottle).toBeNull();
+    expect((await unthrottled.authService.login('user@example.com', 'password123')).success).toBe(true);
+  });
+
+  it('should pass two-factor options to the service', async () => {
+    const adapter = new MemoryAdapter();
+    const { authService } = createRyAuth({
+      adapter,
+      ...tenantA,
+      mfaEncryptionKey: 'mfa-encryption-key-at-least-32-characters',
+      mfaIssuer: 'Tenant A',
+    });
+    const { userId } = await authService.register('user@example.com', 'password123');
+
+    const { uri } = await authService.enrollTotp(userId);
+
+    expect(uri).toContain('issuer=Tenant+A');
+    expect(() => createRyAuth({ adapter, ...tenantA, mfaEncryptionKey: 'too-short' })).toThrow();
+  });
+
+  it('should build a relying party from options', async () => {
+    const adapter = new MemoryAdapter();
+    const { authService } = createRyAuth({
+      adapter,
+      ...tenantA,
+      relyingParty: { rpId: 'a.example.com', rpName: 'Tenant A', origins: 'https://a.example.com' },
+    });
+
+    const { options } = await authService.startPasskeyLogin();
+
+    expect(options.rpId).toBe('a.example.com');
+    expect(() => createRyAuth({ adapter, ...tenantA, relyingParty: { rpId: 'a.example.com' } })).toThrow();
+  });
+
+  it('should pass magic link options to the service', async () => {
+    const mailer = new MemoryMailer();
+    const { authService } = createRyAuth({
+      adapter: new MemoryAdapter(),
+      ...tenantA,
+      mailer,
+      magicLinkAutoRegister: true,
+      magicLinkRedirectOrigins: ['https://a.example.com'],
+    });
+
+    await authService.requestMagicLink('user@example.com', { redirectUrl: 'https://a.example.com/home' });
+    const result = await authService.consumeMagicLink(mailer.lastMessageTo('user@example.com').token);
+
+    expect(result).toMatchObject({ created: true, redirectUrl: 'https://a.example.com/home' });
+    await expect(authService.requestMagicLink('user@example.com', { redirectUrl: 'https://b.example.com/' }))
+      .rejects
+      .toThrow('Redirect URL is not allowed');
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, magicLinkRedirectOrigins: ['not a url'] })).toThrow();
+  });
+
+  it('should build a one-time code policy from options', async () => {
+    const mailer = new MemoryMailer();
+    const adapter = new MemoryAdapter();
+    const { authService, tokens } = createRyAuth({ adapter, ...tenantA, mailer, otpPolicy: { length: 8 } });
+    await authService.register('user@example.com', 'password123');
+
+    await authService.requestOtp('user@example.com');
+    const { code } = mailer.lastMessageTo('user@example.com');
+
+    expect(code).toMatch(/^\d{8}$/);
+    expect((await adapter.findOtp('user@example.com', 'login')).codeHash).toBe(tokens.hashOneTimeCode(code, 'login:user@example.com'));
+    expect((await authService.loginWithOtp('user@example.com', code)).success).toBe(true);
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, otpPolicy: { length: 4 } })).toThrow();
+  });
+
+  it('should build OAuth providers from options', async () => {
+    const github = {
+      name: 'github',
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      redirectUri: 'https://a.example.com/auth/github/callback',
+      authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+      tokenEndpoint: 'https://github.com/login/oauth/access_token',
+      userinfoEndpoint: 'https://api.github.com/user',
+      scopes: ['read:user', 'user:email'],
+    };
+    const { authService } = createRyAuth({
+      adapter: new MemoryAdapter(),
+      ...tenantA,
+      oauthProviders: [github, new OAuthProvider({ ...github, name: 'github-enterprise' })],
+    });
+
+    const { url } = await authService.startOAuthLogin('github');
+
+    expect(new URL(url).searchParams.get('redirect_uri')).toBe('https://a.example.com/auth/github/callback');
+    expect([...authService.oauthProviders.keys()]).toEqual(['github', 'github-enterprise']);
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, oauthProviders: [{ name: 'github' }] })).toThrow();
+  });
+
+  it('should share the adapter with the API key middleware', async () => {
+    const { authService, middleware } = createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, apiKeyPrefix: 'tenanta' });
+    const { userId } = await authService.register('robot@example.com', 'password123');
+    const { key } = await authService.createApiKey(userId, { scopes: ['reports:read'] });
+    const req = { headers: { 'x-api-key': key } };
+    const next = jest.fn();
+
+    await middleware.authenticateApiKey()(req, {}, next);
+
+    expect(key.startsWith('tenanta_')).toBe(true);
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toMatchObject({ userId, scopes: ['reports:read'] });
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, apiKeyPrefix: 'Tenant_A' })).toThrow();
+  });
+
+  it('should pass a role policy to the middleware', async () => {
+    const rolePolicy = { roles: { user: { permissions: ['posts:read'] }, editor: { inherits: ['user'], permissions: ['posts:write'] } } };
+    const adapter = new MemoryAdapter();
+    const { authService, middleware } = createRyAuth({ adapter, ...tenantA, rolePolicy });
+    const { userId } = await authService.register('editor@example.com', 'password123');
+    await adapter.updateUser(userId, { role: 'editor' });
+    const { accessToken } = await authService.login('editor@example.com', 'password123');
+    const req = { headers: { authorization: `Bearer ${accessToken}` } };
+    const next = jest.fn();
+
+    await middleware.authenticate(req, {}, next);
+    middleware.requirePermission('posts:read', 'posts:write')(req, {}, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(req.user).toMatchObject({ roles: ['editor', 'user'], permissions: ['posts:read', 'posts:write'] });
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, rolePolicy: { roles: { a: { inherits: ['a'] } } } }))
+      .toThrow('Role inheritance cycle: a -> a');
+  });
+
+  it('should pass an access policy to the middleware', async () => {
+    const accessPolicy = { policies: { 'posts:edit': (user, action, post) => post.authorId === user.userId } };
+    const { middleware } = createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, accessPolicy });
+    const req = { headers: {}, params: { id: 'post-1' }, user: { userId: 'user-1', role: 'user' } };
+    const next = jest.fn();
+
+    await middleware.authorizePolicy('posts:edit', { resource: (r) => ({ id: r.params.id, authorId: 'user-1' }) })(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(await middleware.can({ userId: 'user-2', role: 'user' }, 'posts:edit', req.resource)).toBe(false);
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, accessPolicy: { policies: { 'posts:edit': 'owner' } } })).toThrow();
+  });
+
+  it('should scope sessions to tenants across service and middleware', async () => {
+    const { authService, middleware } = createRyAuth({ adapter: new MemoryAdapter(), ...tenantA });
+    const { userId } = await authService.register('member@example.com', 'password123');
+    const { organization } = await authService.createOrganization(userId, { name: 'Acme', roles: ['admin'] });
+    const { refreshToken } = await authService.login('member@example.com', 'password123');
+    const { accessToken } = await authService.switchTenant(refreshToken, organization.id);
+    const req = { headers: { authorization: `Bearer ${accessToken}` }, params: { tenantId: organization.id } };
+    const next = jest.fn();
+
+    await middleware.authenticate(req, {}, next);
+    middleware.requireTenant()(req, {}, next);
+    middleware.authorize('admin')(req, {}, next);
+
+    expect(next).toHaveBeenCalledTimes(3);
+    expect(req.user).toMatchObject({ userId, tid: organization.id, roles: ['admin'] });
+  });
+
+  it('should require a mailer extending BaseMailer', () => {
+    expect(() => createRyAuth({ adapter: new MemoryAdapter(), ...tenantA, mailer: {} }))
+      .toThrow('mailer must extend BaseMailer');
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from '@jest/globals';
+import { SecretBox } from '../src/core/secret-box.js';
+
+const SECRET = 'secret-box-test-key-at-least-32-characters';
+
+describe('SecretBox - Encryption', () => {
+  it('should round-trip values with a fresh IV each time', () => {
+    const box = new SecretBox(SECRET);
+
+    const first = box.encrypt('JBSWY3DPEHPK3PXP', 'user-1');
+    const second = box.encrypt('JBSWY3DPEHPK3PXP', 'user-1');
+
+    expect(first).toMatch(/^v1\./);
+    expect(first).not.toBe(second);
+    expect(box.decrypt(first, 'user-1')).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  it('should reject another context, another secret or tampering', () => {
+    const box = new SecretBox(SECRET);
+    const sealed = box.encrypt('JBSWY3DPEHPK3PXP', 'user-1');
+    const [version, iv, tag, ciphertext] = sealed.split('.');
+    const flipped = Buffer.from(ciphertext, 'base64url');
+    flipped[0] ^= 1;
+
+    expect(() => box.decrypt(sealed, 'user-2')).toThrow('Invalid sealed value');
+    expect(() => new SecretBox(`${SECRET}-other`).decrypt(sealed, 'user-1')).toThrow('Invalid sealed value');
+    expect(() => box.decrypt([version, iv, tag, flipped.toString('base64url')].join('.'), 'user-1')).toThrow('Invalid sealed value');
+    expect(() => box.decrypt([version, iv, tag.slice(0, 6), ciphertext].join('.'), 'user-1')).toThrow('Invalid sealed value');
+    expect(() => box.decrypt('not-sealed', 'user-1')).toThrow('Invalid sealed value');
+  });
+
+  it('should require a long enough secret', () => {
+    expect(() => new SecretBox('too-short')).toThrow('Secret must be at least 32 characters');
+  });
+});
+
+describe('SecretBox - Hashing', () => {
+  it('should hash deterministically under the same secret only', () => {
+    const box = new SecretBox(SECRET);
+
+    expect(box.hash('a1b2c3d4e5')).toBe(box.hash('a1b2c3d4e5'));
+    expect(box.hash('a1b2c3d4e5')).not.toBe(new SecretBox(`${SECRET}-other`).hash('a1b2c3d4e5'));
+    expect(() => box.hash(123)).toThrow('Value must be a string');
+  });
+});
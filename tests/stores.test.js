@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { BaseRateLimitStore } from '../src/stores/base.js';
+import { MemoryRateLimitStore } from '../src/stores/memory.js';
+
+describe('Stores - BaseRateLimitStore Contract', () => {
+  it('should throw "Not Implemented" error for increment', async () => {
+    await expect(new BaseRateLimitStore().increment('ip:203.0.113.7', 60000))
+      .rejects
+      .toThrow('Method increment() must be implemented');
+  });
+
+  it('should throw "Not Implemented" error for reset', async () => {
+    await expect(new BaseRateLimitStore().reset('ip:203.0.113.7'))
+      .rejects
+      .toThrow('Method reset() must be implemented');
+  });
+});
+
+describe('Stores - MemoryRateLimitStore Implementation', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:10Z') });
+    store = new MemoryRateLimitStore();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should count requests in windows aligned to windowMs', async () => {
+    await store.increment('ip:203.0.113.7', 60000);
+    const counts = await store.increment('ip:203.0.113.7', 60000);
+
+    expect(counts).toEqual({ current: 2, previous: 0, windowStart: new Date('2026-01-01T00:00:00Z').getTime() });
+  });
+
+  it('should carry the count over into the next window as previous', async () => {
+    await store.increment('ip:203.0.113.7', 60000);
+    await store.increment('ip:203.0.113.7', 60000);
+
+    jest.setSystemTime(new Date('2026-01-01T00:01:05Z'));
+    const counts = await store.increment('ip:203.0.113.7', 60000);
+
+    expect(counts).toMatchObject({ current: 1, previous: 2 });
+  });
+
+  it('should forget counts after a whole idle window', async () => {
+    await store.increment('ip:203.0.113.7', 60000);
+
+    jest.setSystemTime(new Date('2026-01-01T00:02:05Z'));
+    const counts = await store.increment('ip:203.0.113.7', 60000);
+
+    expect(counts).toMatchObject({ current: 1, previous: 0 });
+  });
+
+  it('should keep keys apart and reset them one at a time', async () => {
+    await store.increment('ip:203.0.113.7', 60000);
+    await store.increment('email:user@example.com', 60000);
+
+    await store.reset('ip:203.0.113.7');
+
+    expect((await store.increment('ip:203.0.113.7', 60000)).current).toBe(1);
+    expect((await store.increment('email:user@example.com', 60000)).current).toBe(2);
+  });
+
+  it('should validate its arguments', async () => {
+    await expect(store.increment(123, 60000)).rejects.toThrow('Key must be a string');
+    await expect(store.increment('ip:203.0.113.7', 0)).rejects.toThrow('windowMs must be a positive integer');
+    await expect(store.reset(123)).rejects.toThrow('Key must be a string');
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  generateTotp,
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} from '../src/core/totp.js';
+
+// RFC 6238 Appendix B seeds: the ASCII digits repeated to the hash length
+const SEEDS = {
+  sha1: Buffer.from('12345678901234567890'),
+  sha256: Buffer.from('12345678901234567890123456789012'),
+  sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234'),
+};
+
+describe('TOTP - Base32', () => {
+  it('should match the RFC 4648 test vectors', () => {
+    const vectors = [['', ''], ['f', 'MY'], ['fo', 'MZXQ'], ['foo', 'MZXW6'], ['foob', 'MZXW6YQ'], ['fooba', 'MZXW6YTB'], ['foobar', 'MZXW6YTBOI']];
+
+    for (const [plain, encoded] of vectors) {
+      expect(base32Encode(Buffer.from(plain))).toBe(encoded);
+      expect(base32Decode(encoded).toString()).toBe(plain);
+    }
+  });
+
+  it('should ignore case, spaces and padding when decoding', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  it('should reject invalid characters', () => {
+    expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+  });
+
+  it('should generate 160-bit secrets', () => {
+    const secret = generateTotpSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+    expect(generateTotpSecret()).not.toBe(secret);
+  });
+});
+
+describe('TOTP - RFC 4226 HOTP Test Vectors', () => {
+  it('should compute the codes for counters 0 to 9', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+    expected.forEach((code, counter) => {
+      expect(generateHotp(SEEDS.sha1, counter)).toBe(code);
+    });
+  });
+});
+
+describe('TOTP - RFC 6238 Test Vectors', () => {
+  const vectors = [
+    [59, { sha1: '94287082', sha256: '46119246', sha512: '90693936' }],
+    [1111111109, { sha1: '07081804', sha256: '68084774', sha512: '25091201' }],
+    [1111111111, { sha1: '14050471', sha256: '67062674', sha512: '99943326' }],
+    [1234567890, { sha1: '89005924', sha256: '91819424', sha512: '93441116' }],
+    [2000000000, { sha1: '69279037', sha256: '90698825', sha512: '38618901' }],
+    [20000000000, { sha1: '65353130', sha256: '77737706', sha512: '47863826' }],
+  ];
+
+  for (const [seconds, codes] of vectors) {
+    for (const [algorithm, code] of Object.entries(codes)) {
+      it(`should compute ${code} at ${seconds}s with ${algorithm}`, () => {
+        expect(generateTotp(SEEDS[algorithm], { time: seconds * 1000, digits: 8, algorithm })).toBe(code);
+      });
+    }
+  }
+
+  it('should accept base32 secrets', () => {
+    const secret = base32Encode(SEEDS.sha1);
+
+    expect(generateTotp(secret, { time: 59000, digits: 8 })).toBe('94287082');
+  });
+
+  it('should reject unsupported algorithms', () => {
+    expect(() => generateTotp(SEEDS.sha1, { algorithm: 'md5' })).toThrow('Unsupported algorithm');
+  });
+});
+
+describe('TOTP - Verification', () => {
+  const time = 1111111111 * 1000;
+
+  it('should return the matching time step', () => {
+    const code = generateTotp(SEEDS.sha1, { time });
+
+    expect(verifyTotp(SEEDS.sha1, code, { time })).toBe(Math.floor(1111111111 / 30));
+  });
+
+  it('should accept codes one step either side by default', () => {
+    const previous = generateTotp(SEEDS.sha1, { time: time - 30000 });
+    const next = generateTotp(SEEDS.sha1, { time: time + 30000 });
+    const stale = generateTotp(SEEDS.sha1, { time: time - 60000 });
+
+    expect(verifyTotp(SEEDS.sha1, previous, { time })).not.toBeNull();
+    expect(verifyTotp(SEEDS.sha1, next, { time })).not.toBeNull();
+    expect(verifyTotp(SEEDS.sha1, stale, { time })).toBeNull();
+    expect(verifyTotp(SEEDS.sha1, stale, { time, window: 2 })).not.toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyTotp(SEEDS.sha1, '12345', { time })).toBeNull();
+    expect(verifyTotp(SEEDS.sha1, '12345a', { time })).toBeNull();
+    expect(verifyTotp(SEEDS.sha1, 123456, { time })).toBeNull();
+  });
+});
+
+describe('TOTP - otpauth URI', () => {
+  it('should build a URI authenticator apps understand', () => {
+    const uri = buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'alice@example.com', issuer: 'Example Co' });
+
+    expect(uri).toBe('otpauth://totp/Example%20Co:alice%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Example+Co&algorithm=SHA1&digits=6&period=30');
+  });
+});
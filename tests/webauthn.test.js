@@ -0,0 +1,276 @@
+import { describe, it, expect } from '@jest/globals';
+import { RelyingParty, parseAuthenticatorData, coseToPublicKey, parseClientDataJSON } from '../src/core/webauthn.js';
+import { generateOneTimeToken } from '../src/core/crypto.js';
+import { SoftwareAuthenticator, ATTESTATION_CERTIFICATE, encodeCbor } from './fixtures/authenticator.js';
+
+const rp = () => new RelyingParty({ rpId: 'example.com', rpName: 'Example', origins: 'https://app.example.com' });
+const user = { id: 'user-1', name: 'user@example.com' };
+
+// Runs a registration ceremony and returns what verifyRegistration made of it
+function register(relyingParty, authenticator, overrides) {
+  const challenge = generateOneTimeToken();
+  const options = relyingParty.registrationOptions({ challenge, user });
+  return relyingParty.verifyRegistration(authenticator.create(options, overrides), challenge);
+}
+
+function authenticate(relyingParty, authenticator, credential, overrides) {
+  const challenge = generateOneTimeToken();
+  const options = relyingParty.authenticationOptions({ challenge });
+  return relyingParty.verifyAuthentication(authenticator.get(options, overrides), challenge, credential);
+}
+
+// Captured from a packed self-attestation ceremony for rpId example.com
+const RECORDED = {
+  registrationChallenge: 'cmVjb3JkZWQtcmVnaXN0cmF0aW9uLWNoYWxsZW5nZQ',
+  registration: {
+    id: 'Qo8NigQGawl_GBZdYBA7ug',
+    rawId: 'Qo8NigQGawl_GBZdYBA7ug',
+    type: 'public-key',
+    response: {
+      clientDataJSON: 'eyJ0eXBlIjoid2ViYXV0aG4uY3JlYXRlIiwiY2hhbGxlbmdlIjoiY21WamIzSmtaV1F0Y21WbmFYTjBjbUYwYVc5dUxXTm9ZV3hzWlc1blpRIiwib3JpZ2luIjoiaHR0cHM6Ly9hcHAuZXhhbXBsZS5jb20iLCJjcm9zc09yaWdpbiI6ZmFsc2V9',
+      attestationObject: 'o2NmbXRmcGFja2VkZ2F0dFN0bXSiY2FsZyZjc2lnWEgwRgIhAIhd0PpJD78qJNWHrhlFDwbi8cEFNysTBA14DS5h8IVKAiEAs1TW_htD0iRS-8YK-7APgQqQii6qOe78u3PStjkwN51oYXV0aERhdGFYlKN5pvbur7mlXjeMEYA04nUeaC-rny0wqxPSElWGzhlHXQAAAAAAAAAAAAAAAAAAAAAAAAAAABBCjw2KBAZrCX8YFl1gEDu6pQECAyYgASFYIENyRH89lkNbakXDd5Dp1gZL7NWciPRpz39VYY1Em3IRIlgg6l28mgVjxXrzwrprczxS-tDdwoKCafi8-3eF6sryuUM',
+      transports: ['internal', 'hybrid'],
+    },
+  },
+  authenticationChallenge: 'cmVjb3JkZWQtYXV0aGVudGljYXRpb24tY2hhbGxlbmdl',
+  authentication: {
+    id: 'Qo8NigQGawl_GBZdYBA7ug',
+    rawId: 'Qo8NigQGawl_GBZdYBA7ug',
+    type: 'public-key',
+    response: {
+      clientDataJSON: 'eyJ0eXBlIjoid2ViYXV0aG4uZ2V0IiwiY2hhbGxlbmdlIjoiY21WamIzSmtaV1F0WVhWMGFHVnVkR2xqWVhScGIyNHRZMmhoYkd4bGJtZGwiLCJvcmlnaW4iOiJodHRwczovL2FwcC5leGFtcGxlLmNvbSIsImNyb3NzT3JpZ2luIjpmYWxzZX0',
+      authenticatorData: 'o3mm9u6vuaVeN4wRgDTidR5oL6ufLTCrE9ISVYbOGUcdAAAAAQ',
+      signature: 'MEYCIQCCHUoaCLkU2XvuEx2AvZpioyWny4MM_wbzsVCwUpzRsAIhAPssM38Ug0aoHYNTfZgIn8A7FUBJwOxntldSRA1zeCgh',
+      userHandle: 'dXNlci0x',
+    },
+  },
+};
+
+describe('WebAuthn - Recorded Responses', () => {
+  it('should verify a recorded registration and authentication', () => {
+    const relyingParty = rp();
+
+    const credential = relyingParty.verifyRegistration(RECORDED.registration, RECORDED.registrationChallenge);
+    const result = relyingParty.verifyAuthentication(RECORDED.authentication, RECORDED.authenticationChallenge, credential);
+
+    expect(credential).toMatchObject({
+      credentialId: 'Qo8NigQGawl_GBZdYBA7ug',
+      algorithm: -7,
+      signCount: 0,
+      aaguid: '00000000-0000-0000-0000-000000000000',
+      backupEligible: true,
+      backedUp: true,
+      transports: ['internal', 'hybrid'],
+      attestation: { format: 'packed', type: 'self', certificates: [] },
+    });
+    expect(result).toEqual({ signCount: 1, userVerified: true, backedUp: true, userHandle: 'user-1' });
+  });
+
+  it('should reject a recorded response for another origin or RP ID', () => {
+    const otherOrigin = new RelyingParty({ rpId: 'example.com', rpName: 'Example', origins: 'https://example.com' });
+    const otherRpId = new RelyingParty({ rpId: 'app.example.com', rpName: 'Example', origins: 'https://app.example.com' });
+
+    expect(() => otherOrigin.verifyRegistration(RECORDED.registration, RECORDED.registrationChallenge))
+      .toThrow('Origin https://app.example.com is not allowed');
+    expect(() => otherRpId.verifyRegistration(RECORDED.registration, RECORDED.registrationChallenge))
+      .toThrow('RP ID does not match');
+  });
+});
+
+describe('WebAuthn - Ceremony Options', () => {
+  it('should build creation options', () => {
+    const options = rp().registrationOptions({
+      challenge: 'challenge',
+      user,
+      excludeCredentials: [{ credentialId: 'abc', transports: ['usb'] }],
+    });
+
+    expect(options).toEqual({
+      challenge: 'challenge',
+      rp: { id: 'example.com', name: 'Example' },
+      user: { id: 'dXNlci0x', name: 'user@example.com', displayName: 'user@example.com' },
+      pubKeyCredParams: [{ type: 'public-key', alg: -7 }, { type: 'public-key', alg: -257 }],
+      timeout: 300000,
+      attestation: 'none',
+      excludeCredentials: [{ type: 'public-key', id: 'abc', transports: ['usb'] }],
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' },
+    });
+  });
+
+  it('should build request options', () => {
+    expect(rp().authenticationOptions({ challenge: 'challenge' })).toEqual({
+      challenge: 'challenge',
+      rpId: 'example.com',
+      timeout: 300000,
+      userVerification: 'preferred',
+      allowCredentials: [],
+    });
+  });
+
+  it('should validate its options', () => {
+    expect(() => new RelyingParty({ rpId: 'example.com', rpName: 'Example', origins: 'not a url' })).toThrow();
+    expect(() => new RelyingParty({ rpId: 'example.com', rpName: 'Example', origins: [], algorithms: [-7] })).toThrow();
+    expect(() => new RelyingParty({ rpId: 'example.com', rpName: 'Example', origins: 'https://example.com', algorithms: [-8] })).toThrow();
+  });
+});
+
+describe('WebAuthn - Registration', () => {
+  it.each([
+    ['none', -7],
+    ['none', -257],
+    ['self', -7],
+    ['self', -257],
+  ])('should verify %s attestation with COSE algorithm %d', (attestation, algorithm) => {
+    const authenticator = new SoftwareAuthenticator({ attestation, algorithm });
+
+    const credential = register(rp(), authenticator);
+
+    expect(credential.credentialId).toBe(authenticator.id);
+    expect(credential.algorithm).toBe(algorithm);
+    expect(credential.attestation.type).toBe(attestation);
+    expect(coseToPublicKey(Buffer.from(credential.publicKey, 'base64url')).algorithm).toBe(algorithm);
+  });
+
+  it('should verify packed attestation with a certificate chain', () => {
+    const credential = register(rp(), new SoftwareAuthenticator({ attestation: 'basic' }));
+
+    expect(credential.aaguid).toBe('72796175-7468-2d74-6573-742d6b657921');
+    expect(credential.attestation.type).toBe('basic');
+    expect(credential.attestation.certificates).toHaveLength(2);
+    expect(credential.attestation.certificates[0]).toContain(ATTESTATION_CERTIFICATE.split('\n')[1]);
+  });
+
+  it('should reject an AAGUID that differs from the certificate', () => {
+    expect(() => register(rp(), new SoftwareAuthenticator({ attestation: 'basic' }), { aaguid: Buffer.alloc(16, 1) }))
+      .toThrow('Attestation certificate AAGUID does not match');
+  });
+
+  it('should reject a forged attestation signature', () => {
+    const forged = new Map([['alg', -7], ['sig', Buffer.alloc(70, 1)]]);
+
+    expect(() => register(rp(), new SoftwareAuthenticator({ attestation: 'self' }), { attStmt: forged }))
+      .toThrow('Attestation signature is invalid');
+  });
+
+  it('should reject unsupported formats and non-empty none statements', () => {
+    expect(() => register(rp(), new SoftwareAuthenticator(), { fmt: 'tpm' })).toThrow('Unsupported attestation format tpm');
+    expect(() => register(rp(), new SoftwareAuthenticator(), { attStmt: new Map([['alg', -7]]) }))
+      .toThrow('Attestation statement must be empty for the none format');
+  });
+
+  it('should check the ceremony type, challenge, origin and RP ID', () => {
+    const authenticator = new SoftwareAuthenticator();
+
+    expect(() => register(rp(), authenticator, { type: 'webauthn.get' })).toThrow('Client data type must be webauthn.create');
+    expect(() => register(rp(), authenticator, { challenge: 'another-challenge' })).toThrow('Challenge does not match');
+    expect(() => register(rp(), authenticator, { origin: 'https://evil.example' })).toThrow('Origin https://evil.example is not allowed');
+    expect(() => register(rp(), authenticator, { crossOrigin: true })).toThrow('Cross-origin ceremonies are not allowed');
+    expect(() => register(rp(), authenticator, { rpId: 'evil.example' })).toThrow('RP ID does not match');
+  });
+
+  it('should require user presence, and user verification when configured', () => {
+    const strict = new RelyingParty({ rpId: 'example.com', rpName: 'Example', origins: 'https://app.example.com', userVerification: 'required' });
+
+    expect(() => register(rp(), new SoftwareAuthenticator(), { flags: 0x04 })).toThrow('User presence is required');
+    expect(() => register(strict, new SoftwareAuthenticator({ userVerified: false }))).toThrow('User verification is required');
+    expect(register(rp(), new SoftwareAuthenticator({ userVerified: false })).userVerified).toBe(false);
+  });
+
+  it('should only accept configured algorithms', () => {
+    const es256Only = new RelyingParty({ rpId: 'example.com', rpName: 'Example', origins: 'https://app.example.com', algorithms: [-7] });
+
+    expect(() => register(es256Only, new SoftwareAuthenticator({ algorithm: -257 }))).toThrow('Unsupported COSE algorithm -257');
+  });
+
+  it('should reject malformed responses', () => {
+    const relyingParty = rp();
+    const response = new SoftwareAuthenticator().create(relyingParty.registrationOptions({ challenge: 'challenge', user }));
+
+    expect(() => relyingParty.verifyRegistration({ ...response, type: 'password' }, 'challenge')).toThrow('Credential type must be public-key');
+    expect(() => relyingParty.verifyRegistration({ ...response, rawId: 'other' }, 'challenge')).toThrow('Credential ID does not match');
+    expect(() => relyingParty.verifyRegistration({ ...response, id: 'other', rawId: 'other' }, 'challenge')).toThrow('Credential ID does not match');
+    expect(() => relyingParty.verifyRegistration({ ...response, response: { ...response.response, attestationObject: 'AAAA' } }, 'challenge'))
+      .toThrow('Invalid attestation object');
+  });
+});
+
+describe('WebAuthn - Authentication', () => {
+  it('should verify assertions and return the new counter', () => {
+    const relyingParty = rp();
+    const authenticator = new SoftwareAuthenticator({ algorithm: -257 });
+    const credential = register(relyingParty, authenticator);
+
+    const result = authenticate(relyingParty, authenticator, credential);
+
+    expect(result).toEqual({ signCount: 1, userVerified: true, backedUp: true, userHandle: 'user-1' });
+  });
+
+  it('should reject a counter that does not increase', () => {
+    const relyingParty = rp();
+    const authenticator = new SoftwareAuthenticator({ signCount: 5 });
+    const credential = register(relyingParty, authenticator);
+
+    expect(() => authenticate(relyingParty, authenticator, { ...credential, signCount: 6 }))
+      .toThrow('Signature counter did not increase - the authenticator may be cloned');
+    expect(authenticate(relyingParty, authenticator, { ...credential, signCount: 6 }).signCount).toBe(7);
+  });
+
+  it('should accept authenticators that never count', () => {
+    const relyingParty = rp();
+    const authenticator = new SoftwareAuthenticator({ signCount: null });
+    const credential = register(relyingParty, authenticator);
+
+    authenticate(relyingParty, authenticator, credential);
+    expect(authenticate(relyingParty, authenticator, credential).signCount).toBe(0);
+  });
+
+  it('should reject signatures from another key', () => {
+    const relyingParty = rp();
+    const credential = register(relyingParty, new SoftwareAuthenticator());
+    const impostor = new SoftwareAuthenticator();
+    impostor.credentialId = Buffer.from(credential.credentialId, 'base64url');
+
+    expect(() => authenticate(relyingParty, impostor, credential)).toThrow('Signature is invalid');
+  });
+
+  it('should check the credential ID, ceremony type, origin and RP ID', () => {
+    const relyingParty = rp();
+    const authenticator = new SoftwareAuthenticator();
+    const credential = register(relyingParty, authenticator);
+
+    expect(() => authenticate(relyingParty, new SoftwareAuthenticator(), credential)).toThrow('Credential ID does not match');
+    expect(() => authenticate(relyingParty, authenticator, credential, { type: 'webauthn.create' })).toThrow('Client data type must be webauthn.get');
+    expect(() => authenticate(relyingParty, authenticator, credential, { origin: 'https://evil.example' })).toThrow('is not allowed');
+    expect(() => authenticate(relyingParty, authenticator, credential, { rpId: 'evil.example' })).toThrow('RP ID does not match');
+  });
+});
+
+describe('WebAuthn - Parsing', () => {
+  it('should parse authenticator data flags and counter', () => {
+    const authData = Buffer.concat([Buffer.alloc(32), Buffer.from([0x05]), Buffer.from([0, 0, 1, 0])]);
+
+    expect(parseAuthenticatorData(authData)).toMatchObject({
+      flags: { userPresent: true, userVerified: true, backupEligible: false, attestedCredentialData: false },
+      signCount: 256,
+    });
+  });
+
+  it('should reject truncated or padded authenticator data', () => {
+    const authData = Buffer.concat([Buffer.alloc(32), Buffer.from([0x01]), Buffer.alloc(4)]);
+
+    expect(() => parseAuthenticatorData(authData.subarray(0, 36))).toThrow('Authenticator data is too short');
+    expect(() => parseAuthenticatorData(Buffer.concat([authData, Buffer.from([0])]))).toThrow('Unexpected data after authenticator data');
+  });
+
+  it('should reject unsupported COSE keys', () => {
+    expect(() => coseToPublicKey(encodeCbor(new Map([[1, 1], [3, -8], [-1, 6], [-2, Buffer.alloc(32)]]))))
+      .toThrow('Unsupported COSE algorithm -8');
+    expect(() => coseToPublicKey(encodeCbor(new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.alloc(32)], [-3, Buffer.alloc(32)]]))))
+      .toThrow('Invalid COSE key');
+  });
+
+  it('should reject unreadable client data', () => {
+    expect(() => parseClientDataJSON(Buffer.from('not json').toString('base64url'))).toThrow('Invalid client data');
+    expect(() => parseClientDataJSON(Buffer.from('{"type":"webauthn.get"}').toString('base64url'))).toThrow('Invalid client data');
+  });
+});